@@ -10,6 +10,13 @@ const apiRoutes = require('./routes/api');
 const winston = require('winston');
 const path = require('path');
 const redisService = require('./services/redisService');
+const eventBus = require('./services/eventBus');
+const jobs = require('./services/jobs');
+const liveTranscriptionService = require('./services/liveTranscriptionService');
+const authService = require('./services/authService');
+const audioStorageService = require('./services/audioStorageService');
+const auditService = require('./services/auditService');
+const Session = require('./models/session');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -40,17 +47,57 @@ const io = new Server(server, {
   }
 });
 
+// Socket.IO authentication: clients connect with io(url, { auth: { token } })
+io.use((socket, next) => {
+  const payload = authService.verifyAccessToken(socket.handshake.auth?.token);
+  if (!payload) {
+    return next(new Error('Unauthorized'));
+  }
+
+  socket.user = {
+    userId: payload.sub,
+    role: payload.role,
+    name: payload.name,
+    doctorId: payload.doctorId
+  };
+  next();
+});
+
 // Socket.IO event handlers
 io.on('connection', (socket) => {
-  logger.info(`Client connected: ${socket.id}`);
+  logger.info(`Client connected: ${socket.id} (${socket.user.userId})`);
   
-  // Handle joining session rooms
-  socket.on('join-session', (sessionId) => {
-    socket.join(sessionId);
-    logger.info(`Client ${socket.id} joined session room: ${sessionId}`);
-    
-    // Confirm the join
-    socket.emit('joined-session', { sessionId });
+  // Handle joining session rooms; the token's user must be allowed to see the session
+  socket.on('join-session', async (sessionId) => {
+    try {
+      const session = mongoose.isValidObjectId(sessionId) ? await Session.findById(sessionId) : null;
+      if (!session || !authService.canAccessSession(socket.user, session)) {
+        logger.warn(`Client ${socket.id} denied access to session room: ${sessionId}`);
+        return socket.emit('join-error', { sessionId, error: 'You do not have access to this session' });
+      }
+
+      socket.join(sessionId);
+      logger.info(`Client ${socket.id} joined session room: ${sessionId}`);
+
+      // Room members receive live transcripts, so joining counts as a read
+      auditService.recordSafely({
+        action: 'read',
+        resourceType: 'session',
+        resourceId: sessionId,
+        patient: session.patient || null,
+        actor: { userId: socket.user.userId, role: socket.user.role, name: socket.user.name },
+        ip: socket.handshake.address,
+        userAgent: socket.handshake.headers['user-agent'],
+        method: 'SOCKET',
+        path: 'join-session'
+      });
+      
+      // Confirm the join
+      socket.emit('joined-session', { sessionId });
+    } catch (error) {
+      logger.error('Error joining session room:', error);
+      socket.emit('join-error', { sessionId, error: 'Failed to join session' });
+    }
   });
   
   // Handle leaving session rooms
@@ -58,6 +105,16 @@ io.on('connection', (socket) => {
     socket.leave(sessionId);
     logger.info(`Client ${socket.id} left session room: ${sessionId}`);
   });
+
+  // Relay client updates to the other members of a room the client has joined
+  socket.on('transcription-update', (data) => {
+    if (data && socket.rooms.has(data.sessionId)) {
+      socket.to(data.sessionId).emit('transcription-update', data);
+    }
+  });
+
+  // Live audio streaming for real-time transcription
+  liveTranscriptionService.attach(io, socket);
   
   // Handle disconnection
   socket.on('disconnect', () => {
@@ -87,15 +144,25 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({ limit: '50mb', type: ['application/json', 'application/fhir+json'] }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Create uploads directory if it doesn't exist
+// Create uploads directory if it doesn't exist (temporary multer storage only;
+// retained audio is served through /api/transcribe/:id/audio)
 const uploadDir = path.join(__dirname, 'uploads');
 require('fs').mkdirSync(uploadDir, { recursive: true });
 
-// Static files
-app.use('/uploads', express.static(uploadDir));
+// Audio retention needs AUDIO_ENCRYPTION_KEY; report a missing or malformed key now, not on the first upload
+try {
+  audioStorageService.getKey();
+} catch (error) {
+  logger.error(`${error.message} Audio uploads and playback are disabled until it is set.`);
+}
+
+// Only Gemini and the mock provider have a default model
+if (!config.llmModel) {
+  logger.error(`LLM_MODEL is not set and LLM provider ${config.llmProvider} has no default model. Summaries and LLM questions are disabled until it is set.`);
+}
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -104,7 +171,7 @@ app.use((req, res, next) => {
 });
 
 // MongoDB connection
-mongoose.connect(config.mongoUri, {
+const mongoReady = mongoose.connect(config.mongoUri, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
@@ -117,13 +184,23 @@ mongoose.connect(config.mongoUri, {
 });
 
 // Redis connection
-redisService.connect()
+const redisReady = redisService.connect()
   .then(() => {
     logger.info('Connected to Redis');
   })
   .catch((error) => {
     logger.warn('Redis connection failed:', error);
-    logger.warn('Continuing without Redis (caching disabled)');
+    logger.warn('Continuing without Redis (caching disabled, background jobs run in-process)');
+  });
+
+// Relay worker events to Socket.IO and pick up work interrupted by a restart
+Promise.all([mongoReady, redisReady])
+  .then(async () => {
+    await eventBus.attach(io);
+    await jobs.requeueOrphaned();
+  })
+  .catch((error) => {
+    logger.error('Failed to recover background jobs:', error);
   });
 
 // Routes
@@ -139,40 +216,24 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-  logger.info(`User connected: ${socket.id}`);
-
-  socket.on('join-session', (sessionId) => {
-    socket.join(sessionId);
-    logger.info(`User ${socket.id} joined session ${sessionId}`);
-  });
-
-  socket.on('leave-session', (sessionId) => {
-    socket.leave(sessionId);
-    logger.info(`User ${socket.id} left session ${sessionId}`);
-  });
-
-  socket.on('transcription-update', (data) => {
-    socket.to(data.sessionId).emit('transcription-update', data);
-  });
-
-  socket.on('disconnect', () => {
-    logger.info(`User disconnected: ${socket.id}`);
-  });
-});
-
 // Error handling middleware
 app.use((err, req, res, next) => {
   logger.error('Unhandled error:', err);
   
-  if (err.type === 'entity.too.large') {
+  if (err.type === 'entity.too.large' || err.code === 'LIMIT_FILE_SIZE') {
     return res.status(413).json({
       error: 'File too large',
       message: 'The uploaded file exceeds the maximum allowed size'
     });
   }
 
+  if (err.status === 415) {
+    return res.status(415).json({
+      error: 'Unsupported media',
+      message: err.message
+    });
+  }
+
   res.status(err.status || 500).json({
     error: 'Internal Server Error',
     message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
@@ -192,6 +253,7 @@ process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
   server.close(async () => {
     try {
+      await eventBus.detach();
       await redisService.disconnect();
       logger.info('Redis disconnected');
     } catch (error) {
@@ -1,9 +1,104 @@
 require('dotenv').config();
+
+// Default LLM_MODEL per provider. OpenAI-compatible servers have no common
+// model name, so LLM_PROVIDER=openai needs LLM_MODEL to be set.
+const defaultLlmModels = {
+    gemini: 'gemini-1.5-flash',
+    mock: 'mock'
+};
+const llmProvider = process.env.LLM_PROVIDER || 'gemini';
+
 module.exports = {
     port: process.env.PORT || 5000,
     mongoUri: process.env.MONGO_URI,
     redisUrl: process.env.REDIS_URL,
     geminiApiKey: process.env.GEMINI_API_KEY,
     googleCloudProjectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
-    googleCloudKeyFile: process.env.GOOGLE_CLOUD_KEY_FILE // Path to service account JSON
-};
\ No newline at end of file
+    googleCloudKeyFile: process.env.GOOGLE_CLOUD_KEY_FILE, // Path to service account JSON
+
+    // Speech-to-text provider: google | local | fake
+    transcriptionProvider: process.env.TRANSCRIPTION_PROVIDER || 'google',
+    whisperCppBin: process.env.WHISPER_CPP_BIN || 'whisper-cli',
+    whisperModelPath: process.env.WHISPER_MODEL_PATH, // e.g. ./models/ggml-base.en.bin
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    ffprobePath: process.env.FFPROBE_PATH || 'ffprobe',
+    mediaProbeTimeoutMs: parseInt(process.env.MEDIA_PROBE_TIMEOUT_MS) || 30000,
+    mediaTranscodeTimeoutMs: parseInt(process.env.MEDIA_TRANSCODE_TIMEOUT_MS) || 5 * 60 * 1000,
+
+    // Long recordings are split on silence into windows of at most this length
+    transcriptionChunkSeconds: parseInt(process.env.TRANSCRIPTION_CHUNK_SECONDS) || 50, // Keep under the ~60s sync recognition limit
+    transcriptionChunkOverlapSeconds: parseFloat(process.env.TRANSCRIPTION_CHUNK_OVERLAP_SECONDS) || 2,
+    transcriptionChunkConcurrency: parseInt(process.env.TRANSCRIPTION_CHUNK_CONCURRENCY) || 3,
+    silenceNoiseDb: parseInt(process.env.SILENCE_NOISE_DB) || -35, // Quieter than this counts as silence
+    silenceMinSeconds: parseFloat(process.env.SILENCE_MIN_SECONDS) || 0.4,
+    localSttTimeoutMs: parseInt(process.env.LOCAL_STT_TIMEOUT_MS) || 10 * 60 * 1000,
+    localStreamWindowSeconds: parseInt(process.env.LOCAL_STREAM_WINDOW_SECONDS) || 5, // Live audio window sent to whisper.cpp
+    fakeTranscript: process.env.FAKE_TRANSCRIPT, // Overrides the fake provider's scripted transcript
+    speakerRoleLlm: process.env.SPEAKER_ROLE_LLM === 'true', // Ask the LLM when heuristic doctor/patient roles are uncertain
+    speakerRoleMinConfidence: parseFloat(process.env.SPEAKER_ROLE_MIN_CONFIDENCE) || 0.7,
+
+    // LLM provider: gemini | openai | mock
+    llmProvider,
+    llmModel: process.env.LLM_MODEL || defaultLlmModels[llmProvider],
+    llmSummaryModel: process.env.LLM_SUMMARY_MODEL, // Falls back to LLM_MODEL
+    llmQuestionModel: process.env.LLM_QUESTION_MODEL, // Falls back to LLM_MODEL
+    llmTimeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 30000,
+    llmMaxRetries: process.env.LLM_MAX_RETRIES !== undefined ? parseInt(process.env.LLM_MAX_RETRIES) : 2,
+    llmRetryDelayMs: parseInt(process.env.LLM_RETRY_DELAY_MS) || 1000,
+    llmRepairAttempts: process.env.LLM_REPAIR_ATTEMPTS !== undefined ? parseInt(process.env.LLM_REPAIR_ATTEMPTS) : 2, // Re-asks when a reply fails its schema
+    llmChunkTokens: parseInt(process.env.LLM_CHUNK_TOKENS) || 3000, // Transcript tokens per prompt; longer consultations are map-reduced
+    llmChunkOverlapSegments: process.env.LLM_CHUNK_OVERLAP_SEGMENTS !== undefined ? parseInt(process.env.LLM_CHUNK_OVERLAP_SEGMENTS) : 2,
+    openaiBaseUrl: process.env.OPENAI_BASE_URL, // e.g. http://localhost:11434/v1 for Ollama
+    openaiApiKey: process.env.OPENAI_API_KEY,
+    llmMockScript: process.env.LLM_MOCK_SCRIPT, // JSON file of { match, response } rules
+
+    // Knowledge base questions: lowest Symptom question importance (1-10) that is asked
+    questionMinImportance: parseInt(process.env.QUESTION_MIN_IMPORTANCE) || 5,
+
+    // Retained audio: local | s3, encrypted with AES-256-GCM before storage
+    audioStorageBackend: process.env.AUDIO_STORAGE_BACKEND || 'local',
+    audioStoragePath: process.env.AUDIO_STORAGE_PATH || './storage',
+    audioEncryptionKey: process.env.AUDIO_ENCRYPTION_KEY, // 32 bytes, base64 (openssl rand -base64 32)
+    audioPlaybackTtlSeconds: parseInt(process.env.AUDIO_PLAYBACK_TTL_SECONDS) || 15 * 60,
+    s3Bucket: process.env.S3_BUCKET,
+    s3Region: process.env.S3_REGION || 'us-east-1',
+    s3Endpoint: process.env.S3_ENDPOINT, // For S3-compatible stores, e.g. http://minio:9000
+    s3ForcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    s3AccessKeyId: process.env.S3_ACCESS_KEY_ID, // Falls back to the default AWS credential chain
+    s3SecretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+
+    // Authentication: short-lived access tokens, rotating refresh tokens
+    jwtSecret: process.env.JWT_SECRET,
+    jwtRefreshSecret: process.env.JWT_REFRESH_SECRET,
+    jwtAccessExpire: process.env.JWT_EXPIRE || '15m',
+    jwtRefreshExpire: process.env.JWT_REFRESH_EXPIRE || '7d',
+
+    // Letterhead on exported clinical notes
+    clinicName: process.env.CLINIC_NAME || 'Acko MER AI Clinic',
+    clinicAddress: process.env.CLINIC_ADDRESS,
+    clinicPhone: process.env.CLINIC_PHONE,
+    clinicLogoPath: process.env.CLINIC_LOGO_PATH, // PNG or JPEG
+
+    // FHIR: identifier systems for our own IDs are built on this URI
+    fhirIdentifierBase: process.env.FHIR_IDENTIFIER_BASE || 'http://acko-mer-ai.local/identifier',
+
+    // HL7 v2 outbound interface (MLLP)
+    hl7Host: process.env.HL7_HOST, // Sending is disabled until set
+    hl7Port: parseInt(process.env.HL7_PORT) || 2575,
+    hl7MessageType: process.env.HL7_MESSAGE_TYPE || 'MDM^T02', // or ORU^R01
+    hl7SendOnApproval: process.env.HL7_SEND_ON_APPROVAL === 'true',
+    hl7SendingApplication: process.env.HL7_SENDING_APPLICATION || 'ACKO_MER_AI',
+    hl7SendingFacility: process.env.HL7_SENDING_FACILITY || 'ACKO_CLINIC',
+    hl7ReceivingApplication: process.env.HL7_RECEIVING_APPLICATION || '',
+    hl7ReceivingFacility: process.env.HL7_RECEIVING_FACILITY || '',
+    hl7ProcessingId: process.env.HL7_PROCESSING_ID || 'P', // P production, T training, D debugging
+    hl7AckTimeoutMs: parseInt(process.env.HL7_ACK_TIMEOUT_MS) || 10000,
+    hl7MaxAttempts: parseInt(process.env.HL7_MAX_ATTEMPTS) || 5,
+
+    // Background jobs
+    jobConcurrency: parseInt(process.env.JOB_CONCURRENCY) || 2, // Per queue, per worker process
+    jobMaxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+    jobBackoffMs: parseInt(process.env.JOB_BACKOFF_MS) || 5000, // Doubled after each failed attempt
+    jobLockSeconds: parseInt(process.env.JOB_LOCK_SECONDS) || 60, // Jobs without a heartbeat for this long are re-queued
+    jobRetentionSeconds: parseInt(process.env.JOB_RETENTION_SECONDS) || 7 * 24 * 3600
+};
@@ -0,0 +1,117 @@
+const Joi = require('joi');
+const AuditEvent = require('../models/auditEvent');
+const auditService = require('../services/auditService');
+
+const auditQuerySchema = Joi.object({
+  patientId: Joi.string(),
+  userId: Joi.string(),
+  resourceType: Joi.string().valid(...AuditEvent.RESOURCE_TYPES),
+  resourceId: Joi.string(),
+  action: Joi.string().valid(...AuditEvent.ACTIONS),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500).default(50)
+});
+
+const auditController = {
+  // Query audit events by patient, user, resource and date range
+  async getAuditEvents(req, res) {
+    try {
+      const { error, value } = auditQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: error.details[0].message
+        });
+      }
+
+      const { page, limit, ...filters } = value;
+      const query = await auditService.buildQuery(filters);
+
+      const events = await AuditEvent.find(query)
+        .sort({ sequence: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit)
+        .lean();
+
+      const total = await AuditEvent.countDocuments(query);
+
+      res.json({
+        events,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('Error in getAuditEvents:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve audit events'
+      });
+    }
+  },
+
+  // Export matching audit events as CSV for compliance reviews
+  async exportAuditEvents(req, res) {
+    try {
+      const { error, value } = auditQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: error.details[0].message
+        });
+      }
+
+      const { page, limit, ...filters } = value;
+      const query = await auditService.buildQuery(filters);
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+      res.write(auditService.CSV_COLUMNS.join(',') + '\n');
+
+      // Stream so large date ranges do not have to fit in memory
+      const cursor = AuditEvent.find(query).sort({ sequence: 1 }).lean().cursor();
+      for await (const event of cursor) {
+        res.write(auditService.toCsvRow(event) + '\n');
+      }
+      res.end();
+
+    } catch (error) {
+      console.error('Error in exportAuditEvents:', error);
+      if (res.headersSent) {
+        return res.end();
+      }
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to export audit events'
+      });
+    }
+  },
+
+  // Recompute the hash chain to detect tampering
+  async verifyAuditChain(req, res) {
+    try {
+      const result = await auditService.verifyChain();
+
+      if (!result.valid) {
+        console.error(`Audit chain verification failed at sequence ${result.brokenAt}: ${result.reason}`);
+      }
+
+      res.json(result);
+
+    } catch (error) {
+      console.error('Error in verifyAuditChain:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to verify audit chain'
+      });
+    }
+  }
+};
+
+module.exports = auditController;
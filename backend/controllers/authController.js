@@ -0,0 +1,129 @@
+const Joi = require('joi');
+const authService = require('../services/authService');
+const User = require('../models/user');
+
+const loginSchema = Joi.object({
+  email: Joi.string().email().required(),
+  password: Joi.string().required()
+});
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
+const authController = {
+  // Exchange email and password for an access/refresh token pair
+  async login(req, res) {
+    try {
+      const { error, value } = loginSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: error.details[0].message
+        });
+      }
+
+      const user = await authService.authenticate(value.email, value.password);
+      if (!user) {
+        return res.status(401).json({
+          error: 'Invalid credentials',
+          message: 'Email or password is incorrect'
+        });
+      }
+
+      const tokens = await authService.issueTokens(user);
+
+      console.log(`User logged in: ${user.userId} (${user.role})`);
+
+      res.json(tokens);
+
+    } catch (error) {
+      console.error('Error in login:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to log in'
+      });
+    }
+  },
+
+  // Rotate a refresh token
+  async refresh(req, res) {
+    try {
+      const { error, value } = refreshSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: error.details[0].message
+        });
+      }
+
+      const tokens = await authService.refresh(value.refreshToken);
+      if (!tokens) {
+        return res.status(401).json({
+          error: 'Invalid refresh token',
+          message: 'Please log in again'
+        });
+      }
+
+      res.json(tokens);
+
+    } catch (error) {
+      console.error('Error in refresh:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to refresh token'
+      });
+    }
+  },
+
+  // Revoke a refresh token
+  async logout(req, res) {
+    try {
+      const { error, value } = refreshSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: error.details[0].message
+        });
+      }
+
+      await authService.revoke(value.refreshToken);
+
+      res.json({
+        message: 'Logged out successfully'
+      });
+
+    } catch (error) {
+      console.error('Error in logout:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to log out'
+      });
+    }
+  },
+
+  // Get the logged-in user
+  async me(req, res) {
+    try {
+      const user = await User.findOne({ userId: req.user.userId, isActive: true });
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: 'The specified user does not exist'
+        });
+      }
+
+      res.json(user);
+
+    } catch (error) {
+      console.error('Error in me:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve user'
+      });
+    }
+  }
+};
+
+module.exports = authController;
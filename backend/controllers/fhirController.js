@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const Session = require('../models/session');
+const Patient = require('../models/patient');
+const fhirService = require('../services/fhirService');
+
+const FHIR_JSON = 'application/fhir+json';
+
+// FHIR clients expect OperationOutcome bodies rather than our usual error shape
+const sendOutcome = (res, status, issues, code) => {
+  res.status(status).type(FHIR_JSON).json(fhirService.operationOutcome(issues, code));
+};
+
+const REQUIRED_FOR_CREATE = {
+  firstName: 'Patient.name.given',
+  lastName: 'Patient.name.family',
+  dateOfBirth: 'Patient.birthDate',
+  gender: 'Patient.gender'
+};
+
+const fhirController = {
+  // Get a session as a FHIR R4 Bundle
+  async getSessionBundle(req, res) {
+    try {
+      const { sessionId } = req.params;
+
+      // A malformed id cannot match any session; don't let it surface as a CastError
+      if (!mongoose.isValidObjectId(sessionId)) {
+        return sendOutcome(res, 404, 'The specified session does not exist', 'not-found');
+      }
+
+      const session = await Session.findById(sessionId)
+        .populate('patient')
+        .populate('diagnosis.condition')
+        .populate('summary');
+
+      if (!session) {
+        return sendOutcome(res, 404, 'The specified session does not exist', 'not-found');
+      }
+
+      if (!session.patient) {
+        return sendOutcome(res, 422, 'Session is not linked to a patient; FHIR resources require a subject', 'required');
+      }
+
+      const bundle = await fhirService.buildSessionBundle(session);
+      res.type(FHIR_JSON).json(bundle);
+
+    } catch (error) {
+      console.error('Error in getSessionBundle:', error);
+      sendOutcome(res, 500, 'Failed to build FHIR bundle', 'exception');
+    }
+  },
+
+  // Get a patient as a FHIR Patient resource (by Mongo _id or patientId)
+  async getPatient(req, res) {
+    try {
+      const patient = await Patient.findByIdentifier(req.params.patientId);
+
+      if (!patient) {
+        return sendOutcome(res, 404, 'The specified patient does not exist', 'not-found');
+      }
+
+      res.type(FHIR_JSON).json(fhirService.patientResource(patient));
+
+    } catch (error) {
+      console.error('Error in getPatient:', error);
+      sendOutcome(res, 500, 'Failed to retrieve patient', 'exception');
+    }
+  },
+
+  // Create or update a patient from a FHIR Patient resource
+  async upsertPatient(req, res) {
+    try {
+      const { id, patientId, identifiers, fields } = fhirService.fromPatientResource(req.body);
+
+      // Our own identifier or resource id first, then any external identifier we already hold
+      let patient = patientId ? await Patient.findOne({ patientId }) : null;
+      if (!patient && id && mongoose.isValidObjectId(id)) {
+        patient = await Patient.findById(id);
+      }
+      if (!patient && identifiers.length > 0) {
+        patient = await Patient.findOne({
+          $or: identifiers.map(({ system, value }) => ({
+            identifiers: { $elemMatch: { system, value } }
+          }))
+        });
+      }
+
+      const created = !patient;
+      if (created) {
+        const missing = Object.entries(REQUIRED_FOR_CREATE)
+          .filter(([field]) => fields[field] === undefined)
+          .map(([, element]) => `${element} is required to create a patient`);
+        if (missing.length > 0) {
+          return sendOutcome(res, 400, missing, 'required');
+        }
+        patient = new Patient(patientId ? { patientId } : {});
+      }
+
+      patient.set(fields);
+      identifiers.forEach(identifier => {
+        const known = patient.identifiers.some(i => i.system === identifier.system && i.value === identifier.value);
+        if (!known) patient.identifiers.push(identifier);
+      });
+      await patient.save();
+
+      console.log(`Patient ${created ? 'created' : 'updated'} from FHIR: ${patient.patientId}`);
+
+      res.status(created ? 201 : 200)
+        .location(`/api/fhir/Patient/${patient._id}`)
+        .type(FHIR_JSON)
+        .json(fhirService.patientResource(patient));
+
+    } catch (error) {
+      if (error.issues) {
+        return sendOutcome(res, 400, error.issues);
+      }
+      if (error.name === 'ValidationError') {
+        return sendOutcome(res, 400, Object.values(error.errors).map(e => e.message));
+      }
+      console.error('Error in upsertPatient:', error);
+      sendOutcome(res, 500, 'Failed to import patient', 'exception');
+    }
+  }
+};
+
+module.exports = fhirController;
@@ -0,0 +1,163 @@
+const Joi = require('joi');
+const Summary = require('../models/summary');
+const OutboundMessage = require('../models/outboundMessage');
+const hl7Service = require('../services/hl7Service');
+const hl7OutboundService = require('../services/hl7OutboundService');
+
+// Validation schema for sending a summary
+const sendValidationSchema = Joi.object({
+  messageType: Joi.string().valid(...hl7Service.MESSAGE_TYPES)
+});
+
+const ERROR_TITLES = {
+  409: 'Conflict',
+  422: 'Missing patient',
+  503: 'HL7 not configured'
+};
+
+const sendServiceError = (res, error) => res.status(error.status).json({
+  error: ERROR_TITLES[error.status] || 'HL7 error',
+  message: error.message
+});
+
+const hl7Controller = {
+  // Send an approved summary to the HL7 interface
+  async sendSummary(req, res) {
+    try {
+      const { summaryId } = req.params;
+
+      const { error, value } = sendValidationSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: error.details[0].message
+        });
+      }
+
+      const summary = await Summary.findOne({ summaryId });
+      if (!summary) {
+        return res.status(404).json({
+          error: 'Summary not found',
+          message: 'The specified summary does not exist'
+        });
+      }
+
+      const message = await hl7OutboundService.queueForSummary(summary, {
+        messageType: value.messageType,
+        trigger: 'manual',
+        user: req.user
+      });
+
+      res.status(202).json({
+        message: 'HL7 message queued',
+        outboundMessage: message
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return sendServiceError(res, error);
+      }
+      console.error('Error in sendSummary:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to queue HL7 message'
+      });
+    }
+  },
+
+  // Get the outbound message log
+  async getMessages(req, res) {
+    try {
+      const { page = 1, limit = 20, status, summaryId } = req.query;
+
+      const query = {};
+      if (status) query.status = status;
+      if (summaryId) {
+        const summary = await Summary.findOne({ summaryId }).select('_id');
+        query.summary = summary ? summary._id : null;
+      }
+
+      const messages = await OutboundMessage.find(query)
+        .select('-payload -ack.raw')
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit));
+
+      const total = await OutboundMessage.countDocuments(query);
+
+      res.json({
+        messages,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      });
+
+    } catch (error) {
+      console.error('Error in getMessages:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve HL7 messages'
+      });
+    }
+  },
+
+  // Get one outbound message with its payload and ACK
+  async getMessage(req, res) {
+    try {
+      const message = await OutboundMessage.findOne({ messageId: req.params.messageId })
+        .populate('summary', 'summaryId version');
+
+      if (!message) {
+        return res.status(404).json({
+          error: 'Message not found',
+          message: 'The specified HL7 message does not exist'
+        });
+      }
+
+      res.json(message);
+
+    } catch (error) {
+      console.error('Error in getMessage:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve HL7 message'
+      });
+    }
+  },
+
+  // Queue a failed or rejected message again
+  async retryMessage(req, res) {
+    try {
+      const message = await OutboundMessage.findOne({ messageId: req.params.messageId });
+
+      if (!message) {
+        return res.status(404).json({
+          error: 'Message not found',
+          message: 'The specified HL7 message does not exist'
+        });
+      }
+
+      await hl7OutboundService.retry(message, req.user);
+
+      res.status(202).json({
+        message: 'HL7 message queued for retry',
+        outboundMessage: message
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return sendServiceError(res, error);
+      }
+      console.error('Error in retryMessage:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retry HL7 message'
+      });
+    }
+  }
+};
+
+module.exports = hl7Controller;
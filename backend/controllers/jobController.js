@@ -0,0 +1,41 @@
+const jobQueue = require('../services/jobQueue');
+
+const jobController = {
+  // Get background job status
+  async getJob(req, res) {
+    try {
+      const { jobId } = req.params;
+
+      const job = await jobQueue.getJob(jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Job not found',
+          message: 'The specified job does not exist or has expired'
+        });
+      }
+
+      res.json({
+        jobId: job.id,
+        queue: job.queue,
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        runAt: job.runAt ? new Date(job.runAt).toISOString() : null,
+        result: job.result,
+        error: job.error,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+      });
+
+    } catch (error) {
+      console.error('Error in getJob:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve job'
+      });
+    }
+  }
+};
+
+module.exports = jobController;
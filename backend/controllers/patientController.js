@@ -0,0 +1,300 @@
+const Patient = require('../models/patient');
+const authService = require('../services/authService');
+const Joi = require('joi');
+
+// Validation schemas
+const addressSchema = Joi.object({
+  street: Joi.string().optional().trim().allow(''),
+  city: Joi.string().optional().trim().allow(''),
+  state: Joi.string().optional().trim().allow(''),
+  zipCode: Joi.string().optional().trim().allow(''),
+  country: Joi.string().optional().trim().allow('')
+});
+
+const patientValidationSchema = Joi.object({
+  patientId: Joi.string().optional().trim().max(50),
+  firstName: Joi.string().required().trim().min(1).max(100),
+  lastName: Joi.string().required().trim().min(1).max(100),
+  dateOfBirth: Joi.date().iso().max('now').required(),
+  gender: Joi.string().valid('male', 'female', 'other').required(),
+  contactInfo: Joi.object({
+    phone: Joi.string().optional().trim().max(30).allow(''),
+    email: Joi.string().optional().trim().email().allow(''),
+    address: addressSchema.optional()
+  }).optional(),
+  medicalHistory: Joi.array().items(Joi.object({
+    condition: Joi.string().hex().length(24).optional(),
+    diagnosedDate: Joi.date().iso().optional(),
+    status: Joi.string().valid('active', 'resolved', 'chronic'),
+    notes: Joi.string().optional().trim().max(1000).allow('')
+  })).optional(),
+  allergies: Joi.array().items(Joi.object({
+    allergen: Joi.string().required().trim().max(100),
+    severity: Joi.string().valid('mild', 'moderate', 'severe'),
+    reaction: Joi.string().optional().trim().max(500).allow('')
+  })).optional(),
+  medications: Joi.array().items(Joi.object({
+    name: Joi.string().required().trim().max(100),
+    dosage: Joi.string().optional().trim().max(100).allow(''),
+    frequency: Joi.string().optional().trim().max(100).allow(''),
+    prescribedDate: Joi.date().iso().optional(),
+    isActive: Joi.boolean()
+  })).optional(),
+  emergencyContact: Joi.object({
+    name: Joi.string().optional().trim().max(100).allow(''),
+    relationship: Joi.string().optional().trim().max(50).allow(''),
+    phone: Joi.string().optional().trim().max(30).allow('')
+  }).optional()
+});
+
+// Same fields as create, but nothing is required and patientId cannot change
+const patientUpdateValidationSchema = patientValidationSchema
+  .fork(['firstName', 'lastName', 'dateOfBirth', 'gender'], (schema) => schema.optional())
+  .keys({ patientId: Joi.forbidden() })
+  .min(1);
+
+// Escape user input before using it in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const patientController = {
+  // Create new patient
+  async createPatient(req, res) {
+    try {
+      const { error, value } = patientValidationSchema.validate(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: error.details[0].message
+        });
+      }
+
+      const patient = new Patient(value);
+      await patient.save();
+
+      console.log(`New patient created: ${patient.patientId}`);
+
+      res.status(201).json({
+        message: 'Patient created successfully',
+        patient
+      });
+
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          error: 'Duplicate patient',
+          message: 'A patient with this patient ID already exists'
+        });
+      }
+
+      console.error('Error in createPatient:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to create patient'
+      });
+    }
+  },
+
+  // Get patient by ID (Mongo _id or patientId)
+  async getPatient(req, res) {
+    try {
+      const { patientId } = req.params;
+
+      const patient = await Patient.findByIdentifier(patientId)
+        .populate('medicalHistory.condition', 'name icd10Code');
+
+      if (!patient) {
+        return res.status(404).json({
+          error: 'Patient not found',
+          message: 'The specified patient does not exist'
+        });
+      }
+
+      res.json(patient);
+
+    } catch (error) {
+      console.error('Error in getPatient:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve patient'
+      });
+    }
+  },
+
+  // Get all patients with filtering and pagination
+  async getAllPatients(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        gender,
+        includeInactive = 'false'
+      } = req.query;
+
+      // Build query
+      const query = {};
+
+      if (includeInactive !== 'true') query.isActive = true;
+      if (gender) query.gender = gender;
+      Object.assign(query, await authService.patientFilter(req.user));
+
+      const patients = await Patient.find(query)
+        .sort({ lastName: 1, firstName: 1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit));
+
+      const total = await Patient.countDocuments(query);
+
+      res.json({
+        patients,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      });
+
+    } catch (error) {
+      console.error('Error in getAllPatients:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve patients'
+      });
+    }
+  },
+
+  // Search patients by name, patientId or email
+  async searchPatients(req, res) {
+    try {
+      const { q, page = 1, limit = 20 } = req.query;
+
+      if (!q || !q.trim()) {
+        return res.status(400).json({
+          error: 'Search query required',
+          message: 'Please provide a search query using the q parameter'
+        });
+      }
+
+      const terms = q.trim().split(/\s+/).map(escapeRegex);
+      const fullTerm = terms.join('\\s+');
+
+      const query = {
+        isActive: true,
+        $or: [
+          { patientId: { $regex: fullTerm, $options: 'i' } },
+          { 'contactInfo.email': { $regex: fullTerm, $options: 'i' } },
+          { firstName: { $regex: fullTerm, $options: 'i' } },
+          { lastName: { $regex: fullTerm, $options: 'i' } }
+        ]
+      };
+
+      // "John Smith" should match first and last name together
+      if (terms.length > 1) {
+        query.$or.push({
+          firstName: { $regex: terms[0], $options: 'i' },
+          lastName: { $regex: terms.slice(1).join('\\s+'), $options: 'i' }
+        });
+      }
+
+      Object.assign(query, await authService.patientFilter(req.user));
+
+      const patients = await Patient.find(query)
+        .sort({ lastName: 1, firstName: 1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit));
+
+      const total = await Patient.countDocuments(query);
+
+      res.json({
+        patients,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      });
+
+    } catch (error) {
+      console.error('Error in searchPatients:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to search patients'
+      });
+    }
+  },
+
+  // Update patient
+  async updatePatient(req, res) {
+    try {
+      const { patientId } = req.params;
+      const { error, value } = patientUpdateValidationSchema.validate(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: error.details[0].message
+        });
+      }
+
+      const patient = await Patient.findByIdentifier(patientId);
+
+      if (!patient || !patient.isActive) {
+        return res.status(404).json({
+          error: 'Patient not found',
+          message: 'The specified patient does not exist'
+        });
+      }
+
+      patient.set(value);
+      await patient.save();
+
+      res.json({
+        message: 'Patient updated successfully',
+        patient
+      });
+
+    } catch (error) {
+      console.error('Error in updatePatient:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to update patient'
+      });
+    }
+  },
+
+  // Soft-delete patient (records are kept for existing sessions)
+  async deletePatient(req, res) {
+    try {
+      const { patientId } = req.params;
+
+      const patient = await Patient.findByIdentifier(patientId);
+
+      if (!patient || !patient.isActive) {
+        return res.status(404).json({
+          error: 'Patient not found',
+          message: 'The specified patient does not exist'
+        });
+      }
+
+      patient.isActive = false;
+      await patient.save();
+
+      console.log(`Patient deactivated: ${patient.patientId}`);
+
+      res.json({
+        message: 'Patient deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Error in deletePatient:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to delete patient'
+      });
+    }
+  }
+};
+
+module.exports = patientController;
@@ -1,4 +1,6 @@
 const questionService = require('../services/questionService');
+const speakerRoleService = require('../services/speakerRoleService');
+const deidentificationService = require('../services/deidentificationService');
 const Session = require('../models/session');
 
 const questionController = {
@@ -12,7 +14,8 @@ const questionController = {
 
       // Verify session exists
       const session = await Session.findById(sessionId)
-        .populate('transcriptions');
+        .populate('transcriptions')
+        .populate('patient');
 
       if (!session) {
         return res.status(404).json({
@@ -29,11 +32,8 @@ const questionController = {
         });
       }
 
-      // Combine all transcription text
-      const transcriptionText = session.transcriptions
-        .filter(t => t.status === 'completed')
-        .map(t => t.transcriptionText)
-        .join('\n\n');
+      // Combine all transcription text, labeled by speaker role where available
+      const transcriptionText = speakerRoleService.formatTranscript(session.transcriptions);
 
       if (!transcriptionText.trim()) {
         return res.status(400).json({
@@ -42,11 +42,13 @@ const questionController = {
         });
       }
 
-      // Generate questions using the question service
-      const questions = await questionService.generateReflexiveQuestions(
+      // Generate questions from the de-identified transcript, then restore the real details
+      const redactor = await deidentificationService.forSession(session);
+      const questions = redactor.reidentify(await questionService.generateReflexiveQuestions(
         sessionId, 
-        transcriptionText
-      );
+        redactor.redact(transcriptionText),
+        { symptoms: session.symptoms }
+      ));
 
       res.json({
         message: 'Questions generated successfully',
@@ -91,7 +93,8 @@ const questionController = {
 
       // Verify session exists
       const session = await Session.findById(sessionId)
-        .populate('transcriptions');
+        .populate('transcriptions')
+        .populate('patient');
 
       if (!session) {
         return res.status(404).json({
@@ -100,11 +103,8 @@ const questionController = {
         });
       }
 
-      // Combine transcription text
-      const transcriptionText = session.transcriptions
-        .filter(t => t.status === 'completed')
-        .map(t => t.transcriptionText)
-        .join('\n\n');
+      // Combine transcription text, labeled by speaker role where available
+      const transcriptionText = speakerRoleService.formatTranscript(session.transcriptions);
 
       if (!transcriptionText.trim()) {
         return res.status(400).json({
@@ -113,23 +113,45 @@ const questionController = {
         });
       }
 
+      const redactor = await deidentificationService.forSession(session);
+
+      // Clinical questions come from the symptom knowledge base and need no LLM
+      if (type === 'clinical') {
+        const assessment = await questionService.clinicalAssessment(redactor.redact(transcriptionText), {
+          symptoms: session.symptoms
+        });
+        const questions = redactor.reidentify(assessment.questions);
+
+        return res.json({
+          message: `${type} questions generated successfully`,
+          sessionId,
+          type,
+          questions,
+          count: questions.length,
+          knowledgeBase: assessment.knowledgeBase,
+          ...(assessment.llmError && { llmError: assessment.llmError }),
+          generatedAt: new Date().toISOString()
+        });
+      }
+
+      // Long transcripts are condensed chunk by chunk to fit one prompt
+      const redactedText = await questionService.transcriptContext(redactor.redact(transcriptionText));
+
       let questions = [];
       
       // Generate specific type of questions
       switch (type) {
-        case 'clinical':
-          questions = await questionService.generateClinicalQuestions(transcriptionText);
-          break;
         case 'followup':
-          questions = await questionService.generateFollowUpQuestions(transcriptionText);
+          questions = await questionService.generateFollowUpQuestions(redactedText);
           break;
         case 'differential':
-          questions = await questionService.generateDifferentialQuestions(transcriptionText);
+          questions = await questionService.generateDifferentialQuestions(redactedText);
           break;
         case 'education':
-          questions = await questionService.generatePatientEducationQuestions(transcriptionText);
+          questions = await questionService.generatePatientEducationQuestions(redactedText);
           break;
       }
+      questions = redactor.reidentify(questions).map(question => ({ ...question, source: 'llm' }));
 
       res.json({
         message: `${type} questions generated successfully`,
@@ -159,7 +181,7 @@ const questionController = {
         clinical: {
           name: 'Clinical Assessment',
           description: 'Questions to better understand patient condition and missing symptoms',
-          fields: ['question', 'category', 'priority', 'rationale']
+          fields: ['question', 'category', 'priority', 'rationale', 'source']
         },
         followup: {
           name: 'Follow-up Care',
@@ -1,13 +1,15 @@
 const Session = require('../models/session');
 const Patient = require('../models/patient');
 const Joi = require('joi');
+const speakerRoleService = require('../services/speakerRoleService');
+const deidentificationService = require('../services/deidentificationService');
 
 // Validation schemas
 const sessionValidationSchema = Joi.object({
   patientId: Joi.string().optional().allow(''),
   doctorName: Joi.string().required().trim().min(2).max(100),
   doctorId: Joi.string().optional().trim().allow(''),
-  sessionType: Joi.string().valid('consultation', 'follow-up', 'emergency', 'routine-checkup', 'specialist'),
+  sessionType: Joi.string().valid('consultation', 'follow-up', 'emergency', 'routine-checkup', 'specialist', 'discharge'),
   department: Joi.string().optional().trim().max(50).allow(''),
   priority: Joi.string().valid('low', 'normal', 'high', 'urgent'),
   notes: Joi.string().optional().trim().max(1000).allow('')
@@ -29,18 +31,20 @@ const sessionController = {
       const {
         patientId,
         doctorName,
-        doctorId,
         sessionType = 'consultation',
         department,
         priority = 'normal',
         notes
       } = value;
 
+      // Doctors always record sessions under their own doctorId
+      const doctorId = req.user.role === 'doctor' ? req.user.doctorId : value.doctorId;
+
       // If patientId is provided, verify patient exists
       let patient = null;
       if (patientId) {
-        patient = await Patient.findById(patientId);
-        if (!patient) {
+        patient = await Patient.findByIdentifier(patientId);
+        if (!patient || !patient.isActive) {
           return res.status(404).json({
             error: 'Patient not found',
             message: 'The specified patient does not exist'
@@ -91,7 +95,8 @@ const sessionController = {
         .populate('patient')
         .populate('transcriptions')
         .populate('summary')
-        .populate('symptoms');
+        .populate('symptoms')
+        .populate('diagnosis.condition');
 
       if (!session) {
         return res.status(404).json({
@@ -131,6 +136,8 @@ const sessionController = {
       
       if (status) query.status = status;
       if (doctorId) query.doctorId = doctorId;
+      // Doctors only see their own sessions
+      if (req.user.role === 'doctor') query.doctorId = req.user.doctorId;
       if (sessionType) query.sessionType = sessionType;
       if (priority) query.priority = priority;
       
@@ -187,6 +194,9 @@ const sessionController = {
       delete updates.sessionId;
       delete updates.startTime;
       delete updates.transcriptions;
+      if (req.user.role === 'doctor') {
+        delete updates.doctorId;
+      }
       delete updates.summary;
 
       const session = await Session.findByIdAndUpdate(
@@ -347,6 +357,48 @@ const sessionController = {
         message: 'Failed to retrieve session statistics'
       });
     }
+  },
+
+  // Get the session transcript as text; ?redacted=true replaces PHI with placeholders for sharing
+  async getSessionTranscript(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const redacted = req.query.redacted === 'true';
+
+      const session = await Session.findById(sessionId)
+        .populate({ path: 'transcriptions', options: { sort: { createdAt: 1 } } })
+        .populate('patient');
+
+      if (!session) {
+        return res.status(404).json({
+          error: 'Session not found',
+          message: 'The specified session does not exist'
+        });
+      }
+
+      let transcript = speakerRoleService.formatTranscript(session.transcriptions, { header: false });
+      let redactions;
+
+      if (redacted) {
+        const redactor = await deidentificationService.forSession(session);
+        transcript = redactor.redact(transcript);
+        redactions = redactor.summary();
+      }
+
+      res.json({
+        sessionId: session.sessionId,
+        redacted,
+        transcript,
+        redactions
+      });
+
+    } catch (error) {
+      console.error('Error in getSessionTranscript:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve session transcript'
+      });
+    }
   }
 };
 
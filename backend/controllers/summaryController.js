@@ -1,14 +1,34 @@
 const Summary = require('../models/summary');
 const Session = require('../models/session');
-const summaryService = require('../services/summaryService');
+const jobs = require('../services/jobs');
+const summaryExportService = require('../services/summaryExportService');
+const hl7OutboundService = require('../services/hl7OutboundService');
+const evidenceService = require('../services/evidenceService');
+const config = require('../config');
+const { exporters } = require('../services/exporters');
+const { noteTemplates, templateForSessionType, missingSections } = require('../services/noteTemplates');
 const Joi = require('joi');
 
+// Validation schema for starting generation
+const generateValidationSchema = Joi.object({
+  regenerate: Joi.boolean(),
+  noteType: Joi.string().valid(...Object.keys(noteTemplates))
+});
+
 const summaryController = {
   // Generate summary for session
   async generateSummary(req, res) {
     try {
       const { sessionId } = req.params;
-      const { regenerate = false } = req.body;
+
+      const { error, value } = generateValidationSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: error.details[0].message
+        });
+      }
+      const { regenerate = false } = value;
 
       // Verify session exists
       const session = await Session.findById(sessionId)
@@ -39,9 +59,13 @@ const summaryController = {
         });
       }
 
+      const isRegeneration = !!(session.summary && regenerate);
+      // Regeneration keeps the current note type unless another is requested
+      const noteType = value.noteType
+        || (isRegeneration ? session.summary.noteType : templateForSessionType(session.sessionType).name);
       let summary;
 
-      if (session.summary && regenerate) {
+      if (isRegeneration) {
         // Update existing summary
         summary = session.summary;
         summary.status = 'generating';
@@ -50,6 +74,7 @@ const summaryController = {
         // Create new summary
         summary = new Summary({
           session: sessionId,
+          noteType,
           status: 'generating'
         });
         await summary.save();
@@ -59,48 +84,14 @@ const summaryController = {
         await session.save();
       }
 
-      // Generate summary asynchronously
-      summaryService.generateSummary(sessionId, summary._id)
-        .then(async (result) => {
-          if (regenerate && session.summary) {
-            // Create new version
-            await summary.createNewVersion(result.content, 'ai-generated');
-          } else {
-            // Update current summary
-            summary.content = result.content;
-            summary.keyPoints = result.keyPoints;
-            summary.extractedData = result.extractedData;
-            summary.generationMetadata = result.metadata;
-            summary.status = 'completed';
-            await summary.save();
-          }
-
-          console.log(`Summary generated for session: ${sessionId}`);
-
-          // Emit real-time update via Socket.IO
-          if (req.app.get('io')) {
-            req.app.get('io').to(sessionId).emit('summary-completed', {
-              summaryId: summary.summaryId,
-              sessionId: sessionId
-            });
-          }
-        })
-        .catch(async (error) => {
-          console.error(`Summary generation failed for session: ${sessionId}`, error);
-          summary.status = 'failed';
-          await summary.save();
-
-          if (req.app.get('io')) {
-            req.app.get('io').to(sessionId).emit('summary-failed', {
-              summaryId: summary.summaryId,
-              error: error.message
-            });
-          }
-        });
+      // Queue summary generation for a background worker
+      const job = await jobs.enqueueSummary(summary, sessionId, isRegeneration, noteType);
 
       res.status(202).json({
         message: 'Summary generation started',
         summaryId: summary.summaryId,
+        jobId: job.id,
+        noteType,
         status: 'generating'
       });
 
@@ -113,6 +104,27 @@ const summaryController = {
     }
   },
 
+  // Get the note templates summaries can be generated with
+  async getNoteTemplates(req, res) {
+    try {
+      const templates = Object.values(noteTemplates).map(({ name, title, sessionTypes, sections }) => ({
+        name,
+        title,
+        sessionTypes,
+        sections: sections.map(({ key, title, required = false }) => ({ key, title, required }))
+      }));
+
+      res.json({ templates });
+
+    } catch (error) {
+      console.error('Error in getNoteTemplates:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve note templates'
+      });
+    }
+  },
+
   // Get summary by ID
   async getSummary(req, res) {
     try {
@@ -181,7 +193,7 @@ const summaryController = {
   async updateSummary(req, res) {
     try {
       const { summaryId } = req.params;
-      const { content, reviewNotes, reviewedBy } = req.body;
+      const { content, reviewNotes } = req.body;
 
       const summary = await Summary.findOne({ summaryId });
 
@@ -202,19 +214,32 @@ const summaryController = {
           generatedBy: 'manual-edit'
         });
 
-        summary.content = { ...summary.content, ...content };
+        const merged = { ...summary.content, ...content };
+        const template = noteTemplates[summary.noteType];
+        const missing = template && summary.status === 'completed' ? missingSections(template, merged) : [];
+        if (missing.length > 0) {
+          return res.status(400).json({
+            error: 'Validation error',
+            message: `A ${template.title} requires: ${missing.map(section => section.title).join(', ')}`
+          });
+        }
+
+        if (template) {
+          summary.statements = evidenceService.restate(summary.statements, summary.content || {}, merged, template);
+        }
+        summary.content = merged;
         summary.version += 1;
         summary.isApproved = false; // Reset approval status
       }
 
-      // Update review information
+      // Update review information (recorded as a review only for reviewers)
       if (reviewNotes) {
         summary.reviewNotes = reviewNotes;
-      }
 
-      if (reviewedBy) {
-        summary.reviewedBy = reviewedBy;
-        summary.reviewedAt = new Date();
+        if (['reviewer', 'admin'].includes(req.user.role)) {
+          summary.reviewedBy = req.user.userId;
+          summary.reviewedAt = new Date();
+        }
       }
 
       await summary.save();
@@ -275,14 +300,7 @@ const summaryController = {
   async approveSummary(req, res) {
     try {
       const { summaryId } = req.params;
-      const { reviewedBy, reviewNotes } = req.body;
-
-      if (!reviewedBy) {
-        return res.status(400).json({
-          error: 'Reviewer required',
-          message: 'Please provide reviewer information'
-        });
-      }
+      const { reviewNotes, acknowledgeUnsupported = false } = req.body;
 
       const summary = await Summary.findOne({ summaryId });
 
@@ -293,7 +311,37 @@ const summaryController = {
         });
       }
 
-      await summary.approve(reviewedBy, reviewNotes);
+      // Only a finished note can be approved (and sent on to the EHR), and only once
+      if (summary.status !== 'completed') {
+        return res.status(409).json({
+          error: 'Summary not ready',
+          message: `Only completed summaries can be approved; this one is ${summary.status}`
+        });
+      }
+      if (summary.isApproved) {
+        return res.status(409).json({
+          error: 'Already approved',
+          message: 'This summary has already been approved'
+        });
+      }
+
+      // Statements with no transcript support may be hallucinated; the reviewer must confirm them
+      const unsupported = evidenceService.unsupported(summary);
+      if (unsupported.length > 0 && acknowledgeUnsupported !== true) {
+        return res.status(409).json({
+          error: 'Unsupported statements',
+          message: `${unsupported.length} item(s) have no supporting transcript text. Review them, then approve with acknowledgeUnsupported: true`,
+          unsupported
+        });
+      }
+
+      await summary.approve(req.user.userId, reviewNotes);
+
+      // The approval stands even if the message cannot be queued; the HL7 log shows the outcome
+      if (config.hl7SendOnApproval) {
+        await hl7OutboundService.queueForSummary(summary, { trigger: 'approval', user: req.user })
+          .catch(error => console.error(`HL7 send on approval failed for ${summaryId}:`, error.message));
+      }
 
       res.json({
         message: 'Summary approved successfully',
@@ -336,19 +384,37 @@ const summaryController = {
         });
       }
 
-      // For now, return JSON format
-      // TODO: Implement actual PDF/Word generation
       if (format === 'json') {
         res.setHeader('Content-Type', 'application/json');
         res.setHeader('Content-Disposition', `attachment; filename="summary-${summaryId}.json"`);
-        res.json(summary);
-      } else {
-        res.status(501).json({
+        return res.json(summary);
+      }
+
+      if (!exporters[format]) {
+        return res.status(501).json({
           error: 'Format not implemented',
           message: `${format.toUpperCase()} export is not yet implemented`
         });
       }
 
+      if (['generating', 'failed'].includes(summary.status)) {
+        return res.status(409).json({
+          error: 'Summary not ready',
+          message: `Summary is ${summary.status} and has no content to export`
+        });
+      }
+
+      const { document, exporter, template } = await summaryExportService.render(summary, format, req.user);
+
+      if (template) {
+        res.setHeader('X-Template-Id', template.templateId);
+        res.setHeader('X-Template-Version', String(template.version));
+      }
+      res.setHeader('Content-Type', exporter.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="summary-${summaryId}.${exporter.extension}"`);
+      res.setHeader('Content-Length', document.length);
+      res.send(document);
+
     } catch (error) {
       console.error('Error in exportSummary:', error);
       res.status(500).json({
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const DocumentTemplate = require('../models/documentTemplate');
+const docxExporter = require('../services/exporters/docxExporter');
+const { BUILTIN_TEMPLATE } = require('../services/summaryExportService');
+
+// Validation schema for template uploads (multipart fields besides the file)
+const templateUploadSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required(),
+  department: Joi.string().trim().max(50).allow(''),
+  notes: Joi.string().trim().max(500).allow('')
+});
+
+const sendDocx = (res, filename, content) => {
+  res.setHeader('Content-Type', docxExporter.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Length', content.length);
+  res.send(content);
+};
+
+const templateController = {
+  // Upload a new template version for a department
+  async uploadTemplate(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          error: 'No file uploaded',
+          message: 'Please upload a .docx template'
+        });
+      }
+
+      const { error, value } = templateUploadSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: error.details[0].message
+        });
+      }
+
+      const problems = docxExporter.validateTemplate(req.file.buffer);
+      if (problems.length > 0) {
+        return res.status(422).json({
+          error: 'Invalid template',
+          message: problems[0],
+          problems
+        });
+      }
+
+      const department = value.department || null;
+      const latest = await DocumentTemplate.findOne({ department, format: 'docx' })
+        .sort({ version: -1 })
+        .select('version');
+
+      const template = new DocumentTemplate({
+        name: value.name,
+        department,
+        version: (latest ? latest.version : 0) + 1,
+        content: req.file.buffer,
+        originalName: req.file.originalname,
+        size: req.file.size,
+        checksum: crypto.createHash('sha256').update(req.file.buffer).digest('hex'),
+        notes: value.notes,
+        uploadedBy: req.user.userId
+      });
+      await template.save();
+
+      // Older versions stay downloadable but are no longer used for exports
+      await DocumentTemplate.updateMany(
+        { department, format: 'docx', _id: { $ne: template._id }, isActive: true },
+        { isActive: false }
+      );
+
+      console.log(`Template uploaded: ${template.templateId} (${department || 'all departments'} v${template.version})`);
+
+      const { content, ...saved } = template.toObject();
+      res.status(201).json({
+        message: 'Template uploaded successfully',
+        template: saved
+      });
+
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          error: 'Concurrent upload',
+          message: 'Another template version was uploaded for this department; please retry'
+        });
+      }
+      console.error('Error in uploadTemplate:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to upload template'
+      });
+    }
+  },
+
+  // Get all templates
+  async getTemplates(req, res) {
+    try {
+      const { department, includeInactive } = req.query;
+
+      const query = {};
+      if (department !== undefined) query.department = department || null;
+      if (includeInactive !== 'true') query.isActive = true;
+
+      const templates = await DocumentTemplate.find(query)
+        .sort({ department: 1, version: -1 });
+
+      res.json({ templates, builtin: BUILTIN_TEMPLATE.name });
+
+    } catch (error) {
+      console.error('Error in getTemplates:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve templates'
+      });
+    }
+  },
+
+  // Download a template ('builtin' for the default one)
+  async downloadTemplate(req, res) {
+    try {
+      const { templateId } = req.params;
+
+      if (templateId === BUILTIN_TEMPLATE.templateId) {
+        return sendDocx(res, 'clinical-note-template.docx', docxExporter.defaultTemplate());
+      }
+
+      const template = await DocumentTemplate.findOne({ templateId }).select('+content');
+      if (!template) {
+        return res.status(404).json({
+          error: 'Template not found',
+          message: 'The specified template does not exist'
+        });
+      }
+
+      sendDocx(res, template.originalName || `${template.templateId}.docx`, template.content);
+
+    } catch (error) {
+      console.error('Error in downloadTemplate:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to download template'
+      });
+    }
+  },
+
+  // Deactivate a template; exports fall back to the all-departments or built-in one
+  async deactivateTemplate(req, res) {
+    try {
+      const { templateId } = req.params;
+
+      const template = await DocumentTemplate.findOneAndUpdate(
+        { templateId },
+        { isActive: false },
+        { new: true }
+      );
+
+      if (!template) {
+        return res.status(404).json({
+          error: 'Template not found',
+          message: 'The specified template does not exist'
+        });
+      }
+
+      res.json({
+        message: 'Template deactivated successfully',
+        template
+      });
+
+    } catch (error) {
+      console.error('Error in deactivateTemplate:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to deactivate template'
+      });
+    }
+  }
+};
+
+module.exports = templateController;
@@ -1,8 +1,20 @@
-const transcriptionService = require('../services/transcriptionService');
+const Joi = require('joi');
 const Session = require('../models/session');
 const Transcription = require('../models/transcription');
+const jobs = require('../services/jobs');
+const speakerRoleService = require('../services/speakerRoleService');
+const mediaService = require('../services/mediaService');
+const audioStorageService = require('../services/audioStorageService');
 const fs = require('fs').promises;
-const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Validation schema for overriding the speaker tag -> role mapping
+const speakerMappingSchema = Joi.object({
+  mapping: Joi.array().items(Joi.object({
+    speakerTag: Joi.number().integer().min(0).required(),
+    role: Joi.string().valid('doctor', 'patient', 'unknown').required()
+  })).min(1).required(),
+});
 
 const transcriptionController = {
   // Upload and transcribe audio file
@@ -36,70 +48,61 @@ const transcriptionController = {
         });
       }
 
+      // Detect container, codec and duration; rejects corrupt or unsupported audio
+      let media;
+      try {
+        media = await mediaService.probe(audioFile.path);
+      } catch (error) {
+        if (!error.status) throw error;
+        await fs.unlink(audioFile.path).catch(() => {});
+        return res.status(error.status).json({
+          error: error.title,
+          message: error.message
+        });
+      }
+
+      // Get language from request (default to English)
+      const language = req.body.language || 'en';
+
       // Create transcription record
       const transcription = new Transcription({
         session: sessionId,
         audioFile: {
           originalName: audioFile.originalname,
           filename: audioFile.filename,
-          path: audioFile.path,
           size: audioFile.size,
-          mimeType: audioFile.mimetype
+          mimeType: audioFile.mimetype,
+          ...media
         },
         transcriptionText: '', // Initialize with empty string to satisfy validation
+        language,
         status: 'processing'
       });
 
-      await transcription.save();
+      // Retain the recording encrypted; the plaintext upload is removed right away
+      const stored = await audioStorageService.store(audioFile.path, transcription.transcriptionId);
+      transcription.audioFile.storageKey = stored.storageKey;
+      transcription.audioFile.storageBackend = stored.storageBackend;
+      await fs.unlink(audioFile.path).catch(() => {});
 
-      // Start transcription process
-      console.log(`Starting transcription for file: ${audioFile.filename}`);
-      
-      // Get language from request (default to English)
-      const language = req.body.language || 'en';
-      
-      // Process transcription asynchronously
-      transcriptionService.transcribeAudio(audioFile.path, transcription._id, language)
-        .then(async (result) => {
-          transcription.transcriptionText = result.text;
-          transcription.confidence = result.confidence;
-          transcription.language = result.language;
-          transcription.processingMetadata = result.metadata;
-          transcription.status = 'completed';
-          
-          await transcription.save();
-          
-          // Add to session
-          session.transcriptions.push(transcription._id);
-          await session.save();
-          
-          console.log(`Transcription completed for ID: ${transcription.transcriptionId}`);
-          
-          // Emit real-time update via Socket.IO
-          if (req.app.get('io')) {
-            req.app.get('io').to(sessionId).emit('transcription-completed', {
-              transcriptionId: transcription.transcriptionId,
-              text: result.text,
-              confidence: result.confidence
-            });
-          }
-        })
-        .catch(async (error) => {
-          console.error(`Transcription failed for ID: ${transcription.transcriptionId}`, error);
-          transcription.status = 'failed';
-          await transcription.save();
-          
-          if (req.app.get('io')) {
-            req.app.get('io').to(sessionId).emit('transcription-failed', {
-              transcriptionId: transcription.transcriptionId,
-              error: error.message
-            });
-          }
+      try {
+        await transcription.save();
+      } catch (error) {
+        // No record points at the stored audio, so do not leave it behind
+        await audioStorageService.remove(transcription.audioFile).catch((removeError) => {
+          console.error(`Failed to remove orphaned audio ${stored.storageKey}:`, removeError);
         });
+        throw error;
+      }
+
+      // Queue transcription for a background worker
+      console.log(`Queueing transcription for file: ${audioFile.filename}`);
+      const job = await jobs.enqueueTranscription(transcription, sessionId, language);
 
       res.status(202).json({
         message: 'Audio uploaded successfully, transcription in progress',
         transcriptionId: transcription.transcriptionId,
+        jobId: job.id,
         status: 'processing'
       });
 
@@ -110,6 +113,14 @@ const transcriptionController = {
       if (req.file) {
         await fs.unlink(req.file.path).catch(() => {});
       }
+
+      // Audio storage not configured (AUDIO_ENCRYPTION_KEY)
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.title,
+          message: error.message
+        });
+      }
       
       res.status(500).json({
         error: 'Internal server error',
@@ -212,13 +223,19 @@ const transcriptionController = {
         });
       }
 
-      // This would typically set up WebSocket connection for real-time transcription
-      // For now, return a placeholder response
+      // Audio itself is streamed over Socket.IO (see services/liveTranscriptionService.js)
       res.json({
-        message: 'Streaming transcription started',
+        message: 'Stream live audio over Socket.IO',
         sessionId,
-        streamUrl: `/api/transcribe/stream/${sessionId}`,
-        instructions: 'Connect to WebSocket for real-time transcription'
+        transport: 'socket.io',
+        events: {
+          join: 'join-session',
+          start: 'start-audio-stream',
+          chunk: 'audio-chunk',
+          stop: 'stop-audio-stream',
+          results: ['live-transcription', 'live-transcription-ended', 'live-transcription-error']
+        },
+        instructions: 'Join the session room, emit start-audio-stream with { sessionId, streamId, language }, then send each recorded slice as audio-chunk { streamId, chunk }'
       });
 
     } catch (error) {
@@ -234,7 +251,7 @@ const transcriptionController = {
   async updateTranscription(req, res) {
     try {
       const { transcriptionId } = req.params;
-      const { transcriptionText, speaker, editedBy } = req.body;
+      const { transcriptionText, speaker } = req.body;
 
       const transcription = await Transcription.findOne({ transcriptionId });
 
@@ -251,7 +268,7 @@ const transcriptionController = {
           originalText: transcription.transcriptionText,
           editedText: transcriptionText,
           editedAt: new Date(),
-          editedBy: editedBy || 'unknown'
+          editedBy: req.user.userId
         });
         
         transcription.transcriptionText = transcriptionText;
@@ -278,11 +295,19 @@ const transcriptionController = {
     }
   },
 
-  // Delete transcription
-  async deleteTranscription(req, res) {
+  // Override the role of one or more diarized speakers across all their segments
+  async updateSpeakerMapping(req, res) {
     try {
       const { transcriptionId } = req.params;
 
+      const { error, value } = speakerMappingSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: error.details[0].message
+        });
+      }
+
       const transcription = await Transcription.findOne({ transcriptionId });
 
       if (!transcription) {
@@ -292,115 +317,223 @@ const transcriptionController = {
         });
       }
 
-      // Remove from session
-      await Session.findByIdAndUpdate(
-        transcription.session,
-        { $pull: { transcriptions: transcription._id } }
+      const knownTags = new Set(transcription.segments.map(segment => segment.speakerTag));
+      const unknownTag = value.mapping.find(entry => !knownTags.has(entry.speakerTag));
+      if (unknownTag) {
+        return res.status(400).json({
+          error: 'Unknown speaker',
+          message: `Speaker tag ${unknownTag.speakerTag} does not appear in this transcription`
+        });
+      }
+
+      // Replace the overridden speakers and keep the automatic roles of the rest
+      const overrides = new Map(value.mapping.map(entry => [entry.speakerTag, entry.role]));
+      const speakerMapping = [...knownTags].map(speakerTag => {
+        const current = transcription.speakerMapping.find(entry => entry.speakerTag === speakerTag);
+        if (!overrides.has(speakerTag)) {
+          return current ? current.toObject() : { speakerTag, role: 'unknown', confidence: 0, source: 'heuristic' };
+        }
+        return {
+          speakerTag,
+          role: overrides.get(speakerTag),
+          confidence: 1,
+          source: 'manual',
+          updatedBy: req.user.userId,
+          updatedAt: new Date()
+        };
+      });
+
+      transcription.speakerMapping = speakerMapping;
+      transcription.segments = speakerRoleService.applyMapping(
+        transcription.segments.map(segment => segment.toObject()),
+        speakerMapping
       );
+      transcription.speaker = speakerRoleService.overallRole(transcription.segments);
+
+      await transcription.save();
+
+      res.json({
+        message: 'Speaker mapping updated successfully',
+        transcription
+      });
+
+    } catch (error) {
+      console.error('Error in updateSpeakerMapping:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to update speaker mapping'
+      });
+    }
+  },
+
+  // Issue a short-lived signed URL for playing back the retained audio
+  async getAudioUrl(req, res) {
+    try {
+      const { transcriptionId } = req.params;
+
+      const transcription = await Transcription.findOne({ transcriptionId });
 
-      // Delete audio file if exists
-      if (transcription.audioFile && transcription.audioFile.path) {
-        await fs.unlink(transcription.audioFile.path).catch(() => {
-          console.warn(`Failed to delete audio file: ${transcription.audioFile.path}`);
+      if (!transcription) {
+        return res.status(404).json({
+          error: 'Transcription not found',
+          message: 'The specified transcription does not exist'
         });
       }
 
-      // Delete transcription
-      await Transcription.findOneAndDelete({ transcriptionId });
+      if (!transcription.audioFile || !transcription.audioFile.storageKey) {
+        return res.status(404).json({
+          error: 'Audio not found',
+          message: 'No audio is retained for this transcription'
+        });
+      }
+
+      const { token, expiresAt } = audioStorageService.signPlaybackToken(transcriptionId, req.user);
 
       res.json({
-        message: 'Transcription deleted successfully'
+        url: `/api/transcribe/${transcriptionId}/audio?token=${token}`,
+        expiresAt,
+        mimeType: transcription.audioFile.mimeType,
+        duration: transcription.audioFile.duration
       });
 
     } catch (error) {
-      console.error('Error in deleteTranscription:', error);
+      console.error('Error in getAudioUrl:', error);
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.title,
+          message: error.message
+        });
+      }
       res.status(500).json({
         error: 'Internal server error',
-        message: 'Failed to delete transcription'
+        message: 'Failed to create audio URL'
       });
     }
   },
 
-  // Real-time stream transcription
-  async startStreamTranscription(req, res) {
-    const multer = require('multer');
-    const path = require('path');
-    const fs = require('fs').promises;
-
-    const upload = multer({
-      storage: multer.diskStorage({
-        destination: (req, file, cb) => {
-          cb(null, path.join(__dirname, '../uploads'));
-        },
-        filename: (req, file, cb) => {
-          const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-          cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-        }
-      }),
-      limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit for chunks
-    });
+  // Stream retained audio, with HTTP Range support for seeking
+  async streamAudio(req, res) {
+    try {
+      const { transcriptionId } = req.params;
 
-    // Handle file upload
-    upload.single('audio')(req, res, async (err) => {
-      if (err) {
-        return res.status(400).json({
-          error: 'Upload error',
-          message: err.message
+      const user = audioStorageService.verifyPlaybackToken(transcriptionId, req.query.token);
+      if (!user) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Playback link is invalid or has expired'
         });
       }
+      // The audit record is written for the user the link was issued to
+      req.user = user;
 
-      try {
-        const { sessionId, recordingId, isLive } = req.body;
-        const audioFile = req.file;
-
-        if (!sessionId || !audioFile) {
-          return res.status(400).json({
-            error: 'Missing required fields',
-            message: 'sessionId and audio file are required'
-          });
-        }
+      const transcription = await Transcription.findOne({ transcriptionId });
 
-        console.log(`Processing live audio chunk for session: ${sessionId}`);
+      if (!transcription || !transcription.audioFile || !transcription.audioFile.storageKey) {
+        return res.status(404).json({
+          error: 'Audio not found',
+          message: 'No audio is retained for this transcription'
+        });
+      }
 
-        // Get language from request (default to English)
-        const language = req.body.language || 'en';
-        
-        // Process the audio chunk for live transcription
-        const result = await transcriptionService.transcribeAudio(audioFile.path, `live_${recordingId}`, language);
-        
-        // Emit live transcription via Socket.IO
-        if (req.app.get('io') && result.text) {
-          req.app.get('io').to(sessionId).emit('live-transcription', {
-            transcriptionId: recordingId,
-            text: result.text,
-            confidence: result.metadata.confidence || 0.9,
-            isLive: true
-          });
-          
-          console.log(`Live transcription sent for session ${sessionId}: "${result.text.substring(0, 50)}..."`);
-        }
+      const total = await audioStorageService.size(transcription.audioFile);
+
+      res.set({
+        'Accept-Ranges': 'bytes',
+        'Content-Type': transcription.audioFile.mimeType || 'application/octet-stream',
+        'Cache-Control': 'private, no-store'
+      });
+
+      const range = req.headers.range;
+      if (!range) {
+        res.set('Content-Length', total);
+        return await pipeline(await audioStorageService.createReadStream(transcription.audioFile), res);
+      }
+
+      // Single ranges only: bytes=start-end, bytes=start- or bytes=-suffixLength
+      const match = /^bytes=(\d*)-(\d*)$/.exec(range);
+      let start = match && match[1] !== '' ? parseInt(match[1]) : NaN;
+      let end = match && match[2] !== '' ? parseInt(match[2]) : total - 1;
+      if (match && match[1] === '' && match[2] !== '') {
+        start = Math.max(total - parseInt(match[2]), 0);
+        end = total - 1;
+      }
 
-        res.json({
-          message: 'Live transcription processed',
-          sessionId,
-          recordingId,
-          text: result.text
+      if (!match || Number.isNaN(start) || start > end || start >= total) {
+        res.set('Content-Range', `bytes */${total}`);
+        return res.status(416).json({
+          error: 'Range not satisfiable',
+          message: `Requested range is outside the ${total} byte audio file`
         });
+      }
 
-      } catch (error) {
-        console.error('Error in live stream transcription:', error);
-        
-        // Clean up uploaded file if exists
-        if (req.file) {
-          await fs.unlink(req.file.path).catch(() => {});
-        }
-        
-        res.status(500).json({
-          error: 'Internal server error',
-          message: error.message || 'Failed to process live transcription'
+      end = Math.min(end, total - 1);
+      res.status(206).set({
+        'Content-Range': `bytes ${start}-${end}/${total}`,
+        'Content-Length': end - start + 1
+      });
+      await pipeline(await audioStorageService.createReadStream(transcription.audioFile, { start, end }), res);
+
+    } catch (error) {
+      // The player closed the connection, e.g. to seek elsewhere
+      if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+
+      console.error('Error in streamAudio:', error);
+      // Decryption failed part way through; the response has already started
+      if (res.headersSent) return;
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.title,
+          message: error.message
+        });
+      }
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to stream audio'
+      });
+    }
+  },
+
+  // Delete transcription
+  async deleteTranscription(req, res) {
+    try {
+      const { transcriptionId } = req.params;
+
+      const transcription = await Transcription.findOne({ transcriptionId });
+
+      if (!transcription) {
+        return res.status(404).json({
+          error: 'Transcription not found',
+          message: 'The specified transcription does not exist'
+        });
+      }
+
+      // Remove from session
+      await Session.findByIdAndUpdate(
+        transcription.session,
+        { $pull: { transcriptions: transcription._id } }
+      );
+
+      // Delete retained audio if exists
+      if (transcription.audioFile) {
+        await audioStorageService.remove(transcription.audioFile).catch((error) => {
+          console.warn(`Failed to delete audio for ${transcriptionId}:`, error.message);
         });
       }
-    });
+
+      // Delete transcription
+      await Transcription.findOneAndDelete({ transcriptionId });
+
+      res.json({
+        message: 'Transcription deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Error in deleteTranscription:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to delete transcription'
+      });
+    }
   }
 };
 
@@ -0,0 +1,154 @@
+const Joi = require('joi');
+const User = require('../models/user');
+
+// Validation schema for user creation
+const userValidationSchema = Joi.object({
+  email: Joi.string().email().required(),
+  name: Joi.string().required().trim().min(2).max(100),
+  password: Joi.string().min(8).required(),
+  role: Joi.string().valid(...User.ROLES).required(),
+  doctorId: Joi.string().trim().when('role', { is: 'doctor', then: Joi.required() }),
+  department: Joi.string().trim().max(50).allow('')
+});
+
+// Validation schema for user updates
+const userUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100),
+  password: Joi.string().min(8),
+  role: Joi.string().valid(...User.ROLES),
+  doctorId: Joi.string().trim(),
+  department: Joi.string().trim().max(50).allow(''),
+  isActive: Joi.boolean()
+}).min(1);
+
+const userController = {
+  // Create new user
+  async createUser(req, res) {
+    try {
+      const { error, value } = userValidationSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: error.details[0].message
+        });
+      }
+
+      const { password, ...fields } = value;
+      const user = new User(fields);
+      await user.setPassword(password);
+      await user.save();
+
+      console.log(`User created: ${user.userId} (${user.role})`);
+
+      res.status(201).json({
+        message: 'User created successfully',
+        user
+      });
+
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          error: 'Duplicate user',
+          message: 'A user with this email already exists'
+        });
+      }
+      console.error('Error in createUser:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to create user'
+      });
+    }
+  },
+
+  // Get all users
+  async getAllUsers(req, res) {
+    try {
+      const { page = 1, limit = 20, role, includeInactive } = req.query;
+
+      const query = {};
+      if (role) query.role = role;
+      if (includeInactive !== 'true') query.isActive = true;
+
+      const users = await User.find(query)
+        .sort({ name: 1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit));
+
+      const total = await User.countDocuments(query);
+
+      res.json({
+        users,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      });
+
+    } catch (error) {
+      console.error('Error in getAllUsers:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve users'
+      });
+    }
+  },
+
+  // Update user (role, profile, password or active flag)
+  async updateUser(req, res) {
+    try {
+      const { userId } = req.params;
+
+      const { error, value } = userUpdateSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: error.details[0].message
+        });
+      }
+
+      const user = await User.findOne({ userId }).select('+refreshTokens');
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: 'The specified user does not exist'
+        });
+      }
+
+      const { password, ...fields } = value;
+      Object.assign(user, fields);
+
+      // Changing credentials, role or access signs the user out everywhere
+      if (password) {
+        await user.setPassword(password);
+      }
+      if (password || value.role || value.isActive === false) {
+        user.refreshTokens = [];
+      }
+
+      await user.save();
+
+      res.json({
+        message: 'User updated successfully',
+        user
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: error.message
+        });
+      }
+      console.error('Error in updateUser:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to update user'
+      });
+    }
+  }
+};
+
+module.exports = userController;
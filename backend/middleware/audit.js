@@ -0,0 +1,28 @@
+const auditService = require('../services/auditService');
+
+// Make the request available to model audit hooks further down the chain
+const auditContext = (req, res, next) => {
+  auditService.runWithContext({ req }, next);
+};
+
+/**
+ * Record a read (or export) of PHI once the response has been sent
+ * successfully. Writes are recorded by the model hooks instead.
+ * @param {string} resourceType - AuditEvent resource type
+ * @param {string} [param] - Route parameter holding the resource ID; omit for lists
+ */
+const auditAccess = (resourceType, param, action = 'read') => (req, res, next) => {
+  res.on('finish', () => {
+    if (res.statusCode < 400) {
+      auditService.recordSafely({
+        action,
+        resourceType,
+        resourceId: param ? req.params[param] : undefined,
+        req
+      });
+    }
+  });
+  next();
+};
+
+module.exports = { auditContext, auditAccess };
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const fs = require('fs').promises;
+const authService = require('../services/authService');
+const Session = require('../models/session');
+const Transcription = require('../models/transcription');
+const Summary = require('../models/summary');
+const Patient = require('../models/patient');
+const OutboundMessage = require('../models/outboundMessage');
+const jobQueue = require('../services/jobQueue');
+
+// Require a valid access token: Authorization: Bearer <token>
+const authenticate = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  const payload = scheme === 'Bearer' && token ? authService.verifyAccessToken(token) : null;
+  if (!payload) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid access token is required'
+    });
+  }
+
+  req.user = {
+    userId: payload.sub,
+    role: payload.role,
+    name: payload.name,
+    doctorId: payload.doctorId
+  };
+  next();
+};
+
+// Allow only the given roles (use after authenticate)
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `This action requires one of the roles: ${roles.join(', ')}`
+    });
+  }
+  next();
+};
+
+const findSession = (id) => (mongoose.isValidObjectId(id) ? Session.findById(id) : null);
+
+// How to find the session a request refers to
+const sessionFrom = {
+  param: (req) => findSession(req.params.sessionId),
+  body: (req) => findSession(req.body.sessionId),
+  transcription: async (req) => {
+    const transcription = await Transcription.findOne({ transcriptionId: req.params.transcriptionId });
+    return transcription ? Session.findById(transcription.session) : null;
+  },
+  summary: async (req) => {
+    const summary = await Summary.findOne({ summaryId: req.params.summaryId });
+    return summary ? Session.findById(summary.session) : null;
+  },
+  // Transcription and summary jobs carry the session; HL7 jobs reach it through their message
+  job: async (req) => {
+    const job = await jobQueue.getJob(req.params.jobId);
+    if (!job) return null;
+    if (job.data.sessionId) return findSession(job.data.sessionId);
+
+    const message = job.data.messageId && await OutboundMessage.findOne({ messageId: job.data.messageId });
+    return message ? Session.findById(message.session) : null;
+  }
+};
+
+/**
+ * Reject requests for sessions the user may not see. Missing sessions are
+ * passed through so the controller can answer with its usual 404.
+ */
+const requireSessionAccess = (resolve) => async (req, res, next) => {
+  try {
+    const session = await resolve(req);
+    if (session && !authService.canAccessSession(req.user, session)) {
+      // Do not keep uploads for sessions the user cannot write to
+      if (req.file) {
+        await fs.unlink(req.file.path).catch(() => {});
+      }
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have access to this session'
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Same as requireSessionAccess, for routes on :patientId
+const requirePatientAccess = async (req, res, next) => {
+  try {
+    const patient = await Patient.findByIdentifier(req.params.patientId);
+    if (patient && !(await authService.canAccessPatient(req.user, patient))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have access to this patient'
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { authenticate, authorize, requireSessionAccess, requirePatientAccess, sessionFrom };
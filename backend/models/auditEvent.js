@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const ACTIONS = ['create', 'read', 'update', 'delete', 'export'];
+const RESOURCE_TYPES = ['session', 'transcription', 'summary', 'patient', 'audit'];
+
+const auditEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: function() {
+      return 'aud_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+  },
+  // Position in the hash chain; unique so concurrent writers cannot fork it
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  actor: {
+    userId: { type: String, required: true }, // 'system' for background jobs
+    role: String,
+    name: String
+  },
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  resourceType: {
+    type: String,
+    enum: RESOURCE_TYPES,
+    required: true
+  },
+  resourceId: String, // Omitted for list queries
+  // Patient whose data was touched, for per-patient reviews
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  ip: String,
+  userAgent: String,
+  method: String,
+  path: String,
+  // SHA-256 over prevHash and the event's contents
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+// Indexes
+auditEventSchema.index({ timestamp: -1 });
+auditEventSchema.index({ patient: 1, timestamp: -1 });
+auditEventSchema.index({ 'actor.userId': 1, timestamp: -1 });
+auditEventSchema.index({ resourceType: 1, resourceId: 1 });
+
+// Events are append-only: block every update and delete path
+const rejectChange = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'
+].forEach(operation => auditEventSchema.pre(operation, rejectChange));
+
+auditEventSchema.statics.ACTIONS = ACTIONS;
+auditEventSchema.statics.RESOURCE_TYPES = RESOURCE_TYPES;
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
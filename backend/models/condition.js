@@ -36,6 +36,8 @@ const conditionSchema = new mongoose.Schema({
       'congenital',
       'injury-poisoning',
       'external-causes',
+      'health-status', // ICD-10-CM Z codes: factors influencing health status
+      'special-purpose', // ICD-10-CM U codes, e.g. U07.1 COVID-19
       'other'
     ]
   },
@@ -88,7 +90,13 @@ const conditionSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
-    updatedBy: String
+    updatedBy: String,
+    // Set for conditions loaded by scripts/importReferenceData.js
+    source: String, // e.g. 'ICD-10-CM'
+    release: String, // latest code release the condition is in, e.g. '2025'
+    firstRelease: String,
+    retiredIn: String, // first release it was missing from
+    billable: Boolean
   }
 }, {
   timestamps: true
@@ -99,6 +107,11 @@ conditionSchema.index({ name: 1 });
 conditionSchema.index({ icd10Code: 1 });
 conditionSchema.index({ category: 1 });
 conditionSchema.index({ severity: 1 });
+conditionSchema.index({ 'metadata.source': 1, 'metadata.release': 1 });
+
+// Case-insensitive name and synonym lookups (terminologyService.findByName)
+conditionSchema.index({ name: 1 }, { name: 'name_ci', collation: { locale: 'en', strength: 2 } });
+conditionSchema.index({ synonyms: 1 }, { name: 'synonyms_ci', collation: { locale: 'en', strength: 2 } });
 
 // Text index for search
 conditionSchema.index({
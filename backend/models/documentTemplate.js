@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const documentTemplateSchema = new mongoose.Schema({
+  templateId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: function() {
+      return 'tpl_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Matches session.department; templates without one apply to every department
+  department: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  format: {
+    type: String,
+    enum: ['docx'],
+    default: 'docx'
+  },
+  // Increments with each upload for the same department
+  version: {
+    type: Number,
+    required: true
+  },
+  content: {
+    type: Buffer,
+    required: true,
+    select: false
+  },
+  originalName: String,
+  size: Number,
+  checksum: String, // SHA-256 of content
+  notes: {
+    type: String,
+    trim: true
+  },
+  uploadedBy: String,
+  // Only the latest upload per department is used for exports
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+documentTemplateSchema.index({ templateId: 1 });
+documentTemplateSchema.index({ department: 1, format: 1, version: -1 }, { unique: true });
+documentTemplateSchema.index({ isActive: 1 });
+
+// Static method to find the template exports should use for a department
+documentTemplateSchema.statics.findActive = async function(department, format = 'docx') {
+  if (department) {
+    const template = await this.findOne({ department, format, isActive: true }).select('+content');
+    if (template) return template;
+  }
+  return this.findOne({ department: null, format, isActive: true }).select('+content');
+};
+
+module.exports = mongoose.model('DocumentTemplate', documentTemplateSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Outbound HL7 v2 log: one record per message, updated as it is sent and acknowledged
+const outboundMessageSchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: function() {
+      return 'hl7_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+  },
+  summary: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Summary',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  summaryVersion: Number,
+  messageType: {
+    type: String,
+    enum: ['MDM^T02', 'ORU^R01'],
+    required: true
+  },
+  controlId: {
+    type: String, // MSH-10, echoed back in the ACK's MSA-2
+    required: true
+  },
+  destination: {
+    host: String,
+    port: Number
+  },
+  payload: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    // rejected: the receiver answered AR/CR, so retrying will not help
+    enum: ['queued', 'sending', 'acknowledged', 'rejected', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  ack: {
+    code: String, // MSA-1: AA/CA accepted, AE/CE error, AR/CR rejected
+    text: String,
+    raw: String
+  },
+  trigger: {
+    type: String,
+    enum: ['approval', 'manual', 'retry'],
+    default: 'manual'
+  },
+  requestedBy: String,
+  sentAt: Date,
+  acknowledgedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+outboundMessageSchema.index({ messageId: 1 });
+outboundMessageSchema.index({ summary: 1, createdAt: -1 });
+outboundMessageSchema.index({ status: 1 });
+outboundMessageSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('OutboundMessage', outboundMessageSchema);
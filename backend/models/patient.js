@@ -1,11 +1,15 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const patientSchema = new mongoose.Schema({
   patientId: {
     type: String,
     required: true,
     unique: true,
-    trim: true
+    trim: true,
+    default: function() {
+      return 'pat_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
   },
   firstName: {
     type: String,
@@ -76,6 +80,12 @@ const patientSchema = new mongoose.Schema({
       default: true
     }
   }],
+  // Identifiers from other systems (e.g. an EHR's MRN), kept by FHIR imports
+  identifiers: [{
+    _id: false,
+    system: String,
+    value: String
+  }],
   emergencyContact: {
     name: String,
     relationship: String,
@@ -93,6 +103,7 @@ const patientSchema = new mongoose.Schema({
 patientSchema.index({ patientId: 1 });
 patientSchema.index({ firstName: 1, lastName: 1 });
 patientSchema.index({ 'contactInfo.email': 1 });
+patientSchema.index({ 'identifiers.system': 1, 'identifiers.value': 1 });
 
 // Virtual for full name
 patientSchema.virtual('fullName').get(function() {
@@ -113,9 +124,24 @@ patientSchema.virtual('age').get(function() {
   return age;
 });
 
+// Static method to find by Mongo _id or patientId
+patientSchema.statics.findByIdentifier = function(identifier) {
+  if (mongoose.Types.ObjectId.isValid(identifier) && String(identifier).length === 24) {
+    return this.findOne({ $or: [{ _id: identifier }, { patientId: identifier }] });
+  }
+  return this.findOne({ patientId: identifier });
+};
+
 // Ensure virtual fields are serialized
 patientSchema.set('toJSON', {
   virtuals: true
 });
 
+// Audit every create, update and delete
+patientSchema.plugin(auditTrail, {
+  resourceType: 'patient',
+  resourceId: doc => doc.patientId,
+  patient: doc => doc._id
+});
+
 module.exports = mongoose.model('Patient', patientSchema);
\ No newline at end of file
@@ -0,0 +1,66 @@
+const auditService = require('../../services/auditService');
+
+/**
+ * Mongoose plugin that appends an AuditEvent for every create, update and
+ * delete of a PHI-bearing document, with a field-level diff. The actor comes
+ * from the request context set by middleware/audit.js.
+ *
+ * @param {Object} options
+ * @param {string} options.resourceType - AuditEvent resource type
+ * @param {Function} options.resourceId - doc => ID exposed by the API
+ * @param {Function} options.patient - doc => patient ObjectId (may be async)
+ */
+const auditTrail = (schema, { resourceType, resourceId, patient }) => {
+  const snapshot = (doc) => doc.toObject({ depopulate: true, virtuals: false });
+
+  const record = async (doc, action, changes) => auditService.recordSafely({
+    action,
+    resourceType,
+    resourceId: resourceId(doc),
+    patient: (await patient(doc)) || null, // null: known to have no patient
+    changes
+  });
+
+  // Remember how loaded documents looked so saves can be diffed
+  schema.post('init', function() {
+    this.$locals.auditSnapshot = snapshot(this);
+  });
+
+  schema.pre('save', function(next) {
+    this.$locals.auditAction = this.isNew ? 'create' : 'update';
+    next();
+  });
+
+  schema.post('save', async function(doc) {
+    const after = snapshot(doc);
+    const changes = auditService.diff(doc.$locals.auditSnapshot || {}, after);
+    doc.$locals.auditSnapshot = after;
+
+    if (doc.$locals.auditAction === 'update' && changes.length === 0) return;
+    await record(doc, doc.$locals.auditAction, changes);
+  });
+
+  schema.pre('findOneAndUpdate', async function() {
+    this.auditBefore = await this.model.findOne(this.getFilter()).lean();
+  });
+
+  schema.post('findOneAndUpdate', async function() {
+    if (!this.auditBefore) return;
+
+    const after = await this.model.findById(this.auditBefore._id);
+    if (!after) return;
+
+    const changes = auditService.diff(this.auditBefore, snapshot(after));
+    if (changes.length > 0) {
+      await record(after, 'update', changes);
+    }
+  });
+
+  schema.post('findOneAndDelete', async function(doc) {
+    if (doc) {
+      await record(doc, 'delete', []);
+    }
+  });
+};
+
+module.exports = auditTrail;
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Procedure code (CPT, HCPCS), loaded by scripts/importReferenceData.js
+const procedureSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  codeSystem: {
+    type: String,
+    required: true,
+    enum: ['CPT', 'HCPCS'],
+    default: 'CPT'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: [
+      'evaluation-management',
+      'anesthesia',
+      'surgery',
+      'radiology',
+      'pathology-laboratory',
+      'medicine',
+      'performance-measurement', // CPT Category II
+      'emerging-technology', // CPT Category III
+      'other'
+    ]
+  },
+  synonyms: [{
+    type: String,
+    trim: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  metadata: {
+    source: String,
+    release: String, // latest code release the procedure is in, e.g. '2025'
+    firstRelease: String,
+    retiredIn: String, // first release it was missing from
+    lastUpdated: {
+      type: Date,
+      default: Date.now
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+procedureSchema.index({ codeSystem: 1, code: 1 }, { unique: true });
+procedureSchema.index({ category: 1 });
+procedureSchema.index({ 'metadata.source': 1, 'metadata.release': 1 });
+
+// Text index for search
+procedureSchema.index({
+  name: 'text',
+  description: 'text',
+  synonyms: 'text'
+});
+
+// Static method to search procedures
+procedureSchema.statics.searchProcedures = function(query, options = {}) {
+  const searchOptions = {
+    $text: { $search: query },
+    isActive: true
+  };
+
+  if (options.category) {
+    searchOptions.category = options.category;
+  }
+
+  return this.find(searchOptions)
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(options.limit || 20);
+};
+
+// Static method to find by code
+procedureSchema.statics.findByCode = function(code, codeSystem = 'CPT') {
+  return this.findOne({ code: code.toUpperCase(), codeSystem });
+};
+
+module.exports = mongoose.model('Procedure', procedureSchema);
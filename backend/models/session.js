@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const sessionSchema = new mongoose.Schema({
   sessionId: {
@@ -25,7 +26,7 @@ const sessionSchema = new mongoose.Schema({
   },
   sessionType: {
     type: String,
-    enum: ['consultation', 'follow-up', 'emergency', 'routine-checkup', 'specialist'],
+    enum: ['consultation', 'follow-up', 'emergency', 'routine-checkup', 'specialist', 'discharge'],
     default: 'consultation'
   },
   department: {
@@ -61,6 +62,33 @@ const sessionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Symptom'
   }],
+  // Red-flag alerts raised for the session, one per symptom and reason (see symptomService)
+  redFlagAlerts: [{
+    key: String,
+    symptom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Symptom'
+    },
+    symptomName: String,
+    urgencyLevel: String,
+    reason: {
+      type: String,
+      enum: ['urgent-symptom', 'red-flag']
+    },
+    redFlag: {
+      description: String,
+      action: String
+    },
+    text: String, // transcript text that raised it
+    source: {
+      type: String,
+      enum: ['live', 'transcription', 'summary']
+    },
+    detectedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   diagnosis: [{
     condition: {
       type: mongoose.Schema.Types.ObjectId,
@@ -71,6 +99,17 @@ const sessionSchema = new mongoose.Schema({
       min: 0,
       max: 100
     },
+    // How closely the extracted diagnosis matched the condition (0-100)
+    matchConfidence: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    source: {
+      type: String,
+      enum: ['generated', 'manual'],
+      default: 'manual'
+    },
     notes: String
   }],
   prescriptions: [{
@@ -160,4 +199,11 @@ sessionSchema.set('toJSON', {
   virtuals: true
 });
 
+// Audit every create, update and delete
+sessionSchema.plugin(auditTrail, {
+  resourceType: 'session',
+  resourceId: doc => String(doc._id),
+  patient: doc => doc.populated('patient') || doc.patient
+});
+
 module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
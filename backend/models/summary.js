@@ -1,4 +1,19 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const auditService = require('../services/auditService');
+const { missingSections, noteTemplates, DEFAULT_NOTE_TYPE } = require('../services/noteTemplates');
+
+// Where in the transcript an extracted fact was said: a diarized segment, or a
+// character range of undiarized or edited text
+const sourceSchema = new mongoose.Schema({
+  transcriptionId: String,
+  segmentIndex: Number,
+  charStart: Number,
+  charEnd: Number,
+  speaker: String,
+  startTime: Number,
+  endTime: Number
+}, { _id: false });
 
 const summarySchema = new mongoose.Schema({
   summaryId: {
@@ -14,16 +29,25 @@ const summarySchema = new mongoose.Schema({
     ref: 'Session',
     required: true
   },
+  // Note template (services/noteTemplates) the content follows
+  noteType: {
+    type: String,
+    enum: Object.keys(noteTemplates),
+    default: DEFAULT_NOTE_TYPE
+  },
   content: {
     chiefComplaint: {
       type: String,
-      required: true,
       trim: true
     },
     historyOfPresentIllness: {
       type: String,
       trim: true
     },
+    hospitalCourse: {
+      type: String,
+      trim: true
+    },
     pastMedicalHistory: {
       type: String,
       trim: true
@@ -54,12 +78,10 @@ const summarySchema = new mongoose.Schema({
     },
     assessment: {
       type: String,
-      required: true,
       trim: true
     },
     plan: {
       type: String,
-      required: true,
       trim: true
     },
     followUp: {
@@ -67,10 +89,28 @@ const summarySchema = new mongoose.Schema({
       trim: true
     }
   },
+  // Sentences of content with the transcript segments that support them;
+  // unsupported generated sentences are flagged for review before approval
+  statements: [{
+    _id: false,
+    section: String, // content field
+    index: Number, // sentence position within the section
+    text: String,
+    sources: [sourceSchema],
+    supported: {
+      type: Boolean,
+      default: false
+    },
+    origin: {
+      type: String,
+      enum: ['generated', 'clinician'],
+      default: 'generated'
+    }
+  }],
   keyPoints: [{
     category: {
       type: String,
-      enum: ['symptom', 'diagnosis', 'treatment', 'followup', 'medication', 'other']
+      enum: ['symptom', 'diagnosis', 'medication', 'procedure', 'vital_sign', 'treatment', 'followup', 'other']
     },
     point: String,
     confidence: {
@@ -78,7 +118,8 @@ const summarySchema = new mongoose.Schema({
       min: 0,
       max: 100,
       default: 80
-    }
+    },
+    sources: [sourceSchema]
   }],
   extractedData: {
     symptoms: [{
@@ -88,7 +129,25 @@ const summarySchema = new mongoose.Schema({
         enum: ['mild', 'moderate', 'severe']
       },
       duration: String,
-      onset: String
+      onset: String,
+      // Match against the Symptom knowledge base (see symptomService)
+      grounding: {
+        symptom: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Symptom'
+        },
+        symptomName: String,
+        matchedBy: {
+          type: String,
+          enum: ['name', 'synonym', 'fuzzy', 'none']
+        },
+        confidence: {
+          type: Number,
+          min: 0,
+          max: 100
+        }
+      },
+      sources: [sourceSchema]
     }],
     diagnoses: [{
       condition: String,
@@ -97,19 +156,44 @@ const summarySchema = new mongoose.Schema({
         type: Number,
         min: 0,
         max: 100
-      }
+      },
+      // Match against the Condition collection (see terminologyService)
+      grounding: {
+        condition: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Condition'
+        },
+        conditionName: String,
+        matchedBy: {
+          type: String,
+          enum: ['code', 'name', 'synonym', 'fuzzy', 'none']
+        },
+        confidence: {
+          type: Number,
+          min: 0,
+          max: 100
+        },
+        codeStatus: {
+          type: String,
+          enum: ['valid', 'unknown', 'invalid', 'retired', 'mismatch', 'missing']
+        },
+        originalCode: String
+      },
+      sources: [sourceSchema]
     }],
     medications: [{
       name: String,
       dosage: String,
       frequency: String,
       duration: String,
-      route: String
+      route: String,
+      sources: [sourceSchema]
     }],
     procedures: [{
       name: String,
       cptCode: String,
-      description: String
+      description: String,
+      sources: [sourceSchema]
     }],
     vitalSigns: {
       bloodPressure: String,
@@ -119,6 +203,11 @@ const summarySchema = new mongoose.Schema({
       oxygenSaturation: String,
       weight: String,
       height: String
+    },
+    // Sources of each vital sign reading, keyed like vitalSigns
+    vitalSignSources: {
+      type: Map,
+      of: [sourceSchema]
     }
   },
   generationMetadata: {
@@ -131,6 +220,7 @@ const summarySchema = new mongoose.Schema({
       default: '1.0'
     },
     processingTime: Number, // in milliseconds
+    chunkCount: Number, // transcript chunks read (map-reduce when more than one)
     tokenUsage: {
       prompt: Number,
       completion: Number,
@@ -173,6 +263,20 @@ const summarySchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Rendered documents, with the template version that produced each one
+  exportHistory: [{
+    format: String,
+    summaryVersion: Number,
+    templateId: String, // 'builtin' when no uploaded template applied
+    templateVersion: Number,
+    department: String,
+    checksum: String, // SHA-256 of the rendered document
+    exportedBy: String,
+    exportedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -187,6 +291,20 @@ summarySchema.index({ session: 1 });
 summarySchema.index({ status: 1 });
 summarySchema.index({ createdAt: -1 });
 
+// Content is filled in by the generation job, so placeholder summaries in
+// 'generating' or 'failed' state may be saved without it; completed ones
+// need every section their note template requires
+summarySchema.pre('validate', function(next) {
+  // An unknown noteType is reported by the enum validator
+  const template = noteTemplates[this.noteType];
+  if (this.status === 'completed' && template) {
+    missingSections(template, this.content).forEach(section => {
+      this.invalidate(`content.${section.key}`, `${section.title} is required for a ${template.title}`);
+    });
+  }
+  next();
+});
+
 // Virtual for word count
 summarySchema.virtual('wordCount').get(function() {
   let totalWords = 0;
@@ -242,4 +360,11 @@ summarySchema.set('toJSON', {
   virtuals: true
 });
 
+// Audit every create, update and delete
+summarySchema.plugin(auditTrail, {
+  resourceType: 'summary',
+  resourceId: doc => doc.summaryId,
+  patient: doc => auditService.sessionPatient(doc.populated('session') || doc.session)
+});
+
 module.exports = mongoose.model('Summary', summarySchema);
\ No newline at end of file
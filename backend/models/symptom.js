@@ -139,6 +139,10 @@ symptomSchema.index({ category: 1 });
 symptomSchema.index({ urgencyLevel: 1 });
 symptomSchema.index({ bodyParts: 1 });
 
+// Case-insensitive name and synonym lookups (terminologyService.findByName)
+symptomSchema.index({ name: 1 }, { name: 'name_ci', collation: { locale: 'en', strength: 2 } });
+symptomSchema.index({ synonyms: 1 }, { name: 'synonyms_ci', collation: { locale: 'en', strength: 2 } });
+
 // Text index for search
 symptomSchema.index({
   name: 'text',
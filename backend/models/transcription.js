@@ -1,4 +1,68 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const auditService = require('../services/auditService');
+
+// Word-level timing within a segment (seconds from the start of the recording)
+const wordSchema = new mongoose.Schema({
+  word: {
+    type: String,
+    required: true
+  },
+  startTime: Number,
+  endTime: Number,
+  confidence: Number // 0-1, when the provider reports it
+}, { _id: false });
+
+// A run of speech by a single diarized speaker
+const segmentSchema = new mongoose.Schema({
+  speakerTag: {
+    type: Number,
+    default: 0
+  },
+  speaker: {
+    type: String,
+    enum: ['doctor', 'patient', 'unknown'],
+    default: 'unknown'
+  },
+  roleConfidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  startTime: Number,
+  endTime: Number,
+  words: [wordSchema]
+}, { _id: false });
+
+// Role assigned to a diarization speaker tag, and how it was decided
+const speakerMappingSchema = new mongoose.Schema({
+  speakerTag: {
+    type: Number,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['doctor', 'patient', 'unknown'],
+    required: true
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  source: {
+    type: String,
+    enum: ['heuristic', 'llm', 'manual'],
+    default: 'heuristic'
+  },
+  updatedBy: String,
+  updatedAt: Date
+}, { _id: false });
 
 const transcriptionSchema = new mongoose.Schema({
   transcriptionId: {
@@ -17,9 +81,18 @@ const transcriptionSchema = new mongoose.Schema({
   audioFile: {
     originalName: String,
     filename: String,
-    path: String,
+    path: String, // Only set for uploads stored before encrypted retention
+    storageKey: String,
+    storageBackend: String,
     size: Number,
-    mimeType: String
+    mimeType: String,
+    // Detected by ffprobe on upload
+    container: String,
+    codec: String,
+    sampleRate: Number,
+    channels: Number,
+    duration: Number, // seconds
+    bitRate: Number
   },
   transcriptionText: {
     type: String,
@@ -45,10 +118,13 @@ const transcriptionSchema = new mongoose.Schema({
     start: Number, // seconds from session start
     end: Number
   },
+  segments: [segmentSchema],
+  speakerMapping: [speakerMappingSchema],
   processingMetadata: {
     model: String,
     processingTime: Number,
-    tokenUsage: Number
+    tokenUsage: Number,
+    chunkCount: Number // > 1 when a long recording was split for recognition
   },
   status: {
     type: String,
@@ -75,4 +151,11 @@ transcriptionSchema.index({ session: 1 });
 transcriptionSchema.index({ status: 1 });
 transcriptionSchema.index({ createdAt: -1 });
 
+// Audit every create, update and delete
+transcriptionSchema.plugin(auditTrail, {
+  resourceType: 'transcription',
+  resourceId: doc => doc.transcriptionId,
+  patient: doc => auditService.sessionPatient(doc.populated('session') || doc.session)
+});
+
 module.exports = mongoose.model('Transcription', transcriptionSchema);
\ No newline at end of file
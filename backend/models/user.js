@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const ROLES = ['doctor', 'scribe', 'reviewer', 'admin'];
+
+const userSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: function() {
+      return 'usr_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true
+  },
+  // Matches session.doctorId; doctors only see sessions with their own doctorId
+  doctorId: {
+    type: String,
+    trim: true,
+    required: function() {
+      return this.role === 'doctor';
+    }
+  },
+  department: {
+    type: String,
+    trim: true
+  },
+  // Outstanding refresh tokens, identified by the SHA-256 of their token ID
+  refreshTokens: {
+    type: [{
+      tokenHash: String,
+      expiresAt: Date,
+      createdAt: { type: Date, default: Date.now }
+    }],
+    select: false
+  },
+  lastLoginAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+userSchema.index({ userId: 1 });
+userSchema.index({ email: 1 });
+userSchema.index({ role: 1 });
+
+// Method to set a new password
+userSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await bcrypt.hash(password, 12);
+};
+
+// Method to check a password (requires passwordHash to be selected)
+userSchema.methods.comparePassword = function(password) {
+  return bcrypt.compare(password, this.passwordHash || '');
+};
+
+// Never serialize credentials
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.refreshTokens;
+    return ret;
+  }
+});
+
+userSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('User', userSchema);
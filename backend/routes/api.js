@@ -9,6 +9,19 @@ const transcriptionController = require('../controllers/transcriptionController'
 const sessionController = require('../controllers/sessionController');
 const summaryController = require('../controllers/summaryController');
 const questionController = require('../controllers/questionController');
+const patientController = require('../controllers/patientController');
+const jobController = require('../controllers/jobController');
+const authController = require('../controllers/authController');
+const userController = require('../controllers/userController');
+const auditController = require('../controllers/auditController');
+const templateController = require('../controllers/templateController');
+const fhirController = require('../controllers/fhirController');
+const hl7Controller = require('../controllers/hl7Controller');
+const { authenticate, authorize, requireSessionAccess, requirePatientAccess, sessionFrom } = require('../middleware/auth');
+const { auditContext, auditAccess } = require('../middleware/audit');
+
+// Roles that record consultations and edit their documentation
+const CLINICAL_ROLES = ['doctor', 'scribe', 'admin'];
 
 // Rate limiting
 const rateLimiter = new RateLimiterMemory({
@@ -45,10 +58,15 @@ const fileFilter = (req, file, cb) => {
   // Accept audio files only
   const allowedMimes = [
     'audio/wav',
+    'audio/x-wav',
+    'audio/wave',
     'audio/mpeg',
     'audio/mp3',
     'audio/mp4',
     'audio/m4a',
+    'audio/x-m4a',
+    'audio/aac',
+    'audio/flac',
     'audio/webm',
     'audio/ogg'
   ];
@@ -56,7 +74,9 @@ const fileFilter = (req, file, cb) => {
   if (allowedMimes.includes(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only audio files are allowed.'), false);
+    const error = new Error('Invalid file type. Only audio files are allowed.');
+    error.status = 415;
+    cb(error, false);
   }
 };
 
@@ -68,9 +88,29 @@ const upload = multer({
   }
 });
 
+// Note templates are small and kept in MongoDB
+const templateUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.docx') {
+      cb(null, true);
+    } else {
+      const error = new Error('Invalid file type. Only .docx templates are allowed.');
+      error.status = 415;
+      cb(error, false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  }
+});
+
 // Apply rate limiting to all routes
 router.use(rateLimitMiddleware);
 
+// Attribute model writes to the requesting user in the audit log
+router.use(auditContext);
+
 // Health check for API
 router.get('/health', (req, res) => {
   res.json({ 
@@ -80,36 +120,123 @@ router.get('/health', (req, res) => {
   });
 });
 
+// ==================== AUTH ROUTES ====================
+
+// Log in with email and password
+router.post('/auth/login', 
+  authController.login
+);
+
+// Exchange a refresh token for a new token pair
+router.post('/auth/refresh', 
+  authController.refresh
+);
+
+// Revoke a refresh token
+router.post('/auth/logout', 
+  authController.logout
+);
+
+// Get the logged-in user
+router.get('/auth/me', 
+  authenticate,
+  authController.me
+);
+
+// ==================== USER ROUTES ====================
+
+// Create new user
+router.post('/users', 
+  authenticate,
+  authorize('admin'),
+  userController.createUser
+);
+
+// Get all users
+router.get('/users', 
+  authenticate,
+  authorize('admin'),
+  userController.getAllUsers
+);
+
+// Update user
+router.put('/users/:userId', 
+  authenticate,
+  authorize('admin'),
+  userController.updateUser
+);
+
 // ==================== TRANSCRIPTION ROUTES ====================
 
 // Upload audio for transcription
 router.post('/transcribe/upload', 
+  authenticate,
+  authorize(...CLINICAL_ROLES),
   upload.single('audio'), 
+  auditContext, // Multer's stream callbacks lose the request context
+  requireSessionAccess(sessionFrom.body),
   transcriptionController.uploadAudio
 );
 
 // Get transcription by ID
 router.get('/transcribe/:transcriptionId', 
+  authenticate,
+  requireSessionAccess(sessionFrom.transcription),
+  auditAccess('transcription', 'transcriptionId'),
   transcriptionController.getTranscription
 );
 
 // Get all transcriptions for a session
 router.get('/sessions/:sessionId/transcriptions', 
+  authenticate,
+  requireSessionAccess(sessionFrom.param),
+  auditAccess('session', 'sessionId'),
   transcriptionController.getSessionTranscriptions
 );
 
 // Real-time transcription (streaming)
 router.post('/transcribe/stream', 
+  authenticate,
+  authorize(...CLINICAL_ROLES),
+  requireSessionAccess(sessionFrom.body),
   transcriptionController.startStreamTranscription
 );
 
 // Update transcription (manual editing)
 router.put('/transcribe/:transcriptionId', 
+  authenticate,
+  authorize(...CLINICAL_ROLES),
+  requireSessionAccess(sessionFrom.transcription),
   transcriptionController.updateTranscription
 );
 
+// Signed playback URL for the retained audio
+router.get('/transcribe/:transcriptionId/audio-url', 
+  authenticate,
+  requireSessionAccess(sessionFrom.transcription),
+  auditAccess('transcription', 'transcriptionId'),
+  transcriptionController.getAudioUrl
+);
+
+// Stream retained audio (supports Range requests; requires a signed token)
+router.get('/transcribe/:transcriptionId/audio', 
+  auditAccess('transcription', 'transcriptionId'),
+  transcriptionController.streamAudio
+);
+
+// Override doctor/patient roles for diarized speakers
+router.put('/transcribe/:transcriptionId/speakers', 
+  authenticate,
+  authorize(...CLINICAL_ROLES),
+  requireSessionAccess(sessionFrom.transcription),
+  transcriptionController.updateSpeakerMapping
+);
+
 // Delete transcription
 router.delete('/transcribe/:transcriptionId', 
+  authenticate,
+  authorize('doctor', 'admin'),
+  requireSessionAccess(sessionFrom.transcription),
   transcriptionController.deleteTranscription
 );
 
@@ -117,68 +244,127 @@ router.delete('/transcribe/:transcriptionId',
 
 // Create new session
 router.post('/sessions', 
+  authenticate,
+  authorize(...CLINICAL_ROLES),
   sessionController.createSession
 );
 
 // Get session by ID
 router.get('/sessions/:sessionId', 
+  authenticate,
+  requireSessionAccess(sessionFrom.param),
+  auditAccess('session', 'sessionId'),
   sessionController.getSession
 );
 
 // Get all sessions
 router.get('/sessions', 
+  authenticate,
+  auditAccess('session'),
   sessionController.getAllSessions
 );
 
 // Update session
 router.put('/sessions/:sessionId', 
+  authenticate,
+  authorize(...CLINICAL_ROLES),
+  requireSessionAccess(sessionFrom.param),
   sessionController.updateSession
 );
 
 // End session
 router.patch('/sessions/:sessionId/end', 
+  authenticate,
+  authorize(...CLINICAL_ROLES),
+  requireSessionAccess(sessionFrom.param),
   sessionController.endSession
 );
 
 // Delete session
 router.delete('/sessions/:sessionId', 
+  authenticate,
+  authorize('doctor', 'admin'),
+  requireSessionAccess(sessionFrom.param),
   sessionController.deleteSession
 );
 
 // Get session statistics
 router.get('/sessions/:sessionId/stats', 
+  authenticate,
+  requireSessionAccess(sessionFrom.param),
+  auditAccess('session', 'sessionId'),
   sessionController.getSessionStats
 );
 
+// Get session transcript (?redacted=true for a de-identified copy)
+router.get('/sessions/:sessionId/transcript', 
+  authenticate,
+  requireSessionAccess(sessionFrom.param),
+  auditAccess('session', 'sessionId'),
+  sessionController.getSessionTranscript
+);
+
 // ==================== SUMMARY ROUTES ====================
 
+// Get note templates (SOAP, H&P, follow-up, discharge, consult)
+router.get('/note-templates', 
+  authenticate,
+  summaryController.getNoteTemplates
+);
+
 // Generate summary for session
 router.post('/sessions/:sessionId/summary', 
+  authenticate,
+  authorize(...CLINICAL_ROLES),
+  requireSessionAccess(sessionFrom.param),
   summaryController.generateSummary
 );
 
 // Get summary by ID
 router.get('/summaries/:summaryId', 
+  authenticate,
+  requireSessionAccess(sessionFrom.summary),
+  auditAccess('summary', 'summaryId'),
   summaryController.getSummary
 );
 
 // Get summary by session ID
 router.get('/sessions/:sessionId/summary', 
+  authenticate,
+  requireSessionAccess(sessionFrom.param),
+  auditAccess('session', 'sessionId'),
   summaryController.getSessionSummary
 );
 
 // Update summary
 router.put('/summaries/:summaryId', 
+  authenticate,
+  authorize(...CLINICAL_ROLES),
+  requireSessionAccess(sessionFrom.summary),
   summaryController.updateSummary
 );
 
+// Approve summary (reviewers only)
+router.post('/summaries/:summaryId/approve', 
+  authenticate,
+  authorize('reviewer', 'admin'),
+  requireSessionAccess(sessionFrom.summary),
+  summaryController.approveSummary
+);
+
 // Delete summary
 router.delete('/summaries/:summaryId', 
+  authenticate,
+  authorize('doctor', 'admin'),
+  requireSessionAccess(sessionFrom.summary),
   summaryController.deleteSummary
 );
 
 // Export summary as PDF/Word
 router.get('/summaries/:summaryId/export/:format', 
+  authenticate,
+  requireSessionAccess(sessionFrom.summary),
+  auditAccess('summary', 'summaryId', 'export'),
   summaryController.exportSummary
 );
 
@@ -186,36 +372,200 @@ router.get('/summaries/:summaryId/export/:format',
 
 // Generate reflexive questions for session
 router.post('/sessions/:sessionId/questions', 
+  authenticate,
+  authorize(...CLINICAL_ROLES),
+  requireSessionAccess(sessionFrom.param),
   questionController.generateQuestions
 );
 
 // Generate specific type of questions
 router.post('/sessions/:sessionId/questions/:type', 
+  authenticate,
+  authorize(...CLINICAL_ROLES),
+  requireSessionAccess(sessionFrom.param),
   questionController.generateSpecificQuestions
 );
 
 // Get available question categories
 router.get('/questions/categories', 
+  authenticate,
   questionController.getQuestionCategories
 );
 
 // ==================== PATIENT ROUTES ====================
 
-// Get patient information (if applicable)
+// Create new patient
+router.post('/patients', 
+  authenticate,
+  authorize(...CLINICAL_ROLES),
+  patientController.createPatient
+);
+
+// Get all patients
+router.get('/patients', 
+  authenticate,
+  auditAccess('patient'),
+  patientController.getAllPatients
+);
+
+// Search patients by name, patientId or email
+router.get('/patients/search', 
+  authenticate,
+  auditAccess('patient'),
+  patientController.searchPatients
+);
+
+// Get patient by ID
 router.get('/patients/:patientId', 
-  async (req, res) => {
-    // Placeholder for patient data retrieval
-    res.json({ 
-      message: 'Patient routes not implemented yet',
-      patientId: req.params.patientId 
-    });
-  }
+  authenticate,
+  requirePatientAccess,
+  auditAccess('patient', 'patientId'),
+  patientController.getPatient
+);
+
+// Update patient
+router.put('/patients/:patientId', 
+  authenticate,
+  authorize(...CLINICAL_ROLES),
+  requirePatientAccess,
+  patientController.updatePatient
+);
+
+// Delete patient (soft delete)
+router.delete('/patients/:patientId', 
+  authenticate,
+  authorize('admin'),
+  patientController.deletePatient
+);
+
+// ==================== AUDIT ROUTES ====================
+
+// Query audit events (filters: patientId, userId, resourceType, resourceId, action, from, to)
+router.get('/audit', 
+  authenticate,
+  authorize('admin'),
+  auditAccess('audit'),
+  auditController.getAuditEvents
+);
+
+// Export audit events as CSV
+router.get('/audit/export', 
+  authenticate,
+  authorize('admin'),
+  auditAccess('audit', undefined, 'export'),
+  auditController.exportAuditEvents
+);
+
+// Verify the audit hash chain
+router.get('/audit/verify', 
+  authenticate,
+  authorize('admin'),
+  auditController.verifyAuditChain
+);
+
+// ==================== FHIR ROUTES ====================
+
+// Get a session as a FHIR R4 Bundle
+router.get('/sessions/:sessionId/fhir', 
+  authenticate,
+  requireSessionAccess(sessionFrom.param),
+  auditAccess('session', 'sessionId', 'export'),
+  fhirController.getSessionBundle
+);
+
+// Create or update a patient from a FHIR Patient resource
+router.post('/fhir/Patient', 
+  authenticate,
+  authorize(...CLINICAL_ROLES),
+  fhirController.upsertPatient
+);
+
+// Get a patient as a FHIR Patient resource
+router.get('/fhir/Patient/:patientId', 
+  authenticate,
+  requirePatientAccess,
+  auditAccess('patient', 'patientId'),
+  fhirController.getPatient
+);
+
+// ==================== HL7 ROUTES ====================
+
+// Send an approved summary as an HL7 v2 message (body: messageType?)
+router.post('/summaries/:summaryId/hl7', 
+  authenticate,
+  authorize('reviewer', 'admin'),
+  requireSessionAccess(sessionFrom.summary),
+  auditAccess('summary', 'summaryId', 'export'),
+  hl7Controller.sendSummary
+);
+
+// Get the outbound HL7 message log (filters: status, summaryId)
+router.get('/hl7/messages', 
+  authenticate,
+  authorize('admin'),
+  hl7Controller.getMessages
+);
+
+// Get an outbound HL7 message with its payload and ACK
+router.get('/hl7/messages/:messageId', 
+  authenticate,
+  authorize('admin'),
+  hl7Controller.getMessage
+);
+
+// Retry a failed or rejected HL7 message
+router.post('/hl7/messages/:messageId/retry', 
+  authenticate,
+  authorize('admin'),
+  hl7Controller.retryMessage
+);
+
+// ==================== TEMPLATE ROUTES ====================
+
+// Upload a Word note template (optionally for one department)
+router.post('/templates', 
+  authenticate,
+  authorize('admin'),
+  templateUpload.single('template'),
+  templateController.uploadTemplate
+);
+
+// Get all templates
+router.get('/templates', 
+  authenticate,
+  authorize('admin'),
+  templateController.getTemplates
+);
+
+// Download a template ('builtin' for the default one)
+router.get('/templates/:templateId/download', 
+  authenticate,
+  authorize('admin'),
+  templateController.downloadTemplate
+);
+
+// Deactivate template
+router.delete('/templates/:templateId', 
+  authenticate,
+  authorize('admin'),
+  templateController.deactivateTemplate
+);
+
+// ==================== JOB ROUTES ====================
+
+// Get background job status
+router.get('/jobs/:jobId', 
+  authenticate,
+  requireSessionAccess(sessionFrom.job),
+  jobController.getJob
 );
 
 // ==================== ANALYTICS ROUTES ====================
 
 // Get transcription analytics
 router.get('/analytics/transcriptions', 
+  authenticate,
+  authorize('admin'),
   async (req, res) => {
     // Placeholder for analytics
     res.json({ 
@@ -226,6 +576,8 @@ router.get('/analytics/transcriptions',
 
 // Get usage statistics
 router.get('/analytics/usage', 
+  authenticate,
+  authorize('admin'),
   async (req, res) => {
     // Placeholder for usage stats
     res.json({ 
@@ -242,7 +594,9 @@ router.use((error, req, res, next) => {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         error: 'File too large',
-        message: 'Audio file must be smaller than 50MB'
+        message: error.field === 'template'
+          ? 'Template must be smaller than 5MB'
+          : 'Audio file must be smaller than 50MB'
       });
     }
     if (error.code === 'LIMIT_UNEXPECTED_FILE') {
@@ -253,13 +607,21 @@ router.use((error, req, res, next) => {
     }
   }
   
+  // The upload file filters mark a rejected file type with status 415
   if (error.message === 'Invalid file type. Only audio files are allowed.') {
-    return res.status(400).json({
+    return res.status(error.status || 400).json({
       error: 'Invalid file type',
       message: 'Only audio files (WAV, MP3, MP4, M4A, WebM, OGG) are allowed'
     });
   }
   
+  if (error.message === 'Invalid file type. Only .docx templates are allowed.') {
+    return res.status(error.status || 400).json({
+      error: 'Invalid file type',
+      message: 'Templates must be Word (.docx) files'
+    });
+  }
+  
   next(error);
 });
 
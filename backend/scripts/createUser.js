@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const User = require('../models/user');
+
+// Create a user from the command line, e.g. the first admin:
+//   npm run create-user -- --email admin@example.com --name "Admin" --role admin --password secret
+// Doctors also need --doctor-id, matching the doctorId their sessions are recorded under.
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+};
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const password = args.password || process.env.CREATE_USER_PASSWORD;
+
+  if (!args.email || !args.name || !args.role || !password) {
+    console.error('Usage: node scripts/createUser.js --email <email> --name <name> --role <role> --password <password> [--doctor-id <id>] [--department <name>]');
+    console.error(`Roles: ${User.ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(config.mongoUri, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+
+  try {
+    const user = new User({
+      email: args.email,
+      name: args.name,
+      role: args.role,
+      doctorId: args['doctor-id'],
+      department: args.department
+    });
+    await user.setPassword(password);
+    await user.save();
+
+    console.log(`Created ${user.role} ${user.email} (${user.userId})`);
+  } finally {
+    await mongoose.connection.close(false);
+  }
+}
+
+main().catch((error) => {
+  console.error('Failed to create user:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const referenceDataService = require('../services/referenceDataService');
+
+// Load an ICD-10-CM or CPT code release from a local file, e.g.
+//   npm run import-codes -- --type icd10cm --file data/icd10cm_order_2025.txt --release 2025
+//   npm run import-codes -- --type cpt --file data/cpt_2025.csv --release 2025 --dry-run
+// Codes from the previous release that are missing from this one are retired
+// (isActive: false) unless --no-retire is given, e.g. for a partial file.
+const FLAGS = ['dry-run', 'no-retire', 'force'];
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (FLAGS.includes(name)) {
+      args[name] = true;
+    } else {
+      args[name] = argv[++i];
+    }
+  }
+  return args;
+};
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.type || !args.file || !args.release) {
+    console.error('Usage: node scripts/importReferenceData.js --type <icd10cm|cpt> --file <path> --release <label> [--dry-run] [--no-retire] [--force]');
+    process.exit(1);
+  }
+
+  const records = referenceDataService.readFile(args.file, args.type);
+  console.log(`Read ${records.length} codes from ${args.file}`);
+
+  await mongoose.connect(config.mongoUri, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+
+  try {
+    const result = await referenceDataService.importRelease(args.type, records, {
+      release: args.release,
+      retire: !args['no-retire'],
+      force: !!args.force,
+      dryRun: !!args['dry-run']
+    });
+
+    console.log(`${args['dry-run'] ? 'Would import' : 'Imported'} ${result.source} release ${result.release}: ` +
+      `${result.inserted} new, ${result.updated} updated (${result.renamed} renamed, ${result.reactivated} reactivated), ` +
+      `${result.retired} retired, ${result.failed} failed`);
+  } finally {
+    await mongoose.connection.close(false);
+  }
+}
+
+main().catch((error) => {
+  console.error('Failed to import reference data:', error.message);
+  process.exit(1);
+});
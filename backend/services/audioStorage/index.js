@@ -0,0 +1,24 @@
+const config = require('../../config');
+const localStorage = require('./localStorage');
+const s3Storage = require('./s3Storage');
+
+// Every backend implements:
+//   name: string
+//   put(key, buffer), get(key) -> Buffer, delete(key)
+//   size(key) -> bytes, createReadStream(key) -> Readable
+// Objects are already encrypted by audioStorageService before they get here.
+const backends = {
+  [localStorage.name]: localStorage,
+  [s3Storage.name]: s3Storage
+};
+
+// Get a storage backend by name (defaults to AUDIO_STORAGE_BACKEND)
+function getStorage(name = config.audioStorageBackend) {
+  const backend = backends[name];
+  if (!backend) {
+    throw new Error(`Unknown audio storage backend: ${name}. Supported: ${Object.keys(backends).join(', ')}`);
+  }
+  return backend;
+}
+
+module.exports = { getStorage, backends };
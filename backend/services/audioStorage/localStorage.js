@@ -0,0 +1,43 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const config = require('../../config');
+
+// Stores objects as files under AUDIO_STORAGE_PATH
+const localStorage = {
+  name: 'local',
+
+  resolve(key) {
+    const root = path.resolve(config.audioStoragePath);
+    const filePath = path.resolve(root, key);
+    // Keys are generated server-side, but never let one escape the storage root
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  },
+
+  async put(key, body) {
+    const filePath = this.resolve(key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.writeFile(filePath, body, { mode: 0o600 });
+  },
+
+  async get(key) {
+    return fsp.readFile(this.resolve(key));
+  },
+
+  async size(key) {
+    return (await fsp.stat(this.resolve(key))).size;
+  },
+
+  async createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  },
+
+  async delete(key) {
+    await fsp.rm(this.resolve(key), { force: true });
+  }
+};
+
+module.exports = localStorage;
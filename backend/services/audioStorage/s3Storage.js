@@ -0,0 +1,74 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const config = require('../../config');
+
+// S3 client is created on first use so local storage needs no S3 settings
+let s3Client = null;
+
+// Amazon S3 or any S3-compatible object store (MinIO, Ceph, R2, ...)
+const s3Storage = {
+  name: 's3',
+
+  getClient() {
+    if (s3Client) {
+      return s3Client;
+    }
+
+    if (!config.s3Bucket) {
+      throw new Error('S3 audio storage not configured. Set S3_BUCKET.');
+    }
+
+    s3Client = new S3Client({
+      region: config.s3Region,
+      endpoint: config.s3Endpoint,
+      forcePathStyle: config.s3ForcePathStyle,
+      // Falls back to the default AWS credential chain when keys are not set
+      credentials: config.s3AccessKeyId
+        ? { accessKeyId: config.s3AccessKeyId, secretAccessKey: config.s3SecretAccessKey }
+        : undefined
+    });
+    return s3Client;
+  },
+
+  async put(key, body) {
+    await this.getClient().send(new PutObjectCommand({
+      Bucket: config.s3Bucket,
+      Key: key,
+      Body: body,
+      ContentType: 'application/octet-stream'
+    }));
+  },
+
+  async get(key) {
+    const response = await this.getClient().send(new GetObjectCommand({
+      Bucket: config.s3Bucket,
+      Key: key
+    }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  },
+
+  async size(key) {
+    const response = await this.getClient().send(new HeadObjectCommand({
+      Bucket: config.s3Bucket,
+      Key: key
+    }));
+    return response.ContentLength;
+  },
+
+  // The SDK returns the object body as a Node.js Readable
+  async createReadStream(key) {
+    const response = await this.getClient().send(new GetObjectCommand({
+      Bucket: config.s3Bucket,
+      Key: key
+    }));
+    return response.Body;
+  },
+
+  async delete(key) {
+    await this.getClient().send(new DeleteObjectCommand({
+      Bucket: config.s3Bucket,
+      Key: key
+    }));
+  }
+};
+
+module.exports = s3Storage;
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const fsp = require('fs').promises;
+const { Readable } = require('stream');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { getStorage } = require('./audioStorage');
+
+// AES-256-GCM; stored objects are [iv (12 bytes)][auth tag (16 bytes)][ciphertext]
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = IV_LENGTH + TAG_LENGTH;
+
+// Error carrying the HTTP status and title a controller should respond with
+const storageError = (status, title, message) => Object.assign(new Error(message), { status, title });
+
+/**
+ * Decrypt a stored object as it is read and yield only plaintext bytes
+ * start..end (inclusive). The auth tag is checked when the whole object is
+ * read; a range that ends early stops reading there.
+ */
+async function* decryptRange(source, key, start, end) {
+  let header = Buffer.alloc(0);
+  let decipher = null;
+  let position = 0;
+
+  const slice = function* (plaintext) {
+    const from = Math.max(start - position, 0);
+    const to = Math.min(end + 1 - position, plaintext.length);
+    position += plaintext.length;
+    if (from < to) yield plaintext.subarray(from, to);
+  };
+
+  for await (const chunk of source) {
+    let data = chunk;
+    if (!decipher) {
+      header = Buffer.concat([header, data]);
+      if (header.length < HEADER_LENGTH) continue;
+      decipher = crypto.createDecipheriv(ALGORITHM, key, header.subarray(0, IV_LENGTH));
+      decipher.setAuthTag(header.subarray(IV_LENGTH, HEADER_LENGTH));
+      data = header.subarray(HEADER_LENGTH);
+    }
+    yield* slice(decipher.update(data));
+    if (position > end) {
+      source.destroy();
+      return;
+    }
+  }
+
+  if (!decipher) throw new Error('Stored audio is truncated');
+  yield* slice(decipher.final());
+}
+
+/**
+ * Retained consultation audio. Recordings are encrypted before they reach the
+ * storage backend and only leave it decrypted into a private temp file (for
+ * recognition) or through the signed playback endpoint.
+ */
+const audioStorageService = {
+  getKey() {
+    if (!config.audioEncryptionKey) {
+      throw storageError(503, 'Audio storage not configured', 'Audio encryption key not configured. Set AUDIO_ENCRYPTION_KEY.');
+    }
+
+    const key = Buffer.from(config.audioEncryptionKey, 'base64');
+    if (key.length !== 32) {
+      throw storageError(503, 'Audio storage not configured', 'AUDIO_ENCRYPTION_KEY must be 32 bytes, base64 encoded');
+    }
+    return key;
+  },
+
+  encrypt(buffer) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(buffer), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+  },
+
+  decrypt(buffer) {
+    const iv = buffer.subarray(0, IV_LENGTH);
+    const tag = buffer.subarray(IV_LENGTH, HEADER_LENGTH);
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.getKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(buffer.subarray(HEADER_LENGTH)), decipher.final()]);
+  },
+
+  keyFor(transcriptionId) {
+    return `audio/${transcriptionId}.enc`;
+  },
+
+  /**
+   * Encrypt a local file into the configured backend.
+   * @returns {Promise<{storageKey: string, storageBackend: string}>}
+   */
+  async store(filePath, transcriptionId) {
+    const storage = getStorage();
+    const storageKey = this.keyFor(transcriptionId);
+
+    await storage.put(storageKey, this.encrypt(await fsp.readFile(filePath)));
+
+    return { storageKey, storageBackend: storage.name };
+  },
+
+  // Decrypted audio for a transcription's audioFile
+  async load(audioFile) {
+    const storage = getStorage(audioFile.storageBackend);
+    return this.decrypt(await storage.get(audioFile.storageKey));
+  },
+
+  // Size of the decrypted audio, without reading the object
+  async size(audioFile) {
+    const storage = getStorage(audioFile.storageBackend);
+    return Math.max(await storage.size(audioFile.storageKey) - HEADER_LENGTH, 0);
+  },
+
+  /**
+   * Decrypted audio as a stream, for playback without holding the file in memory.
+   * @param {Object} audioFile - Transcription audioFile
+   * @param {Object} range - Plaintext byte range, end inclusive
+   * @returns {Promise<Readable>}
+   */
+  async createReadStream(audioFile, { start = 0, end = Infinity } = {}) {
+    const key = this.getKey();
+    const source = await getStorage(audioFile.storageBackend).createReadStream(audioFile.storageKey);
+    return Readable.from(decryptRange(source, key, start, end));
+  },
+
+  /**
+   * Run fn with a private, decrypted temp copy of the audio; the copy is
+   * removed afterwards. Older uploads without a storage key use their path.
+   */
+  async withLocalCopy(audioFile, fn) {
+    if (!audioFile.storageKey) {
+      return fn(audioFile.path);
+    }
+
+    const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'audio-'));
+    try {
+      const filePath = path.join(workDir, `audio${path.extname(audioFile.originalName || '')}`);
+      await fsp.writeFile(filePath, await this.load(audioFile), { mode: 0o600 });
+      return await fn(filePath);
+    } finally {
+      await fsp.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  },
+
+  async remove(audioFile) {
+    if (audioFile.storageKey) {
+      await getStorage(audioFile.storageBackend).delete(audioFile.storageKey);
+    } else if (audioFile.path) {
+      await fsp.rm(audioFile.path, { force: true });
+    }
+  },
+
+  // Playback URLs are signed with a key derived from the encryption key
+  signature(transcriptionId, expires, userId, role) {
+    return crypto.createHmac('sha256', this.getKey())
+      .update(`playback:${transcriptionId}:${expires}:${userId}:${role}`)
+      .digest('base64url');
+  },
+
+  /**
+   * Short-lived token for the audio streaming endpoint. <audio> elements cannot
+   * send auth headers, so access is granted through the URL instead. The token
+   * names the user it was issued to, so playback can be audited.
+   */
+  signPlaybackToken(transcriptionId, user) {
+    const expires = Math.floor(Date.now() / 1000) + config.audioPlaybackTtlSeconds;
+    return {
+      token: `${expires}.${user.userId}.${user.role}.${this.signature(transcriptionId, expires, user.userId, user.role)}`,
+      expiresAt: new Date(expires * 1000)
+    };
+  },
+
+  // The user the token was issued to ({ userId, role }), or null if it is invalid or expired
+  verifyPlaybackToken(transcriptionId, token) {
+    const [expires, userId, role, signature] = String(token || '').split('.');
+    if (!expires || !userId || !role || !signature || parseInt(expires) < Date.now() / 1000) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.signature(transcriptionId, expires, userId, role));
+    const actual = Buffer.from(signature);
+    const valid = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    return valid ? { userId, role } : null;
+  }
+};
+
+module.exports = audioStorageService;
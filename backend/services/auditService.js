@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/auditEvent');
+
+const GENESIS_HASH = '0'.repeat(64);
+const SYSTEM_ACTOR = { userId: 'system', role: 'system', name: 'Background job' };
+
+// Fields that change on every write and carry no information for reviewers
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Larger values are recorded by digest so events stay small
+const MAX_VALUE_LENGTH = 2000;
+
+// Request context (set by middleware/audit.js) that model hooks read the actor from
+const context = new AsyncLocalStorage();
+
+// JSON with sorted keys so the same event always hashes the same way
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId) && !Buffer.isBuffer(value);
+
+// JSON-safe form of a stored value
+const normalize = (value) => {
+  if (value === undefined) return undefined;
+  const json = JSON.parse(JSON.stringify(value));
+  const text = JSON.stringify(json);
+  if (text && text.length > MAX_VALUE_LENGTH) {
+    return {
+      omitted: true,
+      length: Array.isArray(json) ? json.length : text.length,
+      sha256: crypto.createHash('sha256').update(text).digest('hex')
+    };
+  }
+  return json;
+};
+
+const auditService = {
+  GENESIS_HASH,
+  SYSTEM_ACTOR,
+
+  // Run fn with a request context; later model hooks attribute writes to it
+  runWithContext(store, fn) {
+    return context.run(store, fn);
+  },
+
+  getContext() {
+    return context.getStore() || {};
+  },
+
+  /**
+   * Field-level differences between two plain documents, as
+   * [{ field: 'a.b', from, to }]. Arrays are compared as a whole.
+   */
+  diff(before = {}, after = {}, prefix = '') {
+    const changes = [];
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    keys.forEach(key => {
+      if (!prefix && IGNORED_FIELDS.includes(key)) return;
+
+      const field = prefix ? `${prefix}.${key}` : key;
+      const from = before ? before[key] : undefined;
+      const to = after ? after[key] : undefined;
+
+      if (isPlainObject(from) && isPlainObject(to)) {
+        changes.push(...this.diff(from, to, field));
+      } else if (canonicalize(normalize(from)) !== canonicalize(normalize(to))) {
+        changes.push({ field, from: normalize(from), to: normalize(to) });
+      }
+    });
+
+    return changes;
+  },
+
+  computeHash(event, prevHash) {
+    const payload = {
+      eventId: event.eventId,
+      sequence: event.sequence,
+      timestamp: new Date(event.timestamp).toISOString(),
+      actor: event.actor,
+      action: event.action,
+      resourceType: event.resourceType,
+      resourceId: event.resourceId,
+      patient: event.patient ? String(event.patient) : undefined,
+      changes: event.changes,
+      ip: event.ip,
+      userAgent: event.userAgent,
+      method: event.method,
+      path: event.path
+    };
+
+    return crypto.createHash('sha256')
+      .update(prevHash)
+      .update(canonicalize(JSON.parse(JSON.stringify(payload))))
+      .digest('hex');
+  },
+
+  async sessionPatient(sessionRef) {
+    const session = sessionRef ? await mongoose.model('Session').findById(sessionRef).select('patient').lean() : null;
+    return session?.patient;
+  },
+
+  // Patient a resource belongs to, looked up when the caller does not know it
+  async resolvePatient(resourceType, resourceId) {
+    if (!resourceId) return undefined;
+
+    switch (resourceType) {
+      case 'patient': {
+        const patient = await mongoose.model('Patient').findByIdentifier(resourceId).select('_id').lean();
+        return patient?._id;
+      }
+      case 'session':
+        return mongoose.isValidObjectId(resourceId) ? this.sessionPatient(resourceId) : undefined;
+      case 'transcription': {
+        const transcription = await mongoose.model('Transcription').findOne({ transcriptionId: resourceId }).select('session').lean();
+        return this.sessionPatient(transcription?.session);
+      }
+      case 'summary': {
+        const summary = await mongoose.model('Summary').findOne({ summaryId: resourceId }).select('session').lean();
+        return this.sessionPatient(summary?.session);
+      }
+      default:
+        return undefined;
+    }
+  },
+
+  /**
+   * Append an event to the chain. Actor, IP and request details come from
+   * req, else the current request context, else the system actor.
+   */
+  async record({ action, resourceType, resourceId, patient, changes = [], req = this.getContext().req, actor, ip, userAgent, method, path }) {
+    const event = {
+      actor: actor || (req?.user ? {
+        userId: req.user.userId,
+        role: req.user.role,
+        name: req.user.name
+      } : SYSTEM_ACTOR),
+      action,
+      resourceType,
+      resourceId: resourceId !== undefined && resourceId !== null ? String(resourceId) : undefined,
+      patient: patient !== undefined ? patient : await this.resolvePatient(resourceType, resourceId),
+      changes,
+      ip: ip || req?.ip,
+      userAgent: userAgent || req?.get?.('user-agent'),
+      method: method || req?.method,
+      path: path || req?.originalUrl
+    };
+
+    // Serialize appends from this process; the unique sequence index handles other processes
+    const append = this.appendQueue.then(() => this.append(event));
+    this.appendQueue = append.catch(() => {});
+    return append;
+  },
+
+  appendQueue: Promise.resolve(),
+
+  async append(event, attempts = 5) {
+    for (let attempt = 1; ; attempt++) {
+      const last = await AuditEvent.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+      const prevHash = last ? last.hash : GENESIS_HASH;
+
+      const auditEvent = new AuditEvent({
+        ...event,
+        sequence: last ? last.sequence + 1 : 1,
+        timestamp: new Date(),
+        prevHash
+      });
+      auditEvent.hash = this.computeHash(auditEvent.toObject(), prevHash);
+
+      try {
+        return await auditEvent.save();
+      } catch (error) {
+        // Another process appended first; rebuild on top of its event
+        if (error.code !== 11000 || attempt >= attempts) {
+          throw error;
+        }
+      }
+    }
+  },
+
+  // Record without failing the caller; audit failures are logged loudly instead
+  recordSafely(event) {
+    return this.record(event).catch(error => {
+      console.error(`AUDIT WRITE FAILED (${event.action} ${event.resourceType} ${event.resourceId}):`, error);
+    });
+  },
+
+  /**
+   * Walk the chain and recompute every hash.
+   * @returns {Promise<{valid: boolean, count: number, brokenAt?: number, reason?: string}>}
+   */
+  async verifyChain() {
+    let prevHash = GENESIS_HASH;
+    let expectedSequence = 1;
+    let count = 0;
+
+    const cursor = AuditEvent.find().sort({ sequence: 1 }).lean().cursor();
+    for await (const event of cursor) {
+      if (event.sequence !== expectedSequence) {
+        return { valid: false, count, brokenAt: expectedSequence, reason: 'Missing event' };
+      }
+      if (event.prevHash !== prevHash) {
+        return { valid: false, count, brokenAt: event.sequence, reason: 'Chain link mismatch' };
+      }
+      if (this.computeHash(event, prevHash) !== event.hash) {
+        return { valid: false, count, brokenAt: event.sequence, reason: 'Event contents altered' };
+      }
+
+      prevHash = event.hash;
+      expectedSequence++;
+      count++;
+    }
+
+    return { valid: true, count };
+  },
+
+  // Mongo filter for the GET /audit query parameters
+  async buildQuery({ patientId, userId, resourceType, resourceId, action, from, to }) {
+    const query = {};
+
+    if (patientId) {
+      const patient = await mongoose.model('Patient').findByIdentifier(patientId).select('_id').lean();
+      // Unknown patients match nothing rather than everything
+      query.patient = patient ? patient._id : new mongoose.Types.ObjectId();
+    }
+    if (userId) query['actor.userId'] = userId;
+    if (resourceType) query.resourceType = resourceType;
+    if (resourceId) query.resourceId = resourceId;
+    if (action) query.action = action;
+    if (from || to) {
+      query.timestamp = {};
+      if (from) query.timestamp.$gte = new Date(from);
+      if (to) query.timestamp.$lte = new Date(to);
+    }
+
+    return query;
+  },
+
+  CSV_COLUMNS: [
+    'sequence', 'timestamp', 'userId', 'role', 'action', 'resourceType', 'resourceId',
+    'patient', 'changedFields', 'changes', 'ip', 'method', 'path', 'hash'
+  ],
+
+  toCsvRow(event) {
+    const values = [
+      event.sequence,
+      new Date(event.timestamp).toISOString(),
+      event.actor?.userId,
+      event.actor?.role,
+      event.action,
+      event.resourceType,
+      event.resourceId,
+      event.patient ? String(event.patient) : '',
+      (event.changes || []).map(change => change.field).join('; '),
+      event.changes && event.changes.length > 0 ? JSON.stringify(event.changes) : '',
+      event.ip,
+      event.method,
+      event.path,
+      event.hash
+    ];
+
+    return values.map(value => {
+      let text = value === undefined || value === null ? '' : String(value);
+      // Keep spreadsheets from evaluating cells as formulas
+      if (/^[=+\-@]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+  }
+};
+
+module.exports = auditService;
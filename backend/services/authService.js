@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const User = require('../models/user');
+const Session = require('../models/session');
+
+const hashTokenId = (tokenId) => crypto.createHash('sha256').update(tokenId).digest('hex');
+
+/**
+ * JWT authentication. Access tokens are short-lived and stateless; refresh
+ * tokens are single-use and tracked on the user so they can be revoked.
+ */
+const authService = {
+  getSecret(kind) {
+    const secret = kind === 'refresh' ? config.jwtRefreshSecret : config.jwtSecret;
+    if (!secret) {
+      throw new Error('JWT not configured. Set JWT_SECRET and JWT_REFRESH_SECRET.');
+    }
+    return secret;
+  },
+
+  signAccessToken(user) {
+    return jwt.sign({
+      sub: user.userId,
+      role: user.role,
+      name: user.name,
+      doctorId: user.doctorId
+    }, this.getSecret('access'), { expiresIn: config.jwtAccessExpire });
+  },
+
+  // Returns the token payload, or null if it is missing, invalid or expired
+  verifyAccessToken(token) {
+    try {
+      const payload = jwt.verify(token, this.getSecret('access'));
+      return payload.type === 'refresh' ? null : payload;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  async issueRefreshToken(user) {
+    const tokenId = crypto.randomUUID();
+    const token = jwt.sign(
+      { sub: user.userId, jti: tokenId, type: 'refresh' },
+      this.getSecret('refresh'),
+      { expiresIn: config.jwtRefreshExpire }
+    );
+    const { exp } = jwt.decode(token);
+
+    // Drop expired entries while we are here
+    const now = new Date();
+    user.refreshTokens = (user.refreshTokens || []).filter(entry => entry.expiresAt > now);
+    user.refreshTokens.push({ tokenHash: hashTokenId(tokenId), expiresAt: new Date(exp * 1000) });
+    await user.save();
+
+    return token;
+  },
+
+  async issueTokens(user) {
+    const accessToken = this.signAccessToken(user);
+    const refreshToken = await this.issueRefreshToken(user);
+    const { exp } = jwt.decode(accessToken);
+
+    return {
+      accessToken,
+      refreshToken,
+      expiresAt: new Date(exp * 1000),
+      user
+    };
+  },
+
+  // Returns the user for valid credentials, otherwise null
+  async authenticate(email, password) {
+    const user = await User.findOne({ email: String(email).toLowerCase(), isActive: true })
+      .select('+passwordHash +refreshTokens');
+
+    if (!user || !(await user.comparePassword(password))) {
+      return null;
+    }
+
+    user.lastLoginAt = new Date();
+    return user;
+  },
+
+  /**
+   * Exchange a refresh token for a new token pair. Each refresh token works
+   * once; presenting one that was already used revokes every session of
+   * that user, since it means the token has leaked.
+   */
+  async refresh(refreshToken) {
+    let payload;
+    try {
+      payload = jwt.verify(refreshToken, this.getSecret('refresh'));
+    } catch (error) {
+      return null;
+    }
+
+    if (payload.type !== 'refresh') {
+      return null;
+    }
+
+    const user = await User.findOne({ userId: payload.sub, isActive: true }).select('+refreshTokens');
+    if (!user) {
+      return null;
+    }
+
+    const tokenHash = hashTokenId(payload.jti);
+    const entry = user.refreshTokens.find(token => token.tokenHash === tokenHash);
+    if (!entry) {
+      console.warn(`Refresh token reuse detected for user ${user.userId}; revoking all sessions`);
+      user.refreshTokens = [];
+      await user.save();
+      return null;
+    }
+
+    user.refreshTokens = user.refreshTokens.filter(token => token.tokenHash !== tokenHash);
+    return this.issueTokens(user);
+  },
+
+  async revoke(refreshToken) {
+    const payload = jwt.decode(refreshToken);
+    if (!payload || payload.type !== 'refresh') {
+      return;
+    }
+
+    await User.updateOne(
+      { userId: payload.sub },
+      { $pull: { refreshTokens: { tokenHash: hashTokenId(payload.jti) } } }
+    );
+  },
+
+  // Doctors only see sessions recorded under their own doctorId
+  canAccessSession(user, session) {
+    if (!user || !session) return false;
+    return user.role !== 'doctor' || session.doctorId === user.doctorId;
+  },
+
+  // Doctors only see patients they have a session with
+  async canAccessPatient(user, patient) {
+    if (!user || !patient) return false;
+    return user.role !== 'doctor' || !!(await Session.exists({ patient: patient._id, doctorId: user.doctorId }));
+  },
+
+  // Patient query filter for listing and search; empty for roles that see every patient
+  async patientFilter(user) {
+    if (user?.role !== 'doctor') return {};
+    return { _id: { $in: await Session.distinct('patient', { doctorId: user.doctorId }) } };
+  }
+};
+
+module.exports = authService;
@@ -0,0 +1,142 @@
+const Session = require('../models/session');
+const User = require('../models/user');
+const config = require('../config');
+const { noteTemplates, DEFAULT_NOTE_TYPE } = require('./noteTemplates');
+
+// Summary content fields in the order they appear on a clinical note, with
+// the LOINC section code used by FHIR and HL7 exports
+const SECTIONS = [
+  { key: 'chiefComplaint', title: 'Chief Complaint', loinc: { code: '10154-3', display: 'Chief complaint Narrative - Reported' } },
+  { key: 'historyOfPresentIllness', title: 'History of Present Illness', loinc: { code: '10164-2', display: 'History of Present illness Narrative' } },
+  { key: 'hospitalCourse', title: 'Hospital Course', loinc: { code: '8648-8', display: 'Hospital course Narrative' } },
+  { key: 'pastMedicalHistory', title: 'Past Medical History', loinc: { code: '11348-0', display: 'History of Past illness Narrative' } },
+  { key: 'medications', title: 'Medications', loinc: { code: '10160-0', display: 'History of Medication use Narrative' } },
+  { key: 'allergies', title: 'Allergies', loinc: { code: '48765-2', display: 'Allergies and adverse reactions Document' } },
+  { key: 'socialHistory', title: 'Social History', loinc: { code: '29762-2', display: 'Social history Narrative' } },
+  { key: 'familyHistory', title: 'Family History', loinc: { code: '10157-6', display: 'History of family member diseases Narrative' } },
+  { key: 'reviewOfSystems', title: 'Review of Systems', loinc: { code: '10187-3', display: 'Review of systems Narrative - Reported' } },
+  { key: 'physicalExamination', title: 'Physical Examination', loinc: { code: '29545-1', display: 'Physical findings Narrative' } },
+  { key: 'assessment', title: 'Assessment', loinc: { code: '51848-0', display: 'Evaluation note' } },
+  { key: 'plan', title: 'Plan', loinc: { code: '18776-5', display: 'Plan of care note' } },
+  { key: 'followUp', title: 'Follow-up', loinc: { code: '69730-0', display: 'Instructions' } }
+];
+
+// Filled sections in the order and with the titles of the summary's note
+// template, followed by any other filled sections in SECTIONS order
+const noteSections = (summary) => {
+  const content = summary.content || {};
+  const template = noteTemplates[summary.noteType] || noteTemplates[DEFAULT_NOTE_TYPE];
+  const titles = new Map(template.sections.map(section => [section.key, section.title]));
+  const order = template.sections.map(section => section.key)
+    .concat(SECTIONS.map(section => section.key).filter(key => !titles.has(key)));
+
+  return order
+    .map(key => SECTIONS.find(section => section.key === key))
+    .filter(section => content[section.key] && String(content[section.key]).trim())
+    .map(section => ({
+      key: section.key,
+      title: titles.get(section.key) || section.title,
+      loinc: section.loinc,
+      text: String(content[section.key]).trim()
+    }));
+};
+
+const ageOn = (dateOfBirth, date = new Date()) => {
+  if (!dateOfBirth) return null;
+  const dob = new Date(dateOfBirth);
+  let age = date.getFullYear() - dob.getFullYear();
+  if (date.getMonth() < dob.getMonth() || (date.getMonth() === dob.getMonth() && date.getDate() < dob.getDate())) {
+    age--;
+  }
+  return age;
+};
+
+/**
+ * Everything a rendered clinical note needs, gathered from the summary, its
+ * session, the patient and the reviewer. Exporters only lay this out.
+ */
+const clinicalNoteService = {
+  SECTIONS,
+  noteSections,
+
+  async buildNote(summary) {
+    const session = await Session.findById(summary.session._id || summary.session)
+      .populate('patient')
+      .populate('diagnosis.condition');
+
+    const patient = session?.patient;
+    const reviewer = summary.reviewedBy
+      ? await User.findOne({ userId: summary.reviewedBy }).lean()
+      : null;
+
+    const template = noteTemplates[summary.noteType] || noteTemplates[DEFAULT_NOTE_TYPE];
+    const extracted = summary.extractedData || {};
+
+    // Codes from the model's extraction plus diagnoses grounded on the session
+    const diagnoses = [];
+    const addDiagnosis = (code, name) => {
+      if (code && !diagnoses.some(d => d.code === code)) {
+        diagnoses.push({ code, name: name || '' });
+      }
+    };
+    (extracted.diagnoses || []).forEach(d => addDiagnosis(d.icd10Code, d.condition));
+    (session?.diagnosis || []).forEach(d => d.condition && addDiagnosis(d.condition.icd10Code, d.condition.name));
+
+    return {
+      clinic: {
+        name: config.clinicName,
+        address: config.clinicAddress,
+        phone: config.clinicPhone,
+        logoPath: config.clinicLogoPath
+      },
+      summaryId: summary.summaryId,
+      version: summary.version,
+      generatedAt: summary.updatedAt || summary.createdAt,
+      patient: patient ? {
+        name: `${patient.firstName} ${patient.lastName}`,
+        firstName: patient.firstName,
+        lastName: patient.lastName,
+        patientId: patient.patientId,
+        dateOfBirth: patient.dateOfBirth,
+        age: ageOn(patient.dateOfBirth, session.startTime),
+        gender: patient.gender,
+        phone: patient.contactInfo?.phone,
+        address: patient.contactInfo?.address
+      } : null,
+      encounter: {
+        sessionId: session?.sessionId,
+        doctorName: session?.doctorName,
+        doctorId: session?.doctorId,
+        department: session?.department,
+        sessionType: session?.sessionType,
+        date: session?.startTime,
+        endTime: session?.endTime,
+        durationMinutes: session?.duration
+      },
+      noteType: template.name,
+      title: template.title,
+      sections: noteSections(summary),
+      medications: (extracted.medications || []).map(medication =>
+        typeof medication === 'string' ? { name: medication } : medication
+      ),
+      diagnoses,
+      keyPoints: (summary.keyPoints || []).map(({ category, point, confidence }) => ({ category, point, confidence })),
+      symptoms: (extracted.symptoms || []).map(symptom =>
+        typeof symptom === 'string' ? { name: symptom } : symptom
+      ),
+      procedures: (extracted.procedures || []).map(procedure =>
+        typeof procedure === 'string' ? { name: procedure } : procedure
+      ),
+      vitalSigns: extracted.vitalSigns || {},
+      approval: {
+        isApproved: !!summary.isApproved,
+        reviewer: reviewer ? reviewer.name : summary.reviewedBy,
+        reviewerId: summary.reviewedBy,
+        reviewedAt: summary.reviewedAt,
+        notes: summary.reviewNotes
+      }
+    };
+  }
+};
+
+module.exports = clinicalNoteService;
@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+
+// Placeholder types, in the order overlapping matches are preferred
+const TYPES = ['NAME', 'MRN', 'ID', 'EMAIL', 'PHONE', 'ADDRESS', 'DATE'];
+
+const MONTHS = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|jun(?:e)?|jul(?:y)?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const STREET_SUFFIXES = 'street|st|road|rd|avenue|ave|lane|ln|drive|dr|boulevard|blvd|nagar|marg|colony|sector|layout|cross|main';
+
+// "st" -> "[sS][tT]": case-insensitive for part of a pattern that is otherwise case-sensitive
+const anyCase = (pattern) => pattern.replace(/[a-z]/g, letter => `[${letter}${letter.toUpperCase()}]`);
+
+// Rule-based detectors; dictionary matches from the patient record run alongside them
+const RULES = [
+  { type: 'EMAIL', pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  // Aadhaar (12 digits, usually 4-4-4) and PAN
+  { type: 'ID', pattern: /\b\d{4}[ -]\d{4}[ -]\d{4}\b/g },
+  { type: 'ID', pattern: /\b[A-Z]{5}\d{4}[A-Z]\b/g },
+  // US SSN
+  { type: 'ID', pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { type: 'MRN', pattern: /\b(?:MRN|medical record(?: number)?|patient id|UHID)[\s:#.-]*(?:is\s+)?([A-Z0-9-]{4,})\b/gi, group: 1 },
+  { type: 'MRN', pattern: /\bpat_\d+_[a-z0-9]+\b/g },
+  // +91 98765 43210, 098765-43210, (555) 123-4567, 555.123.4567
+  { type: 'PHONE', pattern: /(?:\+\d{1,3}[\s-]?)?(?:\(\d{2,4}\)[\s-]?)?\d{2,5}[\s.-]?\d{3,5}[\s.-]?\d{3,5}\b/g, minDigits: 10 },
+  { type: 'DATE', pattern: /\b\d{1,2}[/.-]\d{1,2}[/.-](?:\d{4}|\d{2})\b/g },
+  { type: 'DATE', pattern: /\b\d{4}-\d{2}-\d{2}\b/g },
+  { type: 'DATE', pattern: new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?(?:\\s+of)?\\s+(?:${MONTHS})\\.?,?\\s+\\d{4}\\b`, 'gi') },
+  { type: 'DATE', pattern: new RegExp(`\\b(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}\\b`, 'gi') },
+  // Street-name words must be capitalized, so "500 mg with main meal" is not an address
+  { type: 'ADDRESS', pattern: new RegExp(`\\b\\d{1,5}[A-Za-z]?,?\\s+(?:[A-Z][\\w'-]*\\s+){1,4}(?:${anyCase(STREET_SUFFIXES)})\\b\\.?`, 'g') },
+  // Titles and self-introductions: "Mr. Sharma", "my name is Priya Nair"
+  { type: 'NAME', pattern: /\b(?:Mr|Mrs|Ms|Miss|Mx|Dr|Shri|Smt)\.?\s+((?:[A-Z][a-z'-]+)(?:\s+[A-Z][a-z'-]+)?)/g, group: 1 },
+  { type: 'NAME', pattern: /\b(?:my name is|this is|I am|I'm)\s+([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?)/g, group: 1, caseSensitiveGroup: true }
+];
+
+// Words that follow "I am" / "this is" and are not names
+const NOT_NAMES = new Set([
+  'Doctor', 'Patient', 'Fine', 'Good', 'Okay', 'Not', 'Feeling', 'Here', 'Sorry', 'Sure',
+  'Allergic', 'Diabetic', 'Pregnant', 'Taking', 'On', 'Worried', 'Tired', 'Having'
+]);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Key used to give equal values the same placeholder
+const normalizeValue = (type, value) => {
+  if (['PHONE', 'ID', 'MRN'].includes(type)) return value.replace(/[^\dA-Za-z]/g, '').toLowerCase();
+  return value.replace(/\s+/g, ' ').trim().toLowerCase();
+};
+
+const formatDates = (date) => {
+  if (!date || isNaN(new Date(date))) return [];
+  const d = new Date(date);
+  const day = d.getUTCDate();
+  const month = d.getUTCMonth() + 1;
+  const year = d.getUTCFullYear();
+  const pad = (n) => String(n).padStart(2, '0');
+  const monthName = d.toLocaleString('en-US', { month: 'long', timeZone: 'UTC' });
+  return [
+    `${pad(day)}/${pad(month)}/${year}`,
+    `${day}/${month}/${year}`,
+    `${pad(month)}/${pad(day)}/${year}`,
+    `${year}-${pad(month)}-${pad(day)}`,
+    `${day} ${monthName} ${year}`,
+    `${monthName} ${day}, ${year}`
+  ];
+};
+
+/**
+ * Known identifiers for a session, from the linked Patient record.
+ * @returns {Array<{type: string, value: string}>}
+ */
+const buildDictionary = ({ patient, session } = {}) => {
+  const entries = [];
+  const add = (type, value) => {
+    if (typeof value === 'string' && value.trim().length >= 2) {
+      entries.push({ type, value: value.trim() });
+    }
+  };
+
+  if (patient) {
+    add('NAME', [patient.firstName, patient.lastName].filter(Boolean).join(' '));
+    add('NAME', patient.firstName);
+    add('NAME', patient.lastName);
+    add('MRN', patient.patientId);
+    add('PHONE', patient.contactInfo?.phone);
+    add('EMAIL', patient.contactInfo?.email);
+    add('ADDRESS', patient.contactInfo?.address?.street);
+    add('ADDRESS', patient.contactInfo?.address?.zipCode);
+    add('NAME', patient.emergencyContact?.name);
+    add('PHONE', patient.emergencyContact?.phone);
+    formatDates(patient.dateOfBirth).forEach(date => add('DATE', date));
+  }
+
+  if (session) {
+    add('NAME', session.doctorName);
+  }
+
+  return entries;
+};
+
+/**
+ * Swaps PHI for consistent placeholders such as [NAME_1] and restores it
+ * afterwards. Use one redactor for all prompts of a session so the same
+ * person or number keeps the same placeholder.
+ */
+class Redactor {
+  constructor(dictionary = []) {
+    this.dictionary = dictionary
+      .filter(entry => entry.type !== 'NAME' || entry.value.length >= 3)
+      .sort((a, b) => b.value.length - a.value.length);
+    this.placeholders = new Map(); // `${type}:${normalized}` -> placeholder
+    this.values = new Map(); // placeholder -> original text
+    this.counters = {};
+  }
+
+  placeholderFor(type, value) {
+    const key = `${type}:${normalizeValue(type, value)}`;
+    if (!this.placeholders.has(key)) {
+      this.counters[type] = (this.counters[type] || 0) + 1;
+      const placeholder = `[${type}_${this.counters[type]}]`;
+      this.placeholders.set(key, placeholder);
+      this.values.set(placeholder, value);
+    }
+    return this.placeholders.get(key);
+  }
+
+  // All PHI spans in text, overlaps resolved in favour of the longest match
+  detect(text) {
+    const spans = [];
+
+    this.dictionary.forEach(({ type, value }) => {
+      // Names must be capitalized in the text, so a patient called "May" does not match the verb
+      const flags = type === 'NAME' ? 'g' : 'gi';
+      const pattern = new RegExp(`(?<![\\w@])${escapeRegExp(value).replace(/\s+/g, '\\s+')}(?![\\w@])`, flags);
+      for (const match of text.matchAll(pattern)) {
+        spans.push({ type, start: match.index, end: match.index + match[0].length, value: match[0] });
+      }
+    });
+
+    RULES.forEach(rule => {
+      for (const match of text.matchAll(rule.pattern)) {
+        let value = match[0];
+        let start = match.index;
+        if (rule.group) {
+          value = match[rule.group];
+          start = match.index + match[0].lastIndexOf(value);
+        }
+        if (rule.minDigits && value.replace(/\D/g, '').length < rule.minDigits) continue;
+        if (rule.type === 'NAME' && NOT_NAMES.has(value.split(/\s+/)[0])) continue;
+        if (rule.caseSensitiveGroup && !/^[A-Z]/.test(value)) continue;
+        spans.push({ type: rule.type, start, end: start + value.length, value });
+      }
+    });
+
+    spans.sort((a, b) =>
+      a.start - b.start ||
+      (b.end - b.start) - (a.end - a.start) ||
+      TYPES.indexOf(a.type) - TYPES.indexOf(b.type)
+    );
+
+    const selected = [];
+    spans.forEach(span => {
+      const previous = selected[selected.length - 1];
+      if (previous && span.start < previous.end) return;
+      selected.push(span);
+    });
+    return selected;
+  }
+
+  /**
+   * Replace PHI in text with placeholders.
+   * @returns {string}
+   */
+  redact(text) {
+    if (!text) return text;
+
+    let output = '';
+    let position = 0;
+    this.detect(text).forEach(span => {
+      output += text.slice(position, span.start) + this.placeholderFor(span.type, span.value);
+      position = span.end;
+    });
+    return output + text.slice(position);
+  }
+
+  /**
+   * Put original values back into LLM output: strings, arrays and objects
+   * are walked recursively. Placeholders the model dropped the brackets
+   * from are restored too.
+   */
+  reidentify(value) {
+    if (typeof value === 'string') {
+      return value.replace(new RegExp(`\\[?\\b(${TYPES.join('|')})_(\\d+)\\b\\]?`, 'g'), (match, type, index) => {
+        const original = this.values.get(`[${type}_${index}]`);
+        return original !== undefined ? original : match;
+      });
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.reidentify(item));
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.reidentify(item)]));
+    }
+    return value;
+  }
+
+  // Number of distinct values replaced, per type
+  summary() {
+    return { ...this.counters };
+  }
+}
+
+const deidentificationService = {
+  TYPES,
+
+  // Instruction added to prompts that contain placeholders
+  PROMPT_NOTE: 'Identifying details have been replaced with placeholders such as [NAME_1] or [DATE_2]. Use the placeholders exactly as written wherever you refer to those details, and do not guess the real values.',
+
+  buildDictionary,
+
+  /**
+   * Redactor for a session, seeded with its patient's identifiers. Without a
+   * patient (e.g. during transcription) only the rule-based detectors apply.
+   */
+  createRedactor({ patient, session } = {}) {
+    return new Redactor(buildDictionary({ patient, session }));
+  },
+
+  // Redactor for a session document (patient populated or not)
+  async forSession(session) {
+    let patient = session.patient;
+    if (patient && !patient.firstName) {
+      patient = await mongoose.model('Patient').findById(patient);
+    }
+    return this.createRedactor({ patient, session });
+  }
+};
+
+module.exports = deidentificationService;
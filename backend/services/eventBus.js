@@ -0,0 +1,42 @@
+const redisService = require('./redisService');
+
+// Socket.IO events raised outside the API process (job workers) are published
+// on this Redis channel and re-emitted by the API process that owns the sockets.
+const CHANNEL = 'socket-events';
+
+let io = null;
+let subscriber = null;
+
+const eventBus = {
+  // Called by the API process once Socket.IO and Redis are set up
+  async attach(socketServer) {
+    io = socketServer;
+
+    if (redisService.isConnected && !subscriber) {
+      subscriber = await redisService.subscribe(CHANNEL, ({ room, event, payload }) => {
+        io.to(room).emit(event, payload);
+      });
+    }
+  },
+
+  async detach() {
+    if (subscriber) {
+      await subscriber.quit().catch(() => {});
+      subscriber = null;
+    }
+    io = null;
+  },
+
+  // Emit an event to everyone in a session room
+  async emit(room, event, payload) {
+    if (redisService.isConnected && await redisService.publish(CHANNEL, { room, event, payload })) {
+      return;
+    }
+
+    if (io) {
+      io.to(room).emit(event, payload);
+    }
+  }
+};
+
+module.exports = eventBus;
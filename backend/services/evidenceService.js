@@ -0,0 +1,199 @@
+const config = require('../config');
+const llmService = require('./llmService');
+const transcriptChunker = require('./transcriptChunker');
+const deidentificationService = require('./deidentificationService');
+const llmSchemas = require('./llmSchemas');
+
+const summaryModel = () => config.llmSummaryModel || config.llmModel;
+
+// Sentence ends, except after common abbreviations ("Dr. Rao", "e.g. ibuprofen")
+const ABBREVIATIONS = /\b(?:dr|mr|mrs|ms|st|vs|approx|e\.g|i\.e)\.$/i;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'was', 'were', 'has', 'have', 'had', 'are', 'but',
+  'not', 'any', 'from', 'his', 'her', 'she', 'him', 'they', 'their', 'patient', 'reports', 'reported',
+  'states', 'denies', 'also', 'been', 'will', 'would', 'should', 'about', 'into', 'over', 'per'
+]);
+
+// Share of a statement's content words a segment must contain to count as support
+const LEXICAL_THRESHOLD = 0.6;
+
+const contentWords = (text) => new Set(
+  String(text || '').toLowerCase().match(/[a-z0-9]+/g)?.filter(word => word.length > 2 && !STOP_WORDS.has(word)) || []
+);
+
+const EXTRACTED_TYPES = [
+  { field: 'symptoms', type: 'symptom', label: item => item.name },
+  { field: 'diagnoses', type: 'diagnosis', label: item => item.condition },
+  { field: 'medications', type: 'medication', label: item => item.name },
+  { field: 'procedures', type: 'procedure', label: item => item.name }
+];
+
+/**
+ * Links summary statements back to the transcript segments that support
+ * them, and lists what has no support so reviewers can check it before
+ * approval.
+ */
+const evidenceService = {
+  // Split free text into sentences and list items
+  splitSentences(text) {
+    const sentences = [];
+    String(text || '').split(/\n+/).forEach(line => {
+      let current = '';
+      // List markers ("- ", "2. ") are not sentences of their own
+      line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').split(/(?<=[.?!])\s+/).forEach(part => {
+        current = current ? `${current} ${part}` : part;
+        if (!ABBREVIATIONS.test(current.trim())) {
+          sentences.push(current);
+          current = '';
+        }
+      });
+      if (current) sentences.push(current);
+    });
+    return sentences.map(sentence => sentence.trim()).filter(Boolean);
+  },
+
+  /**
+   * @param {Object} content - Summary content
+   * @param {Object} template - Note template; its sections give the order
+   * @returns {Array} [{ section, index, text }]
+   */
+  splitStatements(content, template) {
+    return template.sections.flatMap(section =>
+      this.splitSentences(content[section.key]).map((text, index) => ({ section: section.key, index, text }))
+    );
+  },
+
+  /**
+   * Cite transcript segments for each statement. The model is asked, one
+   * chunk at a time, which segments support which statements; statements it
+   * finds no support for fall back to word overlap with a single segment.
+   * Whatever is still uncited is marked unsupported.
+   * @param {Array} statements - From splitStatements (de-identified text)
+   * @param {Array} chunks - Transcript chunks with de-identified text
+   * @param {Map} byRef - ref -> de-identified segment
+   */
+  async citeStatements(statements, chunks, byRef, tokenUsage = llmService.emptyUsage()) {
+    const cited = statements.map(statement => ({ ...statement, refs: new Set() }));
+    if (cited.length === 0) return [];
+
+    const numbered = cited.map((statement, i) => `${i + 1}. ${statement.text}`).join('\n');
+
+    for (const chunk of chunks) {
+      const prompt = `You are checking a clinical note against part ${chunk.index + 1} of ${chunks.length} of the consultation transcript.
+    For each numbered statement, list the segments of this transcript part that support it.
+    Use [] when this part does not support it. Do not cite a segment that only mentions the topic without supporting the statement.
+    Return a JSON object keyed by statement number, each value an array of segment references.
+
+    ${deidentificationService.PROMPT_NOTE}
+
+    Statements:
+${numbered}
+
+    Transcript: ${chunk.text}
+
+    Response (JSON only):`;
+
+      let result;
+      try {
+        result = await llmService.generateJson(prompt, { model: summaryModel(), schema: llmSchemas.citations });
+      } catch (error) {
+        throw new Error(`Citation of transcript part ${chunk.index + 1} failed: ${error.message}`);
+      }
+      llmService.addUsage(tokenUsage, result.usage);
+
+      Object.entries(result.data).forEach(([number, refs]) => {
+        const statement = cited[parseInt(number) - 1];
+        if (!statement) return;
+        refs.forEach(ref => {
+          const normalized = `S${String(ref).replace(/[^0-9]/g, '')}`;
+          // Only segments of this chunk can support a statement from it
+          if (chunk.segments.some(segment => segment.ref === normalized)) statement.refs.add(normalized);
+        });
+      });
+    }
+
+    const segments = [...byRef.values()];
+    return cited.map(({ refs, ...statement }) => {
+      if (refs.size === 0) {
+        const best = this.lexicalMatch(statement.text, segments);
+        if (best) refs.add(best.ref);
+      }
+      const sources = transcriptChunker.sources([...refs], byRef);
+      return { ...statement, sources, supported: sources.length > 0, origin: 'generated' };
+    });
+  },
+
+  // Segment that contains most of a statement's content words, if enough of them
+  lexicalMatch(text, segments) {
+    const words = contentWords(text);
+    if (words.size < 2) return null;
+
+    let best = null;
+    segments.forEach(segment => {
+      const segmentWords = contentWords(segment.text);
+      const shared = [...words].filter(word => segmentWords.has(word)).length;
+      const score = shared / words.size;
+      if (shared >= 2 && score >= LEXICAL_THRESHOLD && (!best || score > best.score)) {
+        best = { ref: segment.ref, score };
+      }
+    });
+    return best;
+  },
+
+  /**
+   * Statements after a manual edit. Untouched sections keep theirs as they
+   * are; in edited sections, sentences that were already there keep their
+   * citations and new ones are the editor's own, recorded as
+   * clinician-authored rather than flagged.
+   */
+  restate(previous, previousContent, content, template) {
+    const statements = previous || [];
+    const before = new Map(statements.map(statement => [`${statement.section}\n${statement.text}`, statement]));
+
+    return template.sections.flatMap(section => {
+      if ((previousContent[section.key] || '') === (content[section.key] || '')) {
+        return statements
+          .filter(statement => statement.section === section.key)
+          .map(statement => (statement.toObject ? statement.toObject() : statement));
+      }
+
+      return this.splitSentences(content[section.key]).map((text, index) => {
+        const existing = before.get(`${section.key}\n${text}`);
+        return existing
+          ? { section: section.key, index, text, sources: existing.sources, supported: existing.supported, origin: existing.origin }
+          : { section: section.key, index, text, sources: [], supported: true, origin: 'clinician' };
+      });
+    });
+  },
+
+  /**
+   * Everything in a summary that has no transcript support. Summaries
+   * generated before citations were collected have no statements and are
+   * not flagged.
+   * @returns {Array} [{ type, section?, text }]
+   */
+  unsupported(summary) {
+    const statements = summary.statements || [];
+    if (statements.length === 0) return [];
+
+    const flagged = statements
+      .filter(statement => !statement.supported)
+      .map(statement => ({ type: 'statement', section: statement.section, text: statement.text }));
+
+    (summary.keyPoints || [])
+      .filter(keyPoint => !keyPoint.sources || keyPoint.sources.length === 0)
+      .forEach(keyPoint => flagged.push({ type: 'keyPoint', text: keyPoint.point }));
+
+    const extracted = summary.extractedData || {};
+    EXTRACTED_TYPES.forEach(({ field, type, label }) => {
+      (extracted[field] || [])
+        .filter(item => !item.sources || item.sources.length === 0)
+        .forEach(item => flagged.push({ type, text: label(item) }));
+    });
+
+    return flagged;
+  }
+};
+
+module.exports = evidenceService;
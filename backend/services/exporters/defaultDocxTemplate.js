@@ -0,0 +1,122 @@
+const PizZip = require('pizzip');
+
+// Built-in Word template, used until an admin uploads one. Download it from
+// GET /api/templates/builtin/download as a starting point for clinic templates.
+
+const escapeXml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const run = (text, { bold = false, size, color } = {}) => {
+  const props = [
+    bold ? '<w:b/>' : '',
+    color ? `<w:color w:val="${color}"/>` : '',
+    size ? `<w:sz w:val="${size}"/>` : ''
+  ].join('');
+  return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+};
+
+const paragraph = (runs, { align, spacingAfter = 80 } = {}) => {
+  const props = `<w:pPr>${align ? `<w:jc w:val="${align}"/>` : ''}<w:spacing w:after="${spacingAfter}"/></w:pPr>`;
+  return `<w:p>${props}${[].concat(runs).join('')}</w:p>`;
+};
+
+const heading = (text) => paragraph(run(text, { bold: true, size: 24, color: '1976D2' }), { spacingAfter: 60 });
+
+const labeled = (pairs) => paragraph(pairs.flatMap(([label, value], index) => [
+  run(`${index > 0 ? '    ' : ''}${label}: `, { bold: true }),
+  run(value)
+]));
+
+const cell = (content, { bold = false, width = 1800 } = {}) =>
+  `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/></w:tcPr>${paragraph(run(content, { bold }), { spacingAfter: 0 })}</w:tc>`;
+
+const medicationTable = () => {
+  const border = '<w:top w:val="single" w:sz="4" w:color="CCCCCC"/><w:left w:val="single" w:sz="4" w:color="CCCCCC"/>' +
+    '<w:bottom w:val="single" w:sz="4" w:color="CCCCCC"/><w:right w:val="single" w:sz="4" w:color="CCCCCC"/>' +
+    '<w:insideH w:val="single" w:sz="4" w:color="CCCCCC"/><w:insideV w:val="single" w:sz="4" w:color="CCCCCC"/>';
+  const header = ['Medication', 'Dosage', 'Frequency', 'Duration', 'Route'];
+  // The loop tags sit in the first and last cell so the whole row repeats
+  const row = ['{#medicationList}{name}', '{dosage}', '{frequency}', '{duration}', '{route}{/medicationList}'];
+
+  return `<w:tbl><w:tblPr><w:tblW w:w="9000" w:type="dxa"/><w:tblBorders>${border}</w:tblBorders></w:tblPr>` +
+    `<w:tr>${header.map(title => cell(title, { bold: true })).join('')}</w:tr>` +
+    `<w:tr>${row.map(text => cell(text)).join('')}</w:tr></w:tbl>`;
+};
+
+const documentXml = () => {
+  const body = [
+    paragraph(run('{clinicName}', { bold: true, size: 32 }), { spacingAfter: 0 }),
+    paragraph(run('{clinicAddress}    {clinicPhone}', { color: '666666', size: 18 })),
+    paragraph(run('{noteTitle}', { bold: true, size: 28 }), { align: 'center' }),
+    paragraph(run('{#isDraft}DRAFT — not yet approved{/isDraft}', { bold: true, color: 'CC0000' }), { align: 'center' }),
+
+    heading('Patient'),
+    labeled([['Name', '{patientName}'], ['Patient ID', '{patientId}']]),
+    labeled([['Date of Birth', '{patientDateOfBirth}'], ['Age', '{patientAge}'], ['Gender', '{patientGender}']]),
+
+    heading('Encounter'),
+    labeled([['Doctor', '{doctorName}'], ['Department', '{department}']]),
+    labeled([['Date', '{sessionDate}'], ['Duration', '{sessionDuration}'], ['Visit Type', '{sessionType}']]),
+
+    paragraph(run('{#sections}')),
+    heading('{title}'),
+    paragraph(run('{text}')),
+    paragraph(run('{/sections}')),
+
+    paragraph(run('{#hasKeyPoints}')),
+    heading('Key Points'),
+    paragraph(run('{#keyPoints}')),
+    paragraph([run('{category}: ', { bold: true }), run('{point}')]),
+    paragraph(run('{/keyPoints}')),
+    paragraph(run('{/hasKeyPoints}')),
+
+    paragraph(run('{#hasMedications}')),
+    heading('Medication List'),
+    medicationTable(),
+    paragraph(run('{/hasMedications}')),
+
+    paragraph(run('{#hasDiagnoses}')),
+    heading('Diagnoses (ICD-10)'),
+    paragraph(run('{#diagnoses}')),
+    paragraph([run('{code}  ', { bold: true }), run('{name}')]),
+    paragraph(run('{/diagnoses}')),
+    paragraph(run('{/hasDiagnoses}')),
+
+    heading('Review'),
+    labeled([['Status', '{approvalStatus}'], ['Reviewed By', '{reviewer}'], ['Reviewed On', '{reviewedAt}']]),
+    paragraph(run('{reviewNotes}', { color: '666666' })),
+
+    paragraph(run('{summaryId} v{summaryVersion} · {templateName} v{templateVersion}', { color: '999999', size: 16 }))
+  ].join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+    `<w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/>` +
+    '<w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/>' +
+    '</w:sectPr></w:body></w:document>';
+};
+
+let cached = null;
+
+// The built-in template as a .docx buffer
+function defaultDocxTemplate() {
+  if (!cached) {
+    const zip = new PizZip();
+    zip.file('[Content_Types].xml',
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+      '</Types>');
+    zip.file('_rels/.rels',
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+      '</Relationships>');
+    zip.file('word/document.xml', documentXml());
+    cached = zip.generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+  return cached;
+}
+
+module.exports = defaultDocxTemplate;
@@ -0,0 +1,146 @@
+const PizZip = require('pizzip');
+const Docxtemplater = require('docxtemplater');
+const defaultDocxTemplate = require('./defaultDocxTemplate');
+
+const formatDate = (date, withTime = false) => {
+  if (!date) return '';
+  const options = { year: 'numeric', month: 'short', day: 'numeric' };
+  if (withTime) Object.assign(options, { hour: '2-digit', minute: '2-digit' });
+  return new Date(date).toLocaleString('en-GB', options);
+};
+
+const capitalize = (text) => (text ? text.charAt(0).toUpperCase() + text.slice(1) : '');
+
+const compile = (content) => new Docxtemplater(new PizZip(content), {
+  paragraphLoop: true,
+  linebreaks: true,
+  // Missing values render as blanks instead of "undefined"
+  nullGetter: () => '',
+  // Errors are reported to the caller instead of printed
+  errorLogging: false
+});
+
+// Docxtemplater reports every broken tag at once; keep the readable part
+const describeTemplateError = (error) => {
+  const errors = error.properties?.errors || [error];
+  return errors.map(e => e.properties?.explanation || e.message);
+};
+
+/**
+ * Clinical note as Word, filled from a .docx template with docxtemplater.
+ * Admins manage templates per department (see templateController); the
+ * built-in template is used when none is uploaded.
+ */
+const docxExporter = {
+  format: 'word',
+  contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  extension: 'docx',
+  usesTemplate: true,
+
+  defaultTemplate: defaultDocxTemplate,
+
+  /**
+   * Flatten a note into the placeholders templates can use. Keep the README
+   * placeholder table in sync when adding fields here.
+   * @param {Object} note - From clinicalNoteService.buildNote
+   * @param {Object} [template] - { templateId, name, version }
+   */
+  templateData(note, template = {}) {
+    const patient = note.patient || {};
+    const encounter = note.encounter;
+    const approval = note.approval;
+    const vitals = note.vitalSigns || {};
+
+    const sectionFields = {};
+    note.sections.forEach(section => {
+      sectionFields[section.key] = section.text;
+    });
+
+    return {
+      clinicName: note.clinic.name,
+      clinicAddress: note.clinic.address,
+      clinicPhone: note.clinic.phone,
+
+      patientName: patient.name || 'Not linked to a patient record',
+      patientId: patient.patientId,
+      patientDateOfBirth: formatDate(patient.dateOfBirth),
+      patientAge: patient.age ?? '',
+      patientGender: capitalize(patient.gender),
+      patientPhone: patient.phone,
+
+      sessionId: encounter.sessionId,
+      doctorName: encounter.doctorName,
+      department: encounter.department,
+      sessionType: capitalize(encounter.sessionType),
+      sessionDate: formatDate(encounter.date, true),
+      sessionDuration: encounter.durationMinutes ? `${encounter.durationMinutes} min` : '',
+
+      noteType: note.noteType,
+      noteTitle: note.title,
+      ...sectionFields,
+      sections: note.sections,
+
+      keyPoints: note.keyPoints.map(keyPoint => ({ ...keyPoint, category: capitalize(keyPoint.category.replace('_', ' ')) })),
+      hasKeyPoints: note.keyPoints.length > 0,
+      medicationList: note.medications,
+      hasMedications: note.medications.length > 0,
+      diagnoses: note.diagnoses,
+      hasDiagnoses: note.diagnoses.length > 0,
+      symptoms: note.symptoms,
+      procedures: note.procedures,
+
+      bloodPressure: vitals.bloodPressure,
+      heartRate: vitals.heartRate,
+      temperature: vitals.temperature,
+      respiratoryRate: vitals.respiratoryRate,
+      oxygenSaturation: vitals.oxygenSaturation,
+      weight: vitals.weight,
+      height: vitals.height,
+
+      isDraft: !approval.isApproved,
+      approvalStatus: approval.isApproved ? 'Approved' : 'Draft — not yet approved',
+      reviewer: approval.reviewer,
+      reviewedAt: formatDate(approval.reviewedAt, true),
+      reviewNotes: approval.notes,
+
+      summaryId: note.summaryId,
+      summaryVersion: note.version || 1,
+      generatedAt: formatDate(note.generatedAt, true),
+      templateId: template.templateId,
+      templateName: template.name,
+      templateVersion: template.version
+    };
+  },
+
+  /**
+   * Check an uploaded template parses and its tags are balanced.
+   * @param {Buffer} content
+   * @returns {string[]} Problems found; empty when the template is usable
+   */
+  validateTemplate(content) {
+    try {
+      compile(content);
+      return [];
+    } catch (error) {
+      return describeTemplateError(error);
+    }
+  },
+
+  /**
+   * @param {Object} note - From clinicalNoteService.buildNote
+   * @param {Object} [options]
+   * @param {Object} [options.template] - { templateId, name, version, content }; built-in when omitted
+   * @returns {Promise<Buffer>}
+   */
+  async render(note, { template } = {}) {
+    const doc = compile(template?.content || defaultDocxTemplate());
+    try {
+      doc.render(this.templateData(note, template));
+    } catch (error) {
+      throw new Error(`Template could not be rendered: ${describeTemplateError(error).join('; ')}`);
+    }
+    return doc.getZip().generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+};
+
+module.exports = docxExporter;
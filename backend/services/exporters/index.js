@@ -0,0 +1,24 @@
+const pdfExporter = require('./pdfExporter');
+const docxExporter = require('./docxExporter');
+
+// Every exporter implements:
+//   format: string (the :format export route parameter)
+//   contentType: string
+//   extension: string
+//   usesTemplate: boolean (optional) - render takes a DocumentTemplate
+//   render(note, { template }) -> Buffer (async), note from clinicalNoteService.buildNote
+const exporters = {
+  [pdfExporter.format]: pdfExporter,
+  [docxExporter.format]: docxExporter
+};
+
+// Get a clinical note exporter by format
+function getExporter(format) {
+  const exporter = exporters[format];
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${format}. Supported: ${Object.keys(exporters).join(', ')}`);
+  }
+  return exporter;
+}
+
+module.exports = { getExporter, exporters };
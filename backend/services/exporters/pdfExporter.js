@@ -0,0 +1,255 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+const MARGIN = 50;
+const COLORS = {
+  text: '#222222',
+  muted: '#666666',
+  rule: '#cccccc',
+  heading: '#1976d2',
+  watermark: '#cc0000'
+};
+
+const formatDate = (date, withTime = false) => {
+  if (!date) return '—';
+  const options = { year: 'numeric', month: 'short', day: 'numeric' };
+  if (withTime) Object.assign(options, { hour: '2-digit', minute: '2-digit' });
+  return new Date(date).toLocaleString('en-GB', options);
+};
+
+const capitalize = (text) => (text ? text.charAt(0).toUpperCase() + text.slice(1) : '—');
+
+// Start a new page when fewer than `height` points are left
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+};
+
+const rule = (doc) => {
+  doc.moveTo(MARGIN, doc.y).lineTo(doc.page.width - MARGIN, doc.y)
+    .lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+  doc.moveDown(0.5);
+};
+
+const heading = (doc, text) => {
+  ensureSpace(doc, 50);
+  doc.moveDown(0.6);
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(COLORS.heading).text(text);
+  doc.moveDown(0.2);
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.text);
+};
+
+const drawHeader = (doc, { clinic, title }) => {
+  const top = doc.y;
+  let textLeft = MARGIN;
+
+  if (clinic.logoPath && fs.existsSync(clinic.logoPath)) {
+    try {
+      doc.image(clinic.logoPath, MARGIN, top, { fit: [60, 60] });
+      textLeft = MARGIN + 72;
+    } catch (error) {
+      console.warn('Clinic logo could not be drawn:', error.message);
+    }
+  }
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(COLORS.text).text(clinic.name, textLeft, top);
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted);
+  [clinic.address, clinic.phone && `Tel: ${clinic.phone}`].filter(Boolean)
+    .forEach(line => doc.text(line, textLeft));
+
+  doc.x = MARGIN;
+  doc.y = Math.max(doc.y, top + (textLeft > MARGIN ? 64 : 0)) + 8;
+  rule(doc);
+
+  doc.font('Helvetica-Bold').fontSize(14).fillColor(COLORS.text).text(title || 'Clinical Note', { align: 'center' });
+  doc.moveDown(0.5);
+};
+
+// Two columns of label/value pairs
+const drawDetails = (doc, rows) => {
+  const columnWidth = (doc.page.width - MARGIN * 2) / 2;
+  for (let i = 0; i < rows.length; i += 2) {
+    ensureSpace(doc, 16);
+    const y = doc.y;
+    let bottom = y;
+    rows.slice(i, i + 2).forEach(([label, value], column) => {
+      const x = MARGIN + column * columnWidth;
+      doc.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.muted).text(`${label}: `, x, y, { continued: true, width: columnWidth - 10 });
+      doc.font('Helvetica').fillColor(COLORS.text).text(value || '—');
+      bottom = Math.max(bottom, doc.y);
+    });
+    doc.x = MARGIN;
+    doc.y = bottom + 2;
+  }
+};
+
+const drawMedicationTable = (doc, medications) => {
+  const columns = [
+    { key: 'name', title: 'Medication', width: 0.28 },
+    { key: 'dosage', title: 'Dosage', width: 0.16 },
+    { key: 'frequency', title: 'Frequency', width: 0.2 },
+    { key: 'duration', title: 'Duration', width: 0.18 },
+    { key: 'route', title: 'Route', width: 0.18 }
+  ];
+  const tableWidth = doc.page.width - MARGIN * 2;
+  const padding = 4;
+
+  const drawRow = (cells, { bold = false, shade = false } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    const height = Math.max(...columns.map((column, index) =>
+      doc.heightOfString(cells[index] || '—', { width: column.width * tableWidth - padding * 2 })
+    )) + padding * 2;
+
+    ensureSpace(doc, height);
+    const y = doc.y;
+    if (shade) {
+      doc.rect(MARGIN, y, tableWidth, height).fill('#f0f4f8');
+    }
+
+    let x = MARGIN;
+    columns.forEach((column, index) => {
+      const width = column.width * tableWidth;
+      doc.rect(x, y, width, height).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+      doc.fillColor(COLORS.text).text(cells[index] || '—', x + padding, y + padding, { width: width - padding * 2 });
+      x += width;
+    });
+
+    doc.x = MARGIN;
+    doc.y = y + height;
+  };
+
+  drawRow(columns.map(column => column.title), { bold: true, shade: true });
+  medications.forEach(medication => drawRow(columns.map(column => medication[column.key])));
+  doc.moveDown(0.5);
+};
+
+// Watermark and page numbers go on every page once the content is laid out
+const decoratePages = (doc, note) => {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+
+    // Writing into the margin would otherwise trigger a new page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    if (!note.approval.isApproved) {
+      doc.save();
+      doc.rotate(-45, { origin: [doc.page.width / 2, doc.page.height / 2] });
+      doc.font('Helvetica-Bold').fontSize(110).fillColor(COLORS.watermark).fillOpacity(0.12)
+        .text('DRAFT', 0, doc.page.height / 2 - 60, { width: doc.page.width, align: 'center', lineBreak: false });
+      doc.restore();
+    }
+
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted).fillOpacity(1);
+    doc.text(
+      `${note.summaryId} · v${note.version || 1}`,
+      MARGIN, doc.page.height - 35,
+      { width: doc.page.width - MARGIN * 2, align: 'left', lineBreak: false }
+    );
+    doc.text(
+      `Page ${i - range.start + 1} of ${range.count}`,
+      MARGIN, doc.page.height - 35,
+      { width: doc.page.width - MARGIN * 2, align: 'right', lineBreak: false }
+    );
+
+    doc.page.margins.bottom = bottomMargin;
+  }
+};
+
+/**
+ * Clinical note as PDF, built with pdfkit.
+ */
+const pdfExporter = {
+  format: 'pdf',
+  contentType: 'application/pdf',
+  extension: 'pdf',
+
+  /**
+   * @param {Object} note - From clinicalNoteService.buildNote
+   * @returns {Promise<Buffer>}
+   */
+  render(note) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margins: { top: MARGIN, bottom: MARGIN + 20, left: MARGIN, right: MARGIN },
+        bufferPages: true,
+        info: {
+          Title: `Clinical Note ${note.summaryId}`,
+          Author: note.encounter.doctorName || note.clinic.name,
+          Creator: note.clinic.name
+        }
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        drawHeader(doc, note);
+
+        heading(doc, 'Patient');
+        const patient = note.patient;
+        drawDetails(doc, patient ? [
+          ['Name', patient.name],
+          ['Patient ID', patient.patientId],
+          ['Date of Birth', `${formatDate(patient.dateOfBirth)}${patient.age !== null ? ` (${patient.age} y)` : ''}`],
+          ['Gender', capitalize(patient.gender)],
+          ['Phone', patient.phone]
+        ] : [['Name', 'Not linked to a patient record']]);
+
+        heading(doc, 'Encounter');
+        const encounter = note.encounter;
+        drawDetails(doc, [
+          ['Doctor', encounter.doctorName],
+          ['Department', encounter.department],
+          ['Date', formatDate(encounter.date, true)],
+          ['Duration', encounter.durationMinutes ? `${encounter.durationMinutes} min` : '—'],
+          ['Visit Type', capitalize(encounter.sessionType)],
+          ['Session ID', encounter.sessionId]
+        ]);
+
+        note.sections.forEach(section => {
+          heading(doc, section.title);
+          doc.text(section.text, { align: 'left', lineGap: 2 });
+        });
+
+        if (note.medications.length > 0) {
+          heading(doc, 'Medication List');
+          drawMedicationTable(doc, note.medications);
+        }
+
+        if (note.diagnoses.length > 0) {
+          heading(doc, 'Diagnoses (ICD-10)');
+          note.diagnoses.forEach(diagnosis => {
+            ensureSpace(doc, 14);
+            doc.font('Helvetica-Bold').text(diagnosis.code, { continued: true })
+              .font('Helvetica').text(diagnosis.name ? `  ${diagnosis.name}` : '');
+          });
+        }
+
+        heading(doc, 'Review');
+        const approval = note.approval;
+        drawDetails(doc, [
+          ['Status', approval.isApproved ? 'Approved' : 'Draft — not yet approved'],
+          ['Reviewed By', approval.reviewer],
+          ['Reviewed On', formatDate(approval.reviewedAt, true)],
+          ['Generated', formatDate(note.generatedAt, true)]
+        ]);
+        if (approval.notes) {
+          doc.font('Helvetica-Oblique').fontSize(9).fillColor(COLORS.muted).text(approval.notes);
+        }
+
+        decoratePages(doc, note);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+};
+
+module.exports = pdfExporter;
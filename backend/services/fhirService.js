@@ -0,0 +1,486 @@
+const crypto = require('crypto');
+const config = require('../config');
+const User = require('../models/user');
+const { noteSections } = require('./clinicalNoteService');
+
+// Code systems
+const SYSTEMS = {
+  loinc: 'http://loinc.org',
+  icd10cm: 'http://hl7.org/fhir/sid/icd-10-cm',
+  cpt: 'http://www.ama-assn.org/go/cpt',
+  ucum: 'http://unitsofmeasure.org',
+  actCode: 'http://terminology.hl7.org/CodeSystem/v3-ActCode',
+  conditionClinical: 'http://terminology.hl7.org/CodeSystem/condition-clinical',
+  conditionVerification: 'http://terminology.hl7.org/CodeSystem/condition-ver-status',
+  conditionCategory: 'http://terminology.hl7.org/CodeSystem/condition-category',
+  observationCategory: 'http://terminology.hl7.org/CodeSystem/observation-category',
+  dataAbsentReason: 'http://terminology.hl7.org/CodeSystem/data-absent-reason'
+};
+
+const identifierSystem = (kind) => `${config.fhirIdentifierBase}/${kind}`;
+
+// LOINC document types per session type
+const NOTE_TYPES = {
+  consultation: { code: '11488-4', display: 'Consult note' },
+  specialist: { code: '11488-4', display: 'Consult note' },
+  emergency: { code: '34111-5', display: 'Emergency department note' },
+  'follow-up': { code: '11506-3', display: 'Progress note' },
+  'routine-checkup': { code: '11506-3', display: 'Progress note' },
+  discharge: { code: '18842-5', display: 'Discharge summary' }
+};
+
+// Vital signs: LOINC code, base profile and how to read the free-text value
+// into a quantity with a unit the profile allows
+const VITAL_SIGNS = {
+  heartRate: { code: '8867-4', display: 'Heart rate', profile: 'heartrate', read: value => [value, '/min'] },
+  respiratoryRate: { code: '9279-1', display: 'Respiratory rate', profile: 'resprate', read: value => [value, '/min'] },
+  oxygenSaturation: { code: '2708-6', display: 'Oxygen saturation in Arterial blood', profile: 'oxygensat', read: value => [value, '%'] },
+  temperature: {
+    code: '8310-5', display: 'Body temperature', profile: 'bodytemp',
+    // Above 45 can only be Fahrenheit
+    read: (value, raw) => [value, /°?\s*f\b/i.test(raw) || value > 45 ? '[degF]' : 'Cel']
+  },
+  weight: {
+    code: '29463-7', display: 'Body weight', profile: 'bodyweight',
+    read: (value, raw) => [value, /lb/i.test(raw) ? '[lb_av]' : 'kg']
+  },
+  height: {
+    code: '8302-2', display: 'Body height', profile: 'bodyheight',
+    // Metres are converted; the profile only allows cm and inches
+    read: (value, raw) => (/in|"/i.test(raw) ? [value, '[in_i]'] : value < 3 ? [Math.round(value * 100), 'cm'] : [value, 'cm'])
+  }
+};
+
+const ENCOUNTER_STATUS = {
+  active: 'in-progress',
+  paused: 'onleave',
+  completed: 'finished',
+  cancelled: 'cancelled'
+};
+
+// Stable urn:uuid for a resource so repeated exports reference the same IDs
+const resourceUrn = (...parts) => {
+  const hex = crypto.createHash('sha1').update(parts.join('/')).digest('hex');
+  return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16)}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+};
+
+const escapeXhtml = (text) => String(text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const narrative = (text) => ({
+  status: 'generated',
+  div: `<div xmlns="http://www.w3.org/1999/xhtml">${String(text).split(/\n+/).map(line => `<p>${escapeXhtml(line)}</p>`).join('')}</div>`
+});
+
+const fhirDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : undefined);
+const fhirDateTime = (date) => (date ? new Date(date).toISOString() : undefined);
+
+const codeable = (system, code, display, text) => ({
+  coding: [{ system, code, ...(display && { display }) }],
+  ...(text && { text })
+});
+
+// Drop undefined, empty strings and empty arrays/objects; FHIR forbids empty elements
+const prune = (value) => {
+  if (Array.isArray(value)) {
+    const items = value.map(prune).filter(item => item !== undefined);
+    return items.length > 0 ? items : undefined;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.entries(value)
+      .map(([key, item]) => [key, prune(item)])
+      .filter(([, item]) => item !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+  }
+  return value === '' || value === null ? undefined : value;
+};
+
+// Validation failures carry every problem found, for an OperationOutcome
+const invalidResource = (issues) => {
+  const error = new Error(issues.join('; '));
+  error.status = 400;
+  error.issues = issues;
+  return error;
+};
+
+/**
+ * Maps sessions, summaries and patients to FHIR R4 resources, and FHIR
+ * Patient resources back to our patient model.
+ */
+const fhirService = {
+  patientResource(patient) {
+    const address = patient.contactInfo?.address || {};
+    return prune({
+      resourceType: 'Patient',
+      id: patient._id ? String(patient._id) : undefined,
+      identifier: [{ use: 'usual', system: identifierSystem('patient-id'), value: patient.patientId }]
+        .concat((patient.identifiers || []).map(({ system, value }) => ({ system, value }))),
+      active: patient.isActive !== false,
+      name: [{ use: 'official', family: patient.lastName, given: [patient.firstName] }],
+      telecom: [
+        patient.contactInfo?.phone && { system: 'phone', value: patient.contactInfo.phone },
+        patient.contactInfo?.email && { system: 'email', value: patient.contactInfo.email }
+      ].filter(Boolean),
+      gender: patient.gender,
+      birthDate: fhirDate(patient.dateOfBirth),
+      address: [{
+        line: [address.street],
+        city: address.city,
+        state: address.state,
+        postalCode: address.zipCode,
+        country: address.country
+      }],
+      contact: patient.emergencyContact?.name ? [{
+        relationship: [{ text: patient.emergencyContact.relationship }],
+        name: { text: patient.emergencyContact.name },
+        telecom: [{ system: 'phone', value: patient.emergencyContact.phone }]
+      }] : undefined
+    });
+  },
+
+  /**
+   * Patient fields from a FHIR Patient resource. Only elements present in
+   * the resource are returned, so updates leave the rest of the record alone.
+   * @returns {{ id: string|null, patientId: string|null, identifiers: Array, fields: Object }}
+   * @throws {Error} With `issues` when the resource cannot be mapped
+   */
+  fromPatientResource(resource) {
+    const issues = [];
+    if (!resource || resource.resourceType !== 'Patient') {
+      throw invalidResource(['resourceType must be "Patient"']);
+    }
+
+    const identifiers = (resource.identifier || []).filter(identifier => identifier && identifier.value);
+    const own = identifiers.find(identifier => identifier.system === identifierSystem('patient-id'));
+
+    const name = (resource.name || []).find(n => n.use === 'official') || (resource.name || [])[0];
+    const fields = {};
+    if (name) {
+      const textParts = (name.text || '').trim().split(/\s+/);
+      fields.firstName = (name.given || []).join(' ') || textParts.slice(0, -1).join(' ') || undefined;
+      fields.lastName = name.family || (textParts.length > 1 ? textParts[textParts.length - 1] : undefined);
+    }
+
+    if (resource.gender !== undefined) {
+      if (!['male', 'female', 'other', 'unknown'].includes(resource.gender)) {
+        issues.push(`Patient.gender "${resource.gender}" is not a valid administrative gender`);
+      }
+      // The patient model has no "unknown"
+      fields.gender = resource.gender === 'unknown' ? 'other' : resource.gender;
+    }
+
+    if (resource.birthDate !== undefined) {
+      if (!/^\d{4}(-\d{2}(-\d{2})?)?$/.test(resource.birthDate)) {
+        issues.push('Patient.birthDate must be YYYY, YYYY-MM or YYYY-MM-DD');
+      } else {
+        fields.dateOfBirth = new Date(resource.birthDate);
+      }
+    }
+
+    const telecom = resource.telecom || [];
+    const phone = telecom.find(t => t.system === 'phone');
+    const email = telecom.find(t => t.system === 'email');
+    const address = (resource.address || []).find(a => a.use === 'home') || (resource.address || [])[0];
+    if (phone) fields['contactInfo.phone'] = phone.value;
+    if (email) fields['contactInfo.email'] = email.value;
+    if (address) {
+      fields['contactInfo.address'] = {
+        street: (address.line || []).join(', '),
+        city: address.city,
+        state: address.state,
+        zipCode: address.postalCode,
+        country: address.country
+      };
+    }
+
+    const contact = (resource.contact || [])[0];
+    if (contact) {
+      fields.emergencyContact = {
+        name: contact.name?.text || [(contact.name?.given || []).join(' '), contact.name?.family].filter(Boolean).join(' '),
+        relationship: contact.relationship?.[0]?.text || contact.relationship?.[0]?.coding?.[0]?.display,
+        phone: (contact.telecom || []).find(t => t.system === 'phone')?.value
+      };
+    }
+
+    if (resource.active !== undefined) fields.isActive = resource.active !== false;
+
+    if (issues.length > 0) throw invalidResource(issues);
+
+    return {
+      id: resource.id || null,
+      patientId: own ? own.value : null,
+      identifiers: identifiers
+        .filter(identifier => identifier !== own && identifier.system)
+        .map(({ system, value }) => ({ system, value })),
+      fields: prune(fields) || {}
+    };
+  },
+
+  encounterResource(session, patientRef) {
+    return prune({
+      resourceType: 'Encounter',
+      identifier: [{ system: identifierSystem('session-id'), value: session.sessionId }],
+      status: ENCOUNTER_STATUS[session.status] || 'unknown',
+      class: session.sessionType === 'emergency'
+        ? { system: SYSTEMS.actCode, code: 'EMER', display: 'emergency' }
+        : { system: SYSTEMS.actCode, code: 'AMB', display: 'ambulatory' },
+      type: [{ text: session.sessionType }],
+      serviceType: session.department ? { text: session.department } : undefined,
+      subject: patientRef,
+      participant: [{ individual: { display: session.doctorName } }],
+      period: { start: fhirDateTime(session.startTime), end: fhirDateTime(session.endTime) },
+      length: session.duration ? { value: session.duration, unit: 'min', system: SYSTEMS.ucum, code: 'min' } : undefined
+    });
+  },
+
+  conditionResources(session, summary, refs) {
+    const confirmed = !!summary?.isApproved;
+    const conditions = [];
+    const add = (code, name, confidence) => {
+      if (!code && !name) return;
+      if (conditions.some(c => (code && c.code === code) || (!code && c.name === name))) return;
+      conditions.push({ code, name, confidence });
+    };
+    (summary?.extractedData?.diagnoses || []).forEach(d => add(d.icd10Code, d.condition, d.confidence));
+    (session.diagnosis || []).forEach(d => d.condition && add(d.condition.icd10Code, d.condition.name, d.confidence));
+
+    return conditions.map(({ code, name, confidence }) => prune({
+      resourceType: 'Condition',
+      clinicalStatus: codeable(SYSTEMS.conditionClinical, 'active'),
+      verificationStatus: codeable(SYSTEMS.conditionVerification, confirmed ? 'confirmed' : 'provisional'),
+      category: [codeable(SYSTEMS.conditionCategory, 'encounter-diagnosis', 'Encounter Diagnosis')],
+      code: code ? codeable(SYSTEMS.icd10cm, code, name, name) : { text: name },
+      subject: refs.patient,
+      encounter: refs.encounter,
+      recordedDate: fhirDateTime(session.startTime),
+      note: confidence !== undefined ? [{ text: `Model confidence ${confidence}%` }] : undefined
+    }));
+  },
+
+  medicationStatementResources(summary, refs, date) {
+    return (summary?.extractedData?.medications || []).filter(m => m.name).map(medication => prune({
+      resourceType: 'MedicationStatement',
+      status: 'active',
+      medicationCodeableConcept: { text: medication.name },
+      subject: refs.patient,
+      context: refs.encounter,
+      dateAsserted: fhirDateTime(date),
+      dosage: [{
+        text: [medication.dosage, medication.frequency, medication.duration && `for ${medication.duration}`]
+          .filter(Boolean).join(' '),
+        route: medication.route ? { text: medication.route } : undefined
+      }]
+    }));
+  },
+
+  // Blood pressure becomes a panel with systolic and diastolic components
+  observationResources(summary, refs, date, status) {
+    const vitals = summary?.extractedData?.vitalSigns || {};
+    const base = (code, display, profile) => ({
+      resourceType: 'Observation',
+      meta: { profile: [`http://hl7.org/fhir/StructureDefinition/${profile}`] },
+      status,
+      category: [codeable(SYSTEMS.observationCategory, 'vital-signs', 'Vital Signs')],
+      code: codeable(SYSTEMS.loinc, code, display, display),
+      subject: refs.patient,
+      encounter: refs.encounter,
+      effectiveDateTime: fhirDateTime(date)
+    });
+    const quantity = (value, unit) => ({ value, unit, system: SYSTEMS.ucum, code: unit });
+    const unreadable = (raw) => ({
+      dataAbsentReason: codeable(SYSTEMS.dataAbsentReason, 'error', 'Error'),
+      note: [{ text: `Recorded as "${raw}"` }]
+    });
+
+    const observations = [];
+
+    if (vitals.bloodPressure) {
+      const match = String(vitals.bloodPressure).match(/(\d{2,3})\s*\/\s*(\d{2,3})/);
+      observations.push(prune({
+        ...base('85354-9', 'Blood pressure panel with all children optional', 'bp'),
+        ...(!match && unreadable(vitals.bloodPressure)),
+        component: [
+          ['8480-6', 'Systolic blood pressure', match?.[1]],
+          ['8462-4', 'Diastolic blood pressure', match?.[2]]
+        ].map(([code, display, value]) => ({
+          code: codeable(SYSTEMS.loinc, code, display, display),
+          ...(value
+            ? { valueQuantity: quantity(Number(value), 'mm[Hg]') }
+            : { dataAbsentReason: codeable(SYSTEMS.dataAbsentReason, 'error', 'Error') })
+        }))
+      }));
+    }
+
+    Object.entries(VITAL_SIGNS).forEach(([key, vital]) => {
+      const raw = vitals[key];
+      if (!raw) return;
+      const match = String(raw).match(/\d+(\.\d+)?/);
+      observations.push(prune({
+        ...base(vital.code, vital.display, vital.profile),
+        ...(match ? { valueQuantity: quantity(...vital.read(Number(match[0]), String(raw))) } : unreadable(raw))
+      }));
+    });
+
+    return observations;
+  },
+
+  procedureResources(summary, refs) {
+    return (summary?.extractedData?.procedures || []).filter(p => p.name || p.cptCode).map(procedure => prune({
+      resourceType: 'Procedure',
+      // Mentioned in the conversation; whether it was done is not known
+      status: 'unknown',
+      code: procedure.cptCode
+        ? codeable(SYSTEMS.cpt, procedure.cptCode, procedure.name, procedure.name)
+        : { text: procedure.name },
+      subject: refs.patient,
+      encounter: refs.encounter,
+      note: procedure.description ? [{ text: procedure.description }] : undefined
+    }));
+  },
+
+  compositionResource(session, summary, refs, entryRefs, reviewer) {
+    const type = NOTE_TYPES[session.sessionType] || NOTE_TYPES.consultation;
+
+    const sections = noteSections(summary).map(section => ({
+      title: section.title,
+      code: codeable(SYSTEMS.loinc, section.loinc.code, section.loinc.display),
+      text: narrative(section.text)
+    }));
+
+    const listSection = (title, code, display, entries) => entries.length > 0 && {
+      title,
+      code: codeable(SYSTEMS.loinc, code, display),
+      text: narrative(entries.map(entry => entry.display).join('\n')),
+      entry: entries
+    };
+
+    return prune({
+      resourceType: 'Composition',
+      identifier: { system: identifierSystem('summary-id'), value: summary.summaryId },
+      status: summary.isApproved ? 'final' : 'preliminary',
+      type: codeable(SYSTEMS.loinc, type.code, type.display, type.display),
+      subject: refs.patient,
+      encounter: refs.encounter,
+      date: fhirDateTime(summary.updatedAt || summary.createdAt),
+      author: [{ display: session.doctorName }],
+      title: 'Clinical Note',
+      attester: summary.isApproved ? [{
+        mode: 'legal',
+        time: fhirDateTime(summary.reviewedAt),
+        party: { display: reviewer ? reviewer.name : summary.reviewedBy }
+      }] : undefined,
+      section: sections.concat([
+        listSection('Diagnoses', '29548-5', 'Diagnosis Narrative', entryRefs.conditions),
+        listSection('Medication List', '10160-0', 'History of Medication use Narrative', entryRefs.medications),
+        listSection('Vital Signs', '8716-3', 'Vital signs', entryRefs.observations),
+        listSection('Procedures', '47519-4', 'History of Procedures Document', entryRefs.procedures)
+      ].filter(Boolean))
+    });
+  },
+
+  documentReferenceResource(session, summary, refs, compositionUrn) {
+    const type = NOTE_TYPES[session.sessionType] || NOTE_TYPES.consultation;
+    const text = noteSections(summary)
+      .map(section => `${section.title}\n${section.text}`)
+      .join('\n\n');
+
+    return prune({
+      resourceType: 'DocumentReference',
+      masterIdentifier: { system: identifierSystem('summary-id'), value: `${summary.summaryId}-v${summary.version || 1}` },
+      status: 'current',
+      docStatus: summary.isApproved ? 'final' : 'preliminary',
+      type: codeable(SYSTEMS.loinc, type.code, type.display, type.display),
+      subject: refs.patient,
+      date: fhirDateTime(summary.updatedAt || summary.createdAt),
+      author: [{ display: session.doctorName }],
+      description: `Clinical note for session ${session.sessionId}`,
+      content: [{
+        attachment: {
+          contentType: 'text/plain',
+          language: session.metadata?.language,
+          data: Buffer.from(text, 'utf8').toString('base64'),
+          title: 'Clinical Note',
+          creation: fhirDateTime(summary.updatedAt || summary.createdAt)
+        }
+      }],
+      context: {
+        encounter: [refs.encounter],
+        period: { start: fhirDateTime(session.startTime), end: fhirDateTime(session.endTime) },
+        related: [{ reference: compositionUrn }]
+      }
+    });
+  },
+
+  /**
+   * Bundle for a session linked to a patient, with `patient`,
+   * `diagnosis.condition` and `summary` populated. A document Bundle
+   * (Composition first) when the summary has content; otherwise a collection
+   * of what is known so far.
+   */
+  async buildSessionBundle(session) {
+    const summary = session.summary && !['generating', 'failed'].includes(session.summary.status)
+      ? session.summary
+      : null;
+    const observationStatus = summary?.isApproved ? 'final' : 'preliminary';
+    const entries = [];
+    const add = (resource, ...key) => {
+      const fullUrl = resourceUrn(session.sessionId, ...key);
+      entries.push({ fullUrl, resource });
+      return { reference: fullUrl };
+    };
+    const withDisplay = (ref, display) => ({ ...ref, display });
+
+    const refs = {};
+    refs.patient = add(this.patientResource(session.patient), 'Patient', session.patient.patientId);
+    refs.encounter = add(this.encounterResource(session, refs.patient), 'Encounter');
+
+    const entryRefs = {
+      conditions: this.conditionResources(session, summary, refs)
+        .map((resource, index) => withDisplay(add(resource, 'Condition', index), resource.code.text || resource.code.coding[0].code)),
+      medications: this.medicationStatementResources(summary, refs, session.startTime)
+        .map((resource, index) => withDisplay(add(resource, 'MedicationStatement', index), resource.medicationCodeableConcept.text)),
+      observations: this.observationResources(summary, refs, session.startTime, observationStatus)
+        .map((resource, index) => withDisplay(add(resource, 'Observation', index), resource.code.text)),
+      procedures: this.procedureResources(summary, refs)
+        .map((resource, index) => withDisplay(add(resource, 'Procedure', index), resource.code.text || resource.code.coding[0].code))
+    };
+
+    const timestamp = new Date().toISOString();
+    if (!summary) {
+      return {
+        resourceType: 'Bundle',
+        type: 'collection',
+        timestamp,
+        entry: entries
+      };
+    }
+
+    const reviewer = summary.isApproved && summary.reviewedBy
+      ? await User.findOne({ userId: summary.reviewedBy }).lean()
+      : null;
+    const compositionUrn = resourceUrn(session.sessionId, 'Composition', summary.summaryId);
+    const documentReference = this.documentReferenceResource(session, summary, refs, compositionUrn);
+    add(documentReference, 'DocumentReference', summary.summaryId, summary.version || 1);
+
+    return {
+      resourceType: 'Bundle',
+      identifier: { system: identifierSystem('summary-id'), value: `${summary.summaryId}-v${summary.version || 1}` },
+      type: 'document',
+      timestamp,
+      entry: [
+        { fullUrl: compositionUrn, resource: this.compositionResource(session, summary, refs, entryRefs, reviewer) },
+        ...entries
+      ]
+    };
+  },
+
+  // OperationOutcome for FHIR endpoint errors
+  operationOutcome(issues, code = 'invalid', severity = 'error') {
+    return {
+      resourceType: 'OperationOutcome',
+      issue: [].concat(issues).map(diagnostics => ({ severity, code, diagnostics }))
+    };
+  }
+};
+
+module.exports = fhirService;
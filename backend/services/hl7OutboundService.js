@@ -0,0 +1,89 @@
+const config = require('../config');
+const hl7Service = require('./hl7Service');
+const clinicalNoteService = require('./clinicalNoteService');
+const jobs = require('./jobs');
+const OutboundMessage = require('../models/outboundMessage');
+
+// Errors carry the HTTP status the controller should answer with
+const outboundError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const NOT_CONFIGURED = 'HL7 interface is not configured (HL7_HOST)';
+
+/**
+ * Builds HL7 messages for approved summaries, logs them in the outbound
+ * message log and hands them to the hl7 job queue for delivery.
+ */
+const hl7OutboundService = {
+  isConfigured() {
+    return !!config.hl7Host;
+  },
+
+  /**
+   * @param {Object} summary - Approved Summary document
+   * @param {Object} [options]
+   * @param {string} [options.messageType] - Defaults to HL7_MESSAGE_TYPE
+   * @param {string} [options.trigger] - 'approval' or 'manual'
+   * @param {Object} [options.user] - Requesting user
+   * @returns {Promise<Object>} The OutboundMessage
+   */
+  async queueForSummary(summary, { messageType = config.hl7MessageType, trigger = 'manual', user } = {}) {
+    if (!this.isConfigured()) {
+      throw outboundError(NOT_CONFIGURED, 503);
+    }
+    if (!summary.isApproved) {
+      throw outboundError('Only approved summaries can be sent over HL7', 409);
+    }
+
+    // The payload is built now, so the log shows exactly what was approved and sent
+    const note = await clinicalNoteService.buildNote(summary);
+    if (!note.patient) {
+      throw outboundError('Session is not linked to a patient; HL7 messages require PID-3', 422);
+    }
+    const controlId = hl7Service.newControlId();
+    const payload = hl7Service.buildMessage(note, { messageType, controlId });
+
+    const message = new OutboundMessage({
+      summary: summary._id,
+      session: summary.session._id || summary.session,
+      summaryVersion: summary.version,
+      messageType,
+      controlId,
+      destination: { host: config.hl7Host, port: config.hl7Port },
+      payload,
+      trigger,
+      requestedBy: user?.userId
+    });
+    await message.save();
+
+    await jobs.enqueueHl7(message);
+    console.log(`HL7 ${messageType} ${message.messageId} queued for summary ${summary.summaryId}`);
+
+    return message;
+  },
+
+  // Send a failed or rejected message again, to the currently configured destination
+  async retry(message, user) {
+    if (!this.isConfigured()) {
+      throw outboundError(NOT_CONFIGURED, 503);
+    }
+    if (!['failed', 'rejected'].includes(message.status)) {
+      throw outboundError(`Message is ${message.status}; only failed or rejected messages can be retried`, 409);
+    }
+
+    message.status = 'queued';
+    message.trigger = 'retry';
+    message.requestedBy = user?.userId;
+    message.destination = { host: config.hl7Host, port: config.hl7Port };
+    message.lastError = undefined;
+    await message.save();
+
+    await jobs.enqueueHl7(message);
+    return message;
+  }
+};
+
+module.exports = hl7OutboundService;
@@ -0,0 +1,213 @@
+const config = require('../config');
+
+const HL7_VERSION = '2.5.1';
+const SEGMENT_SEPARATOR = '\r';
+
+// MSH-9 structures
+const MESSAGE_TYPES = {
+  'MDM^T02': 'MDM^T02^MDM_T02',
+  'ORU^R01': 'ORU^R01^ORU_R01'
+};
+
+// TXA-2 document type (HL7 table 0270) and OBR-4 LOINC document code per session type
+const DOCUMENT_TYPES = {
+  consultation: { txa: 'CN', loinc: '11488-4', display: 'Consult note' },
+  specialist: { txa: 'CN', loinc: '11488-4', display: 'Consult note' },
+  emergency: { txa: 'ED', loinc: '34111-5', display: 'Emergency department note' },
+  'follow-up': { txa: 'PR', loinc: '11506-3', display: 'Progress note' },
+  'routine-checkup': { txa: 'PR', loinc: '11506-3', display: 'Progress note' },
+  discharge: { txa: 'DS', loinc: '18842-5', display: 'Discharge summary' }
+};
+
+const GENDERS = { male: 'M', female: 'F', other: 'O' };
+
+// Escape the delimiters declared in MSH-2 (backslash first)
+const escape = (value) => (value === undefined || value === null ? '' : String(value))
+  .replace(/\\/g, '\\E\\')
+  .replace(/\|/g, '\\F\\')
+  .replace(/\^/g, '\\S\\')
+  .replace(/&/g, '\\T\\')
+  .replace(/~/g, '\\R\\')
+  .replace(/[\r\n]+/g, ' ');
+
+// Components are escaped; trailing empty ones are dropped
+const components = (...parts) => parts.map(escape).join('^').replace(/\^+$/, '');
+
+// Multi-line text as field repetitions, one per line
+const repetitions = (text) => String(text).split(/\r?\n/).map(line => escape(line.trim())).join('~');
+
+// Fields are already escaped; trailing empty ones are dropped
+const segment = (name, fields) => [name, ...fields].join('|').replace(/\|+$/, '');
+
+const timestamp = (date) => {
+  if (!date) return '';
+  const iso = new Date(date).toISOString();
+  return `${iso.slice(0, 4)}${iso.slice(5, 7)}${iso.slice(8, 10)}${iso.slice(11, 13)}${iso.slice(14, 16)}${iso.slice(17, 19)}+0000`;
+};
+
+const dateOnly = (date) => timestamp(date).slice(0, 8);
+
+/**
+ * HL7 v2.5.1 messages for approved clinical notes, and ACK parsing.
+ * Messages are built from clinicalNoteService.buildNote.
+ */
+const hl7Service = {
+  MESSAGE_TYPES: Object.keys(MESSAGE_TYPES),
+
+  // MSH-10; at most 20 characters
+  newControlId() {
+    return (Date.now().toString(36) + Math.random().toString(36).substr(2, 8)).toUpperCase().slice(0, 20);
+  },
+
+  /**
+   * @param {Object} note - From clinicalNoteService.buildNote; must have a patient
+   * @param {Object} options
+   * @param {string} options.messageType - 'MDM^T02' (PID, PV1, TXA, OBX) or 'ORU^R01' (PID, PV1, OBR, OBX)
+   * @param {string} options.controlId - MSH-10
+   * @returns {string} Segments separated by carriage returns
+   */
+  buildMessage(note, { messageType, controlId, now = new Date() }) {
+    if (!MESSAGE_TYPES[messageType]) {
+      throw new Error(`Unknown HL7 message type: ${messageType}. Supported: ${Object.keys(MESSAGE_TYPES).join(', ')}`);
+    }
+    if (!note.patient) {
+      throw new Error('HL7 messages require a patient (PID-3)');
+    }
+
+    const { patient, encounter, approval } = note;
+    const documentType = DOCUMENT_TYPES[encounter.sessionType] || DOCUMENT_TYPES.consultation;
+    const documentNumber = `${note.summaryId}-v${note.version || 1}`;
+    const resultStatus = approval.isApproved ? 'F' : 'P';
+    const doctor = components(encounter.doctorId, encounter.doctorName);
+    const address = patient.address || {};
+
+    const segments = [
+      segment('MSH', [
+        '^~\\&',
+        escape(config.hl7SendingApplication),
+        escape(config.hl7SendingFacility),
+        escape(config.hl7ReceivingApplication),
+        escape(config.hl7ReceivingFacility),
+        timestamp(now),
+        '',
+        MESSAGE_TYPES[messageType],
+        escape(controlId),
+        escape(config.hl7ProcessingId),
+        HL7_VERSION
+      ])
+    ];
+
+    if (messageType === 'MDM^T02') {
+      segments.push(segment('EVN', ['T02', timestamp(now)]));
+    }
+
+    segments.push(segment('PID', [
+      '1',
+      '',
+      components(patient.patientId, '', '', config.hl7SendingFacility, 'MR'),
+      '',
+      components(patient.lastName, patient.firstName),
+      '',
+      dateOnly(patient.dateOfBirth),
+      GENDERS[patient.gender] || 'U',
+      '',
+      '',
+      components(address.street, '', address.city, address.state, address.zipCode, address.country),
+      '',
+      escape(patient.phone)
+    ]));
+
+    const pv1 = Array(45).fill('');
+    pv1[0] = '1';
+    pv1[1] = encounter.sessionType === 'emergency' ? 'E' : 'O'; // PV1-2 patient class
+    pv1[2] = escape(encounter.department); // PV1-3 assigned location
+    pv1[6] = doctor; // PV1-7 attending doctor
+    pv1[18] = escape(encounter.sessionId); // PV1-19 visit number
+    pv1[43] = timestamp(encounter.date); // PV1-44 admit date/time
+    pv1[44] = timestamp(encounter.endTime); // PV1-45 discharge date/time
+    segments.push(segment('PV1', pv1));
+
+    if (messageType === 'MDM^T02') {
+      const txa = Array(22).fill('');
+      txa[0] = '1';
+      txa[1] = documentType.txa; // TXA-2 document type
+      txa[2] = 'TX'; // TXA-3 content presentation
+      txa[3] = timestamp(encounter.date); // TXA-4 activity date/time
+      txa[4] = doctor; // TXA-5 primary activity provider
+      txa[5] = timestamp(note.generatedAt); // TXA-6 origination date/time
+      txa[11] = escape(documentNumber); // TXA-12 unique document number
+      txa[16] = approval.isApproved ? 'AU' : 'IP'; // TXA-17 completion status
+      txa[18] = approval.isApproved ? 'AV' : 'UN'; // TXA-19 availability status
+      txa[21] = approval.isApproved ? components(approval.reviewerId, approval.reviewer) : ''; // TXA-22 authenticator
+      segments.push(segment('TXA', txa));
+    } else {
+      const obr = Array(32).fill('');
+      obr[0] = '1';
+      obr[2] = escape(documentNumber); // OBR-3 filler order number
+      obr[3] = components(documentType.loinc, documentType.display, 'LN'); // OBR-4 universal service ID
+      obr[6] = timestamp(encounter.date); // OBR-7 observation date/time
+      obr[21] = timestamp(approval.reviewedAt || note.generatedAt); // OBR-22 results status change
+      obr[24] = resultStatus; // OBR-25 result status
+      obr[31] = approval.isApproved ? components(approval.reviewerId, approval.reviewer) : ''; // OBR-32 interpreter
+      segments.push(segment('OBR', obr));
+    }
+
+    // One OBX per section, then one per coded diagnosis
+    const observations = note.sections.map(section => [
+      'TX',
+      components(section.loinc?.code || section.key, section.title, section.loinc ? 'LN' : ''),
+      '',
+      repetitions(section.text)
+    ]).concat(note.diagnoses.map((diagnosis, index) => [
+      'CE',
+      components('29548-5', 'Diagnosis Narrative', 'LN'),
+      String(index + 1),
+      components(diagnosis.code, diagnosis.name, 'I10')
+    ]));
+
+    observations.forEach(([valueType, identifier, subId, value], index) => {
+      segments.push(segment('OBX', [
+        String(index + 1),
+        valueType,
+        identifier,
+        subId,
+        value,
+        '', '', '', '', '',
+        resultStatus, // OBX-11 result status
+        '', '',
+        timestamp(encounter.date) // OBX-14 observation date/time
+      ]));
+    });
+
+    return segments.join(SEGMENT_SEPARATOR) + SEGMENT_SEPARATOR;
+  },
+
+  /**
+   * Read an ACK/NAK.
+   * @returns {{ code: string, controlId: string, text: string, accepted: boolean, rejected: boolean }}
+   */
+  parseAck(raw) {
+    const segments = String(raw).split(/\r\n|\r|\n/).filter(Boolean);
+    const msa = segments.find(s => s.startsWith('MSA|'));
+    if (!msa) {
+      throw new Error('ACK has no MSA segment');
+    }
+
+    const fields = msa.split('|');
+    const err = segments.find(s => s.startsWith('ERR|'));
+    // ERR-8 user message (v2.5), else the older ERR-1 error code and location
+    const errText = err ? (err.split('|')[8] || err.split('|')[1] || '') : '';
+    const code = (fields[1] || '').trim();
+
+    return {
+      code,
+      controlId: (fields[2] || '').trim(),
+      text: (fields[3] || errText).replace(/\^/g, ' ').trim(),
+      accepted: ['AA', 'CA'].includes(code),
+      // Permanent: resending the same message will not help
+      rejected: ['AR', 'CR'].includes(code)
+    };
+  }
+};
+
+module.exports = hl7Service;
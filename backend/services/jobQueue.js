@@ -0,0 +1,404 @@
+const { WatchError } = require('redis');
+const redisService = require('./redisService');
+const config = require('../config');
+
+// Redis layout (per queue):
+//   jobs:<queue>:waiting   list of job IDs ready to run (LPUSH in, BLMOVE out from the right)
+//   jobs:<queue>:active    list of job IDs currently held by a worker
+//   jobs:<queue>:delayed   sorted set of job IDs waiting for a retry, scored by run time
+//   jobs:<queue>:dead      list of job IDs that used up all their attempts
+//   jobs:job:<id>          JSON job record
+//   jobs:lock:<id>         worker heartbeat; an active job without one has stalled
+//   jobs:resource:<key>    ID of the pending job for a resource, to avoid duplicates
+const key = (...parts) => ['jobs', ...parts].join(':');
+
+const PENDING_STATUSES = ['waiting', 'active', 'delayed'];
+
+// Finished in-process jobs stay readable (GET /jobs/:jobId) for this long, then are dropped
+const INLINE_RETENTION_MS = 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class JobQueue {
+  constructor() {
+    this.handlers = {};
+    this.inlineJobs = new Map(); // Job records when running without Redis
+    this.running = false;
+    this.loops = [];
+    this.timers = [];
+    this.unlockedSince = new Map(); // Active job ID -> when it was first seen without a lock
+  }
+
+  // Handler: { maxAttempts?, process(job), onDeadLetter?(job, error) }
+  register(queue, handler) {
+    this.handlers[queue] = handler;
+  }
+
+  // Jobs only survive restarts when Redis is available
+  isDurable() {
+    return redisService.isConnected;
+  }
+
+  async enqueue(queue, data, options = {}) {
+    const handler = this.handlers[queue];
+    if (!handler) {
+      throw new Error(`No handler registered for queue: ${queue}`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: 'job_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      queue,
+      data,
+      status: 'waiting',
+      attempts: 0,
+      maxAttempts: options.maxAttempts || handler.maxAttempts || config.jobMaxAttempts,
+      resourceKey: options.resourceKey || null,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    if (!this.isDurable()) {
+      console.warn(`Redis unavailable, running ${queue} job ${job.id} in-process`);
+      this.runInline(job).catch(error => console.error(`Inline job ${job.id} crashed:`, error));
+      return job;
+    }
+
+    const client = redisService.client;
+
+    // Saved before the resource is claimed, so a claimed job always has a record
+    await this.saveJob(job);
+
+    if (job.resourceKey) {
+      const existing = await this.claimResource(job);
+      if (existing) {
+        await client.del(key('job', job.id));
+        console.log(`Job ${existing.id} already pending for ${job.resourceKey}`);
+        return existing;
+      }
+    }
+
+    await client.lPush(key(queue, 'waiting'), job.id);
+
+    console.log(`Enqueued ${queue} job ${job.id}`);
+    return job;
+  }
+
+  async getJob(jobId) {
+    if (this.inlineJobs.has(jobId)) {
+      return this.inlineJobs.get(jobId);
+    }
+
+    if (!this.isDurable()) return null;
+
+    const data = await redisService.client.get(key('job', jobId));
+    return data ? JSON.parse(data) : null;
+  }
+
+  async findPendingJob(resourceKey) {
+    if (!this.isDurable()) {
+      return [...this.inlineJobs.values()].find(job =>
+        job.resourceKey === resourceKey && PENDING_STATUSES.includes(job.status)
+      ) || null;
+    }
+
+    const jobId = await redisService.client.get(key('resource', resourceKey));
+    if (!jobId) return null;
+
+    const job = await this.getJob(jobId);
+    return job && PENDING_STATUSES.includes(job.status) ? job : null;
+  }
+
+  /**
+   * Record job as the pending job for its resource. SET NX makes the claim
+   * atomic, so of two concurrent enqueues only one wins; the loser gets the
+   * winner's job back. A claim left by a job that is no longer pending (or
+   * whose record has expired) is taken over. The TTL bounds a claim whose
+   * release was missed.
+   * @returns {Promise<Object|null>} The job already pending, or null once claimed
+   */
+  async claimResource(job) {
+    const client = redisService.client;
+    const resourceKey = key('resource', job.resourceKey);
+
+    for (;;) {
+      const claimed = await client.set(resourceKey, job.id, { NX: true, EX: config.jobRetentionSeconds });
+      if (claimed) return null;
+
+      const ownerId = await client.get(resourceKey);
+      if (!ownerId) continue; // released in between
+
+      const owner = await this.getJob(ownerId);
+      if (owner && PENDING_STATUSES.includes(owner.status)) return owner;
+
+      // Stale claim: delete it unless another enqueue replaced it first
+      await client.executeIsolated(async isolated => {
+        await isolated.watch(resourceKey);
+        if (await isolated.get(resourceKey) !== ownerId) {
+          await isolated.unwatch();
+          return;
+        }
+        await isolated.multi().del(resourceKey).exec().catch(error => {
+          if (!(error instanceof WatchError)) throw error;
+        });
+      });
+    }
+  }
+
+  async saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+
+    if (!this.isDurable()) {
+      this.inlineJobs.set(job.id, job);
+      return;
+    }
+
+    const options = PENDING_STATUSES.includes(job.status)
+      ? {}
+      : { EX: config.jobRetentionSeconds };
+    await redisService.client.set(key('job', job.id), JSON.stringify(job), options);
+  }
+
+  backoffDelay(attempts) {
+    return config.jobBackoffMs * Math.pow(2, attempts - 1);
+  }
+
+  // Fallback for development without Redis: same retry rules, but in memory
+  async runInline(job) {
+    const handler = this.handlers[job.queue];
+    this.inlineJobs.set(job.id, job);
+
+    while (job.attempts < job.maxAttempts) {
+      job.attempts += 1;
+      job.status = 'active';
+      await this.saveJob(job);
+
+      try {
+        job.result = (await handler.process(job)) || null;
+        job.status = 'completed';
+        job.error = null;
+        await this.saveJob(job);
+        this.evictInline(job);
+        return;
+      } catch (error) {
+        job.error = error.message;
+        console.error(`Inline ${job.queue} job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+
+        if (job.attempts < job.maxAttempts) {
+          job.status = 'delayed';
+          await this.saveJob(job);
+          await sleep(this.backoffDelay(job.attempts));
+        } else {
+          job.status = 'dead';
+          await this.saveJob(job);
+          await this.deadLetter(job, error);
+          this.evictInline(job);
+        }
+      }
+    }
+  }
+
+  evictInline(job) {
+    setTimeout(() => this.inlineJobs.delete(job.id), INLINE_RETENTION_MS).unref();
+  }
+
+  // ==================== WORKER ====================
+
+  async startWorkers(queues = Object.keys(this.handlers)) {
+    if (!this.isDurable()) {
+      throw new Error('Redis is required to run job workers');
+    }
+
+    const unknown = queues.filter(queue => !this.handlers[queue]);
+    if (unknown.length > 0) {
+      throw new Error(`No handler registered for queue: ${unknown.join(', ')}`);
+    }
+
+    this.running = true;
+    await this.recoverStalled(queues);
+
+    for (const queue of queues) {
+      for (let i = 0; i < config.jobConcurrency; i++) {
+        // Blocking commands need their own connection
+        const connection = redisService.client.duplicate();
+        await connection.connect();
+        this.loops.push(this.workLoop(queue, connection));
+      }
+      console.log(`Worker listening on queue: ${queue} (concurrency ${config.jobConcurrency})`);
+    }
+
+    this.timers.push(setInterval(() => {
+      this.promoteDelayed(queues).catch(error => console.error('Error promoting delayed jobs:', error));
+    }, 1000));
+
+    this.timers.push(setInterval(() => {
+      this.recoverStalled(queues).catch(error => console.error('Error recovering stalled jobs:', error));
+    }, config.jobLockSeconds * 1000));
+  }
+
+  async stopWorkers() {
+    this.running = false;
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+    await Promise.all(this.loops);
+    this.loops = [];
+  }
+
+  async workLoop(queue, connection) {
+    while (this.running) {
+      let jobId;
+      try {
+        jobId = await connection.blMove(key(queue, 'waiting'), key(queue, 'active'), 'RIGHT', 'LEFT', 5);
+      } catch (error) {
+        console.error(`Error fetching job from ${queue}:`, error);
+        await sleep(1000);
+        continue;
+      }
+
+      if (!jobId) continue;
+
+      try {
+        await this.runJob(queue, jobId);
+      } catch (error) {
+        // Redis or Mongo failed around the handler; the job stays active and is recovered as stalled
+        console.error(`Error running ${queue} job ${jobId}:`, error);
+        await sleep(1000);
+      }
+    }
+
+    await connection.quit().catch(() => {});
+  }
+
+  async runJob(queue, jobId) {
+    const client = redisService.client;
+    const lockKey = key('lock', jobId);
+
+    await client.set(lockKey, String(process.pid), { EX: config.jobLockSeconds });
+    const heartbeat = setInterval(() => {
+      client.expire(lockKey, config.jobLockSeconds).catch(() => {});
+    }, (config.jobLockSeconds * 1000) / 3);
+
+    try {
+      const job = await this.getJob(jobId);
+      if (!job) {
+        await client.lRem(key(queue, 'active'), 0, jobId);
+        return;
+      }
+
+      const handler = this.handlers[queue];
+      job.status = 'active';
+      job.attempts += 1;
+      await this.saveJob(job);
+
+      try {
+        job.result = (await handler.process(job)) || null;
+        job.status = 'completed';
+        job.error = null;
+        await this.saveJob(job);
+        await client.lRem(key(queue, 'active'), 0, jobId);
+        await this.releaseResource(job);
+
+        console.log(`Completed ${queue} job ${jobId}`);
+      } catch (error) {
+        job.error = error.message;
+        console.error(`${queue} job ${jobId} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+
+        if (job.attempts < job.maxAttempts) {
+          job.status = 'delayed';
+          job.runAt = Date.now() + this.backoffDelay(job.attempts);
+          await this.saveJob(job);
+          await client.lRem(key(queue, 'active'), 0, jobId);
+          await client.zAdd(key(queue, 'delayed'), { score: job.runAt, value: jobId });
+        } else {
+          job.status = 'dead';
+          await this.saveJob(job);
+          await client.lRem(key(queue, 'active'), 0, jobId);
+          await client.lPush(key(queue, 'dead'), jobId);
+          await this.releaseResource(job);
+          await this.deadLetter(job, error);
+        }
+      }
+    } finally {
+      clearInterval(heartbeat);
+      await client.del(lockKey).catch(() => {});
+    }
+  }
+
+  async deadLetter(job, error) {
+    console.error(`${job.queue} job ${job.id} moved to dead letter after ${job.attempts} attempts`);
+
+    const handler = this.handlers[job.queue];
+    if (handler.onDeadLetter) {
+      try {
+        await handler.onDeadLetter(job, error);
+      } catch (hookError) {
+        console.error(`Dead letter handler failed for job ${job.id}:`, hookError);
+      }
+    }
+  }
+
+  async releaseResource(job) {
+    if (!job.resourceKey || !this.isDurable()) return;
+
+    const client = redisService.client;
+    const current = await client.get(key('resource', job.resourceKey));
+    if (current === job.id) {
+      await client.del(key('resource', job.resourceKey));
+    }
+  }
+
+  // Move delayed jobs whose retry time has come back to the waiting list
+  async promoteDelayed(queues) {
+    const client = redisService.client;
+
+    for (const queue of queues) {
+      const due = await client.zRangeByScore(key(queue, 'delayed'), 0, Date.now());
+      for (const jobId of due) {
+        // zRem guards against another worker promoting the same job
+        if (await client.zRem(key(queue, 'delayed'), jobId)) {
+          await client.lPush(key(queue, 'waiting'), jobId);
+        }
+      }
+    }
+  }
+
+  // Put active jobs whose worker died (no heartbeat) back at the front of the queue.
+  // A job is moved to active just before its lock is set, so one is only
+  // recovered once it has had no lock for a full lock TTL.
+  async recoverStalled(queues) {
+    const client = redisService.client;
+    const now = Date.now();
+    const seen = new Set();
+
+    for (const queue of queues) {
+      const activeIds = await client.lRange(key(queue, 'active'), 0, -1);
+      for (const jobId of activeIds) {
+        seen.add(jobId);
+        if (await client.exists(key('lock', jobId))) {
+          this.unlockedSince.delete(jobId);
+          continue;
+        }
+
+        if (!this.unlockedSince.has(jobId)) this.unlockedSince.set(jobId, now);
+        if (now - this.unlockedSince.get(jobId) < config.jobLockSeconds * 1000) continue;
+
+        this.unlockedSince.delete(jobId);
+        if (await client.lRem(key(queue, 'active'), 0, jobId)) {
+          await client.rPush(key(queue, 'waiting'), jobId);
+          console.warn(`Recovered stalled ${queue} job ${jobId}`);
+        }
+      }
+    }
+
+    [...this.unlockedSince.keys()]
+      .filter(jobId => !seen.has(jobId))
+      .forEach(jobId => this.unlockedSince.delete(jobId));
+  }
+}
+
+// Export singleton instance
+const jobQueue = new JobQueue();
+
+module.exports = jobQueue;
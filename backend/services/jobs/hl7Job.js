@@ -0,0 +1,77 @@
+const config = require('../../config');
+const hl7Service = require('../hl7Service');
+const mllpClient = require('../mllpClient');
+const OutboundMessage = require('../../models/outboundMessage');
+
+// Send a logged HL7 message over MLLP and record the receiver's ACK
+const hl7Job = {
+  maxAttempts: config.hl7MaxAttempts,
+
+  async process(job) {
+    const { messageId } = job.data;
+
+    const message = await OutboundMessage.findOne({ messageId });
+    if (!message) {
+      throw new Error('Outbound message not found');
+    }
+
+    // Already settled, e.g. a duplicate job after a restart
+    if (['acknowledged', 'rejected'].includes(message.status)) {
+      return { messageId, status: message.status };
+    }
+
+    message.status = 'sending';
+    message.attempts += 1;
+    message.sentAt = new Date();
+    await message.save();
+
+    let ack;
+    try {
+      const raw = await mllpClient.send(message.payload, {
+        host: message.destination.host,
+        port: message.destination.port,
+        timeoutMs: config.hl7AckTimeoutMs
+      });
+      ack = { ...hl7Service.parseAck(raw), raw };
+
+      if (ack.controlId && ack.controlId !== message.controlId) {
+        throw new Error(`ACK is for message ${ack.controlId}, expected ${message.controlId}`);
+      }
+    } catch (error) {
+      message.status = 'queued';
+      message.lastError = error.message;
+      await message.save();
+      throw error;
+    }
+
+    message.ack = { code: ack.code, text: ack.text, raw: ack.raw };
+
+    if (ack.accepted || ack.rejected) {
+      message.status = ack.accepted ? 'acknowledged' : 'rejected';
+      message.acknowledgedAt = new Date();
+      message.lastError = ack.rejected ? ack.text || `Rejected (${ack.code})` : undefined;
+      await message.save();
+
+      console.log(`HL7 ${message.messageType} ${message.messageId} ${message.status} (${ack.code})`);
+      return { messageId, status: message.status, ackCode: ack.code };
+    }
+
+    // AE/CE: the receiver could not process it this time; retry with backoff
+    message.status = 'queued';
+    message.lastError = `Receiver error (${ack.code})${ack.text ? `: ${ack.text}` : ''}`;
+    await message.save();
+    throw new Error(message.lastError);
+  },
+
+  async onDeadLetter(job, error) {
+    const message = await OutboundMessage.findOne({ messageId: job.data.messageId });
+    if (!message) return;
+
+    console.error(`HL7 message ${message.messageId} failed after ${message.attempts} attempts`, error);
+    message.status = 'failed';
+    message.lastError = error.message;
+    await message.save();
+  }
+};
+
+module.exports = hl7Job;
@@ -0,0 +1,71 @@
+const jobQueue = require('../jobQueue');
+const transcriptionJob = require('./transcriptionJob');
+const summaryJob = require('./summaryJob');
+const hl7Job = require('./hl7Job');
+const Transcription = require('../../models/transcription');
+const Summary = require('../../models/summary');
+const OutboundMessage = require('../../models/outboundMessage');
+
+// Queue names
+const QUEUES = {
+  TRANSCRIPTION: 'transcription',
+  SUMMARY: 'summary',
+  HL7: 'hl7'
+};
+
+jobQueue.register(QUEUES.TRANSCRIPTION, transcriptionJob);
+jobQueue.register(QUEUES.SUMMARY, summaryJob);
+jobQueue.register(QUEUES.HL7, hl7Job);
+
+const jobs = {
+  QUEUES,
+
+  enqueueTranscription(transcription, sessionId, language) {
+    return jobQueue.enqueue(QUEUES.TRANSCRIPTION, {
+      transcriptionId: String(transcription._id),
+      sessionId: String(sessionId),
+      language
+    }, { resourceKey: `transcription:${transcription._id}` });
+  },
+
+  enqueueSummary(summary, sessionId, regenerate, noteType) {
+    return jobQueue.enqueue(QUEUES.SUMMARY, {
+      summaryId: String(summary._id),
+      sessionId: String(sessionId),
+      regenerate,
+      noteType
+    }, { resourceKey: `summary:${summary._id}` });
+  },
+
+  enqueueHl7(message) {
+    return jobQueue.enqueue(QUEUES.HL7, {
+      messageId: message.messageId
+    }, { resourceKey: `hl7:${message.messageId}` });
+  },
+
+  // Re-enqueue work left in 'processing'/'generating' by a restart.
+  // Resources that still have a pending job are skipped by enqueue.
+  async requeueOrphaned() {
+    const transcriptions = await Transcription.find({ status: 'processing' });
+    for (const transcription of transcriptions) {
+      await this.enqueueTranscription(transcription, transcription.session, transcription.language);
+    }
+
+    const summaries = await Summary.find({ status: 'generating' });
+    for (const summary of summaries) {
+      // A summary that already has content was being regenerated
+      await this.enqueueSummary(summary, summary.session, !!(summary.content && summary.content.chiefComplaint), summary.noteType);
+    }
+
+    const messages = await OutboundMessage.find({ status: { $in: ['queued', 'sending'] } });
+    for (const message of messages) {
+      await this.enqueueHl7(message);
+    }
+
+    if (transcriptions.length || summaries.length || messages.length) {
+      console.log(`Re-enqueued ${transcriptions.length} transcription(s), ${summaries.length} summary job(s) and ${messages.length} HL7 message(s) after restart`);
+    }
+  }
+};
+
+module.exports = jobs;
@@ -0,0 +1,75 @@
+const summaryService = require('../summaryService');
+const eventBus = require('../eventBus');
+const terminologyService = require('../terminologyService');
+const symptomService = require('../symptomService');
+const Summary = require('../../models/summary');
+const Session = require('../../models/session');
+
+// Generate (or regenerate) the AI summary for a session
+const summaryJob = {
+  async process(job) {
+    const { sessionId, summaryId, regenerate = false, noteType } = job.data;
+
+    const summary = await Summary.findById(summaryId);
+    if (!summary) {
+      throw new Error('Summary not found');
+    }
+
+    const result = await summaryService.generateSummary(sessionId, summary._id, { noteType });
+
+    summary.noteType = result.noteType;
+    summary.statements = result.statements;
+    summary.keyPoints = result.keyPoints;
+    summary.extractedData = result.extractedData;
+    summary.generationMetadata = result.metadata;
+
+    if (regenerate) {
+      // Create new version
+      await summary.createNewVersion(result.content, 'ai-generated');
+    } else {
+      // Update current summary
+      summary.content = result.content;
+      summary.status = 'completed';
+      await summary.save();
+    }
+
+    // Conditions the extracted diagnoses were matched to become the session's diagnosis
+    const session = await Session.findById(sessionId);
+    if (session) {
+      terminologyService.applyToSession(session, result.extractedData.diagnoses);
+      await session.save();
+    }
+
+    // Matched symptoms join the session; urgent ones raise a red-flag alert
+    await symptomService.applyToSession(sessionId, result.extractedData.symptoms)
+      .catch(error => console.error('Failed to attach symptoms to session:', error));
+
+    console.log(`Summary generated for session: ${sessionId}`);
+
+    // Emit real-time update via Socket.IO
+    await eventBus.emit(sessionId, 'summary-completed', {
+      summaryId: summary.summaryId,
+      sessionId: sessionId
+    });
+
+    return { summaryId: summary.summaryId };
+  },
+
+  async onDeadLetter(job, error) {
+    const { sessionId, summaryId } = job.data;
+
+    const summary = await Summary.findById(summaryId);
+    if (!summary) return;
+
+    console.error(`Summary generation failed for session: ${sessionId}`, error);
+    summary.status = 'failed';
+    await summary.save();
+
+    await eventBus.emit(sessionId, 'summary-failed', {
+      summaryId: summary.summaryId,
+      error: error.message
+    });
+  }
+};
+
+module.exports = summaryJob;
@@ -0,0 +1,85 @@
+const transcriptionService = require('../transcriptionService');
+const speakerRoleService = require('../speakerRoleService');
+const symptomService = require('../symptomService');
+const audioStorageService = require('../audioStorageService');
+const eventBus = require('../eventBus');
+const Session = require('../../models/session');
+const Transcription = require('../../models/transcription');
+
+// Transcribe an uploaded audio file and attach the result to its session
+const transcriptionJob = {
+  async process(job) {
+    const { transcriptionId, sessionId, language = 'en' } = job.data;
+
+    const transcription = await Transcription.findById(transcriptionId);
+    if (!transcription) {
+      throw new Error('Transcription not found');
+    }
+
+    // Recognize a decrypted temp copy; the retained audio stays in storage for playback and retries
+    const result = await audioStorageService.withLocalCopy(transcription.audioFile, (audioPath) =>
+      transcriptionService.transcribeAudio(audioPath, transcription.transcriptionId, language, {
+        keepFile: true,
+        onProgress: (progress) => eventBus.emit(sessionId, 'transcription-progress', {
+          transcriptionId: transcription.transcriptionId,
+          ...progress
+        }).catch(error => console.warn('Failed to emit transcription progress:', error.message))
+      })
+    );
+
+    transcription.transcriptionText = result.text;
+    transcription.confidence = result.confidence;
+    transcription.language = result.language;
+    transcription.processingMetadata = result.metadata;
+    transcription.segments = result.segments;
+    transcription.speakerMapping = result.speakerMapping;
+    if (result.segments.length > 0) {
+      transcription.speaker = speakerRoleService.overallRole(result.segments);
+      transcription.timestamp = {
+        start: result.segments[0].startTime,
+        end: result.segments[result.segments.length - 1].endTime
+      };
+    }
+    transcription.status = 'completed';
+    await transcription.save();
+
+    // Add to session ($addToSet so a retried job cannot add it twice)
+    await Session.findByIdAndUpdate(sessionId, {
+      $addToSet: { transcriptions: transcription._id }
+    });
+
+    console.log(`Transcription completed for ID: ${transcription.transcriptionId}`);
+
+    // A failed symptom scan must not fail (and retry) the transcription
+    await symptomService.scanTranscript(sessionId, result.text, 'transcription')
+      .catch(error => console.error('Symptom scan failed:', error));
+
+    // Emit real-time update via Socket.IO
+    await eventBus.emit(sessionId, 'transcription-completed', {
+      transcriptionId: transcription.transcriptionId,
+      text: result.text,
+      confidence: result.confidence,
+      segments: result.segments
+    });
+
+    return { transcriptionId: transcription.transcriptionId };
+  },
+
+  async onDeadLetter(job, error) {
+    const { transcriptionId, sessionId } = job.data;
+
+    const transcription = await Transcription.findById(transcriptionId);
+    if (!transcription) return;
+
+    console.error(`Transcription failed for ID: ${transcription.transcriptionId}`, error);
+    transcription.status = 'failed';
+    await transcription.save();
+
+    await eventBus.emit(sessionId, 'transcription-failed', {
+      transcriptionId: transcription.transcriptionId,
+      error: error.message
+    });
+  }
+};
+
+module.exports = transcriptionJob;
@@ -0,0 +1,176 @@
+const { getProvider } = require('./transcriptionProviders');
+const Session = require('../models/session');
+const authService = require('./authService');
+const symptomService = require('./symptomService');
+
+// Roles allowed to record consultations
+const RECORDING_ROLES = ['doctor', 'scribe', 'admin'];
+
+// Give the recognizer this long to flush final results after the client stops
+const END_TIMEOUT_MS = 15000;
+
+// Largest audio chunk accepted from a client (MediaRecorder emits ~1 second slices)
+const MAX_CHUNK_BYTES = 512 * 1024;
+
+// Final segments scanned together for symptoms, so a red flag split across them is seen
+const SCAN_WINDOW_SEGMENTS = 3;
+
+// streamId -> { socketId, sessionId, recognizer, buffered, segmentIndex, recentText, ended }
+const streams = new Map();
+
+/**
+ * Live transcription over Socket.IO.
+ *
+ * Client events:
+ *   start-audio-stream { sessionId, streamId, language }  (ack: { streamId } or { error })
+ *   audio-chunk        { streamId, chunk }                 binary WebM/Opus slice
+ *   stop-audio-stream  { streamId }
+ *
+ * Room events (sent to the session room):
+ *   live-transcription       { streamId, segmentId, text, isFinal, confidence, startTime, endTime }
+ *   live-transcription-ended { streamId }
+ *   live-transcription-error { streamId, error }
+ *   red-flag-alert           see symptomService
+ *
+ * Segment IDs are `<streamId>_<n>`: interim results for a segment share its ID and
+ * the final result reuses it, so clients can replace text in place.
+ */
+const liveTranscriptionService = {
+  attach(io, socket) {
+    socket.on('start-audio-stream', (data, ack) => this.start(io, socket, data || {}, ack));
+    socket.on('audio-chunk', (data) => this.write(socket, data || {}));
+    socket.on('stop-audio-stream', (data) => this.stop(socket, (data || {}).streamId));
+    socket.on('disconnect', () => {
+      for (const [streamId, stream] of streams) {
+        if (stream.socketId === socket.id) {
+          this.stop(socket, streamId);
+        }
+      }
+    });
+  },
+
+  async start(io, socket, { sessionId, streamId, language = 'en' }, ack = () => {}) {
+    if (!sessionId || !streamId) {
+      return ack({ error: 'sessionId and streamId are required' });
+    }
+
+    if (streams.has(streamId)) {
+      return ack({ error: 'Stream already started' });
+    }
+
+    // Register synchronously so chunks that arrive during the session lookup are buffered
+    const stream = {
+      socketId: socket.id,
+      sessionId,
+      recognizer: null,
+      buffered: [],
+      segmentIndex: 0,
+      recentText: [],
+      ended: false
+    };
+    streams.set(streamId, stream);
+
+    const room = io.to(sessionId);
+    const fail = (error) => {
+      console.error(`Live transcription error for stream ${streamId}:`, error.message);
+      room.emit('live-transcription-error', { streamId, error: error.message });
+      streams.delete(streamId);
+    };
+
+    try {
+      const session = await Session.findById(sessionId);
+      if (!session) {
+        streams.delete(streamId);
+        return ack({ error: 'Session not found' });
+      }
+
+      if (!RECORDING_ROLES.includes(socket.user.role) || !authService.canAccessSession(socket.user, session)) {
+        streams.delete(streamId);
+        return ack({ error: 'You do not have access to this session' });
+      }
+
+      stream.recognizer = getProvider().createStream({ language }, {
+        onResult: (result) => {
+          room.emit('live-transcription', {
+            streamId,
+            transcriptionId: streamId,
+            segmentId: `${streamId}_${stream.segmentIndex}`,
+            text: result.text,
+            isFinal: result.isFinal,
+            confidence: result.confidence,
+            startTime: result.startTime,
+            endTime: result.endTime,
+            isLive: true
+          });
+
+          if (result.isFinal) {
+            stream.segmentIndex += 1;
+            stream.recentText = [...stream.recentText, result.text].slice(-SCAN_WINDOW_SEGMENTS);
+            symptomService.scanTranscript(sessionId, stream.recentText.join('\n'), 'live') // segment breaks end a negation
+              .catch(error => console.error(`Symptom scan failed for stream ${streamId}:`, error.message));
+          }
+        },
+        onError: fail,
+        onEnd: () => {
+          clearTimeout(stream.endTimer);
+          room.emit('live-transcription-ended', { streamId });
+          streams.delete(streamId);
+          console.log(`Live transcription stream ended: ${streamId}`);
+        }
+      });
+
+      console.log(`Live transcription stream started: ${streamId} (session ${sessionId})`);
+      ack({ streamId });
+
+      stream.buffered.forEach(chunk => stream.recognizer.write(chunk));
+      stream.buffered = [];
+
+      // Client may have stopped while the session lookup was in flight
+      if (stream.ended) {
+        this.end(streamId, stream);
+      }
+    } catch (error) {
+      fail(error);
+      ack({ error: error.message });
+    }
+  },
+
+  write(socket, { streamId, chunk }) {
+    const stream = streams.get(streamId);
+    if (!stream || stream.socketId !== socket.id || stream.ended || !chunk) return;
+
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    if (buffer.length > MAX_CHUNK_BYTES) {
+      console.warn(`Dropping oversized audio chunk (${buffer.length} bytes) for stream ${streamId}`);
+      return;
+    }
+
+    if (stream.recognizer) {
+      stream.recognizer.write(buffer);
+    } else {
+      stream.buffered.push(buffer);
+    }
+  },
+
+  stop(socket, streamId) {
+    const stream = streams.get(streamId);
+    if (!stream || stream.socketId !== socket.id || stream.ended) return;
+
+    stream.ended = true;
+    if (stream.recognizer) {
+      this.end(streamId, stream);
+    }
+  },
+
+  end(streamId, stream) {
+    stream.recognizer.end();
+    stream.endTimer = setTimeout(() => {
+      if (streams.get(streamId) === stream) {
+        console.warn(`Live transcription stream ${streamId} did not finish in time`);
+        streams.delete(streamId);
+      }
+    }, END_TIMEOUT_MS);
+  }
+};
+
+module.exports = liveTranscriptionService;
@@ -0,0 +1,48 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const config = require('../../config');
+
+// Gemini client and per-model handles are created on first use
+let genAI = null;
+const models = {};
+
+const geminiProvider = {
+  name: 'gemini',
+
+  isConfigured() {
+    return !!config.geminiApiKey;
+  },
+
+  getModel(modelName, timeoutMs) {
+    if (!this.isConfigured()) {
+      throw new Error('Gemini API not configured. Set GEMINI_API_KEY.');
+    }
+
+    if (!genAI) {
+      genAI = new GoogleGenerativeAI(config.geminiApiKey);
+      console.log('Google Gemini client initialized successfully');
+    }
+
+    const key = `${modelName}:${timeoutMs}`;
+    if (!models[key]) {
+      models[key] = genAI.getGenerativeModel({ model: modelName }, { timeout: timeoutMs });
+    }
+    return models[key];
+  },
+
+  async complete(prompt, { model, timeoutMs }) {
+    const result = await this.getModel(model, timeoutMs).generateContent(prompt);
+    const response = await result.response;
+    const usage = response.usageMetadata;
+
+    return {
+      text: response.text(),
+      usage: usage ? {
+        prompt: usage.promptTokenCount || 0,
+        completion: usage.candidatesTokenCount || 0,
+        total: usage.totalTokenCount || 0
+      } : null
+    };
+  }
+};
+
+module.exports = geminiProvider;
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const config = require('../../config');
+
+// Scripted LLM for tests and offline development.
+//
+// Responses are picked in this order:
+//   1. the next queued response (enqueue)
+//   2. the first rule whose pattern matches the prompt (when / LLM_MOCK_SCRIPT file)
+//   3. an empty JSON value of the shape the caller asked for
+// A response may be a string, a JSON-serialisable value, or a function of the prompt.
+const queue = [];
+const rules = [];
+const calls = [];
+
+// Rough token estimate so usage reporting works without a tokenizer
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+function loadScript(filePath) {
+  const script = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  script.forEach(({ match, response }) => {
+    rules.push({ pattern: new RegExp(match, 'i'), response });
+  });
+  console.log(`Loaded ${script.length} mock LLM rules from ${filePath}`);
+}
+
+if (config.llmMockScript) {
+  try {
+    loadScript(config.llmMockScript);
+  } catch (error) {
+    console.error('Failed to load mock LLM script:', error);
+  }
+}
+
+const mockProvider = {
+  name: 'mock',
+
+  isConfigured() {
+    return true;
+  },
+
+  enqueue(...responses) {
+    queue.push(...responses);
+    return this;
+  },
+
+  when(pattern, response) {
+    rules.push({ pattern: pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i'), response });
+    return this;
+  },
+
+  // Prompts received so far, for assertions
+  getCalls() {
+    return calls;
+  },
+
+  reset() {
+    queue.length = 0;
+    rules.length = 0;
+    calls.length = 0;
+  },
+
+  async complete(prompt, { model, json }) {
+    calls.push({ prompt, model });
+
+    let response;
+    if (queue.length > 0) {
+      response = queue.shift();
+    } else {
+      const rule = rules.find(r => r.pattern.test(prompt));
+      response = rule ? rule.response : (json === 'array' ? '[]' : '{}');
+    }
+
+    if (typeof response === 'function') {
+      response = await response(prompt);
+    }
+    if (response instanceof Error) {
+      throw response;
+    }
+
+    const text = typeof response === 'string' ? response : JSON.stringify(response);
+    const promptTokens = estimateTokens(prompt);
+    const completionTokens = estimateTokens(text);
+
+    return {
+      text,
+      usage: {
+        prompt: promptTokens,
+        completion: completionTokens,
+        total: promptTokens + completionTokens
+      }
+    };
+  }
+};
+
+module.exports = mockProvider;
@@ -0,0 +1,64 @@
+const axios = require('axios');
+const config = require('../../config');
+
+// Any server that speaks the OpenAI chat completions API:
+// OpenAI itself, llama.cpp server, Ollama, vLLM, LM Studio...
+const openaiProvider = {
+  name: 'openai',
+
+  isConfigured() {
+    return !!config.openaiBaseUrl && !!config.llmModel;
+  },
+
+  async complete(prompt, { model, timeoutMs, json }) {
+    if (!config.openaiBaseUrl) {
+      throw new Error('OpenAI-compatible endpoint not configured. Set OPENAI_BASE_URL.');
+    }
+    if (!model) {
+      throw new Error('No model set for the OpenAI-compatible endpoint. Set LLM_MODEL.');
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.openaiApiKey) {
+      headers.Authorization = `Bearer ${config.openaiApiKey}`;
+    }
+
+    const body = {
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0.2
+    };
+    // JSON mode only guarantees an object, so array responses are left to the prompt
+    if (json === 'object') {
+      body.response_format = { type: 'json_object' };
+    }
+
+    const { data } = await axios.post(
+      `${config.openaiBaseUrl.replace(/\/+$/, '')}/chat/completions`,
+      body,
+      { headers, timeout: timeoutMs }
+    );
+
+    const choice = data.choices && data.choices[0];
+    if (!choice) {
+      throw new Error('OpenAI-compatible endpoint returned no choices');
+    }
+
+    return {
+      text: choice.message?.content || '',
+      usage: data.usage ? {
+        prompt: data.usage.prompt_tokens || 0,
+        completion: data.usage.completion_tokens || 0,
+        total: data.usage.total_tokens || 0
+      } : null
+    };
+  },
+
+  // Retry on network errors, rate limiting and server errors only
+  isRetryable(error) {
+    const status = error.response?.status;
+    return !status || status === 429 || status >= 500;
+  }
+};
+
+module.exports = openaiProvider;
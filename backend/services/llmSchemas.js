@@ -0,0 +1,120 @@
+const Joi = require('joi');
+const Summary = require('../models/summary');
+
+// Enums and fields are read from the Summary model so a validated reply can always be saved
+const KEY_POINT_CATEGORIES = Summary.schema.path('keyPoints').schema.path('category').enumValues;
+const SYMPTOM_SEVERITIES = Summary.schema.path('extractedData.symptoms').schema.path('severity').enumValues;
+const VITAL_SIGNS = Object.keys(Summary.schema.tree.extractedData.vitalSigns);
+
+const text = () => Joi.string().trim().allow('', null);
+const number = (min, max) => Joi.number().min(min).max(max).allow(null);
+
+// Segment references quoted back from a chunk ("S12"); a lone reference is wrapped in an array
+const segments = () => Joi.array().items(Joi.alternatives(Joi.string(), Joi.number())).single().default([]);
+
+// Object with one text field per note template section
+const noteSections = (template) => Joi.object(Object.fromEntries(
+  template.sections.map(section => [section.key, text()])
+));
+
+const keyPoints = Joi.array().items(Joi.object({
+  category: Joi.string().lowercase().valid(...KEY_POINT_CATEGORIES).required(),
+  point: Joi.string().trim().min(1).required(),
+  confidence: number(0, 100),
+  segments: segments()
+}));
+
+const vitalSign = Joi.alternatives(
+  Joi.string().trim().allow(''),
+  Joi.number(),
+  Joi.object({ value: Joi.alternatives(Joi.string().allow(''), Joi.number()).allow(null), segments: segments() })
+).allow(null);
+
+const medicalData = Joi.object({
+  symptoms: Joi.array().items(Joi.object({
+    name: Joi.string().trim().min(1).required(),
+    severity: Joi.string().lowercase().valid(...SYMPTOM_SEVERITIES, '').allow(null),
+    duration: text(),
+    onset: text(),
+    segments: segments()
+  })).default([]),
+  diagnoses: Joi.array().items(Joi.object({
+    condition: Joi.string().trim().min(1).required(),
+    icd10Code: text(),
+    confidence: number(0, 100),
+    segments: segments()
+  })).default([]),
+  medications: Joi.array().items(Joi.object({
+    name: Joi.string().trim().min(1).required(),
+    dosage: text(),
+    frequency: text(),
+    duration: text(),
+    route: text(),
+    segments: segments()
+  })).default([]),
+  procedures: Joi.array().items(Joi.object({
+    name: Joi.string().trim().min(1).required(),
+    cptCode: text(),
+    description: text(),
+    segments: segments()
+  })).default([]),
+  vitalSigns: Joi.object(Object.fromEntries(VITAL_SIGNS.map(field => [field, vitalSign]))).default({})
+});
+
+// Statement number -> supporting segment references
+const citations = Joi.object().pattern(Joi.string().pattern(/^\d+$/), segments());
+
+// Diarization speaker tag -> role
+const speakerRoles = Joi.object().pattern(Joi.string().pattern(/^\d+$/), Joi.object({
+  role: Joi.string().lowercase().valid('doctor', 'patient').required(),
+  confidence: number(0, 1)
+}));
+
+const question = () => Joi.string().trim().min(1).required();
+
+const clinicalQuestions = Joi.array().items(Joi.object({
+  question: question(),
+  category: Joi.string().valid('symptom_assessment', 'medical_history', 'risk_factors', 'physical_exam').required(),
+  priority: Joi.number().integer().min(1).max(5).required(),
+  rationale: text()
+}));
+
+const followUpQuestions = Joi.array().items(Joi.object({
+  question: question(),
+  category: Joi.string().valid('treatment_response', 'medication_monitoring', 'lifestyle_changes', 'warning_signs').required(),
+  timeframe: Joi.string().valid('immediate', 'short_term', 'medium_term', 'long_term').required(),
+  importance: Joi.string().lowercase().valid('low', 'medium', 'high', 'critical').required()
+}));
+
+const differentialQuestions = Joi.array().items(Joi.object({
+  question: question(),
+  purpose: text(),
+  urgency: Joi.string().lowercase().valid('routine', 'urgent', 'immediate').required(),
+  diagnostic_value: Joi.string().lowercase().valid('low', 'medium', 'high').required()
+}));
+
+const educationQuestions = Joi.array().items(Joi.object({
+  question: question(),
+  educational_goal: text(),
+  patient_benefit: text()
+}));
+
+/**
+ * Schemas every LLM reply is validated against (see llmService.generateJson).
+ * Unknown fields are stripped; anything else that does not match is sent back
+ * to the model to repair.
+ */
+module.exports = {
+  KEY_POINT_CATEGORIES,
+  SYMPTOM_SEVERITIES,
+  VITAL_SIGNS,
+  noteSections,
+  keyPoints,
+  medicalData,
+  citations,
+  speakerRoles,
+  clinicalQuestions,
+  followUpQuestions,
+  differentialQuestions,
+  educationQuestions
+};
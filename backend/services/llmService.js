@@ -0,0 +1,212 @@
+const config = require('../config');
+const geminiProvider = require('./llmProviders/geminiProvider');
+const openaiProvider = require('./llmProviders/openaiProvider');
+const mockProvider = require('./llmProviders/mockProvider');
+
+// Every provider implements:
+//   name: string
+//   isConfigured() -> boolean
+//   complete(prompt, { model, timeoutMs, json }) -> { text, usage: { prompt, completion, total } | null }
+//   isRetryable(error) -> boolean (optional)
+const providers = {
+  [geminiProvider.name]: geminiProvider,
+  [openaiProvider.name]: openaiProvider,
+  [mockProvider.name]: mockProvider
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// Reject if the provider call outlives its timeout, even if the SDK ignores it
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`LLM request timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+console.log(`LLM provider: ${config.llmProvider} (default model: ${config.llmModel})`);
+
+const llmService = {
+  getProvider(name = config.llmProvider) {
+    const provider = providers[name];
+    if (!provider) {
+      throw new Error(`Unknown LLM provider: ${name}. Supported: ${Object.keys(providers).join(', ')}`);
+    }
+    return provider;
+  },
+
+  isConfigured(name = config.llmProvider) {
+    return !!providers[name] && providers[name].isConfigured();
+  },
+
+  /**
+   * Send a prompt to the configured LLM
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - model, provider, timeoutMs, retries, json ('object' | 'array')
+   * @returns {Object} text, usage, model, provider, attempts
+   */
+  async generate(prompt, options = {}) {
+    const provider = this.getProvider(options.provider);
+    const model = options.model || config.llmModel;
+    const timeoutMs = options.timeoutMs || config.llmTimeoutMs;
+    const retries = options.retries !== undefined ? options.retries : config.llmMaxRetries;
+
+    if (!provider.isConfigured()) {
+      throw new Error(`LLM provider ${provider.name} not configured.`);
+    }
+
+    let lastError;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        const delay = config.llmRetryDelayMs * Math.pow(2, attempt - 1);
+        console.warn(`Retrying ${provider.name} request in ${delay}ms (attempt ${attempt + 1}/${retries + 1})`);
+        await sleep(delay);
+      }
+
+      try {
+        const result = await withTimeout(
+          provider.complete(prompt, { model, timeoutMs, json: options.json }),
+          timeoutMs
+        );
+
+        const usage = result.usage || {
+          prompt: estimateTokens(prompt),
+          completion: estimateTokens(result.text),
+          total: estimateTokens(prompt) + estimateTokens(result.text)
+        };
+
+        return {
+          text: result.text,
+          usage,
+          model,
+          provider: provider.name,
+          attempts: attempt + 1
+        };
+      } catch (error) {
+        lastError = error;
+        console.error(`${provider.name} request failed (attempt ${attempt + 1}):`, error.message);
+
+        if (provider.isRetryable && !provider.isRetryable(error)) {
+          break;
+        }
+      }
+    }
+
+    throw new Error(`LLM request failed: ${lastError.message}`);
+  },
+
+  /**
+   * Send a prompt and parse a JSON object or array out of the reply. With a
+   * Joi schema, a reply that does not parse or validate is sent back to the
+   * model with the problems listed, up to LLM_REPAIR_ATTEMPTS times; after
+   * that the call fails with the problems in error.issues. Nothing is
+   * substituted for an invalid reply.
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - Same as generate, plus expect ('object' | 'array'), schema, repairAttempts
+   * @returns {Object} data (validated, unknown fields stripped), text, usage (all attempts), model, provider, repairs
+   */
+  async generateJson(prompt, options = {}) {
+    const expect = options.expect || 'object';
+    const repairAttempts = options.schema
+      ? (options.repairAttempts !== undefined ? options.repairAttempts : config.llmRepairAttempts)
+      : 0;
+    const usage = this.emptyUsage();
+
+    let currentPrompt = prompt;
+    let issues = [];
+    for (let repair = 0; repair <= repairAttempts; repair++) {
+      const result = await this.generate(currentPrompt, { ...options, json: expect });
+      this.addUsage(usage, result.usage);
+
+      let data;
+      try {
+        data = this.parseJson(result.text, expect);
+      } catch (error) {
+        if (!options.schema) throw error;
+        issues = [`Response is not valid JSON (${error.message})`];
+      }
+
+      if (data !== undefined && options.schema) {
+        const { error, value } = options.schema.validate(data, { abortEarly: false, stripUnknown: true });
+        if (error) {
+          issues = error.details.map(detail => detail.message);
+          data = undefined;
+        } else {
+          data = value;
+        }
+      }
+
+      if (data !== undefined) {
+        return { ...result, data, usage, repairs: repair };
+      }
+
+      console.warn(`LLM reply failed validation (attempt ${repair + 1}/${repairAttempts + 1}): ${issues.join('; ')}`);
+      currentPrompt = this.repairPrompt(prompt, result.text, issues, expect);
+    }
+
+    const error = new Error(`LLM reply failed validation after ${repairAttempts + 1} attempt(s): ${issues.join('; ')}`);
+    error.issues = issues;
+    throw error;
+  },
+
+  // Re-ask with the original task, the rejected reply and what was wrong with it
+  repairPrompt(prompt, reply, issues, expect = 'object') {
+    return `${prompt}
+
+    Your previous response could not be used:
+${issues.map(issue => `    - ${issue}`).join('\n')}
+
+    Previous response:
+    ${String(reply || '').substring(0, 2000)}
+
+    Reply again with the corrected JSON ${expect} only, with no other text.`;
+  },
+
+  // Models often wrap JSON in prose or code fences; try the reply as-is, then
+  // without fences, then the outermost object or array in it
+  parseJson(text, expect = 'object') {
+    const candidates = [
+      text,
+      String(text || '').replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, ''),
+      (String(text || '').match(expect === 'array' ? /\[[\s\S]*\]/ : /\{[\s\S]*\}/) || [])[0]
+    ];
+
+    let lastError = new Error('Empty response');
+    for (const candidate of candidates) {
+      if (!candidate) continue;
+      try {
+        const value = JSON.parse(candidate);
+        const isArray = Array.isArray(value);
+        if ((expect === 'array') === isArray && value !== null && typeof value === 'object') {
+          return value;
+        }
+        lastError = new Error(`Expected a JSON ${expect}`);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  },
+
+  // Rough token count (about 4 characters per token) for budgeting prompts
+  estimateTokens,
+
+  emptyUsage() {
+    return { prompt: 0, completion: 0, total: 0 };
+  },
+
+  // Add one call's token usage to a running total
+  addUsage(total, usage) {
+    if (usage) {
+      total.prompt += usage.prompt || 0;
+      total.completion += usage.completion || 0;
+      total.total += usage.total || 0;
+    }
+    return total;
+  }
+};
+
+module.exports = llmService;
@@ -0,0 +1,235 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+
+const execFileAsync = promisify(execFile);
+
+// Every recording is transcoded to this before it reaches a speech provider
+const CANONICAL_FORMAT = {
+  container: 'wav',
+  codec: 'pcm_s16le',
+  encoding: 'LINEAR16',
+  sampleRate: 16000,
+  channels: 1
+};
+
+// Audio codecs ffmpeg can decode that we accept from uploads
+const SUPPORTED_CODECS = [
+  'opus', 'vorbis', 'mp3', 'aac', 'alac', 'flac',
+  'pcm_s16le', 'pcm_s24le', 'pcm_s32le', 'pcm_f32le', 'pcm_u8', 'pcm_mulaw', 'pcm_alaw'
+];
+
+// Error carrying the HTTP status and title a controller should respond with
+const mediaError = (status, title, message) => Object.assign(new Error(message), { status, title });
+
+const mediaService = {
+  CANONICAL_FORMAT,
+
+  /**
+   * Inspect an audio file with ffprobe.
+   * @param {string} filePath - Path to the uploaded file
+   * @returns {Promise<{container, codec, sampleRate, channels, duration, bitRate}>}
+   * @throws 422 for unreadable files, 415 for files without a supported audio stream,
+   *   503 when ffprobe is not installed
+   */
+  async probe(filePath) {
+    let stdout;
+    try {
+      ({ stdout } = await execFileAsync(config.ffprobePath, [
+        '-v', 'error',
+        '-print_format', 'json',
+        '-show_format',
+        '-show_streams',
+        filePath
+      ], { timeout: config.mediaProbeTimeoutMs, maxBuffer: 1024 * 1024 }));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw mediaError(503, 'Media tools unavailable', `Media probe binary not found: ${config.ffprobePath}`);
+      }
+      if (error.killed) {
+        throw new Error('Media probe timed out');
+      }
+      throw mediaError(422, 'Corrupt audio', 'The uploaded file could not be read as audio. It may be corrupt or truncated.');
+    }
+
+    const output = JSON.parse(stdout);
+    const stream = (output.streams || []).find(s => s.codec_type === 'audio');
+
+    if (!stream) {
+      throw mediaError(415, 'Unsupported media', 'The uploaded file does not contain an audio stream');
+    }
+
+    if (!SUPPORTED_CODECS.includes(stream.codec_name)) {
+      throw mediaError(415, 'Unsupported media', `Audio codec "${stream.codec_name}" is not supported`);
+    }
+
+    const duration = parseFloat(output.format?.duration || stream.duration);
+    if (!Number.isFinite(duration) || duration <= 0) {
+      // MediaRecorder WebM files have no duration header, so fall back to decoding them
+      const decoded = await this.measureDuration(filePath);
+      if (!decoded) {
+        throw mediaError(422, 'Corrupt audio', 'The uploaded audio is empty or could not be decoded');
+      }
+      return this.describe(output, stream, decoded);
+    }
+
+    return this.describe(output, stream, duration);
+  },
+
+  describe(output, stream, duration) {
+    return {
+      container: output.format?.format_name,
+      codec: stream.codec_name,
+      sampleRate: parseInt(stream.sample_rate) || undefined,
+      channels: stream.channels,
+      duration: Number(duration.toFixed(2)),
+      bitRate: parseInt(output.format?.bit_rate || stream.bit_rate) || undefined
+    };
+  },
+
+  // Decode the whole file and read the final timestamp ffmpeg reports
+  async measureDuration(filePath) {
+    try {
+      const { stderr } = await execFileAsync(config.ffmpegPath, [
+        '-v', 'info', '-i', filePath, '-f', 'null', '-'
+      ], { timeout: config.mediaProbeTimeoutMs, maxBuffer: 10 * 1024 * 1024 });
+
+      const times = [...stderr.matchAll(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/g)];
+      if (times.length === 0) return 0;
+
+      const [, hours, minutes, seconds] = times[times.length - 1];
+      return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseFloat(seconds);
+    } catch (error) {
+      return 0;
+    }
+  },
+
+  /**
+   * Transcode an audio file to CANONICAL_FORMAT in a fresh temp directory.
+   * @returns {Promise<{path: string, cleanup: Function}>}
+   */
+  async transcode(filePath) {
+    const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'media-'));
+    const outputPath = path.join(workDir, 'audio.wav');
+    const cleanup = () => fsp.rm(workDir, { recursive: true, force: true }).catch(() => {});
+
+    try {
+      await execFileAsync(config.ffmpegPath, [
+        '-v', 'error', '-y',
+        '-i', filePath,
+        '-vn',
+        '-ac', String(CANONICAL_FORMAT.channels),
+        '-ar', String(CANONICAL_FORMAT.sampleRate),
+        '-c:a', CANONICAL_FORMAT.codec,
+        outputPath
+      ], { timeout: config.mediaTranscodeTimeoutMs, maxBuffer: 10 * 1024 * 1024 });
+    } catch (error) {
+      await cleanup();
+      if (error.code === 'ENOENT') {
+        throw new Error(`Transcoder binary not found: ${config.ffmpegPath}`);
+      }
+      if (error.killed) {
+        throw new Error('Audio transcoding timed out');
+      }
+      throw new Error(`Audio transcoding failed: ${(error.stderr || error.message).trim()}`);
+    }
+
+    return { path: outputPath, cleanup };
+  },
+
+  // Duration of a CANONICAL_FORMAT WAV file, from its size
+  async canonicalDuration(wavPath) {
+    const { size } = await fsp.stat(wavPath);
+    return Math.max(size - 44, 0) / (CANONICAL_FORMAT.sampleRate * CANONICAL_FORMAT.channels * 2);
+  },
+
+  /**
+   * Find pauses with ffmpeg's silencedetect filter.
+   * @returns {Promise<Array<{start: number, end: number}>>} silent ranges in seconds
+   */
+  async detectSilences(filePath) {
+    let stderr;
+    try {
+      ({ stderr } = await execFileAsync(config.ffmpegPath, [
+        '-v', 'info', '-nostats',
+        '-i', filePath,
+        '-af', `silencedetect=noise=${config.silenceNoiseDb}dB:d=${config.silenceMinSeconds}`,
+        '-f', 'null', '-'
+      ], { timeout: config.mediaTranscodeTimeoutMs, maxBuffer: 10 * 1024 * 1024 }));
+    } catch (error) {
+      // Chunking can still cut at fixed offsets without silence information
+      console.warn('Silence detection failed:', error.message);
+      return [];
+    }
+
+    const silences = [];
+    let start = null;
+    stderr.split('\n').forEach(line => {
+      const startMatch = line.match(/silence_start: (-?\d+(?:\.\d+)?)/);
+      const endMatch = line.match(/silence_end: (\d+(?:\.\d+)?)/);
+      if (startMatch) {
+        start = Math.max(parseFloat(startMatch[1]), 0);
+      } else if (endMatch && start !== null) {
+        silences.push({ start, end: parseFloat(endMatch[1]) });
+        start = null;
+      }
+    });
+
+    return silences;
+  },
+
+  /**
+   * Split a recording into windows of at most maxSeconds, cutting in the middle
+   * of the last pause before each limit (or at the limit when there is none).
+   * Each window is widened by overlapSeconds on both sides so words spoken
+   * across a cut are heard whole; coreStart/coreEnd mark the part it owns.
+   */
+  planChunks(duration, silences, { maxSeconds, overlapSeconds }) {
+    const cuts = [];
+    let position = 0;
+
+    while (duration - position > maxSeconds) {
+      const limit = position + maxSeconds;
+      const pauses = silences
+        .map(silence => (silence.start + silence.end) / 2)
+        .filter(midpoint => midpoint > position + maxSeconds / 2 && midpoint <= limit);
+      const cut = pauses.length > 0 ? pauses[pauses.length - 1] : limit;
+      cuts.push(cut);
+      position = cut;
+    }
+
+    const bounds = [0, ...cuts, duration];
+    return bounds.slice(0, -1).map((coreStart, index) => {
+      const coreEnd = bounds[index + 1];
+      return {
+        index,
+        coreStart,
+        coreEnd,
+        start: Math.max(coreStart - overlapSeconds, 0),
+        end: Math.min(coreEnd + overlapSeconds, duration)
+      };
+    });
+  },
+
+  // Copy the [start, end) seconds of a CANONICAL_FORMAT WAV file to outputPath
+  async extractRange(wavPath, start, end, outputPath) {
+    try {
+      await execFileAsync(config.ffmpegPath, [
+        '-v', 'error', '-y',
+        '-ss', start.toFixed(3),
+        '-t', (end - start).toFixed(3),
+        '-i', wavPath,
+        '-c', 'copy',
+        outputPath
+      ], { timeout: config.mediaTranscodeTimeoutMs, maxBuffer: 10 * 1024 * 1024 });
+    } catch (error) {
+      throw new Error(`Audio chunking failed: ${(error.stderr || error.message).trim()}`);
+    }
+    return outputPath;
+  }
+};
+
+module.exports = mediaService;
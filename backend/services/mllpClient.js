@@ -0,0 +1,69 @@
+const net = require('net');
+
+// MLLP framing: <VT> message <FS><CR>
+const START_BLOCK = '\x0b';
+const END_BLOCK = '\x1c\x0d';
+
+/**
+ * Minimal MLLP client: one connection per message, resolves with the
+ * receiver's ACK once the end block arrives.
+ */
+const mllpClient = {
+  frame(message) {
+    return START_BLOCK + message + END_BLOCK;
+  },
+
+  /**
+   * @param {string} message - HL7 v2 message
+   * @param {Object} options
+   * @param {string} options.host
+   * @param {number} options.port
+   * @param {number} [options.timeoutMs=10000] - For connecting and for the ACK
+   * @returns {Promise<string>} ACK without framing
+   */
+  send(message, { host, port, timeoutMs = 10000 }) {
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+      let settled = false;
+
+      const socket = net.createConnection({ host, port });
+      socket.setEncoding('utf8');
+
+      const finish = (error, ack) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        socket.destroy();
+        if (error) reject(error);
+        else resolve(ack);
+      };
+
+      const timer = setTimeout(() => {
+        finish(new Error(`No ACK from ${host}:${port} within ${timeoutMs}ms`));
+      }, timeoutMs);
+
+      socket.on('connect', () => {
+        socket.write(this.frame(message), 'utf8');
+      });
+
+      socket.on('data', chunk => {
+        buffer += chunk;
+        const end = buffer.indexOf(END_BLOCK);
+        if (end === -1) return;
+
+        const start = buffer.indexOf(START_BLOCK);
+        finish(null, buffer.slice(start === -1 ? 0 : start + 1, end));
+      });
+
+      socket.on('error', error => {
+        finish(new Error(`MLLP connection to ${host}:${port} failed: ${error.message}`));
+      });
+
+      socket.on('close', () => {
+        finish(new Error(`MLLP connection to ${host}:${port} closed before an ACK was received`));
+      });
+    });
+  }
+};
+
+module.exports = mllpClient;
@@ -0,0 +1,19 @@
+// Discharge summary at the end of an admission
+const dischargeSummary = {
+  name: 'discharge-summary',
+  title: 'Discharge Summary',
+  sessionTypes: ['discharge'],
+  instructions: 'Summarise the admission for the doctor taking over care: why the patient was admitted, what happened, and what they leave with.',
+  sections: [
+    { key: 'chiefComplaint', title: 'Reason for Admission', required: true, prompt: 'Why the patient was admitted, in one sentence' },
+    { key: 'hospitalCourse', title: 'Hospital Course', required: true, prompt: 'Key events, investigations, procedures and treatment during the stay' },
+    { key: 'physicalExamination', title: 'Condition at Discharge', prompt: 'The patient\'s state and examination findings on leaving' },
+    { key: 'assessment', title: 'Discharge Diagnosis', required: true, prompt: 'Final and secondary diagnoses' },
+    { key: 'medications', title: 'Discharge Medications', required: true, prompt: 'Medications to continue, start or stop, with dose and frequency' },
+    { key: 'allergies', title: 'Allergies', prompt: 'Known allergies and reactions' },
+    { key: 'plan', title: 'Discharge Plan', prompt: 'Care arrangements, activity, diet and pending results' },
+    { key: 'followUp', title: 'Follow-up Instructions', required: true, prompt: 'Appointments, warning signs and when to seek care' }
+  ]
+};
+
+module.exports = dischargeSummary;
@@ -0,0 +1,18 @@
+// Follow-up note: interval history and response to treatment
+const followUpNote = {
+  name: 'follow-up',
+  title: 'Follow-up Note',
+  sessionTypes: ['follow-up'],
+  instructions: 'Focus on what has changed since the last visit and how the patient has responded to treatment.',
+  sections: [
+    { key: 'chiefComplaint', title: 'Reason for Follow-up', required: true, prompt: 'Condition being followed up, in one sentence' },
+    { key: 'historyOfPresentIllness', title: 'Interval History', required: true, prompt: 'Changes since the last visit, response to treatment, side effects and adherence' },
+    { key: 'medications', title: 'Current Medications', prompt: 'Medications the patient is taking now, noting any changes' },
+    { key: 'physicalExamination', title: 'Examination', prompt: 'Vital signs and examination findings stated during the visit' },
+    { key: 'assessment', title: 'Assessment', required: true, prompt: 'Whether the condition is improving, stable or worsening, and why' },
+    { key: 'plan', title: 'Plan', required: true, prompt: 'Changes to treatment, investigations and advice' },
+    { key: 'followUp', title: 'Next Follow-up', prompt: 'When the patient should return and what will be reviewed' }
+  ]
+};
+
+module.exports = followUpNote;
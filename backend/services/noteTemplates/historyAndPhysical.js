@@ -0,0 +1,23 @@
+// Full history and physical, for first visits and emergency presentations
+const historyAndPhysical = {
+  name: 'history-and-physical',
+  title: 'History and Physical',
+  sessionTypes: ['routine-checkup', 'emergency'],
+  instructions: 'Document a complete history and physical examination. Keep the past, medication, allergy, social and family histories in their own sections.',
+  sections: [
+    { key: 'chiefComplaint', title: 'Chief Complaint', required: true, prompt: 'Main reason for the visit, in one sentence' },
+    { key: 'historyOfPresentIllness', title: 'History of Present Illness', required: true, prompt: 'Onset, duration, character, severity and course of the current problem' },
+    { key: 'pastMedicalHistory', title: 'Past Medical History', required: true, prompt: 'Previous illnesses, surgeries and hospital admissions' },
+    { key: 'medications', title: 'Medications', required: true, prompt: 'Current medications with dose and frequency where stated' },
+    { key: 'allergies', title: 'Allergies', required: true, prompt: 'Drug and other allergies with the reaction; state "No known allergies" only if the patient said so' },
+    { key: 'socialHistory', title: 'Social History', prompt: 'Occupation, living situation, tobacco, alcohol and substance use' },
+    { key: 'familyHistory', title: 'Family History', prompt: 'Relevant illnesses in close relatives' },
+    { key: 'reviewOfSystems', title: 'Review of Systems', prompt: 'Symptoms by body system, including pertinent negatives' },
+    { key: 'physicalExamination', title: 'Physical Examination', required: true, prompt: 'Vital signs and examination findings by system' },
+    { key: 'assessment', title: 'Assessment', required: true, prompt: 'Clinical assessment and differential diagnoses' },
+    { key: 'plan', title: 'Plan', required: true, prompt: 'Investigations, treatment, prescriptions and advice' },
+    { key: 'followUp', title: 'Follow-up', prompt: 'When and why the patient should return' }
+  ]
+};
+
+module.exports = historyAndPhysical;
@@ -0,0 +1,45 @@
+const soap = require('./soap');
+const historyAndPhysical = require('./historyAndPhysical');
+const followUpNote = require('./followUpNote');
+const dischargeSummary = require('./dischargeSummary');
+const specialistConsult = require('./specialistConsult');
+
+// Every note template implements:
+//   name: string (stored as summary.noteType)
+//   title: string
+//   sessionTypes: string[] - session types that use it unless another is requested
+//   instructions: string - extra guidance for the model
+//   sections: [{ key, title, prompt, required? }] in note order; key is a summary.content field
+const noteTemplates = {
+  [soap.name]: soap,
+  [historyAndPhysical.name]: historyAndPhysical,
+  [followUpNote.name]: followUpNote,
+  [dischargeSummary.name]: dischargeSummary,
+  [specialistConsult.name]: specialistConsult
+};
+
+const DEFAULT_NOTE_TYPE = soap.name;
+
+// Get a note template by name
+function getNoteTemplate(name) {
+  const template = noteTemplates[name];
+  if (!template) {
+    throw new Error(`Unknown note template: ${name}. Supported: ${Object.keys(noteTemplates).join(', ')}`);
+  }
+  return template;
+}
+
+// Template a session type uses by default
+function templateForSessionType(sessionType) {
+  return Object.values(noteTemplates).find(template => template.sessionTypes.includes(sessionType))
+    || noteTemplates[DEFAULT_NOTE_TYPE];
+}
+
+// Required sections of a template that have no content
+function missingSections(template, content = {}) {
+  return template.sections.filter(section =>
+    section.required && !(content[section.key] && String(content[section.key]).trim())
+  );
+}
+
+module.exports = { getNoteTemplate, templateForSessionType, missingSections, noteTemplates, DEFAULT_NOTE_TYPE };
@@ -0,0 +1,18 @@
+// SOAP note: the default for general consultations
+const soap = {
+  name: 'soap',
+  title: 'SOAP Note',
+  sessionTypes: ['consultation'],
+  instructions: 'Organise the note as Subjective (complaint, history, review of systems), Objective (examination), Assessment and Plan.',
+  sections: [
+    { key: 'chiefComplaint', title: 'Chief Complaint', required: true, prompt: 'Main reason for the visit, in one sentence' },
+    { key: 'historyOfPresentIllness', title: 'History of Present Illness', prompt: 'Onset, duration, character and course of the current symptoms, as reported by the patient' },
+    { key: 'reviewOfSystems', title: 'Review of Systems', prompt: 'Other symptoms asked about, including pertinent negatives' },
+    { key: 'physicalExamination', title: 'Objective', prompt: 'Vital signs and examination findings stated during the visit' },
+    { key: 'assessment', title: 'Assessment', required: true, prompt: 'Clinical assessment and working or differential diagnoses' },
+    { key: 'plan', title: 'Plan', required: true, prompt: 'Investigations, treatment, prescriptions and advice' },
+    { key: 'followUp', title: 'Follow-up', prompt: 'When and why the patient should return' }
+  ]
+};
+
+module.exports = soap;
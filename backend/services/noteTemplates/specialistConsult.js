@@ -0,0 +1,20 @@
+// Specialist consultation written back to the referring doctor
+const specialistConsult = {
+  name: 'specialist-consult',
+  title: 'Specialist Consultation',
+  sessionTypes: ['specialist'],
+  instructions: 'Write for the referring doctor: answer the referral question and give clear recommendations.',
+  sections: [
+    { key: 'chiefComplaint', title: 'Reason for Referral', required: true, prompt: 'The question the referring doctor asked, in one sentence' },
+    { key: 'historyOfPresentIllness', title: 'History of Present Illness', required: true, prompt: 'History relevant to the referral question' },
+    { key: 'pastMedicalHistory', title: 'Past Medical History', prompt: 'Relevant previous illnesses and procedures' },
+    { key: 'medications', title: 'Medications', prompt: 'Current medications relevant to the consultation' },
+    { key: 'allergies', title: 'Allergies', prompt: 'Known allergies and reactions' },
+    { key: 'physicalExamination', title: 'Examination', prompt: 'Focused examination findings' },
+    { key: 'assessment', title: 'Impression', required: true, prompt: 'The specialist\'s impression and differential diagnoses' },
+    { key: 'plan', title: 'Recommendations', required: true, prompt: 'Recommended investigations, treatment and who is responsible for each' },
+    { key: 'followUp', title: 'Follow-up', prompt: 'Whether and when the specialist will see the patient again' }
+  ]
+};
+
+module.exports = specialistConsult;
@@ -1,53 +1,70 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const Session = require('../models/session');
 const config = require('../config');
+const llmService = require('./llmService');
+const deidentificationService = require('./deidentificationService');
+const transcriptChunker = require('./transcriptChunker');
+const llmSchemas = require('./llmSchemas');
+const evidenceService = require('./evidenceService');
+const symptomService = require('./symptomService');
+const Symptom = require('../models/symptom');
 
-// Initialize Gemini client
-let genAI = null;
-let model = null;
-try {
-  if (config.geminiApiKey) {
-    genAI = new GoogleGenerativeAI(config.geminiApiKey);
-    model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-    console.log('Google Gemini client initialized for question service');
-  } else {
-    console.warn('Warning: GEMINI_API_KEY not found. Question generation will not work.');
-  }
-} catch (error) {
-  console.error('Failed to initialize Google Gemini client for questions:', error);
-}
+const questionModel = () => config.llmQuestionModel || config.llmModel;
+
+// Words that make a sentence a question without saying what it asks about
+const QUESTION_WORDS = /\b(?:do|does|did|is|are|was|were|has|have|had|can|could|any|you|your|how|what|when|where|which|who|why|there|ever)\b/gi;
+
+const URGENCY_RANK = { emergency: 3, high: 2, medium: 1, low: 0 };
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Transcript lines in the { ref, text } form evidenceService.lexicalMatch compares against
+const transcriptLines = (text) => text.split('\n')
+  .filter(line => line.trim())
+  .map((line, index) => ({ ref: `L${index + 1}`, text: line }));
+
+const labeled = (questions, source) => questions.map(question => ({ ...question, source }));
 
 const questionService = {
   /**
-   * Generate reflexive questions based on consultation transcript
+   * Generate reflexive questions based on consultation transcript.
+   * Clinical questions come from the Symptom knowledge base first, with the
+   * model's suggestions merged in after them; with no LLM configured, only
+   * the knowledge base questions are returned. Every question has a
+   * `source`: 'knowledge-base' or 'llm'.
    * @param {string} sessionId - Session ID
    * @param {string} transcriptionText - Consultation transcript
+   * @param {Object} options
+   * @param {Array} options.symptoms - Symptom IDs attached to the session
    * @returns {Object} Generated questions with categories
    */
-  async generateReflexiveQuestions(sessionId, transcriptionText) {
+  async generateReflexiveQuestions(sessionId, transcriptionText, { symptoms = [] } = {}) {
     const startTime = Date.now();
     
     try {
       console.log(`Starting question generation for session: ${sessionId}`);
 
-      if (!model) {
-        throw new Error('Gemini API not configured for question generation.');
-      }
+      const useLlm = llmService.isConfigured();
+      const tokenUsage = llmService.emptyUsage();
+      const context = useLlm ? await this.transcriptContext(transcriptionText, tokenUsage) : null;
 
-      const clinicalQuestions = await this.generateClinicalQuestions(transcriptionText);
-      const followUpQuestions = await this.generateFollowUpQuestions(transcriptionText);
-      const differentialQuestions = await this.generateDifferentialQuestions(transcriptionText);
+      const assessment = await this.clinicalAssessment(transcriptionText, { symptoms, context, tokenUsage });
+      const followUpQuestions = useLlm ? labeled(await this.generateFollowUpQuestions(context, tokenUsage), 'llm') : [];
+      const differentialQuestions = useLlm ? labeled(await this.generateDifferentialQuestions(context, tokenUsage), 'llm') : [];
 
       const processingTime = Date.now() - startTime;
       console.log(`Question generation completed in ${processingTime}ms for session: ${sessionId}`);
 
       return {
-        clinical: clinicalQuestions,
+        clinical: assessment.questions,
         followUp: followUpQuestions,
         differential: differentialQuestions,
         metadata: {
-          model: 'gemini-1.5-flash',
+          model: useLlm ? `${config.llmProvider}:${questionModel()}` : null,
+          knowledgeBase: assessment.knowledgeBase,
+          ...(assessment.llmError && { llmError: assessment.llmError }),
           processingTime,
+          tokenUsage,
           generatedAt: new Date().toISOString()
         }
       };
@@ -58,10 +75,171 @@ const questionService = {
     }
   },
 
+  /**
+   * Clinical assessment questions: knowledge base questions for the
+   * session's symptoms, ranked, followed by the model's suggestions (when an
+   * LLM is configured) that neither repeat one of them nor are already
+   * answered in the transcript.
+   * @param {string} transcriptionText - De-identified transcript
+   * @param {Object} options
+   * @param {Array} options.symptoms - Symptom IDs attached to the session
+   * @param {string} options.context - Prompt text from transcriptContext, when already built
+   * @returns {Promise<Object>} { questions, llmError?, knowledgeBase: { symptoms, questions, answered } }
+   *   llmError: why the model's suggestions are missing, when the LLM call failed
+   */
+  async clinicalAssessment(transcriptionText, { symptoms = [], context, tokenUsage = llmService.emptyUsage() } = {}) {
+    const lines = transcriptLines(transcriptionText);
+    const knowledgeBase = await this.knowledgeBaseQuestions(symptoms, transcriptionText, lines);
+
+    const fromKnowledgeBase = knowledgeBase.questions.map(question => ({
+      question: question.question,
+      category: 'symptom_assessment',
+      priority: Math.ceil(question.importance / 2),
+      rationale: `Assessment of ${question.symptoms.join(', ')}`,
+      importance: question.importance,
+      type: question.type,
+      options: question.options,
+      symptoms: question.symptoms,
+      source: 'knowledge-base'
+    }));
+
+    let fromLlm = [];
+    let llmError = null;
+    if (llmService.isConfigured()) {
+      const asked = fromKnowledgeBase.map((question, index) => ({ ref: `Q${index + 1}`, text: question.question }));
+      try {
+        const prompt = context ?? await this.transcriptContext(transcriptionText, tokenUsage);
+        fromLlm = labeled(await this.generateClinicalQuestions(prompt, tokenUsage), 'llm')
+          .filter(question => !this.isAnswered(question.question, asked, knowledgeBase.terms) &&
+            !this.isAnswered(question.question, lines, knowledgeBase.terms));
+      } catch (error) {
+        // The knowledge base questions stand on their own; the model only adds to them
+        llmError = error.message;
+      }
+    }
+
+    return {
+      questions: [...fromKnowledgeBase, ...fromLlm],
+      ...(llmError && { llmError }),
+      knowledgeBase: {
+        symptoms: knowledgeBase.symptoms,
+        questions: knowledgeBase.questions.length,
+        answered: knowledgeBase.answered.length
+      }
+    };
+  },
+
+  /**
+   * Assessment questions (Symptom#getAssessmentQuestions, importance at or
+   * above QUESTION_MIN_IMPORTANCE) for the session's symptoms and any
+   * knowledge base symptom the transcript mentions. Questions the transcript
+   * already covers are dropped; one asked for several symptoms is kept once.
+   * The rest are ranked by importance, then by the most urgent symptom they
+   * belong to.
+   * @returns {Promise<Object>} { symptoms, terms, questions: [{ question, type, options, importance, symptoms }], answered }
+   *   terms: the symptoms' names and synonyms, which do not count towards an answer
+   */
+  async knowledgeBaseQuestions(symptomIds, transcriptionText, lines = transcriptLines(transcriptionText)) {
+    const mentioned = symptomService.mentions(transcriptionText, await symptomService.knowledgeBase());
+    const ids = [...new Set([...symptomIds, ...mentioned.map(symptom => symptom._id)].map(String))];
+    if (ids.length === 0) {
+      return { symptoms: [], terms: [], questions: [], answered: [] };
+    }
+
+    const symptoms = await Symptom.find({ _id: { $in: ids }, isActive: true });
+    const terms = symptoms.flatMap(symptom => [symptom.name, ...(symptom.synonyms || [])]).filter(Boolean);
+    const byText = new Map();
+    const answered = new Set();
+
+    symptoms.forEach(symptom => {
+      symptom.getAssessmentQuestions(config.questionMinImportance).forEach(question => {
+        const key = normalize(question.question);
+        if (!key || answered.has(key)) return;
+        if (this.isAnswered(question.question, lines, terms)) {
+          answered.add(key);
+          return;
+        }
+
+        const existing = byText.get(key);
+        if (existing) {
+          existing.symptoms.push(symptom.name);
+          existing.importance = Math.max(existing.importance, question.importance);
+          existing.urgency = Math.max(existing.urgency, URGENCY_RANK[symptom.urgencyLevel] || 0);
+          return;
+        }
+        byText.set(key, {
+          question: question.question,
+          type: question.type,
+          options: question.options,
+          importance: question.importance,
+          symptoms: [symptom.name],
+          urgency: URGENCY_RANK[symptom.urgencyLevel] || 0
+        });
+      });
+    });
+
+    const questions = [...byText.values()]
+      .sort((a, b) => b.importance - a.importance || b.urgency - a.urgency)
+      .map(({ urgency, ...question }) => question);
+
+    return { symptoms: symptoms.map(symptom => symptom.name), terms, questions, answered: [...answered] };
+  },
+
+  /**
+   * Whether a line already asks or answers the question: it shares at least
+   * two, and most, of the question's own content words. A symptom name
+   * counts as one word, so a line that only names the symptom ("I have had
+   * chest pain since this morning") is how the symptom was found, not an
+   * answer about its severity or onset; "the chest pain is severe" is.
+   * @param {Array} symptomTerms - Symptom names and synonyms
+   */
+  isAnswered(question, lines, symptomTerms = []) {
+    const patterns = symptomTerms
+      .filter(term => term && term.trim())
+      .map(term => new RegExp(`\\b${escapeRegExp(term.trim())}(?:e?s)?\\b`, 'gi'));
+    const markTerms = (text) => patterns.reduce((marked, pattern, index) => marked.replace(pattern, ` symptomterm${index} `), text);
+
+    return !!evidenceService.lexicalMatch(
+      markTerms(question.replace(QUESTION_WORDS, ' ')),
+      lines.map(line => ({ ...line, text: markTerms(line.text) }))
+    );
+  },
+
+  /**
+   * Fit a transcript into one question prompt. Transcripts within
+   * LLM_CHUNK_TOKENS are used as they are; longer ones are split into chunks
+   * and each chunk condensed to its clinical facts, in order.
+   * @param {string} transcriptionText - De-identified transcript
+   * @returns {string} Transcript, or the condensed parts
+   */
+  async transcriptContext(transcriptionText, tokenUsage = llmService.emptyUsage()) {
+    const chunks = transcriptChunker.chunkText(transcriptionText, { maxTokens: config.llmChunkTokens });
+    if (chunks.length <= 1) {
+      return transcriptionText;
+    }
+
+    const parts = [];
+    for (const [index, chunk] of chunks.entries()) {
+      const prompt = `This is part ${index + 1} of ${chunks.length} of a medical consultation transcript.
+    List every clinically relevant fact it contains: symptoms and their timing, history, medications, allergies, examination findings, test results, diagnoses discussed and the plan.
+    Write short plain-text lines, one fact per line. Keep who said it (patient or doctor) where that is clear.
+
+    ${deidentificationService.PROMPT_NOTE}
+
+    Transcript: ${chunk}`;
+
+      const { text, usage } = await llmService.generate(prompt, { model: questionModel() });
+      llmService.addUsage(tokenUsage, usage);
+      parts.push(`Part ${index + 1}:\n${text.trim()}`);
+    }
+
+    return `[Condensed from a long consultation, in order]\n${parts.join('\n\n')}`;
+  },
+
   /**
    * Generate clinical assessment questions
    */
-  async generateClinicalQuestions(transcriptionText) {
+  async generateClinicalQuestions(transcriptionText, tokenUsage = llmService.emptyUsage()) {
     const prompt = `Based on this medical consultation transcript, generate important clinical questions that should be asked to better understand the patient's condition.
 
     Focus on:
@@ -70,7 +248,9 @@ const questionService = {
     - Risk factors that need assessment
     - Physical examination findings needed
 
-    Transcript: ${transcriptionText.substring(0, 3000)}
+    ${deidentificationService.PROMPT_NOTE}
+
+    Transcript: ${transcriptionText}
 
     Return a JSON array of objects with fields: question, category, priority (1-5), rationale.
     Categories should be: symptom_assessment, medical_history, risk_factors, physical_exam.
@@ -78,29 +258,24 @@ const questionService = {
     Response (JSON array only):`;
 
     try {
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      
-      const jsonMatch = text.match(/\[[\s\S]*\]/);
-      const jsonText = jsonMatch ? jsonMatch[0] : '[]';
+      const { data, usage } = await llmService.generateJson(prompt, {
+        model: questionModel(),
+        expect: 'array',
+        schema: llmSchemas.clinicalQuestions
+      });
+      llmService.addUsage(tokenUsage, usage);
       
-      return JSON.parse(jsonText);
+      return data;
     } catch (error) {
       console.error('Clinical questions generation failed:', error);
-      return [{
-        question: "What other symptoms is the patient experiencing?",
-        category: "symptom_assessment",
-        priority: 3,
-        rationale: "Unable to generate specific questions automatically"
-      }];
+      throw new Error(`Clinical question generation failed: ${error.message}`);
     }
   },
 
   /**
    * Generate follow-up care questions
    */
-  async generateFollowUpQuestions(transcriptionText) {
+  async generateFollowUpQuestions(transcriptionText, tokenUsage = llmService.emptyUsage()) {
     const prompt = `Based on this medical consultation, generate important follow-up questions for the patient's next visit or ongoing care.
 
     Focus on:
@@ -109,7 +284,9 @@ const questionService = {
     - Lifestyle modifications progress
     - Warning signs to watch for
 
-    Transcript: ${transcriptionText.substring(0, 3000)}
+    ${deidentificationService.PROMPT_NOTE}
+
+    Transcript: ${transcriptionText}
 
     Return a JSON array of objects with fields: question, category, timeframe, importance.
     Categories should be: treatment_response, medication_monitoring, lifestyle_changes, warning_signs.
@@ -119,29 +296,24 @@ const questionService = {
     Response (JSON array only):`;
 
     try {
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      
-      const jsonMatch = text.match(/\[[\s\S]*\]/);
-      const jsonText = jsonMatch ? jsonMatch[0] : '[]';
+      const { data, usage } = await llmService.generateJson(prompt, {
+        model: questionModel(),
+        expect: 'array',
+        schema: llmSchemas.followUpQuestions
+      });
+      llmService.addUsage(tokenUsage, usage);
       
-      return JSON.parse(jsonText);
+      return data;
     } catch (error) {
       console.error('Follow-up questions generation failed:', error);
-      return [{
-        question: "How is the patient responding to the current treatment plan?",
-        category: "treatment_response",
-        timeframe: "short_term",
-        importance: "medium"
-      }];
+      throw new Error(`Follow-up question generation failed: ${error.message}`);
     }
   },
 
   /**
    * Generate differential diagnosis questions
    */
-  async generateDifferentialQuestions(transcriptionText) {
+  async generateDifferentialQuestions(transcriptionText, tokenUsage = llmService.emptyUsage()) {
     const prompt = `Based on this medical consultation, generate questions that would help differentiate between possible diagnoses or rule out serious conditions.
 
     Focus on:
@@ -150,7 +322,9 @@ const questionService = {
     - Specific tests or examinations needed
     - Alternative explanations for symptoms
 
-    Transcript: ${transcriptionText.substring(0, 3000)}
+    ${deidentificationService.PROMPT_NOTE}
+
+    Transcript: ${transcriptionText}
 
     Return a JSON array of objects with fields: question, purpose, urgency, diagnostic_value.
     Purpose should describe what condition or concern the question addresses.
@@ -160,29 +334,24 @@ const questionService = {
     Response (JSON array only):`;
 
     try {
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const { data, usage } = await llmService.generateJson(prompt, {
+        model: questionModel(),
+        expect: 'array',
+        schema: llmSchemas.differentialQuestions
+      });
+      llmService.addUsage(tokenUsage, usage);
       
-      const jsonMatch = text.match(/\[[\s\S]*\]/);
-      const jsonText = jsonMatch ? jsonMatch[0] : '[]';
-      
-      return JSON.parse(jsonText);
+      return data;
     } catch (error) {
       console.error('Differential questions generation failed:', error);
-      return [{
-        question: "Are there any other conditions that could explain these symptoms?",
-        purpose: "Consider alternative diagnoses",
-        urgency: "routine",
-        diagnostic_value: "medium"
-      }];
+      throw new Error(`Differential question generation failed: ${error.message}`);
     }
   },
 
   /**
    * Generate personalized patient education questions
    */
-  async generatePatientEducationQuestions(transcriptionText) {
+  async generatePatientEducationQuestions(transcriptionText, tokenUsage = llmService.emptyUsage()) {
     const prompt = `Based on this consultation, generate questions that would help educate the patient about their condition and improve their understanding.
 
     Focus on:
@@ -191,28 +360,26 @@ const questionService = {
     - Lifestyle modification opportunities
     - Prevention strategies
 
-    Transcript: ${transcriptionText.substring(0, 3000)}
+    ${deidentificationService.PROMPT_NOTE}
+
+    Transcript: ${transcriptionText}
 
     Return a JSON array of objects with fields: question, educational_goal, patient_benefit.
     
     Response (JSON array only):`;
 
     try {
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      
-      const jsonMatch = text.match(/\[[\s\S]*\]/);
-      const jsonText = jsonMatch ? jsonMatch[0] : '[]';
+      const { data, usage } = await llmService.generateJson(prompt, {
+        model: questionModel(),
+        expect: 'array',
+        schema: llmSchemas.educationQuestions
+      });
+      llmService.addUsage(tokenUsage, usage);
       
-      return JSON.parse(jsonText);
+      return data;
     } catch (error) {
       console.error('Patient education questions generation failed:', error);
-      return [{
-        question: "Do you have any questions about your condition or treatment?",
-        educational_goal: "Ensure patient understanding",
-        patient_benefit: "Improved treatment compliance"
-      }];
+      throw new Error(`Patient education question generation failed: ${error.message}`);
     }
   }
 };
@@ -0,0 +1,340 @@
+const fs = require('fs');
+const Condition = require('../models/condition');
+const Procedure = require('../models/procedure');
+const terminologyService = require('./terminologyService');
+
+const BATCH_SIZE = 1000;
+
+// ICD-10-CM chapters by first three characters of the code, mapped to Condition.category
+const ICD10_CHAPTERS = [
+  ['A00', 'B99', 'infectious-disease'],
+  ['C00', 'D49', 'neoplasm'],
+  ['D50', 'D89', 'blood-disorder'],
+  ['E00', 'E89', 'endocrine-disorder'],
+  ['F01', 'F99', 'mental-disorder'],
+  ['G00', 'G99', 'nervous-system'],
+  ['H00', 'H59', 'eye-disorder'],
+  ['H60', 'H95', 'ear-disorder'],
+  ['I00', 'I99', 'circulatory-system'],
+  ['J00', 'J99', 'respiratory-system'],
+  ['K00', 'K95', 'digestive-system'],
+  ['L00', 'L99', 'skin-disorder'],
+  ['M00', 'M99', 'musculoskeletal'],
+  ['N00', 'N99', 'genitourinary'],
+  ['O00', 'O9A', 'pregnancy-related'],
+  ['P00', 'P96', 'perinatal'],
+  ['Q00', 'Q99', 'congenital'],
+  ['S00', 'T88', 'injury-poisoning'],
+  ['U00', 'U85', 'special-purpose'],
+  ['V00', 'Y99', 'external-causes'],
+  ['Z00', 'Z99', 'health-status']
+];
+
+// CPT sections by numeric code range, mapped to Procedure.category
+const CPT_SECTIONS = [
+  [100, 1999, 'anesthesia'],
+  [10004, 69990, 'surgery'],
+  [70010, 79999, 'radiology'],
+  [80047, 89398, 'pathology-laboratory'],
+  [90281, 99199, 'medicine'],
+  [99202, 99499, 'evaluation-management'],
+  [99500, 99607, 'medicine']
+];
+
+// icd10cm_order_YYYY.txt: order number, code, billable flag, short and long description
+const ICD10_ORDER_LINE = /^\d{5} (\S+)\s+([01]) (.{60}) (.+)$/;
+// icd10cm_codes_YYYY.txt: code, description
+const ICD10_CODES_LINE = /^(\S+)\s+(.+)$/;
+
+const CODE_HEADERS = ['code', 'cpt', 'cpt code', 'cpt_code', 'hcpcs', 'hcpcs code', 'procedure code'];
+const DESCRIPTION_HEADERS = ['long description', 'long_description', 'description', 'descriptor', 'long descriptor'];
+const SHORT_HEADERS = ['short description', 'short_description', 'short descriptor', 'short'];
+
+const icd10Category = (code) => {
+  const prefix = code.slice(0, 3);
+  const chapter = ICD10_CHAPTERS.find(([start, end]) => prefix >= start && prefix <= end);
+  return chapter ? chapter[2] : 'other';
+};
+
+const procedureCategory = (code) => {
+  if (/^\d{4}F$/.test(code)) return 'performance-measurement';
+  if (/^\d{4}T$/.test(code)) return 'emerging-technology';
+  if (/^\d{4}[UM]$/.test(code)) return 'pathology-laboratory';
+  if (!/^\d{5}$/.test(code)) return 'other';
+  const number = parseInt(code, 10);
+  const section = CPT_SECTIONS.find(([start, end]) => number >= start && number <= end);
+  return section ? section[2] : 'other';
+};
+
+// One delimited line, with double-quoted fields that may contain the delimiter
+const splitDelimited = (line, delimiter) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+const columnIndex = (headers, names) => headers.findIndex(header => names.includes(header));
+
+const compact = (values) => [...new Set(values.filter(Boolean))];
+
+/**
+ * Loads ICD-10-CM and CPT code releases into the Condition and Procedure
+ * collections.
+ *
+ * Each import is one release (e.g. '2025'). Codes in the file are created or
+ * updated and marked active; codes from an earlier import of the same source
+ * that the release no longer contains are retired (isActive: false) rather
+ * than deleted, so sessions and summaries that reference them still resolve.
+ * A renamed code keeps its previous name as a synonym.
+ */
+const referenceDataService = {
+  SOURCES: {
+    icd10cm: {
+      source: 'ICD-10-CM',
+      model: Condition,
+      codeField: 'icd10Code',
+      parse: (text) => referenceDataService.parseICD10(text)
+    },
+    cpt: {
+      source: 'CPT',
+      model: Procedure,
+      codeField: 'code',
+      parse: (text) => referenceDataService.parseProcedures(text)
+    }
+  },
+
+  /**
+   * Parse a CMS ICD-10-CM order file (icd10cm_order_YYYY.txt, with header
+   * and billable codes) or code file (icd10cm_codes_YYYY.txt, billable only).
+   * Malformed lines are skipped with a warning rather than failing the import.
+   * @returns {Array} [{ code, name, shortName?, billable, category }]
+   */
+  parseICD10(text) {
+    const records = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim()) return;
+
+      const order = line.match(ICD10_ORDER_LINE);
+      const match = order || line.match(ICD10_CODES_LINE);
+      if (!match) {
+        console.warn(`Skipping unrecognized ICD-10-CM line ${index + 1}: ${line.slice(0, 40)}`);
+        return;
+      }
+
+      const code = terminologyService.normalizeCode(match[1]);
+      if (!terminologyService.isValidICD10(code)) {
+        console.warn(`Skipping invalid ICD-10-CM code on line ${index + 1}: ${match[1]}`);
+        return;
+      }
+
+      records.push({
+        code,
+        name: (order ? match[4] : match[2]).trim(),
+        shortName: order ? match[3].trim() : undefined,
+        billable: order ? match[2] === '1' : true,
+        category: icd10Category(code)
+      });
+    });
+    return records;
+  },
+
+  /**
+   * Parse a CPT/HCPCS code list: CSV or tab-separated, with a header row
+   * naming the code and (long/short) description columns, or without one,
+   * in which case the first two columns are code and description. Lines
+   * with an invalid code are skipped with a warning.
+   * @returns {Array} [{ code, codeSystem, name, shortName?, category }]
+   */
+  parseProcedures(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) return [];
+
+    const delimiter = lines[0].includes('\t') ? '\t' : ',';
+    const first = splitDelimited(lines[0], delimiter).map(header => header.toLowerCase());
+    const hasHeader = columnIndex(first, CODE_HEADERS) !== -1;
+
+    const codeColumn = hasHeader ? columnIndex(first, CODE_HEADERS) : 0;
+    const descriptionColumn = hasHeader ? columnIndex(first, DESCRIPTION_HEADERS) : 1;
+    const shortColumn = hasHeader ? columnIndex(first, SHORT_HEADERS) : -1;
+    if (descriptionColumn === -1 && shortColumn === -1) {
+      throw new Error('Procedure file has no description column');
+    }
+
+    const records = [];
+    lines.slice(hasHeader ? 1 : 0).forEach((line, index) => {
+      const fields = splitDelimited(line, delimiter);
+      const code = (fields[codeColumn] || '').toUpperCase();
+      if (!/^(?:\d{4}[0-9FTUM]|[A-V]\d{4})$/.test(code)) {
+        console.warn(`Skipping invalid procedure code on line ${index + (hasHeader ? 2 : 1)}: ${fields[codeColumn]}`);
+        return;
+      }
+
+      const shortName = shortColumn !== -1 ? fields[shortColumn] : undefined;
+      records.push({
+        code,
+        codeSystem: /^[A-V]/.test(code) ? 'HCPCS' : 'CPT',
+        name: (descriptionColumn !== -1 && fields[descriptionColumn]) || shortName,
+        shortName,
+        category: procedureCategory(code)
+      });
+    });
+    return records;
+  },
+
+  readFile(file, type) {
+    const definition = this.SOURCES[type];
+    if (!definition) {
+      throw new Error(`Unknown reference data type: ${type} (expected ${Object.keys(this.SOURCES).join(' or ')})`);
+    }
+    return definition.parse(fs.readFileSync(file, 'utf8'));
+  },
+
+  /**
+   * Import one code release.
+   * @param {string} type - 'icd10cm' or 'cpt'
+   * @param {Array} records - From parseICD10 / parseProcedures
+   * @param {Object} options
+   * @param {string} options.release - Release label, compared as a string ('2025', '2025-04')
+   * @param {boolean} options.retire - Retire codes missing from this release (default true)
+   * @param {boolean} options.force - Allow importing a release older than the latest one loaded
+   * @param {boolean} options.dryRun - Count the changes without writing them
+   * @returns {Promise<Object>} { source, release, total, inserted, updated, renamed, reactivated, retired, failed }
+   */
+  async importRelease(type, records, { release, retire = true, force = false, dryRun = false }) {
+    const { source, model, codeField } = this.SOURCES[type];
+    if (!release) {
+      throw new Error('A release label is required');
+    }
+
+    const latest = await model.findOne({ 'metadata.source': source })
+      .sort({ 'metadata.release': -1 })
+      .select('metadata.release')
+      .lean();
+    const latestRelease = latest?.metadata?.release;
+    if (latestRelease && release < latestRelease && !force) {
+      throw new Error(`Release ${release} is older than the loaded ${source} release ${latestRelease}; pass --force to import it anyway`);
+    }
+    // Re-importing an old release must not retire codes added since
+    const retiring = retire && (!latestRelease || release >= latestRelease);
+
+    const existing = await model.find({})
+      .select(`${codeField} codeSystem name isActive metadata.source`)
+      .lean();
+    // Procedure codes are unique per code system
+    const recordKey = (record) => (type === 'cpt' ? `${record.codeSystem}:${record.code}` : record.code);
+    const docKey = (doc) => (type === 'cpt' ? `${doc.codeSystem}:${doc.code}` : doc[codeField]);
+    const byKey = new Map(existing.map(doc => [docKey(doc), doc]));
+
+    // Condition names are unique: a name used twice in the release, or held by
+    // another code, is qualified with the code
+    const nameCounts = new Map();
+    records.forEach(record => nameCounts.set(record.name, (nameCounts.get(record.name) || 0) + 1));
+    const nameOwners = new Map(existing.map(doc => [doc.name, docKey(doc)]));
+    const nameFor = (record) => {
+      if (type === 'cpt') return record.name;
+      const owner = nameOwners.get(record.name);
+      const taken = nameCounts.get(record.name) > 1 || (owner && owner !== recordKey(record));
+      return taken ? `${record.name} (${record.code})` : record.name;
+    };
+
+    const result = { source, release, total: records.length, inserted: 0, updated: 0, renamed: 0, reactivated: 0, retired: 0, failed: 0 };
+    const seen = new Set();
+    const operations = records.map(record => {
+      seen.add(recordKey(record));
+      const current = byKey.get(recordKey(record));
+      const name = nameFor(record);
+
+      if (!current) result.inserted++;
+      else {
+        result.updated++;
+        if (current.name !== name) result.renamed++;
+        if (!current.isActive) result.reactivated++;
+      }
+
+      const filter = type === 'cpt' ? { codeSystem: record.codeSystem, code: record.code } : { icd10Code: record.code };
+      const set = {
+        name,
+        category: record.category,
+        isActive: true,
+        'metadata.source': source,
+        'metadata.release': release,
+        'metadata.lastUpdated': new Date()
+      };
+      if (type === 'icd10cm') {
+        set['metadata.billable'] = record.billable;
+        set['metadata.updatedBy'] = 'reference-import';
+      }
+
+      const synonyms = compact([
+        record.shortName !== record.name && record.shortName,
+        current && current.name !== name && current.name
+      ]);
+
+      return {
+        updateOne: {
+          filter,
+          update: {
+            $set: set,
+            $unset: { 'metadata.retiredIn': '' },
+            $setOnInsert: { 'metadata.firstRelease': release },
+            ...(synonyms.length > 0 && { $addToSet: { synonyms: { $each: synonyms } } })
+          },
+          upsert: true
+        }
+      };
+    });
+
+    const retired = retiring
+      ? existing.filter(doc => doc.metadata?.source === source && doc.isActive && !seen.has(docKey(doc)))
+      : [];
+    result.retired = retired.length;
+
+    if (dryRun) return result;
+
+    for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+      try {
+        await model.bulkWrite(operations.slice(i, i + BATCH_SIZE), { ordered: false });
+      } catch (error) {
+        if (!error.writeErrors) throw error;
+        // Remaining operations in the batch still ran; report the rejected ones
+        [].concat(error.writeErrors).forEach(writeError => {
+          console.error(`Skipped ${source} code: ${writeError.errmsg || writeError.message}`);
+        });
+        result.failed += [].concat(error.writeErrors).length;
+      }
+    }
+
+    if (retired.length > 0) {
+      await model.updateMany(
+        { _id: { $in: retired.map(doc => doc._id) } },
+        { $set: { isActive: false, 'metadata.retiredIn': release, 'metadata.lastUpdated': new Date() } }
+      );
+    }
+
+    return result;
+  }
+};
+
+module.exports = referenceDataService;
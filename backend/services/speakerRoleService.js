@@ -0,0 +1,253 @@
+const config = require('../config');
+const llmService = require('./llmService');
+const deidentificationService = require('./deidentificationService');
+const llmSchemas = require('./llmSchemas');
+
+// Openers that mark a sentence as a question even without a question mark
+const QUESTION_OPENERS = /^(what|when|where|why|how|who|which|do|does|did|have|has|is|are|can|could|any|tell me)\b/i;
+
+// Vocabulary that is much more common from the clinician's side of the conversation
+const CLINICIAN_TERMS = [
+  'prescribe', 'prescription', 'diagnosis', 'diagnose', 'examine', 'examination',
+  'temperature', 'blood pressure', 'pulse', 'milligrams', 'dose', 'dosage',
+  'recommend', 'follow up', 'follow-up', 'test', 'scan', 'x-ray', 'blood work',
+  'i would like you to', 'let me', 'take a look', 'breathe', 'come back',
+  'symptoms', 'history', 'allergies', 'any medication'
+];
+
+// Phrasing typical of someone describing their own illness
+const PATIENT_TERMS = [
+  'i have', "i've", 'i had', 'i feel', 'i felt', 'my ', 'it hurts', 'hurting',
+  'since', 'for the last', 'days ago', 'weeks ago', 'i took', 'i am taking',
+  "i can't", 'i cannot', 'i was', 'worse', 'better'
+];
+
+const countTerms = (text, terms) => terms.reduce(
+  (count, term) => count + (text.includes(term) ? 1 : 0),
+  0
+);
+
+/**
+ * Maps diarization speaker tags to doctor/patient roles.
+ *
+ * Each speaker gets a clinician score from how often they ask questions and how
+ * much clinical versus first-person symptom language they use. The highest
+ * scoring speaker is the doctor and the rest are patients. When the margin is
+ * small and SPEAKER_ROLE_LLM is enabled, the LLM is asked to decide instead.
+ */
+const speakerRoleService = {
+  /**
+   * @param {Array} segments - Provider segments ({ speaker, text, startTime, endTime, words })
+   * @returns {Promise<{segments: Array, speakerMapping: Array}>} stored segments and one
+   *   { speakerTag, role, confidence, source } entry per speaker
+   */
+  async assignRoles(segments) {
+    const tagged = segments.map(segment => ({
+      speakerTag: segment.speaker || 0,
+      text: segment.text,
+      startTime: segment.startTime,
+      endTime: segment.endTime,
+      words: segment.words || []
+    }));
+
+    let speakerMapping = this.classifyHeuristically(tagged);
+
+    const lowConfidence = speakerMapping.some(entry => entry.confidence < config.speakerRoleMinConfidence);
+    if (lowConfidence && config.speakerRoleLlm && llmService.isConfigured()) {
+      try {
+        speakerMapping = await this.classifyWithLlm(tagged, speakerMapping);
+      } catch (error) {
+        console.warn('LLM speaker role classification failed, keeping heuristic roles:', error.message);
+      }
+    }
+
+    return {
+      segments: this.applyMapping(tagged, speakerMapping),
+      speakerMapping
+    };
+  },
+
+  classifyHeuristically(segments) {
+    const speakers = new Map();
+
+    segments.forEach((segment, index) => {
+      if (!speakers.has(segment.speakerTag)) {
+        speakers.set(segment.speakerTag, { firstIndex: index, sentences: 0, questions: 0, clinician: 0, patient: 0 });
+      }
+
+      const stats = speakers.get(segment.speakerTag);
+      const sentences = segment.text.split(/(?<=[.?!])\s+/).filter(Boolean);
+      const lower = segment.text.toLowerCase();
+
+      stats.sentences += sentences.length;
+      stats.questions += sentences.filter(sentence => sentence.trim().endsWith('?') || QUESTION_OPENERS.test(sentence.trim())).length;
+      stats.clinician += countTerms(lower, CLINICIAN_TERMS);
+      stats.patient += countTerms(lower, PATIENT_TERMS);
+    });
+
+    // Speaker tag 0 means the provider could not diarize this audio
+    const tags = [...speakers.keys()].filter(tag => tag !== 0);
+    if (tags.length === 0) {
+      return speakers.has(0) ? [{ speakerTag: 0, role: 'unknown', confidence: 0, source: 'heuristic' }] : [];
+    }
+
+    const scores = tags.map(tag => {
+      const stats = speakers.get(tag);
+      const questionRatio = stats.sentences ? stats.questions / stats.sentences : 0;
+      const vocabulary = (stats.clinician - stats.patient) / Math.max(stats.clinician + stats.patient, 1);
+      // Small tie-breaker: the clinician usually opens the consultation
+      const opener = stats.firstIndex === 0 ? 0.1 : 0;
+      return { tag, score: questionRatio + vocabulary + opener };
+    }).sort((a, b) => b.score - a.score);
+
+    // Margin between the best and second-best doctor candidate, squashed to 0.5-1
+    const margin = scores.length > 1 ? scores[0].score - scores[1].score : Math.abs(scores[0].score);
+    const confidence = Number((0.5 + 0.5 * Math.tanh(margin)).toFixed(2));
+
+    const mapping = scores.map((entry, index) => ({
+      speakerTag: entry.tag,
+      role: scores.length === 1 && entry.score <= 0 ? 'patient' : (index === 0 ? 'doctor' : 'patient'),
+      confidence,
+      source: 'heuristic'
+    }));
+
+    if (speakers.has(0)) {
+      mapping.push({ speakerTag: 0, role: 'unknown', confidence: 0, source: 'heuristic' });
+    }
+
+    return mapping;
+  },
+
+  async classifyWithLlm(segments, heuristicMapping) {
+    // Required here: transcriptChunker requires this module for role labels
+    const transcriptChunker = require('./transcriptChunker');
+    // No patient record is at hand here, so only the rule-based PHI detectors apply
+    const redactor = deidentificationService.createRedactor();
+    const transcript = segments
+      .filter(segment => segment.speakerTag !== 0)
+      .map(segment => `Speaker ${segment.speakerTag}: ${redactor.redact(segment.text)}`)
+      .join('\n');
+
+    // Long consultations are classified part by part; each part votes per speaker
+    const chunks = transcriptChunker.chunkText(transcript, { maxTokens: config.llmChunkTokens });
+    const votes = new Map(); // speaker -> { answers, byRole: role -> summed confidence }
+
+    for (const [index, chunk] of chunks.entries()) {
+      const part = chunks.length > 1 ? ` This is part ${index + 1} of ${chunks.length} of the transcript.` : '';
+      const prompt = `This is a diarized transcript of a medical consultation.${part} Decide which speaker is the doctor and which is the patient.
+
+    Return a JSON object keyed by speaker number, each value an object with fields:
+    - role: "doctor" or "patient"
+    - confidence: number between 0 and 1
+
+    Transcript: ${chunk}
+
+    Response (JSON only):`;
+
+      const { data } = await llmService.generateJson(prompt, { model: config.llmModel, schema: llmSchemas.speakerRoles });
+
+      Object.entries(data).forEach(([speaker, answer]) => {
+        if (!answer || !answer.role) return;
+        if (!votes.has(speaker)) {
+          votes.set(speaker, { answers: 0, byRole: new Map() });
+        }
+        const vote = votes.get(speaker);
+        vote.answers += 1;
+        vote.byRole.set(answer.role, (vote.byRole.get(answer.role) || 0) + (answer.confidence ?? 0.5));
+      });
+    }
+
+    return heuristicMapping.map(entry => {
+      const vote = votes.get(String(entry.speakerTag));
+      if (!vote) {
+        return entry;
+      }
+      const [role, total] = [...vote.byRole.entries()].sort((a, b) => b[1] - a[1])[0];
+      return {
+        speakerTag: entry.speakerTag,
+        role,
+        confidence: Number((total / vote.answers).toFixed(2)),
+        source: 'llm'
+      };
+    });
+  },
+
+  /**
+   * Copy each speaker's role onto their segments. Segment confidence starts at
+   * the speaker's confidence and moves up or down depending on whether the
+   * segment's own wording agrees with the role; manual mappings are always 1.
+   */
+  applyMapping(segments, speakerMapping) {
+    const byTag = new Map(speakerMapping.map(entry => [entry.speakerTag, entry]));
+
+    return segments.map(segment => {
+      const entry = byTag.get(segment.speakerTag);
+      if (!entry || entry.role === 'unknown') {
+        return { ...segment, speaker: 'unknown', roleConfidence: 0 };
+      }
+
+      let roleConfidence = entry.confidence;
+      if (entry.source !== 'manual') {
+        const lean = this.segmentLean(segment.text);
+        const agrees = (lean > 0 && entry.role === 'doctor') || (lean < 0 && entry.role === 'patient');
+        const disagrees = (lean > 0 && entry.role === 'patient') || (lean < 0 && entry.role === 'doctor');
+        if (agrees) roleConfidence += 0.1;
+        if (disagrees) roleConfidence -= 0.2;
+      }
+
+      return {
+        ...segment,
+        speaker: entry.role,
+        roleConfidence: Number(Math.min(Math.max(roleConfidence, 0), 1).toFixed(2))
+      };
+    });
+  },
+
+  // +1 if a segment reads like the clinician, -1 like the patient, 0 if unclear
+  segmentLean(text) {
+    const lower = text.toLowerCase();
+    const clinician = countTerms(lower, CLINICIAN_TERMS) + (text.trim().endsWith('?') ? 1 : 0);
+    const patient = countTerms(lower, PATIENT_TERMS);
+    return Math.sign(clinician - patient);
+  },
+
+  // Role for a whole transcription: the single role if only one speaker talks, else unknown
+  overallRole(segments) {
+    const roles = new Set(segments.map(segment => segment.speaker));
+    return roles.size === 1 ? [...roles][0] : 'unknown';
+  },
+
+  /**
+   * Build a transcript for LLM prompts from completed transcriptions. Diarized,
+   * unedited transcriptions become "Doctor:" / "Patient:" lines so prompts can
+   * tell patient-reported history apart from clinician statements.
+   */
+  formatTranscript(transcriptions, { header = true } = {}) {
+    let labeled = false;
+
+    const text = transcriptions
+      .filter(t => t.status === 'completed')
+      .map(t => {
+        if (!t.segments || t.segments.length === 0 || t.isEdited) {
+          return t.transcriptionText;
+        }
+        labeled = true;
+        return t.segments
+          .map(segment => `${this.roleLabel(segment.speaker)}: ${segment.text}`)
+          .join('\n');
+      })
+      .join('\n\n');
+
+    if (!labeled || !text.trim() || !header) {
+      return text;
+    }
+
+    return `[Lines starting with "Patient:" are patient-reported history; lines starting with "Doctor:" are clinician questions, findings and instructions.]\n${text}`;
+  },
+
+  roleLabel(role) {
+    return role === 'doctor' ? 'Doctor' : role === 'patient' ? 'Patient' : 'Speaker';
+  }
+};
+
+module.exports = speakerRoleService;
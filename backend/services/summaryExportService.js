@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const Summary = require('../models/summary');
+const DocumentTemplate = require('../models/documentTemplate');
+const clinicalNoteService = require('./clinicalNoteService');
+const { getExporter } = require('./exporters');
+
+// Stands in for an uploaded template when a department has none
+const BUILTIN_TEMPLATE = {
+  templateId: 'builtin',
+  name: 'Built-in clinical note',
+  version: 0,
+  content: null
+};
+
+/**
+ * Renders summaries through an exporter and records which template version
+ * produced each document on summary.exportHistory.
+ */
+const summaryExportService = {
+  BUILTIN_TEMPLATE,
+
+  // Template used for a department: its own, else the all-departments one, else built-in
+  async resolveTemplate(department) {
+    return (await DocumentTemplate.findActive(department)) || BUILTIN_TEMPLATE;
+  },
+
+  /**
+   * @param {Object} summary - Summary document
+   * @param {string} format - Exporter format
+   * @param {Object} [user] - Authenticated user, recorded as exportedBy
+   * @returns {Promise<{ document: Buffer, exporter: Object, template: Object|null }>}
+   */
+  async render(summary, format, user) {
+    const exporter = getExporter(format);
+    const note = await clinicalNoteService.buildNote(summary);
+    const template = exporter.usesTemplate
+      ? await this.resolveTemplate(note.encounter.department)
+      : null;
+
+    const document = await exporter.render(note, { template });
+
+    // $push skips the audit hooks; the export itself is audited by the route
+    await Summary.updateOne({ _id: summary._id }, {
+      $push: {
+        exportHistory: {
+          format,
+          summaryVersion: summary.version,
+          templateId: template?.templateId,
+          templateVersion: template?.version,
+          department: note.encounter.department,
+          checksum: crypto.createHash('sha256').update(document).digest('hex'),
+          exportedBy: user?.userId,
+          exportedAt: new Date()
+        }
+      }
+    });
+
+    return { document, exporter, template };
+  }
+};
+
+module.exports = summaryExportService;
@@ -1,24 +1,79 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const Session = require('../models/session');
 const config = require('../config');
+const llmService = require('./llmService');
+const transcriptChunker = require('./transcriptChunker');
+const evidenceService = require('./evidenceService');
+const llmSchemas = require('./llmSchemas');
+const deidentificationService = require('./deidentificationService');
+const terminologyService = require('./terminologyService');
+const symptomService = require('./symptomService');
+const { getNoteTemplate, templateForSessionType, missingSections } = require('./noteTemplates');
 
-// Initialize Gemini client
-let genAI = null;
-let model = null;
-try {
-  if (config.geminiApiKey) {
-    genAI = new GoogleGenerativeAI(config.geminiApiKey);
-    model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-    console.log('Google Gemini client initialized successfully');
-  } else {
-    console.warn('Warning: GEMINI_API_KEY not found. Summary generation will not work.');
-  }
-} catch (error) {
-  console.error('Failed to initialize Google Gemini client:', error);
-}
+const summaryModel = () => config.llmSummaryModel || config.llmModel;
+
+const { VITAL_SIGNS, KEY_POINT_CATEGORIES, SYMPTOM_SEVERITIES } = llmSchemas;
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const sourceKey = (source) => `${source.transcriptionId}:${source.segmentIndex ?? source.charStart}`;
+
+/**
+ * Merge facts extracted from overlapping chunks. Items that share an identity
+ * key (e.g. a normalized name or a code) are folded into the first mention:
+ * it keeps its own values, fills gaps from the duplicates, takes the highest
+ * of `maxFields` and pools every source.
+ */
+const dedupe = (items, { identities, fields, maxFields = [] }) => {
+  const merged = [];
+
+  items.forEach(item => {
+    const keys = identities(item).filter(Boolean);
+    if (keys.length === 0) return;
+
+    const existing = merged.find(entry => entry.keys.some(key => keys.includes(key)));
+    if (!existing) {
+      merged.push({ keys, item });
+      return;
+    }
+
+    const kept = existing.item;
+    fields.forEach(field => {
+      if (!kept[field] && item[field]) kept[field] = item[field];
+    });
+    maxFields.forEach(field => {
+      if (item[field] !== undefined && !(kept[field] >= item[field])) kept[field] = item[field];
+    });
+    const seen = new Set(kept.sources.map(sourceKey));
+    item.sources.forEach(source => {
+      if (!seen.has(sourceKey(source))) {
+        kept.sources.push(source);
+        seen.add(sourceKey(source));
+      }
+    });
+    existing.keys.push(...keys);
+  });
+
+  return merged.map(entry => entry.item);
+};
+
+// Keep only the non-empty listed fields of a validated item, plus its resolved sources
+const pick = (item, fields, byRef) => {
+  const picked = {};
+  fields.forEach(field => {
+    if (item[field] !== undefined && item[field] !== null && item[field] !== '') picked[field] = item[field];
+  });
+  picked.sources = transcriptChunker.sources(item.segments, byRef);
+  return picked;
+};
 
 const summaryService = {
-  async generateSummary(sessionId, summaryId) {
+  /**
+   * @param {string} sessionId
+   * @param {string} summaryId
+   * @param {Object} [options]
+   * @param {string} [options.noteType] - Note template; defaults to the one for session.sessionType
+   */
+  async generateSummary(sessionId, summaryId, { noteType } = {}) {
     const startTime = Date.now();
     
     try {
@@ -36,29 +91,60 @@ const summaryService = {
         throw new Error('No transcriptions found for session');
       }
 
-      const transcriptionText = session.transcriptions
-        .filter(t => t.status === 'completed')
-        .map(t => t.transcriptionText)
-        .join('\n\n');
+      // Role-labeled where diarization is available, one reference per segment
+      const segments = transcriptChunker.segments(session.transcriptions);
 
-      if (!transcriptionText.trim()) {
+      if (segments.length === 0) {
         throw new Error('No completed transcriptions found');
       }
 
-      const summaryContent = await this.generateStructuredSummary(transcriptionText, session);
-      const keyPoints = await this.extractKeyPoints(transcriptionText);
-      const extractedData = await this.extractMedicalData(transcriptionText);
+      // The LLM only ever sees placeholders; real values are restored in its output
+      const redactor = await deidentificationService.forSession(session);
+      const redactedSegments = segments.map(segment => ({ ...segment, text: redactor.redact(segment.text) }));
+
+      // Long consultations are read chunk by chunk and the results merged
+      const chunks = transcriptChunker
+        .chunk(redactedSegments, { maxTokens: config.llmChunkTokens, overlap: config.llmChunkOverlapSegments })
+        .map(chunk => ({ ...chunk, text: transcriptChunker.format(chunk.segments) }));
+      const byRef = new Map(redactedSegments.map(segment => [segment.ref, segment]));
+
+      const template = noteType ? getNoteTemplate(noteType) : templateForSessionType(session.sessionType);
+      const tokenUsage = llmService.emptyUsage();
+
+      const redactedContent = await this.generateStructuredSummary(chunks, session, tokenUsage, template);
+      const summaryContent = redactor.reidentify(redactedContent);
+
+      // Each sentence of the note, with the segments that support it
+      const statements = redactor.reidentify(await evidenceService.citeStatements(
+        evidenceService.splitStatements(redactedContent, template), chunks, byRef, tokenUsage
+      ));
+
+      const keyPointLists = [];
+      const medicalDataList = [];
+      for (const chunk of chunks) {
+        keyPointLists.push(await this.extractKeyPoints(chunk.text, tokenUsage));
+        medicalDataList.push(await this.extractMedicalData(chunk.text, tokenUsage));
+      }
+      const keyPoints = redactor.reidentify(this.mergeKeyPoints(keyPointLists, byRef));
+      const extractedData = redactor.reidentify(this.mergeMedicalData(medicalDataList, byRef));
+      // Match diagnoses to known conditions and check the codes the model gave
+      extractedData.diagnoses = await terminologyService.groundDiagnoses(extractedData.diagnoses);
+      extractedData.symptoms = await symptomService.resolveSymptoms(extractedData.symptoms);
 
       const processingTime = Date.now() - startTime;
 
       return {
+        noteType: template.name,
         content: summaryContent,
+        statements,
         keyPoints,
         extractedData,
         metadata: {
-          model: 'gemini-1.5-flash',
-          promptVersion: '1.0',
+          model: `${config.llmProvider}:${summaryModel()}`,
+          promptVersion: '2.2',
           processingTime,
+          chunkCount: chunks.length,
+          tokenUsage,
           confidence: 85
         }
       };
@@ -69,40 +155,83 @@ const summaryService = {
     }
   },
 
-  async generateStructuredSummary(transcriptionText, session) {
-    if (!model) {
-      throw new Error('Gemini API not configured.');
+  /**
+   * Write the note from the transcript chunks. A single chunk is written from
+   * directly; longer consultations first have each chunk reduced to section
+   * notes, and the note is written from those. Sections and prompts come from
+   * the note template; required sections left empty are asked for once more
+   * before generation fails.
+   */
+  async generateStructuredSummary(chunks, session, tokenUsage = llmService.emptyUsage(), template = templateForSessionType(session.sessionType)) {
+    if (!llmService.isConfigured()) {
+      throw new Error('LLM provider not configured.');
     }
 
-    const prompt = `You are a medical scribe. Create structured clinical documentation from this consultation transcript.
+    const fieldList = (sections) => sections
+      .map(section => `    - ${section.key}: ${section.prompt}${section.required ? ' (required)' : ''}`)
+      .join('\n');
+
+    try {
+      const source = chunks.length === 1
+        ? { description: 'this consultation transcript', label: 'Transcript', text: chunks[0].text }
+        : { description: 'these notes taken from consecutive parts of a consultation', label: 'Notes', text: await this.summarizeChunks(chunks, template, tokenUsage) };
+
+      const prompt = `You are a medical scribe. Write a ${template.title} from ${source.description}.
+    ${template.instructions}
 
     Return your response as a valid JSON object with these fields:
-    - chief_complaint: Main reason for the visit
-    - history_of_present_illness: Detailed description of current symptoms
-    - assessment: Clinical assessment and findings
-    - plan: Treatment plan and next steps
+${fieldList(template.sections)}
+
+    Required fields must not be empty. Leave other fields as an empty string when nothing was said about them; never invent findings.
 
-    Transcript: ${transcriptionText.substring(0, 4000)}
+    ${deidentificationService.PROMPT_NOTE}
+
+    ${source.label}: ${source.text}
 
     Response (JSON only):`;
 
-    try {
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      
-      // Extract JSON from response (Gemini sometimes adds extra text)
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      const jsonText = jsonMatch ? jsonMatch[0] : text;
-      
-      const parsedResult = JSON.parse(jsonText);
-      
-      return {
-        chiefComplaint: parsedResult.chief_complaint || '',
-        historyOfPresentIllness: parsedResult.history_of_present_illness || '',
-        assessment: parsedResult.assessment || '',
-        plan: parsedResult.plan || ''
-      };
+      const { data: parsedResult, usage } = await llmService.generateJson(prompt, {
+        model: summaryModel(),
+        schema: llmSchemas.noteSections(template)
+      });
+      llmService.addUsage(tokenUsage, usage);
+
+      const content = {};
+      template.sections.forEach(section => {
+        content[section.key] = parsedResult[section.key] || '';
+      });
+
+      let missing = missingSections(template, content);
+      if (missing.length > 0) {
+        const retryPrompt = `You are a medical scribe writing a ${template.title}. These required sections were left empty:
+${fieldList(missing)}
+
+    Fill them from ${source.description}. If there is no information for a section, write "Not discussed." rather than inventing it.
+    Return a JSON object with only these fields.
+
+    ${deidentificationService.PROMPT_NOTE}
+
+    ${source.label}: ${source.text}
+
+    Response (JSON only):`;
+
+        const { data: retryResult, usage: retryUsage } = await llmService.generateJson(retryPrompt, {
+          model: summaryModel(),
+          schema: llmSchemas.noteSections({ sections: missing })
+        });
+        llmService.addUsage(tokenUsage, retryUsage);
+
+        missing.forEach(section => {
+          if (retryResult[section.key]) content[section.key] = retryResult[section.key];
+        });
+        missing = missingSections(template, content);
+      }
+
+      if (missing.length > 0) {
+        throw new Error(`required sections missing for ${template.title}: ${missing.map(section => section.title).join(', ')}`);
+      }
+
+      return content;
 
     } catch (error) {
       console.error('Structured summary generation failed:', error);
@@ -110,90 +239,160 @@ const summaryService = {
     }
   },
 
-  async extractKeyPoints(transcriptionText) {
-    if (!model) {
-      return [{
-        category: 'symptom',
-        point: 'Patient presented with main symptoms',
-        confidence: 80
-      }];
+  // Map step for long consultations: section notes for each chunk, in order
+  async summarizeChunks(chunks, template, tokenUsage = llmService.emptyUsage()) {
+    const parts = [];
+
+    for (const chunk of chunks) {
+      const prompt = `You are a medical scribe. This is part ${chunk.index + 1} of ${chunks.length} of a consultation transcript.
+    List what this part says for each section of a ${template.title}, as short factual notes.
+
+    Return a JSON object with these fields, each an empty string when this part has nothing for it:
+${template.sections.map(section => `    - ${section.key}: ${section.prompt}`).join('\n')}
+
+    ${deidentificationService.PROMPT_NOTE}
+
+    Transcript: ${chunk.text}
+
+    Response (JSON only):`;
+
+      const { data, usage } = await llmService.generateJson(prompt, {
+        model: summaryModel(),
+        schema: llmSchemas.noteSections(template)
+      });
+      llmService.addUsage(tokenUsage, usage);
+
+      const notes = template.sections
+        .filter(section => data[section.key])
+        .map(section => `${section.title}: ${data[section.key]}`);
+
+      parts.push(`Part ${chunk.index + 1}:\n${notes.length > 0 ? notes.join('\n') : 'Nothing relevant.'}`);
+    }
+
+    return parts.join('\n\n');
+  },
+
+  // Both extraction steps fail rather than return placeholder content
+  async extractKeyPoints(transcriptionText, tokenUsage = llmService.emptyUsage()) {
+    if (!llmService.isConfigured()) {
+      throw new Error('LLM provider not configured.');
     }
 
     const prompt = `Extract key medical points from this consultation transcript. 
-    Return a JSON array of objects with fields: category, point, confidence.
-    Categories should be one of: symptom, diagnosis, medication, procedure, vital_sign.
+    Return a JSON array of objects with fields: category, point, confidence (0-100), segments.
+    Categories must be one of: ${KEY_POINT_CATEGORIES.join(', ')}.
+    ${deidentificationService.PROMPT_NOTE}
     
-    Transcript: ${transcriptionText.substring(0, 2000)}
+    Transcript: ${transcriptionText}
     
     Response (JSON array only):`;
 
     try {
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const { data, usage } = await llmService.generateJson(prompt, {
+        model: summaryModel(),
+        expect: 'array',
+        schema: llmSchemas.keyPoints
+      });
+      llmService.addUsage(tokenUsage, usage);
       
-      // Extract JSON from response
-      const jsonMatch = text.match(/\[[\s\S]*\]/);
-      const jsonText = jsonMatch ? jsonMatch[0] : '[]';
-      
-      return JSON.parse(jsonText);
+      return data;
     } catch (error) {
       console.error('Key points extraction failed:', error);
-      return [{
-        category: 'symptom',
-        point: 'Unable to extract key points automatically',
-        confidence: 0
-      }];
+      throw new Error(`Key point extraction failed: ${error.message}`);
     }
   },
 
-  async extractMedicalData(transcriptionText) {
-    if (!model) {
-      return {
-        symptoms: [],
-        diagnoses: [],
-        medications: [],
-        procedures: [],
-        vitalSigns: {}
-      };
+  async extractMedicalData(transcriptionText, tokenUsage = llmService.emptyUsage()) {
+    if (!llmService.isConfigured()) {
+      throw new Error('LLM provider not configured.');
     }
 
     const prompt = `Extract structured medical data from this consultation transcript.
-    Return a JSON object with these arrays: symptoms, diagnoses, medications, procedures.
-    Also include a vitalSigns object with any mentioned vital signs.
+    Return a JSON object with these arrays, every item including its segments:
+    - symptoms: name, severity (${SYMPTOM_SEVERITIES.join(', ')}, or empty), duration, onset
+    - diagnoses: condition, icd10Code, confidence (0-100)
+    - medications: name, dosage, frequency, duration, route
+    - procedures: name, cptCode, description
+    Also include a vitalSigns object with any mentioned vital signs, keyed by ${VITAL_SIGNS.join(', ')}, each { value, segments }.
+    Use empty arrays when nothing of a kind was mentioned.
+    ${deidentificationService.PROMPT_NOTE}
     
-    Transcript: ${transcriptionText.substring(0, 2000)}
+    Transcript: ${transcriptionText}
     
     Response (JSON only):`;
 
     try {
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      
-      // Extract JSON from response
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      const jsonText = jsonMatch ? jsonMatch[0] : '{}';
-      
-      const parsedData = JSON.parse(jsonText);
+      const { data, usage } = await llmService.generateJson(prompt, {
+        model: summaryModel(),
+        schema: llmSchemas.medicalData
+      });
+      llmService.addUsage(tokenUsage, usage);
       
-      return {
-        symptoms: parsedData.symptoms || [],
-        diagnoses: parsedData.diagnoses || [],
-        medications: parsedData.medications || [],
-        procedures: parsedData.procedures || [],
-        vitalSigns: parsedData.vitalSigns || {}
-      };
+      return data;
     } catch (error) {
       console.error('Medical data extraction failed:', error);
-      return {
-        symptoms: [],
-        diagnoses: [],
-        medications: [],
-        procedures: [],
-        vitalSigns: {}
-      };
+      throw new Error(`Medical data extraction failed: ${error.message}`);
     }
+  },
+
+  // Reduce step: one list of key points with their sources
+  mergeKeyPoints(keyPointLists, byRef) {
+    const items = keyPointLists.flat()
+      .map(item => pick(item, ['category', 'point', 'confidence'], byRef));
+
+    return dedupe(items, {
+      identities: item => [item.point && `${item.category}:${normalize(item.point)}`],
+      fields: ['category', 'point'],
+      maxFields: ['confidence']
+    });
+  },
+
+  // Reduce step: dedupe symptoms, diagnoses, medications and procedures across
+  // chunks; a vital sign mentioned again later replaces the earlier reading
+  mergeMedicalData(medicalDataList, byRef) {
+    const all = (field, fields) => medicalDataList
+      .flatMap(data => data[field] || [])
+      .map(item => pick(item, fields, byRef));
+
+    const symptomFields = ['name', 'severity', 'duration', 'onset'];
+    const diagnosisFields = ['condition', 'icd10Code', 'confidence'];
+    const medicationFields = ['name', 'dosage', 'frequency', 'duration', 'route'];
+    const procedureFields = ['name', 'cptCode', 'description'];
+
+    const vitalSigns = {};
+    const vitalSignSources = {};
+    medicalDataList.forEach(data => {
+      VITAL_SIGNS.forEach(field => {
+        const reading = (data.vitalSigns || {})[field];
+        const value = reading && typeof reading === 'object' ? reading.value : reading;
+        if (value !== undefined && value !== null && String(value).trim()) {
+          vitalSigns[field] = String(value).trim();
+          vitalSignSources[field] = transcriptChunker.sources(reading.segments, byRef);
+        }
+      });
+    });
+
+    return {
+      symptoms: dedupe(all('symptoms', symptomFields), {
+        identities: item => [normalize(item.name)],
+        fields: symptomFields
+      }),
+      diagnoses: dedupe(all('diagnoses', diagnosisFields), {
+        identities: item => [item.icd10Code && String(item.icd10Code).toUpperCase(), normalize(item.condition)],
+        fields: ['condition', 'icd10Code'],
+        maxFields: ['confidence']
+      }),
+      medications: dedupe(all('medications', medicationFields), {
+        identities: item => [normalize(item.name)],
+        fields: medicationFields
+      }),
+      procedures: dedupe(all('procedures', procedureFields), {
+        identities: item => [item.cptCode && String(item.cptCode), normalize(item.name)],
+        fields: procedureFields
+      }),
+      vitalSigns,
+      vitalSignSources
+    };
   }
 };
 
@@ -0,0 +1,222 @@
+const Symptom = require('../models/symptom');
+const Session = require('../models/session');
+const terminologyService = require('./terminologyService');
+const evidenceService = require('./evidenceService');
+const eventBus = require('./eventBus');
+
+// How long the in-memory copy of the knowledge base is used before reloading
+const KNOWLEDGE_BASE_TTL_MS = 5 * 60 * 1000;
+
+// Same levels as Symptom#isUrgent, which the lean knowledge base copies do not have
+const URGENT_LEVELS = ['high', 'emergency'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Sentence ends, segment breaks and contrasting conjunctions end the scope of a negation
+const CLAUSE_BREAK = /[.;!?\n]+|\b(?:but|however|although|though)\b/i;
+
+// A cue negates the rest of its clause. Not cues: "not" and "never" ("could not breathe",
+// "never had pain like this"), or "No," answering a question ("No, I have chest pain")
+const NEGATION_CUE = /\b(?:no|denies|denied|deny|denying|without|negative for|free of)\b(?!\s*,)/i;
+
+// The text with negated clause tails removed: "Patient denies any chest pain" -> "Patient "
+const affirmedText = (text) => String(text || '')
+  .split(CLAUSE_BREAK)
+  .map(clause => {
+    const cue = clause.match(NEGATION_CUE);
+    return cue ? clause.slice(0, cue.index) : clause;
+  })
+  .join('\n');
+
+let cache = null;
+
+/**
+ * Links symptoms to the Symptom knowledge base and raises red-flag alerts.
+ *
+ * Transcript text (live segments as they are finalized, uploaded recordings
+ * once transcribed) is scanned for symptom names and synonyms. Mentioned
+ * symptoms are attached to the session; an alert is raised when one has a
+ * high or emergency urgency level, or when the text matches one of its red
+ * flags. Each alert is raised once per session.
+ *
+ * Alerts are sent to the session room as:
+ *   red-flag-alert { sessionId, reason, symptom: { id, name, urgencyLevel }, redFlag?, text, source, detectedAt }
+ */
+const symptomService = {
+  // Active symptoms with precompiled mention patterns, cached for KNOWLEDGE_BASE_TTL_MS
+  async knowledgeBase() {
+    if (cache && Date.now() - cache.loadedAt < KNOWLEDGE_BASE_TTL_MS) {
+      return cache.symptoms;
+    }
+
+    const symptoms = await Symptom.find({ isActive: true })
+      .select('name synonyms urgencyLevel redFlags')
+      .lean();
+    cache = {
+      loadedAt: Date.now(),
+      symptoms: symptoms.map(symptom => ({
+        ...symptom,
+        pattern: new RegExp(`\\b(?:${[symptom.name, ...(symptom.synonyms || [])]
+          .filter(Boolean)
+          .map(name => escapeRegExp(name.trim()))
+          .join('|')})(?:e?s)?\\b`, 'i') // plurals: "headaches"
+      }))
+    };
+    return cache.symptoms;
+  },
+
+  clearCache() {
+    cache = null;
+  },
+
+  // Knowledge base symptoms named (or named by a synonym) in the text, unless negated ("denies chest pain")
+  mentions(text, knowledgeBase) {
+    const affirmed = affirmedText(text);
+    return knowledgeBase.filter(symptom => symptom.pattern.test(affirmed));
+  },
+
+  /**
+   * Alerts for a piece of transcript. Red flags are checked for symptoms
+   * mentioned in the text and for those already attached to the session.
+   * Negated mentions and red flags ("no chest pain", "denies fainting") are ignored.
+   * @param {string} text
+   * @param {Array} knowledgeBase - From knowledgeBase()
+   * @param {Array} sessionSymptomIds - Symptoms already on the session
+   * @returns {Object} { mentioned, alerts: [{ symptom, reason, redFlag? }] }
+   */
+  findAlerts(text, knowledgeBase, sessionSymptomIds = []) {
+    const mentioned = this.mentions(text, knowledgeBase);
+    const affirmed = affirmedText(text);
+    const known = new Set(sessionSymptomIds.map(String));
+    const alerts = [];
+
+    mentioned
+      .filter(symptom => URGENT_LEVELS.includes(symptom.urgencyLevel))
+      .forEach(symptom => alerts.push({ symptom, reason: 'urgent-symptom' }));
+
+    knowledgeBase
+      .filter(symptom => mentioned.includes(symptom) || known.has(String(symptom._id)))
+      .forEach(symptom => {
+        (symptom.redFlags || [])
+          .filter(redFlag => redFlag.description && evidenceService.lexicalMatch(redFlag.description, [{ ref: 'text', text: affirmed }]))
+          .forEach(redFlag => alerts.push({ symptom, reason: 'red-flag', redFlag }));
+      });
+
+    return { mentioned, alerts };
+  },
+
+  /**
+   * Scan transcript text for a session: attach the symptoms it mentions and
+   * raise any new alerts.
+   * @param {string} sessionId - Session _id
+   * @param {string} text
+   * @param {string} source - 'live' or 'transcription'
+   */
+  async scanTranscript(sessionId, text, source) {
+    if (!text || !text.trim()) return [];
+
+    const knowledgeBase = await this.knowledgeBase();
+    if (knowledgeBase.length === 0) return [];
+
+    const session = await Session.findById(sessionId).select('symptoms');
+    if (!session) return [];
+
+    const { mentioned, alerts } = this.findAlerts(text, knowledgeBase, session.symptoms);
+    if (mentioned.length > 0) {
+      await Session.findByIdAndUpdate(sessionId, {
+        $addToSet: { symptoms: { $each: mentioned.map(symptom => symptom._id) } }
+      });
+    }
+
+    return this.raiseAlerts(sessionId, alerts, { text, source });
+  },
+
+  /**
+   * Record and emit alerts the session does not have yet. The check and the
+   * insert are one update, so concurrent scans cannot raise the same alert twice.
+   */
+  async raiseAlerts(sessionId, alerts, { text, source }) {
+    const raised = [];
+    for (const { symptom, reason, redFlag } of alerts) {
+      const key = `${symptom._id}:${reason}:${redFlag ? redFlag.description : ''}`;
+      const alert = {
+        key,
+        symptom: symptom._id,
+        symptomName: symptom.name,
+        urgencyLevel: symptom.urgencyLevel,
+        reason,
+        redFlag: redFlag ? { description: redFlag.description, action: redFlag.action } : undefined,
+        text,
+        source,
+        detectedAt: new Date()
+      };
+
+      const updated = await Session.findOneAndUpdate(
+        { _id: sessionId, 'redFlagAlerts.key': { $ne: key } },
+        { $push: { redFlagAlerts: alert } }
+      );
+      if (!updated) continue;
+
+      console.log(`Red-flag alert for session ${sessionId}: ${symptom.name} (${reason})`);
+      await eventBus.emit(sessionId, 'red-flag-alert', {
+        sessionId,
+        reason,
+        symptom: { id: symptom._id, name: symptom.name, urgencyLevel: symptom.urgencyLevel },
+        redFlag: alert.redFlag,
+        text,
+        source,
+        detectedAt: alert.detectedAt
+      });
+      raised.push(alert);
+    }
+    return raised;
+  },
+
+  /**
+   * Match extracted symptoms to the knowledge base by name, synonym and,
+   * failing those, text search.
+   * @param {Array} symptoms - Extracted symptoms ({ name, ... })
+   * @returns {Promise<Array>} The symptoms with grounding: { symptom, symptomName, matchedBy, confidence }
+   */
+  async resolveSymptoms(symptoms = []) {
+    const resolved = [];
+    for (const extracted of symptoms) {
+      const found = await terminologyService.findByName(extracted.name, Symptom) ||
+        await terminologyService.findFuzzy(extracted.name, query => Symptom.searchSymptoms(query, { limit: 10 }));
+
+      resolved.push({
+        ...extracted,
+        grounding: found
+          ? { symptom: found.match._id, symptomName: found.match.name, matchedBy: found.matchedBy, confidence: found.confidence }
+          : { matchedBy: 'none', confidence: 0 }
+      });
+    }
+    return resolved;
+  },
+
+  /**
+   * After summary generation: attach the matched symptoms to the session and
+   * raise alerts for urgent ones that were not caught from the transcript.
+   * @param {string} sessionId - Session _id
+   * @param {Array} symptoms - From resolveSymptoms
+   */
+  async applyToSession(sessionId, symptoms) {
+    const matched = symptoms.filter(extracted => extracted.grounding?.symptom);
+    if (matched.length === 0) return [];
+
+    await Session.findByIdAndUpdate(sessionId, {
+      $addToSet: { symptoms: { $each: matched.map(extracted => extracted.grounding.symptom) } }
+    });
+
+    const matchedSymptoms = await Symptom.find({ _id: { $in: matched.map(extracted => extracted.grounding.symptom) } });
+
+    const raised = [];
+    for (const symptom of matchedSymptoms.filter(candidate => candidate.isUrgent())) {
+      const extracted = matched.find(item => String(item.grounding.symptom) === String(symptom._id));
+      raised.push(...await this.raiseAlerts(sessionId, [{ symptom, reason: 'urgent-symptom' }], { text: extracted.name, source: 'summary' }));
+    }
+    return raised;
+  }
+};
+
+module.exports = symptomService;
@@ -0,0 +1,212 @@
+const Condition = require('../models/condition');
+
+// ICD-10-CM: letter, digit, digit or letter (C4A, O9A), then up to four more characters after the dot
+const ICD10_FORMAT = /^[A-Z][0-9][0-9A-Z](?:\.[0-9A-Z]{1,4})?$/;
+
+// Same collation as the name_ci and synonyms_ci indexes on Condition and Symptom
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// Smallest name similarity (0-1) at which a text search hit counts as a match
+const FUZZY_THRESHOLD = 0.5;
+
+// Match confidence by how the condition was found
+const CONFIDENCE = {
+  codeAndName: 100,
+  name: 95,
+  synonym: 90,
+  nameOverCode: 85, // the name matched a different condition than the code
+  code: 70 // the code exists but the name does not match it
+};
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const bigrams = (text) => {
+  const padded = ` ${text} `;
+  const grams = [];
+  for (let i = 0; i < padded.length - 1; i++) grams.push(padded.slice(i, i + 2));
+  return grams;
+};
+
+// Dice coefficient over character bigrams of the normalized strings
+const similarity = (a, b) => {
+  const left = bigrams(normalize(a));
+  const right = bigrams(normalize(b));
+  if (!normalize(a) || !normalize(b)) return 0;
+
+  const counts = new Map();
+  right.forEach(gram => counts.set(gram, (counts.get(gram) || 0) + 1));
+  let shared = 0;
+  left.forEach(gram => {
+    if (counts.get(gram) > 0) {
+      shared++;
+      counts.set(gram, counts.get(gram) - 1);
+    }
+  });
+  return (2 * shared) / (left.length + right.length);
+};
+
+const namesOf = (condition) => [condition.name, ...(condition.synonyms || [])];
+
+const nameMatches = (condition, name) => namesOf(condition).some(candidate => normalize(candidate) === normalize(name));
+
+/**
+ * Grounds extracted diagnoses on the Condition collection: by ICD-10 code,
+ * exact name, synonym and, failing those, text search with a similarity
+ * check. Codes the model supplied are checked as well as used for matching.
+ */
+const terminologyService = {
+  // "j189" -> "J18.9"; returns null for an empty code
+  normalizeCode(code) {
+    const compact = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (!compact) return null;
+    return compact.length > 3 ? `${compact.slice(0, 3)}.${compact.slice(3)}` : compact;
+  },
+
+  isValidICD10(code) {
+    return ICD10_FORMAT.test(code);
+  },
+
+  // Exact name, then synonym, ignoring case. Also used for Symptom (see symptomService).
+  async findByName(name, model = Condition) {
+    if (!normalize(name)) return null;
+    const trimmed = String(name).trim();
+
+    const byName = await model.findOne({ name: trimmed, isActive: true }).collation(NAME_COLLATION);
+    if (byName) return { match: byName, matchedBy: 'name', confidence: CONFIDENCE.name };
+
+    const bySynonym = await model.findOne({ synonyms: trimmed, isActive: true }).collation(NAME_COLLATION);
+    if (bySynonym) return { match: bySynonym, matchedBy: 'synonym', confidence: CONFIDENCE.synonym };
+
+    return null;
+  },
+
+  // Text search, then keep the hit whose name or a synonym is most similar
+  async findFuzzy(name, search = query => Condition.searchConditions(query, { limit: 10 })) {
+    if (!normalize(name)) return null;
+
+    let hits;
+    try {
+      hits = await search(name);
+    } catch (error) {
+      console.error('Text search failed:', error.message);
+      return null;
+    }
+
+    let best = null;
+    hits.filter(hit => hit.isActive).forEach(hit => {
+      const score = Math.max(...namesOf(hit).map(candidate => similarity(name, candidate)));
+      if (score >= FUZZY_THRESHOLD && (!best || score > best.score)) {
+        best = { match: hit, score };
+      }
+    });
+
+    return best && {
+      match: best.match,
+      matchedBy: 'fuzzy',
+      confidence: Math.round(best.score * 80)
+    };
+  },
+
+  /**
+   * @param {Object} diagnosis - { condition, icd10Code, confidence }
+   * @returns {Promise<Object>} { condition, matchedBy, confidence, codeStatus, originalCode }
+   *   codeStatus: valid | unknown (well-formed, not in the collection) | invalid (malformed)
+   *   | retired (condition inactive) | mismatch (code names another condition) | missing
+   */
+  async groundDiagnosis(diagnosis) {
+    const originalCode = diagnosis.icd10Code || undefined;
+    const code = this.normalizeCode(diagnosis.icd10Code);
+    const unmatched = { condition: null, matchedBy: 'none', confidence: 0 };
+
+    let codeStatus = 'missing';
+    let byCode = null;
+    if (code) {
+      if (!this.isValidICD10(code)) {
+        codeStatus = 'invalid';
+      } else {
+        byCode = await Condition.findByICD10(code);
+        codeStatus = !byCode ? 'unknown' : (byCode.isActive ? 'valid' : 'retired');
+        if (byCode && !byCode.isActive) byCode = null;
+      }
+    }
+
+    if (byCode && nameMatches(byCode, diagnosis.condition)) {
+      return { condition: byCode, matchedBy: 'code', confidence: CONFIDENCE.codeAndName, codeStatus, originalCode };
+    }
+
+    const byName = await this.findByName(diagnosis.condition) || (!byCode && await this.findFuzzy(diagnosis.condition));
+
+    if (byCode) {
+      // A name that names a different condition outweighs a code the model may have invented
+      if (byName && !byName.match._id.equals(byCode._id)) {
+        return {
+          condition: byName.match,
+          matchedBy: byName.matchedBy,
+          confidence: Math.min(byName.confidence, CONFIDENCE.nameOverCode),
+          codeStatus: 'mismatch',
+          originalCode
+        };
+      }
+      return { condition: byCode, matchedBy: 'code', confidence: byName ? CONFIDENCE.codeAndName : CONFIDENCE.code, codeStatus, originalCode };
+    }
+
+    if (!byName) return { ...unmatched, codeStatus, originalCode };
+    return { condition: byName.match, matchedBy: byName.matchedBy, confidence: byName.confidence, codeStatus, originalCode };
+  },
+
+  /**
+   * Ground every extracted diagnosis. Matched diagnoses take the Condition's
+   * code; unmatched ones keep a well-formed code and drop a malformed or
+   * retired one (it is still recorded in grounding.originalCode).
+   */
+  async groundDiagnoses(diagnoses = []) {
+    const grounded = [];
+    for (const diagnosis of diagnoses) {
+      const { condition, ...grounding } = await this.groundDiagnosis(diagnosis);
+
+      let icd10Code = condition ? condition.icd10Code : this.normalizeCode(diagnosis.icd10Code);
+      if (!condition && ['invalid', 'retired'].includes(grounding.codeStatus)) {
+        icd10Code = undefined;
+      }
+
+      grounded.push({
+        ...diagnosis,
+        icd10Code: icd10Code || undefined,
+        grounding: { ...grounding, condition: condition ? condition._id : undefined, conditionName: condition?.name }
+      });
+    }
+    return grounded;
+  },
+
+  /**
+   * Replace the session's generated diagnosis entries with the grounded
+   * ones; entries added by hand are kept.
+   * @param {Object} session - Session document
+   * @param {Array} diagnoses - From groundDiagnoses
+   */
+  applyToSession(session, diagnoses) {
+    const manual = (session.diagnosis || []).filter(entry => entry.source !== 'generated');
+    const seen = new Set(manual.map(entry => String(entry.condition)));
+
+    const generated = [];
+    diagnoses
+      .filter(diagnosis => diagnosis.grounding.condition)
+      .forEach(diagnosis => {
+        const conditionId = String(diagnosis.grounding.condition);
+        if (seen.has(conditionId)) return;
+        seen.add(conditionId);
+        generated.push({
+          condition: diagnosis.grounding.condition,
+          confidence: diagnosis.confidence,
+          matchConfidence: diagnosis.grounding.confidence,
+          source: 'generated',
+          notes: `Matched by ${diagnosis.grounding.matchedBy} from "${diagnosis.condition}"`
+        });
+      });
+
+    session.diagnosis = manual.concat(generated);
+    return session;
+  }
+};
+
+module.exports = terminologyService;
@@ -0,0 +1,164 @@
+const llmService = require('./llmService');
+const speakerRoleService = require('./speakerRoleService');
+
+// Sentence boundaries for transcripts that have no diarized segments
+const SENTENCE = /[^.?!\n]+(?:[.?!]+|\n|$)/g;
+
+const REFERENCE_NOTE = 'Each line starts with a segment reference such as [S12]. ' +
+  'When asked for "segments", list the references of the lines a fact was taken from, e.g. ["S12", "S13"].';
+
+/**
+ * Splits a consultation into prompt-sized chunks of whole transcript segments.
+ *
+ * Every segment gets a reference (S1, S2, ...) that the model quotes back with
+ * each fact it extracts. The reference resolves to the transcription and the
+ * diarized segment (or, for undiarized and edited text, the character range)
+ * it came from, so extracted facts keep their provenance.
+ */
+const transcriptChunker = {
+  REFERENCE_NOTE,
+
+  /**
+   * @param {Array} transcriptions - Transcription documents; only completed ones are used
+   * @returns {Array} [{ ref, transcriptionId, segmentIndex?, charStart?, charEnd?, speaker, startTime?, endTime?, text }]
+   */
+  segments(transcriptions) {
+    const segments = [];
+    const add = (segment) => segments.push({ ref: `S${segments.length + 1}`, ...segment });
+
+    transcriptions
+      .filter(t => t.status === 'completed')
+      .forEach(t => {
+        // Same rule as speakerRoleService.formatTranscript: edits invalidate the diarized segments
+        if (t.segments && t.segments.length > 0 && !t.isEdited) {
+          t.segments.forEach((segment, segmentIndex) => add({
+            transcriptionId: t.transcriptionId,
+            segmentIndex,
+            speaker: segment.speaker,
+            startTime: segment.startTime,
+            endTime: segment.endTime,
+            text: segment.text
+          }));
+          return;
+        }
+
+        const text = t.transcriptionText || '';
+        for (const match of text.matchAll(SENTENCE)) {
+          if (!match[0].trim()) continue;
+          add({
+            transcriptionId: t.transcriptionId,
+            charStart: match.index,
+            charEnd: match.index + match[0].length,
+            speaker: 'unknown',
+            text: match[0].trim()
+          });
+        }
+      });
+
+    return segments;
+  },
+
+  /**
+   * Group consecutive segments into chunks of at most maxTokens (estimated).
+   * Each chunk repeats the last `overlap` segments of the previous one so a
+   * fact split across the boundary is seen whole; a single segment larger
+   * than the budget becomes a chunk of its own.
+   */
+  chunk(segments, { maxTokens, overlap = 0 }) {
+    const tokensOf = (segment) => llmService.estimateTokens(this.line(segment));
+    const chunks = [];
+    let current = [];
+    let carried = 0; // overlap segments at the start of current
+    let tokens = 0;
+
+    segments.forEach(segment => {
+      const segmentTokens = tokensOf(segment);
+
+      if (current.length > carried && tokens + segmentTokens > maxTokens) {
+        chunks.push(current);
+        current = overlap > 0 ? current.slice(-overlap) : [];
+        tokens = current.reduce((sum, s) => sum + tokensOf(s), 0);
+        // Drop the overlap rather than let it push a chunk past the budget
+        while (current.length > 0 && tokens + segmentTokens > maxTokens) {
+          tokens -= tokensOf(current.shift());
+        }
+        carried = current.length;
+      }
+
+      current.push(segment);
+      tokens += segmentTokens;
+    });
+
+    if (current.length > carried) {
+      chunks.push(current);
+    }
+
+    return chunks.map((chunkSegments, index) => ({ index, segments: chunkSegments }));
+  },
+
+  line(segment, redact = text => text) {
+    const label = segment.speaker && segment.speaker !== 'unknown'
+      ? `${speakerRoleService.roleLabel(segment.speaker)}: `
+      : '';
+    return `[${segment.ref}] ${label}${redact(segment.text)}`;
+  },
+
+  // Prompt text for a chunk, with the reference and speaker-role notes
+  format(segments, redact = text => text) {
+    const labeled = segments.some(segment => segment.speaker && segment.speaker !== 'unknown');
+    const notes = [REFERENCE_NOTE];
+    if (labeled) {
+      notes.push('"Patient:" lines are patient-reported history; "Doctor:" lines are clinician questions, findings and instructions.');
+    }
+    return `[${notes.join(' ')}]\n${segments.map(segment => this.line(segment, redact)).join('\n')}`;
+  },
+
+  /**
+   * Resolve the references a model quoted into stored provenance entries.
+   * References that do not exist (or are malformed) are dropped.
+   * @param {Array|string} refs - e.g. ["S3", "[S4]", 5]
+   * @param {Map} byRef - ref -> segment
+   */
+  sources(refs, byRef) {
+    const list = Array.isArray(refs) ? refs : (refs ? [refs] : []);
+    const resolved = new Set(list
+      .map(ref => `S${String(ref).replace(/[^0-9]/g, '')}`)
+      .filter(ref => byRef.has(ref)));
+
+    return [...resolved].map(ref => this.source(byRef.get(ref)));
+  },
+
+  source(segment) {
+    const { transcriptionId, segmentIndex, charStart, charEnd, speaker, startTime, endTime } = segment;
+    return { transcriptionId, segmentIndex, charStart, charEnd, speaker, startTime, endTime };
+  },
+
+  /**
+   * Chunk plain prompt text (no segment references) by lines, for prompts
+   * that read the transcript but do not report provenance.
+   */
+  chunkText(text, { maxTokens }) {
+    const lines = text.split('\n');
+    const chunks = [];
+    let current = [];
+    let tokens = 0;
+
+    lines.forEach(line => {
+      const lineTokens = llmService.estimateTokens(line) + 1;
+      if (current.length > 0 && tokens + lineTokens > maxTokens) {
+        chunks.push(current.join('\n'));
+        current = [];
+        tokens = 0;
+      }
+      current.push(line);
+      tokens += lineTokens;
+    });
+    if (current.length > 0) {
+      chunks.push(current.join('\n'));
+    }
+
+    return chunks;
+  }
+};
+
+module.exports = transcriptChunker;
@@ -0,0 +1,112 @@
+const fsp = require('fs').promises;
+const config = require('../../config');
+
+// Scripted doctor/patient exchange returned for every file
+const DEFAULT_SCRIPT = [
+  { speaker: 1, text: 'Good morning. What brings you in today?' },
+  { speaker: 2, text: 'I have had a headache and a mild fever for the last three days.' },
+  { speaker: 1, text: 'Have you taken any medication for it?' },
+  { speaker: 2, text: 'Just paracetamol 500 milligrams twice a day.' },
+  { speaker: 1, text: 'Your temperature is 38.2 degrees. I would like you to rest, drink fluids and come back if it gets worse.' }
+];
+
+// Rough speaking rate used to lay out segment timestamps
+const SECONDS_PER_WORD = 0.4;
+
+// Words revealed per streamed audio chunk
+const WORDS_PER_CHUNK = 3;
+
+// Deterministic provider for tests and local development: returns the same
+// transcript for every file without calling any recognizer.
+const fakeProvider = {
+  name: 'fake',
+
+  async transcribe(audioFilePath, { language = 'en' } = {}) {
+    // Fail like a real provider would if the upload went missing
+    await fsp.stat(audioFilePath);
+
+    const script = this.getScript();
+
+    let clock = 0;
+    const segments = script.map(line => {
+      const startTime = clock;
+      const words = line.text.split(/\s+/).map(word => {
+        const wordStart = clock;
+        clock += SECONDS_PER_WORD;
+        return {
+          word,
+          startTime: Number(wordStart.toFixed(2)),
+          endTime: Number(clock.toFixed(2)),
+          confidence: 0.95
+        };
+      });
+      return {
+        text: line.text,
+        startTime: Number(startTime.toFixed(2)),
+        endTime: Number(clock.toFixed(2)),
+        speaker: line.speaker,
+        words
+      };
+    });
+
+    return {
+      text: segments.map(segment => segment.text).join(' '),
+      language,
+      segments,
+      confidence: 0.95,
+      model: 'fake'
+    };
+  },
+
+  // Live transcription: every chunk reveals the next few words of the script as
+  // an interim result, and each completed line becomes a final result.
+  createStream(options, { onResult, onEnd }) {
+    const lines = this.getScript().map(line => line.text.split(/\s+/));
+    let lineIndex = 0;
+    let wordCount = 0;
+    let clock = 0;
+
+    const emitLine = (isFinal) => {
+      const words = lines[lineIndex].slice(0, wordCount);
+      onResult({
+        text: words.join(' '),
+        isFinal,
+        confidence: isFinal ? 0.95 : 0.6,
+        startTime: Number(clock.toFixed(2)),
+        endTime: Number((clock + words.length * SECONDS_PER_WORD).toFixed(2))
+      });
+    };
+
+    const finishLine = () => {
+      emitLine(true);
+      clock += wordCount * SECONDS_PER_WORD;
+      lineIndex = (lineIndex + 1) % lines.length;
+      wordCount = 0;
+    };
+
+    return {
+      write: () => {
+        wordCount = Math.min(wordCount + WORDS_PER_CHUNK, lines[lineIndex].length);
+        if (wordCount === lines[lineIndex].length) {
+          finishLine();
+        } else {
+          emitLine(false);
+        }
+      },
+      end: () => {
+        if (wordCount > 0) {
+          finishLine();
+        }
+        setImmediate(onEnd);
+      }
+    };
+  },
+
+  getScript() {
+    return config.fakeTranscript
+      ? [{ speaker: 0, text: config.fakeTranscript }]
+      : DEFAULT_SCRIPT;
+  }
+};
+
+module.exports = fakeProvider;
@@ -0,0 +1,243 @@
+const speech = require('@google-cloud/speech');
+const fsp = require('fs').promises;
+const config = require('../../config');
+const { CANONICAL_FORMAT } = require('../mediaService');
+
+// Google Cloud Speech client is created on first use so that other providers
+// can run without Google credentials.
+let speechClient = null;
+
+const googleProvider = {
+  name: 'google',
+
+  getClient() {
+    if (speechClient) {
+      return speechClient;
+    }
+
+    if (!config.googleCloudKeyFile) {
+      throw new Error('Google Cloud Speech client not configured.');
+    }
+
+    speechClient = new speech.SpeechClient({
+      keyFilename: config.googleCloudKeyFile,
+      projectId: config.googleCloudProjectId
+    });
+    console.log('Google Cloud Speech client initialized successfully');
+    return speechClient;
+  },
+
+  async transcribe(audioFilePath, { language = 'en' } = {}) {
+    const client = this.getClient();
+
+    // Read the audio file
+    const audioBytes = await fsp.readFile(audioFilePath);
+
+    // Configure the speech recognition request
+    const request = {
+      audio: {
+        content: audioBytes.toString('base64'),
+      },
+      config: {
+        // Uploads are transcoded to this before they reach the provider
+        encoding: CANONICAL_FORMAT.encoding,
+        sampleRateHertz: CANONICAL_FORMAT.sampleRate,
+        audioChannelCount: CANONICAL_FORMAT.channels,
+        languageCode: this.getLanguageCode(language),
+        alternativeLanguageCodes: this.getAlternativeLanguages(language),
+        enableAutomaticPunctuation: true,
+        enableWordTimeOffsets: true,
+        enableWordConfidence: true,
+        enableSpeakerDiarization: true,
+        diarizationSpeakerCount: 2, // Adjust based on expected speakers
+        model: 'latest_long', // Use latest model for better accuracy
+        useEnhanced: true,
+      },
+    };
+
+    let response;
+    try {
+      [response] = await client.recognize(request);
+    } catch (error) {
+      throw this.mapError(error);
+    }
+
+    if (!response.results || response.results.length === 0) {
+      throw new Error('No transcription results returned');
+    }
+
+    // Extract transcription text and metadata
+    const text = response.results
+      .map(result => result.alternatives[0].transcript)
+      .join(' ');
+
+    return {
+      text,
+      language: response.results[0]?.languageCode || this.getLanguageCode(language),
+      segments: this.extractSpeakerSegments(response.results),
+      confidence: response.results[0]?.alternatives[0]?.confidence || 0.9,
+      model: 'google-speech-to-text'
+    };
+  },
+
+  // Live transcription of a WebM/Opus stream as recorded by the browser
+  createStream({ language = 'en' } = {}, { onResult, onError, onEnd }) {
+    const client = this.getClient();
+
+    const recognizeStream = client.streamingRecognize({
+      config: {
+        encoding: 'WEBM_OPUS',
+        sampleRateHertz: 48000,
+        languageCode: this.getLanguageCode(language),
+        enableAutomaticPunctuation: true,
+        model: 'latest_long'
+      },
+      interimResults: true
+    });
+
+    recognizeStream
+      .on('data', (data) => {
+        const result = data.results && data.results[0];
+        const alternative = result && result.alternatives && result.alternatives[0];
+        if (!alternative) return;
+
+        onResult({
+          text: alternative.transcript,
+          isFinal: !!result.isFinal,
+          confidence: alternative.confidence || 0,
+          endTime: this.toSeconds(result.resultEndTime)
+        });
+      })
+      .on('error', (error) => onError(this.mapError(error)))
+      .on('end', () => onEnd());
+
+    return {
+      write: (chunk) => recognizeStream.write(chunk),
+      end: () => recognizeStream.end()
+    };
+  },
+
+  // Translate Google Cloud Speech API errors into readable messages
+  mapError(error) {
+    switch (error.code) {
+      case undefined:
+        return error;
+      case 3: // INVALID_ARGUMENT
+        return new Error('Invalid audio file format or configuration.');
+      case 7: // PERMISSION_DENIED
+        return new Error('Invalid Google Cloud credentials.');
+      case 8: // RESOURCE_EXHAUSTED
+        return new Error('Google Cloud API quota exceeded.');
+      case 13: // INTERNAL
+        return new Error('Google Cloud internal error.');
+      default:
+        return new Error(`Google Cloud Speech API Error (Code ${error.code}): ${error.message}`);
+    }
+  },
+
+  // Convert a protobuf Duration ({ seconds, nanos }) to seconds
+  toSeconds(duration) {
+    return parseFloat(duration?.seconds || 0) + parseFloat(duration?.nanos || 0) / 1e9;
+  },
+
+  // Extract speaker-labeled segments from Google Speech response
+  extractSpeakerSegments(results) {
+    // With diarization enabled the last result repeats every word of the
+    // recording with its speaker tag, so group that one when present
+    const last = results[results.length - 1];
+    const diarizedWords = last?.alternatives?.[0]?.words;
+    if (diarizedWords && diarizedWords.some(word => word.speakerTag)) {
+      return this.groupWordsBySpeaker(diarizedWords);
+    }
+
+    const segments = [];
+
+    results.forEach(result => {
+      if (result.alternatives && result.alternatives[0]) {
+        const alternative = result.alternatives[0];
+
+        if (alternative.words && alternative.words.length > 0) {
+          segments.push(...this.groupWordsBySpeaker(alternative.words));
+        } else {
+          // Fallback: single segment without speaker info
+          segments.push({
+            text: alternative.transcript,
+            startTime: 0,
+            endTime: 0,
+            speaker: 0,
+            words: []
+          });
+        }
+      }
+    });
+
+    return segments;
+  },
+
+  // Group consecutive words with the same speaker tag into segments
+  groupWordsBySpeaker(words) {
+    const segments = [];
+    let currentSegment = null;
+
+    words.forEach(word => {
+      const speakerTag = word.speakerTag || 0;
+      const timedWord = {
+        word: word.word,
+        startTime: this.toSeconds(word.startTime),
+        endTime: this.toSeconds(word.endTime),
+        confidence: word.confidence || undefined
+      };
+
+      if (!currentSegment || currentSegment.speaker !== speakerTag) {
+        // Start new segment
+        currentSegment = {
+          text: word.word,
+          startTime: timedWord.startTime,
+          endTime: timedWord.endTime,
+          speaker: speakerTag,
+          words: [timedWord]
+        };
+        segments.push(currentSegment);
+      } else {
+        // Continue current segment
+        currentSegment.text += ' ' + word.word;
+        currentSegment.endTime = timedWord.endTime;
+        currentSegment.words.push(timedWord);
+      }
+    });
+
+    return segments;
+  },
+
+  // Get Google Cloud Speech language code
+  getLanguageCode(language) {
+    const languageMap = {
+      'en': 'en-US',
+      'hi': 'hi-IN',
+      'bn': 'bn-IN', // Bengali (India)
+      'te': 'te-IN', // Telugu
+      'mr': 'mr-IN', // Marathi
+      'ta': 'ta-IN', // Tamil
+      'gu': 'gu-IN', // Gujarati
+      'kn': 'kn-IN'  // Kannada
+    };
+    return languageMap[language] || 'en-US';
+  },
+
+  // Get alternative language codes for better recognition
+  getAlternativeLanguages(language) {
+    const alternativeMap = {
+      'en': ['en-US', 'en-GB'],
+      'hi': ['hi-IN', 'hi'],
+      'bn': ['bn-IN', 'bn-BD'],
+      'te': ['te-IN'],
+      'mr': ['mr-IN'],
+      'ta': ['ta-IN', 'ta-LK'],
+      'gu': ['gu-IN'],
+      'kn': ['kn-IN']
+    };
+    return alternativeMap[language] || ['en-US'];
+  }
+};
+
+module.exports = googleProvider;
@@ -0,0 +1,30 @@
+const config = require('../../config');
+const googleProvider = require('./googleProvider');
+const localProvider = require('./localProvider');
+const fakeProvider = require('./fakeProvider');
+
+// Every provider implements:
+//   name: string
+//   transcribe(audioFilePath, { language }) -> { text, language, segments, confidence (0-1), model }
+//     audioFilePath is always 16 kHz mono LINEAR16 WAV (mediaService.CANONICAL_FORMAT)
+//     each segment is { text, startTime, endTime, speaker (diarization tag), words }
+//     and each word is { word, startTime, endTime, confidence? }, times in seconds
+//   createStream({ language }, { onResult, onError, onEnd }) -> { write(chunk), end() }
+//     onResult receives { text, isFinal, confidence, startTime?, endTime? }; each final
+//     result closes the current segment and later results start a new one
+const providers = {
+  [googleProvider.name]: googleProvider,
+  [localProvider.name]: localProvider,
+  [fakeProvider.name]: fakeProvider
+};
+
+// Get a speech-to-text provider by name (defaults to TRANSCRIPTION_PROVIDER)
+function getProvider(name = config.transcriptionProvider) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown transcription provider: ${name}. Supported: ${Object.keys(providers).join(', ')}`);
+  }
+  return provider;
+}
+
+module.exports = { getProvider, providers };
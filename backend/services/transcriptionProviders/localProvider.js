@@ -0,0 +1,242 @@
+const { execFile, spawn } = require('child_process');
+const { promisify } = require('util');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const config = require('../../config');
+
+const execFileAsync = promisify(execFile);
+
+// whisper.cpp input format: 16 kHz, mono, signed 16-bit PCM
+const SAMPLE_RATE = 16000;
+const BYTES_PER_SECOND = SAMPLE_RATE * 2;
+
+// Minimal RIFF/WAVE header for mono 16-bit PCM
+function wavHeader(dataLength) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(BYTES_PER_SECOND, 28);
+  header.writeUInt16LE(2, 32); // block align
+  header.writeUInt16LE(16, 34); // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(dataLength, 40);
+  return header;
+}
+
+// Offline speech-to-text using a locally installed whisper.cpp binary.
+const localProvider = {
+  name: 'local',
+
+  assertConfigured() {
+    if (!config.whisperModelPath) {
+      throw new Error('Local speech engine not configured. Set WHISPER_MODEL_PATH.');
+    }
+  },
+
+  async transcribe(audioFilePath, { language = 'en' } = {}) {
+    this.assertConfigured();
+
+    const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'transcribe-'));
+
+    try {
+      // Input is already the 16 kHz mono WAV whisper.cpp expects
+      const { segments, language: detectedLanguage } = await this.runWhisper(audioFilePath, language, workDir);
+
+      if (segments.length === 0) {
+        throw new Error('No transcription results returned');
+      }
+
+      return {
+        text: segments.map(segment => segment.text).join(' '),
+        language: detectedLanguage,
+        segments,
+        // whisper.cpp does not report an overall confidence score
+        confidence: 0.8,
+        model: `whisper.cpp:${path.basename(config.whisperModelPath)}`
+      };
+    } finally {
+      await fsp.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  },
+
+  /**
+   * Live transcription. whisper.cpp has no streaming API, so incoming audio is
+   * decoded by a long-running ffmpeg process and each fixed-length window of
+   * PCM is transcribed on its own. Only final results are produced.
+   */
+  createStream({ language = 'en' } = {}, { onResult, onError, onEnd }) {
+    this.assertConfigured();
+
+    const windowBytes = config.localStreamWindowSeconds * BYTES_PER_SECOND;
+    let pending = Buffer.alloc(0);
+    let offsetSeconds = 0;
+    let queue = Promise.resolve();
+    let failed = false;
+
+    const fail = (error) => {
+      if (!failed) {
+        failed = true;
+        onError(error);
+      }
+    };
+
+    const transcribeWindow = (pcm) => {
+      const windowStart = offsetSeconds;
+      offsetSeconds += pcm.length / BYTES_PER_SECOND;
+
+      queue = queue.then(async () => {
+        if (failed) return;
+
+        const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'stream-'));
+        try {
+          const wavPath = path.join(workDir, 'window.wav');
+          await fsp.writeFile(wavPath, Buffer.concat([wavHeader(pcm.length), pcm]));
+
+          const { segments } = await this.runWhisper(wavPath, language, workDir);
+          const text = segments.map(segment => segment.text).join(' ');
+          if (text) {
+            onResult({
+              text,
+              isFinal: true,
+              confidence: 0.8,
+              startTime: windowStart,
+              endTime: offsetSeconds
+            });
+          }
+        } catch (error) {
+          fail(error);
+        } finally {
+          await fsp.rm(workDir, { recursive: true, force: true }).catch(() => {});
+        }
+      });
+    };
+
+    const decoder = spawn(config.ffmpegPath, [
+      '-loglevel', 'error',
+      '-i', 'pipe:0',
+      '-f', 's16le', '-ac', '1', '-ar', String(SAMPLE_RATE),
+      'pipe:1'
+    ]);
+
+    decoder.stdout.on('data', (data) => {
+      pending = Buffer.concat([pending, data]);
+      while (pending.length >= windowBytes) {
+        transcribeWindow(pending.subarray(0, windowBytes));
+        pending = pending.subarray(windowBytes);
+      }
+    });
+
+    decoder.on('error', (error) => {
+      fail(error.code === 'ENOENT'
+        ? new Error(`Local speech engine binary not found: ${config.ffmpegPath}`)
+        : error);
+    });
+
+    decoder.on('close', () => {
+      if (pending.length > 0) {
+        transcribeWindow(pending);
+        pending = Buffer.alloc(0);
+      }
+      queue.then(() => onEnd());
+    });
+
+    // Ignore EPIPE if ffmpeg exits before the client stops sending
+    decoder.stdin.on('error', () => {});
+
+    return {
+      write: (chunk) => decoder.stdin.write(chunk),
+      end: () => decoder.stdin.end()
+    };
+  },
+
+  // Run whisper.cpp on a WAV file and return its timed segments
+  async runWhisper(wavPath, language, workDir) {
+    const outputBase = path.join(workDir, 'result');
+
+    await this.run(config.whisperCppBin, [
+      '-m', config.whisperModelPath,
+      '-f', wavPath,
+      '-l', language,
+      '-ojf', // full JSON, includes per-token timestamps
+      '-of', outputBase,
+      '-np'
+    ]);
+
+    const output = JSON.parse(await fsp.readFile(`${outputBase}.json`, 'utf8'));
+    const segments = (output.transcription || [])
+      .map(segment => ({
+        text: segment.text.trim(),
+        startTime: (segment.offsets?.from || 0) / 1000,
+        endTime: (segment.offsets?.to || 0) / 1000,
+        speaker: 0,
+        words: this.tokensToWords(segment.tokens || [])
+      }))
+      .filter(segment => segment.text);
+
+    return {
+      segments,
+      language: output.result?.language || language
+    };
+  },
+
+  // Merge whisper.cpp sub-word tokens into words; a leading space starts a new word
+  tokensToWords(tokens) {
+    const words = [];
+
+    tokens
+      .filter(token => token.text && !/^\[_.*\]$/.test(token.text))
+      .forEach(token => {
+        const startTime = (token.offsets?.from || 0) / 1000;
+        const endTime = (token.offsets?.to || 0) / 1000;
+        // Tokens without a probability do not count towards the word's confidence
+        const probabilities = typeof token.p === 'number' && Number.isFinite(token.p) ? [token.p] : [];
+        const current = words[words.length - 1];
+
+        if (!current || /^\s/.test(token.text)) {
+          words.push({
+            word: token.text.trim(),
+            startTime,
+            endTime,
+            probabilities
+          });
+        } else {
+          current.word += token.text;
+          current.endTime = endTime;
+          current.probabilities.push(...probabilities);
+        }
+      });
+
+    // Word confidence is the mean of its token probabilities, left out when there are none
+    return words
+      .filter(word => word.word)
+      .map(({ probabilities, ...word }) => (probabilities.length > 0
+        ? { ...word, confidence: probabilities.reduce((sum, p) => sum + p, 0) / probabilities.length }
+        : word));
+  },
+
+  async run(command, args) {
+    try {
+      return await execFileAsync(command, args, {
+        timeout: config.localSttTimeoutMs,
+        maxBuffer: 10 * 1024 * 1024
+      });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Local speech engine binary not found: ${command}`);
+      }
+      if (error.killed) {
+        throw new Error(`Local speech engine timed out: ${path.basename(command)}`);
+      }
+      throw new Error(`Local speech engine failed (${path.basename(command)}): ${(error.stderr || error.message).trim()}`);
+    }
+  }
+};
+
+module.exports = localProvider;
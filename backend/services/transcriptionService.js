@@ -1,209 +1,236 @@
 // In services/transcriptionService.js
 
-const speech = require('@google-cloud/speech');
-const fs = require('fs'); // Use the non-promise version for createReadStream
 const fsp = require('fs').promises; // Use promise version for stat and unlink
+const os = require('os');
+const path = require('path');
 const config = require('../config');
+const { getProvider } = require('./transcriptionProviders');
+const speakerRoleService = require('./speakerRoleService');
+const mediaService = require('./mediaService');
 
-// Initialize Google Cloud Speech client
-let speechClient = null;
-try {
-  if (config.googleCloudKeyFile) {
-    speechClient = new speech.SpeechClient({
-      keyFilename: config.googleCloudKeyFile,
-      projectId: config.googleCloudProjectId
-    });
-    console.log('Google Cloud Speech client initialized successfully');
-  } else {
-    console.warn('Warning: GOOGLE_CLOUD_KEY_FILE not found. Transcription will not work.');
-  }
-} catch (error) {
-  console.error('Failed to initialize Google Cloud Speech client:', error);
-}
+console.log(`Transcription provider: ${config.transcriptionProvider}`);
+
+// Tags used for stitched long recordings, where each chunk is diarized on its own
+const ROLE_TAGS = { doctor: 1, patient: 2, unknown: 0 };
 
 const transcriptionService = {
-  async transcribeAudio(audioFilePath, transcriptionId, language = 'en') {
+  /**
+   * Transcribe an uploaded recording. Recordings longer than
+   * TRANSCRIPTION_CHUNK_SECONDS are split on silence, transcribed in parallel
+   * and stitched back together (see transcribeChunked).
+   * @param {Object} options - keepFile: leave the upload in place; onProgress:
+   *   called with { percent, completedChunks, totalChunks }
+   */
+  async transcribeAudio(audioFilePath, transcriptionId, language = 'en', options = {}) {
     const startTime = Date.now();
-    
-    try {
-      console.log(`Starting transcription for file: ${audioFilePath} in language: ${language}`);
+    const onProgress = options.onProgress || (() => {});
 
-      if (!speechClient) {
-        throw new Error('Google Cloud Speech client not configured.');
-      }
+    try {
+      const provider = getProvider();
+      console.log(`Starting ${provider.name} transcription for file: ${audioFilePath} in language: ${language}`);
 
       await fsp.stat(audioFilePath); // Check if file exists using promises
 
-      // Read the audio file
-      const audioBytes = await fsp.readFile(audioFilePath);
-
-      // Configure the speech recognition request
-      const request = {
-        audio: {
-          content: audioBytes.toString('base64'),
-        },
-        config: {
-          encoding: 'WEBM_OPUS', // Adjust based on your audio format
-          sampleRateHertz: 48000, // Adjust based on your audio format
-          languageCode: this.getLanguageCode(language),
-          alternativeLanguageCodes: this.getAlternativeLanguages(language),
-          enableAutomaticPunctuation: true,
-          enableWordTimeOffsets: true,
-          enableSpeakerDiarization: true,
-          diarizationSpeakerCount: 2, // Adjust based on expected speakers
-          model: 'latest_long', // Use latest model for better accuracy
-          useEnhanced: true,
-        },
-      };
-
-      // Perform the transcription
-      const [response] = await speechClient.recognize(request);
-      
-      if (!response.results || response.results.length === 0) {
-        throw new Error('No transcription results returned');
+      // Providers always receive 16 kHz mono LINEAR16 WAV, whatever was uploaded
+      const canonical = await mediaService.transcode(audioFilePath);
+      let recognition;
+      try {
+        const duration = await mediaService.canonicalDuration(canonical.path);
+        recognition = duration > config.transcriptionChunkSeconds
+          ? await this.transcribeChunked(provider, canonical.path, duration, language, onProgress)
+          : await this.transcribeSingle(provider, canonical.path, language, onProgress);
+      } finally {
+        await canonical.cleanup();
       }
 
+      const { result, segments, speakerMapping, chunkCount } = recognition;
+
       const processingTime = Date.now() - startTime;
       console.log(`Transcription completed in ${processingTime}ms for ID: ${transcriptionId}`);
 
-      // Extract transcription text and metadata
-      const transcriptionText = response.results
-        .map(result => result.alternatives[0].transcript)
-        .join(' ');
-
-      // Extract speaker-labeled segments
-      const segments = this.extractSpeakerSegments(response.results);
-
       return {
-        text: transcriptionText,
-        language: response.results[0]?.languageCode || this.getLanguageCode(language),
+        text: result.text,
+        language: result.language,
+        confidence: Math.round(result.confidence * 100),
         segments: segments,
+        speakerMapping,
         metadata: {
-          model: 'google-speech-to-text',
+          model: result.model,
+          provider: provider.name,
           processingTime,
-          confidence: response.results[0]?.alternatives[0]?.confidence || 0.9,
-          speakerCount: segments.length > 0 ? Math.max(...segments.map(s => s.speaker || 0)) + 1 : 1,
-          detectedLanguage: response.results[0]?.languageCode,
-          requestedLanguage: language
+          confidence: result.confidence,
+          speakerCount: new Set(segments.map(s => s.speakerTag)).size || 1,
+          detectedLanguage: result.language,
+          requestedLanguage: language,
+          chunkCount
         }
       };
 
     } catch (error) {
       const processingTime = Date.now() - startTime;
       console.error(`Transcription failed after ${processingTime}ms:`, error);
-      
-      // Handle Google Cloud Speech API errors
-      if (error.code) {
-        switch (error.code) {
-          case 3: // INVALID_ARGUMENT
-            throw new Error('Invalid audio file format or configuration.');
-          case 7: // PERMISSION_DENIED
-            throw new Error('Invalid Google Cloud credentials.');
-          case 8: // RESOURCE_EXHAUSTED
-            throw new Error('Google Cloud API quota exceeded.');
-          case 13: // INTERNAL
-            throw new Error('Google Cloud internal error.');
-          default:
-            throw new Error(`Google Cloud Speech API Error (Code ${error.code}): ${error.message}`);
-        }
-      }
-      
+
       throw new Error(`Transcription failed: ${error.message}`);
     } finally {
-      // Clean up the uploaded file after processing
-      await this.cleanupAudioFile(audioFilePath);
+      // Clean up the uploaded file after processing, unless the caller may retry with it
+      if (!options.keepFile) {
+        await this.cleanupAudioFile(audioFilePath);
+      }
     }
   },
 
-  // Extract speaker-labeled segments from Google Speech response
-  extractSpeakerSegments(results) {
-    const segments = [];
-    
-    results.forEach(result => {
-      if (result.alternatives && result.alternatives[0]) {
-        const alternative = result.alternatives[0];
-        
-        // If word-level info is available, group by speaker
-        if (alternative.words) {
-          let currentSpeaker = null;
-          let currentSegment = {
-            text: '',
-            startTime: 0,
-            endTime: 0,
-            speaker: 0
-          };
-          
-          alternative.words.forEach((word, index) => {
-            const speakerTag = word.speakerTag || 0;
-            
-            if (currentSpeaker !== speakerTag) {
-              // Save previous segment if it exists
-              if (currentSegment.text.trim()) {
-                segments.push({ ...currentSegment });
-              }
-              
-              // Start new segment
-              currentSpeaker = speakerTag;
-              currentSegment = {
-                text: word.word,
-                startTime: parseFloat(word.startTime?.seconds || 0) + parseFloat(word.startTime?.nanos || 0) / 1e9,
-                endTime: parseFloat(word.endTime?.seconds || 0) + parseFloat(word.endTime?.nanos || 0) / 1e9,
-                speaker: speakerTag
-              };
-            } else {
-              // Continue current segment
-              currentSegment.text += ' ' + word.word;
-              currentSegment.endTime = parseFloat(word.endTime?.seconds || 0) + parseFloat(word.endTime?.nanos || 0) / 1e9;
-            }
-          });
-          
-          // Add final segment
-          if (currentSegment.text.trim()) {
-            segments.push(currentSegment);
-          }
-        } else {
-          // Fallback: single segment without speaker info
-          segments.push({
-            text: alternative.transcript,
-            startTime: 0,
-            endTime: 0,
-            speaker: 0
-          });
-        }
-      }
-    });
-    
-    return segments;
+  async transcribeSingle(provider, wavPath, language, onProgress) {
+    onProgress({ percent: 0, completedChunks: 0, totalChunks: 1 });
+    const result = await provider.transcribe(wavPath, { language });
+    onProgress({ percent: 100, completedChunks: 1, totalChunks: 1 });
+
+    // Map diarization speaker tags to doctor/patient roles
+    const { segments, speakerMapping } = await speakerRoleService.assignRoles(result.segments || []);
+
+    return { result, segments, speakerMapping, chunkCount: 1 };
   },
 
-  // Get Google Cloud Speech language code
-  getLanguageCode(language) {
-    const languageMap = {
-      'en': 'en-US',
-      'hi': 'hi-IN',
-      'bn': 'bn-IN', // Bengali (India)
-      'te': 'te-IN', // Telugu
-      'mr': 'mr-IN', // Marathi
-      'ta': 'ta-IN', // Tamil
-      'gu': 'gu-IN', // Gujarati
-      'kn': 'kn-IN'  // Kannada
+  /**
+   * Long recordings: cut on pauses into overlapping windows, transcribe up to
+   * TRANSCRIPTION_CHUNK_CONCURRENCY windows at a time, then stitch them back
+   * on one timeline. Speaker tags are only meaningful within a window, so each
+   * window's speakers are resolved to doctor/patient first and re-tagged by role.
+   */
+  async transcribeChunked(provider, wavPath, duration, language, onProgress) {
+    const silences = await mediaService.detectSilences(wavPath);
+    const chunks = mediaService.planChunks(duration, silences, {
+      maxSeconds: config.transcriptionChunkSeconds,
+      overlapSeconds: config.transcriptionChunkOverlapSeconds
+    });
+
+    console.log(`Splitting ${duration.toFixed(1)}s recording into ${chunks.length} chunks`);
+
+    const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'chunks-'));
+    const results = new Array(chunks.length);
+    let completedChunks = 0;
+    let next = 0;
+    let failed = false;
+    let firstError = null;
+
+    onProgress({ percent: 0, completedChunks, totalChunks: chunks.length });
+
+    // After a failure the other workers finish their current chunk and stop
+    const worker = async () => {
+      while (!failed && next < chunks.length) {
+        const chunk = chunks[next++];
+        const chunkPath = await mediaService.extractRange(
+          wavPath,
+          chunk.start,
+          chunk.end,
+          path.join(workDir, `chunk-${chunk.index}.wav`)
+        );
+
+        const result = await provider.transcribe(chunkPath, { language });
+        await fsp.rm(chunkPath, { force: true });
+
+        const trimmed = this.trimToCore(result.segments || [], chunk);
+        const { segments } = await speakerRoleService.assignRoles(trimmed);
+        results[chunk.index] = {
+          result,
+          segments: segments.map(segment => ({ ...segment, speaker: ROLE_TAGS[segment.speaker] })),
+          weight: chunk.coreEnd - chunk.coreStart
+        };
+
+        completedChunks += 1;
+        onProgress({
+          percent: Math.round((completedChunks / chunks.length) * 100),
+          completedChunks,
+          totalChunks: chunks.length
+        });
+      }
+    };
+
+    // workDir is only removed once every worker has stopped using it
+    const workers = Math.min(config.transcriptionChunkConcurrency, chunks.length);
+    await Promise.allSettled(Array.from({ length: workers }, () => worker().catch(error => {
+      failed = true;
+      firstError = firstError || error;
+    })));
+    await fsp.rm(workDir, { recursive: true, force: true }).catch(() => {});
+
+    if (firstError) throw firstError;
+
+    const stitched = this.mergeAdjacentSegments(results.flatMap(chunk => chunk.segments));
+    const { segments, speakerMapping } = await speakerRoleService.assignRoles(stitched);
+
+    const totalWeight = results.reduce((sum, chunk) => sum + chunk.weight, 0) || 1;
+    const first = results.find(chunk => chunk.result.text) || results[0];
+
+    return {
+      result: {
+        text: segments.map(segment => segment.text).join(' '),
+        language: first.result.language,
+        // Duration-weighted average over chunks
+        confidence: results.reduce((sum, chunk) => sum + chunk.result.confidence * chunk.weight, 0) / totalWeight,
+        model: first.result.model
+      },
+      segments,
+      speakerMapping,
+      chunkCount: chunks.length
     };
-    return languageMap[language] || 'en-US';
   },
 
-  // Get alternative language codes for better recognition
-  getAlternativeLanguages(language) {
-    const alternativeMap = {
-      'en': ['en-US', 'en-GB'],
-      'hi': ['hi-IN', 'hi'],
-      'bn': ['bn-IN', 'bn-BD'],
-      'te': ['te-IN'],
-      'mr': ['mr-IN'],
-      'ta': ['ta-IN', 'ta-LK'],
-      'gu': ['gu-IN'],
-      'kn': ['kn-IN']
+  /**
+   * Move a chunk's segments onto the recording's timeline and keep only what
+   * falls inside the chunk's core range, so overlaps are not transcribed twice.
+   * Word timings decide membership when available, otherwise segment midpoints.
+   */
+  trimToCore(segments, chunk) {
+    const inCore = (startTime, endTime) => {
+      const midpoint = (startTime + endTime) / 2;
+      return midpoint >= chunk.coreStart && midpoint < chunk.coreEnd;
     };
-    return alternativeMap[language] || ['en-US'];
+    const shift = (time) => Number(((time || 0) + chunk.start).toFixed(2));
+
+    return segments.flatMap(segment => {
+      const words = (segment.words || []).map(word => ({
+        ...word,
+        startTime: shift(word.startTime),
+        endTime: shift(word.endTime)
+      }));
+
+      if (words.length > 0) {
+        const kept = words.filter(word => inCore(word.startTime, word.endTime));
+        if (kept.length === 0) return [];
+        return [{
+          ...segment,
+          text: kept.map(word => word.word).join(' '),
+          startTime: kept[0].startTime,
+          endTime: kept[kept.length - 1].endTime,
+          words: kept
+        }];
+      }
+
+      const startTime = shift(segment.startTime);
+      const endTime = shift(segment.endTime);
+      return inCore(startTime, endTime) ? [{ ...segment, startTime, endTime, words: [] }] : [];
+    });
+  },
+
+  // Join consecutive segments from the same speaker, e.g. across a chunk boundary
+  mergeAdjacentSegments(segments) {
+    return segments.reduce((merged, segment) => {
+      const previous = merged[merged.length - 1];
+      if (previous && previous.speaker === segment.speaker) {
+        previous.text = `${previous.text} ${segment.text}`;
+        previous.endTime = segment.endTime;
+        previous.words = [...previous.words, ...segment.words];
+      } else {
+        merged.push({
+          speaker: segment.speaker,
+          text: segment.text,
+          startTime: segment.startTime,
+          endTime: segment.endTime,
+          words: segment.words
+        });
+      }
+      return merged;
+    }, []);
   },
 
   async cleanupAudioFile(filePath) {
@@ -216,18 +243,7 @@ const transcriptionService = {
         console.warn(`Failed to cleanup audio file: ${filePath}`, error);
       }
     }
-  },
-  
-  // Other service methods can remain...
-  async startStreamTranscription(audioStream, sessionId) {
-    // This is a placeholder for real-time transcription
-    console.log(`Starting stream transcription for session: ${sessionId}`);
-    
-    return {
-      streamId: `stream_${sessionId}_${Date.now()}`,
-      status: 'active',
-    };
-  },
+  }
 };
 
-module.exports = transcriptionService;
\ No newline at end of file
+module.exports = transcriptionService;
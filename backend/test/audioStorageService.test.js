@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const audioStorageService = require('../services/audioStorageService');
+
+const collect = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+const withStorage = async (t) => {
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), 'audio-test-'));
+  const previous = { ...config };
+  Object.assign(config, {
+    audioStorageBackend: 'local',
+    audioStoragePath: root,
+    audioEncryptionKey: crypto.randomBytes(32).toString('base64')
+  });
+  t.after(async () => {
+    Object.assign(config, previous);
+    await fsp.rm(root, { recursive: true, force: true });
+  });
+  return root;
+};
+
+test('a missing key is a 503 with a clear message', (t) => {
+  const previous = config.audioEncryptionKey;
+  config.audioEncryptionKey = '';
+  t.after(() => { config.audioEncryptionKey = previous; });
+
+  assert.throws(() => audioStorageService.getKey(), { status: 503, message: /AUDIO_ENCRYPTION_KEY/ });
+});
+
+test('streams decrypted audio and byte ranges', async (t) => {
+  const root = await withStorage(t);
+  const audio = crypto.randomBytes(200 * 1024);
+  const filePath = path.join(root, 'upload.wav');
+  await fsp.writeFile(filePath, audio);
+
+  const audioFile = await audioStorageService.store(filePath, 'trans_1');
+
+  assert.strictEqual(await audioStorageService.size(audioFile), audio.length);
+  assert.ok((await collect(await audioStorageService.createReadStream(audioFile))).equals(audio));
+  assert.ok((await collect(await audioStorageService.createReadStream(audioFile, { start: 70000, end: 70009 })))
+    .equals(audio.subarray(70000, 70010)));
+  assert.ok((await collect(await audioStorageService.createReadStream(audioFile, { start: audio.length - 5 })))
+    .equals(audio.subarray(audio.length - 5)));
+});
+
+test('a tampered object fails when streamed', async (t) => {
+  const root = await withStorage(t);
+  const filePath = path.join(root, 'upload.wav');
+  await fsp.writeFile(filePath, crypto.randomBytes(1024));
+
+  const audioFile = await audioStorageService.store(filePath, 'trans_2');
+  const storedPath = path.join(root, audioFile.storageKey);
+  const stored = await fsp.readFile(storedPath);
+  stored[stored.length - 1] ^= 1;
+  await fsp.writeFile(storedPath, stored);
+
+  await assert.rejects(async () => collect(await audioStorageService.createReadStream(audioFile)));
+});
+
+test('playback tokens name the user they were issued to', async (t) => {
+  await withStorage(t);
+  const { token } = audioStorageService.signPlaybackToken('trans_3', { userId: 'usr_1', role: 'doctor' });
+
+  assert.deepStrictEqual(audioStorageService.verifyPlaybackToken('trans_3', token), { userId: 'usr_1', role: 'doctor' });
+  assert.strictEqual(audioStorageService.verifyPlaybackToken('trans_4', token), null);
+  assert.strictEqual(audioStorageService.verifyPlaybackToken('trans_3', token.replace('.doctor.', '.admin.')), null);
+});
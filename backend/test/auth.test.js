@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Session = require('../models/session');
+const Patient = require('../models/patient');
+const jobQueue = require('../services/jobQueue');
+const { requirePatientAccess, requireSessionAccess, sessionFrom } = require('../middleware/auth');
+
+const doctor = { userId: 'user_1', role: 'doctor', doctorId: 'DOC1' };
+const scribe = { userId: 'user_2', role: 'scribe' };
+
+// Run a middleware; resolves with the response status, or 'next' if it passed the request on
+const run = (middleware, req) => new Promise((resolve, reject) => {
+  const res = {
+    status(code) {
+      return { json: () => resolve(code) };
+    }
+  };
+  middleware(req, res, (error) => (error ? reject(error) : resolve('next')));
+});
+
+test('doctors only reach patients they have a session with', async (t) => {
+  const patient = new Patient({ patientId: 'PAT1' });
+  t.mock.method(Patient, 'findByIdentifier', async () => patient);
+  const exists = t.mock.method(Session, 'exists', async () => null);
+
+  assert.strictEqual(await run(requirePatientAccess, { params: { patientId: 'PAT1' }, user: doctor }), 403);
+  assert.deepStrictEqual(exists.mock.calls[0].arguments[0], { patient: patient._id, doctorId: 'DOC1' });
+
+  exists.mock.mockImplementation(async () => ({ _id: new mongoose.Types.ObjectId() }));
+  assert.strictEqual(await run(requirePatientAccess, { params: { patientId: 'PAT1' }, user: doctor }), 'next');
+  assert.strictEqual(await run(requirePatientAccess, { params: { patientId: 'PAT1' }, user: scribe }), 'next');
+});
+
+test('job status is scoped to the job\'s session', async (t) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  t.mock.method(jobQueue, 'getJob', async () => ({ id: 'job_1', data: { sessionId: String(sessionId) } }));
+  t.mock.method(Session, 'findById', async () => new Session({ _id: sessionId, doctorId: 'DOC2' }));
+  const middleware = requireSessionAccess(sessionFrom.job);
+
+  assert.strictEqual(await run(middleware, { params: { jobId: 'job_1' }, user: doctor }), 403);
+  assert.strictEqual(await run(middleware, { params: { jobId: 'job_1' }, user: scribe }), 'next');
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const openaiProvider = require('../services/llmProviders/openaiProvider');
+
+// Load config.js afresh with the given LLM environment
+const loadConfig = (t, env) => {
+  const saved = { LLM_PROVIDER: process.env.LLM_PROVIDER, LLM_MODEL: process.env.LLM_MODEL };
+  t.after(() => {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+    delete require.cache[require.resolve('../config')];
+  });
+
+  Object.entries(env).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+  delete require.cache[require.resolve('../config')];
+  return require('../config');
+};
+
+test('the default LLM model follows the provider', (t) => {
+  assert.strictEqual(loadConfig(t, { LLM_PROVIDER: undefined, LLM_MODEL: undefined }).llmModel, 'gemini-1.5-flash');
+  assert.strictEqual(loadConfig(t, { LLM_PROVIDER: 'openai', LLM_MODEL: undefined }).llmModel, undefined);
+  assert.strictEqual(loadConfig(t, { LLM_PROVIDER: 'openai', LLM_MODEL: 'llama3.1:8b' }).llmModel, 'llama3.1:8b');
+});
+
+test('an OpenAI-compatible endpoint without a model is not configured', async (t) => {
+  const { openaiBaseUrl, llmModel } = config;
+  t.after(() => Object.assign(config, { openaiBaseUrl, llmModel }));
+
+  Object.assign(config, { openaiBaseUrl: 'http://localhost:8080/v1', llmModel: undefined });
+  assert.strictEqual(openaiProvider.isConfigured(), false);
+  await assert.rejects(openaiProvider.complete('Hello', { model: undefined, timeoutMs: 1000 }), /Set LLM_MODEL/);
+
+  Object.assign(config, { llmModel: 'llama3.1:8b' });
+  assert.strictEqual(openaiProvider.isConfigured(), true);
+});
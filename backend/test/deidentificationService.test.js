@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const deidentificationService = require('../services/deidentificationService');
+
+const redact = (text) => deidentificationService.createRedactor().redact(text);
+
+test('redacts street addresses whatever the case of the suffix', () => {
+  assert.strictEqual(redact('I live at 42 Baker Street, Pune'), 'I live at [ADDRESS_1], Pune');
+  assert.strictEqual(redact('Send it to 12 MG road'), 'Send it to [ADDRESS_1]');
+  assert.strictEqual(redact('Flat 3, 221B Park Ave'), 'Flat 3, [ADDRESS_1]');
+});
+
+test('leaves dosing instructions alone', () => {
+  [
+    'Take metformin 500 mg with main meal',
+    'Dose 2 tablets per day st',
+    'Apply 2 drops in each eye at night before the road trip',
+    'Give 10 ml after breakfast and 5 ml at lunch dr advised'
+  ].forEach(text => assert.strictEqual(redact(text), text));
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Session = require('../models/session');
+const fhirController = require('../controllers/fhirController');
+
+// Call a controller action; resolves with { status, type, body }
+const call = (action, req) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    type(contentType) {
+      this.contentType = contentType;
+      return this;
+    },
+    json(body) {
+      resolve({ status: this.statusCode, type: this.contentType, body });
+    }
+  };
+  action(req, res);
+});
+
+test('a malformed session id is not found rather than an exception', async (t) => {
+  const findById = t.mock.method(Session, 'findById', () => {
+    throw new Error('findById should not be called');
+  });
+
+  const response = await call(fhirController.getSessionBundle, { params: { sessionId: 'not-an-id' } });
+
+  assert.strictEqual(findById.mock.callCount(), 0);
+  assert.deepStrictEqual(response, {
+    status: 404,
+    type: 'application/fhir+json',
+    body: {
+      resourceType: 'OperationOutcome',
+      issue: [{ severity: 'error', code: 'not-found', diagnostics: 'The specified session does not exist' }]
+    }
+  });
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const redisService = require('../services/redisService');
+const jobQueue = require('../services/jobQueue');
+
+// Just enough of a Redis client for enqueue: strings, lists and WATCH/MULTI on one key
+const fakeRedis = () => {
+  const values = new Map();
+  const client = {
+    values,
+    async set(name, value, options = {}) {
+      if (options.NX && values.has(name)) return null;
+      values.set(name, value);
+      return 'OK';
+    },
+    async get(name) {
+      return values.has(name) ? values.get(name) : null;
+    },
+    async del(name) {
+      return values.delete(name) ? 1 : 0;
+    },
+    async lPush(name, value) {
+      values.set(name, [value, ...(values.get(name) || [])]);
+    },
+    async executeIsolated(fn) {
+      return fn({
+        watch: async () => {},
+        unwatch: async () => {},
+        get: client.get,
+        multi: () => ({ del: (name) => ({ exec: async () => values.delete(name) }) })
+      });
+    }
+  };
+  return client;
+};
+
+const setRedis = (t, client, isConnected) => {
+  const previous = { client: redisService.client, isConnected: redisService.isConnected };
+  Object.assign(redisService, { client, isConnected });
+  t.after(() => Object.assign(redisService, previous));
+};
+
+const useRedis = (t) => {
+  const client = fakeRedis();
+  setRedis(t, client, true);
+  return client;
+};
+
+jobQueue.register('test', { process: async () => 'done' });
+
+test('concurrent enqueues for one resource create one job', async (t) => {
+  const client = useRedis(t);
+
+  const [first, second] = await Promise.all([
+    jobQueue.enqueue('test', {}, { resourceKey: 'summary:1' }),
+    jobQueue.enqueue('test', {}, { resourceKey: 'summary:1' })
+  ]);
+
+  assert.strictEqual(first.id, second.id);
+  assert.deepStrictEqual(client.values.get('jobs:test:waiting'), [first.id]);
+  assert.strictEqual(client.values.get('jobs:resource:summary:1'), first.id);
+  assert.deepStrictEqual([...client.values.keys()].filter(name => name.startsWith('jobs:job:')), [`jobs:job:${first.id}`]);
+});
+
+test('a claim left by a finished job is taken over', async (t) => {
+  const client = useRedis(t);
+  client.values.set('jobs:resource:summary:2', 'job_old');
+  client.values.set('jobs:job:job_old', JSON.stringify({ id: 'job_old', status: 'completed' }));
+
+  const job = await jobQueue.enqueue('test', {}, { resourceKey: 'summary:2' });
+
+  assert.notStrictEqual(job.id, 'job_old');
+  assert.strictEqual(client.values.get('jobs:resource:summary:2'), job.id);
+});
+
+test('finished in-process jobs are evicted', async (t) => {
+  setRedis(t, null, false);
+  t.mock.method(console, 'warn', () => {});
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+
+  const job = await jobQueue.enqueue('test', {});
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.strictEqual((await jobQueue.getJob(job.id)).status, 'completed');
+  t.mock.timers.tick(60 * 60 * 1000);
+  assert.strictEqual(await jobQueue.getJob(job.id), null);
+});
+
+test('a job moved to active is only recovered after a lock TTL without a lock', async (t) => {
+  const client = useRedis(t);
+  client.values.set('jobs:test:active', ['job_1']);
+  Object.assign(client, {
+    lRange: async (name) => client.values.get(name) || [],
+    exists: async (name) => (client.values.has(name) ? 1 : 0),
+    lRem: async (name, count, value) => {
+      const list = client.values.get(name) || [];
+      client.values.set(name, list.filter(item => item !== value));
+      return list.length - client.values.get(name).length;
+    },
+    rPush: async (name, value) => {
+      client.values.set(name, [...(client.values.get(name) || []), value]);
+    }
+  });
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+  t.mock.method(console, 'warn', () => {});
+
+  await jobQueue.recoverStalled(['test']);
+  assert.deepStrictEqual(client.values.get('jobs:test:active'), ['job_1']);
+
+  now += 60 * 1000;
+  await jobQueue.recoverStalled(['test']);
+  assert.deepStrictEqual(client.values.get('jobs:test:active'), []);
+  assert.deepStrictEqual(client.values.get('jobs:test:waiting'), ['job_1']);
+});
+
+test('a failing job run does not reject the work loop', async (t) => {
+  const connection = {
+    blMove: async () => 'job_1',
+    quit: async () => {}
+  };
+  t.mock.method(console, 'error', () => {});
+  const runJob = t.mock.method(jobQueue, 'runJob', async () => {
+    jobQueue.running = false;
+    throw new Error('Connection lost');
+  });
+
+  jobQueue.running = true;
+  await jobQueue.workLoop('test', connection);
+
+  assert.strictEqual(runJob.mock.callCount(), 1);
+});
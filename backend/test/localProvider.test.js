@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const localProvider = require('../services/transcriptionProviders/localProvider');
+
+const token = (text, p, from, to) => ({ text, p, offsets: { from, to } });
+
+test('word confidence is the mean of its token probabilities', () => {
+  const words = localProvider.tokensToWords([
+    token(' chest', 0.9, 0, 400),
+    token(' pa', 0.8, 400, 600),
+    token('in', 0.6, 600, 800)
+  ]);
+
+  assert.deepStrictEqual(words, [
+    { word: 'chest', startTime: 0, endTime: 0.4, confidence: 0.9 },
+    { word: 'pain', startTime: 0.4, endTime: 0.8, confidence: 0.7 }
+  ]);
+});
+
+test('tokens without a probability are skipped, not averaged as NaN', () => {
+  const words = localProvider.tokensToWords([
+    token(' fe', undefined, 0, 200),
+    token('ver', 0.8, 200, 400),
+    { text: ' today', offsets: { from: 400, to: 800 } }
+  ]);
+
+  assert.deepStrictEqual(words, [
+    { word: 'fever', startTime: 0, endTime: 0.4, confidence: 0.8 },
+    { word: 'today', startTime: 0.4, endTime: 0.8 }
+  ]);
+});
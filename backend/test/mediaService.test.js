@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const mediaService = require('../services/mediaService');
+
+test('probe reports a missing ffprobe as 503', async (t) => {
+  const previous = config.ffprobePath;
+  config.ffprobePath = '/nonexistent/ffprobe';
+  t.after(() => { config.ffprobePath = previous; });
+
+  await assert.rejects(mediaService.probe(__filename), {
+    status: 503,
+    title: 'Media tools unavailable',
+    message: 'Media probe binary not found: /nonexistent/ffprobe'
+  });
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Symptom = require('../models/symptom');
+const llmService = require('../services/llmService');
+const symptomService = require('../services/symptomService');
+const questionService = require('../services/questionService');
+
+const chestPain = new Symptom({
+  name: 'Chest pain',
+  synonyms: ['chest tightness'],
+  category: 'cardiovascular',
+  urgencyLevel: 'high',
+  questions: [
+    { question: 'How severe is your chest pain?', importance: 9 },
+    { question: 'When did the chest pain start?', importance: 8 },
+    { question: 'Does the pain radiate to your arm or jaw?', importance: 7 }
+  ]
+});
+
+const lines = (text) => text.split('\n').map((line, index) => ({ ref: `L${index + 1}`, text: line }));
+
+const withKnowledgeBase = (t) => {
+  t.mock.method(symptomService, 'knowledgeBase', async () => [{
+    _id: chestPain._id,
+    name: chestPain.name,
+    synonyms: chestPain.synonyms,
+    pattern: /\bchest pain\b/i
+  }]);
+  t.mock.method(Symptom, 'find', async () => [chestPain]);
+  t.mock.method(llmService, 'isConfigured', () => false);
+};
+
+test('a line that only names the symptom does not answer its questions', () => {
+  const transcript = lines('Patient: I have had chest pain since this morning.');
+  const terms = ['Chest pain', 'chest tightness'];
+
+  assert.strictEqual(questionService.isAnswered('How severe is your chest pain?', transcript, terms), false);
+  assert.strictEqual(questionService.isAnswered('When did the chest pain start?', transcript, terms), false);
+});
+
+test('a line on the question\'s own terms answers it', () => {
+  const terms = ['Chest pain'];
+
+  assert.strictEqual(questionService.isAnswered('How severe is your chest pain?', lines('Patient: The chest pain is severe.'), terms), true);
+  assert.strictEqual(questionService.isAnswered('When did the chest pain start?', lines('Doctor: When did your chest pain start?'), terms), true);
+  assert.strictEqual(questionService.isAnswered(
+    'Does the pain radiate to your arm or jaw?',
+    lines('Doctor: Does the pain go to your arm or jaw?'),
+    terms
+  ), true);
+});
+
+test('a single shared word does not answer a question', () => {
+  const terms = ['Chest pain'];
+
+  assert.strictEqual(questionService.isAnswered('When did the chest pain start?', lines('Doctor: When did it start?'), terms), false);
+  assert.strictEqual(questionService.isAnswered('How severe is your chest pain?', lines('Patient: The cough is severe.'), terms), false);
+});
+
+test('keeps the assessment questions for a symptom the patient just mentioned', async (t) => {
+  withKnowledgeBase(t);
+
+  const result = await questionService.clinicalAssessment('Patient: I have had chest pain since this morning.');
+
+  assert.deepStrictEqual(result.questions.map(question => [question.question, question.source]), [
+    ['How severe is your chest pain?', 'knowledge-base'],
+    ['When did the chest pain start?', 'knowledge-base'],
+    ['Does the pain radiate to your arm or jaw?', 'knowledge-base']
+  ]);
+  assert.strictEqual(result.knowledgeBase.answered, 0);
+});
+
+test('drops assessment questions the transcript already covers', async (t) => {
+  withKnowledgeBase(t);
+
+  const result = await questionService.clinicalAssessment(
+    'Patient: I have had chest pain since this morning.\nDoctor: How severe is the chest pain?\nPatient: Quite severe.'
+  );
+
+  assert.deepStrictEqual(result.questions.map(question => question.question), [
+    'When did the chest pain start?',
+    'Does the pain radiate to your arm or jaw?'
+  ]);
+  assert.strictEqual(result.knowledgeBase.answered, 1);
+});
+
+test('keeps the knowledge base questions when the LLM fails', async (t) => {
+  withKnowledgeBase(t);
+  llmService.isConfigured.mock.mockImplementation(() => true);
+  t.mock.method(llmService, 'generateJson', async () => {
+    throw new Error('Request timed out');
+  });
+  t.mock.method(console, 'error', () => {});
+
+  const result = await questionService.clinicalAssessment('Patient: I have had chest pain since this morning.', {
+    context: 'Patient: I have had chest pain since this morning.'
+  });
+
+  assert.strictEqual(result.questions.length, 3);
+  assert.ok(result.questions.every(question => question.source === 'knowledge-base'));
+  assert.strictEqual(result.llmError, 'Clinical question generation failed: Request timed out');
+});
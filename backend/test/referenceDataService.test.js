@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const referenceDataService = require('../services/referenceDataService');
+
+// One line of a CMS icd10cm_order_YYYY.txt file
+const orderLine = (order, code, billable, name) =>
+  `${String(order).padStart(5, '0')} ${code.padEnd(7)} ${billable} ${name.slice(0, 60).padEnd(60)} ${name}`;
+
+test('parses an order file with U and Z codes', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const text = [
+    orderLine(1, 'J189', 1, 'Pneumonia, unspecified organism'),
+    orderLine(2, 'U07', 0, 'Emergency use of U07'),
+    orderLine(3, 'U071', 1, 'COVID-19'),
+    orderLine(4, 'U099', 1, 'Post COVID-19 condition, unspecified'),
+    orderLine(5, 'Z9989', 1, 'Dependence on other enabling machines and devices')
+  ].join('\n');
+
+  const records = referenceDataService.parseICD10(text);
+
+  assert.deepStrictEqual(records.map(record => [record.code, record.category, record.billable]), [
+    ['J18.9', 'respiratory-system', true],
+    ['U07', 'special-purpose', false],
+    ['U07.1', 'special-purpose', true],
+    ['U09.9', 'special-purpose', true],
+    ['Z99.89', 'health-status', true]
+  ]);
+  assert.strictEqual(console.warn.mock.callCount(), 0);
+});
+
+test('skips malformed ICD-10-CM lines with a warning', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const text = [
+    orderLine(1, 'U071', 1, 'COVID-19'),
+    'garbage',
+    orderLine(2, '1234', 1, 'Not a code'),
+    orderLine(3, 'I10', 1, 'Essential (primary) hypertension')
+  ].join('\n');
+
+  const records = referenceDataService.parseICD10(text);
+
+  assert.deepStrictEqual(records.map(record => record.code), ['U07.1', 'I10']);
+  assert.strictEqual(console.warn.mock.callCount(), 2);
+});
+
+test('skips invalid procedure codes with a warning', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const records = referenceDataService.parseProcedures('code,description\n99213,Office visit\nABC,Broken\n71046,Chest x-ray');
+
+  assert.deepStrictEqual(records.map(record => [record.code, record.category]), [
+    ['99213', 'evaluation-management'],
+    ['71046', 'radiology']
+  ]);
+  assert.strictEqual(console.warn.mock.callCount(), 1);
+});
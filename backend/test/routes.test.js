@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const router = require('../routes/api');
+
+// The upload error handler is the last layer of the API router
+const errorHandler = router.stack[router.stack.length - 1].handle;
+
+const respond = (error) => new Promise((resolve) => {
+  const res = {
+    status(code) {
+      return { json: (body) => resolve({ status: code, body }) };
+    }
+  };
+  errorHandler(error, {}, res, (passed) => resolve({ next: passed }));
+});
+
+const fileTypeError = (message) => Object.assign(new Error(message), { status: 415 });
+
+test('rejected upload file types keep their 415 status', async () => {
+  assert.deepStrictEqual(await respond(fileTypeError('Invalid file type. Only .docx templates are allowed.')), {
+    status: 415,
+    body: { error: 'Invalid file type', message: 'Templates must be Word (.docx) files' }
+  });
+  assert.strictEqual((await respond(fileTypeError('Invalid file type. Only audio files are allowed.'))).status, 415);
+});
+
+test('other errors are passed on', async () => {
+  const error = new Error('boom');
+  assert.deepStrictEqual(await respond(error), { next: error });
+});
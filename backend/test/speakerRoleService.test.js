@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const llmService = require('../services/llmService');
+const speakerRoleService = require('../services/speakerRoleService');
+
+const segments = [
+  { speakerTag: 1, text: 'What brings you in today?' },
+  { speakerTag: 2, text: 'I have had a headache for three days.' },
+  { speakerTag: 1, text: 'Have you taken anything for it?' },
+  { speakerTag: 2, text: 'Only some paracetamol, it did not help much.' },
+  { speakerTag: 1, text: 'I will prescribe something stronger and check your blood pressure.' },
+  { speakerTag: 2, text: 'Thank you, doctor.' }
+];
+
+const heuristic = [
+  { speakerTag: 1, role: 'doctor', confidence: 0.6, source: 'heuristic' },
+  { speakerTag: 2, role: 'patient', confidence: 0.6, source: 'heuristic' },
+  { speakerTag: 3, role: 'patient', confidence: 0.6, source: 'heuristic' }
+];
+
+test('long transcripts are classified part by part and the parts are combined', async (t) => {
+  const { llmChunkTokens } = config;
+  Object.assign(config, { llmChunkTokens: 30 });
+  t.after(() => Object.assign(config, { llmChunkTokens }));
+
+  const prompts = [];
+  const answers = [
+    { 1: { role: 'doctor', confidence: 0.9 }, 2: { role: 'patient', confidence: 0.8 } },
+    { 1: { role: 'patient', confidence: 0.4 }, 2: { role: 'patient', confidence: 0.6 } },
+    { 1: { role: 'doctor', confidence: 0.7 } }
+  ];
+  t.mock.method(llmService, 'generateJson', async (prompt) => {
+    prompts.push(prompt);
+    return { data: answers[prompts.length - 1] || {} };
+  });
+
+  const mapping = await speakerRoleService.classifyWithLlm(segments, heuristic);
+
+  assert.ok(prompts.length > 1);
+  assert.match(prompts[0], /part 1 of \d+/);
+  // Every segment reaches the model, including the last one
+  segments.forEach(segment => {
+    assert.ok(prompts.some(prompt => prompt.includes(segment.text)), segment.text);
+  });
+
+  assert.deepStrictEqual(mapping[0], { speakerTag: 1, role: 'doctor', confidence: 0.53, source: 'llm' });
+  assert.deepStrictEqual(mapping[1], { speakerTag: 2, role: 'patient', confidence: 0.7, source: 'llm' });
+  // No part answered for speaker 3, so the heuristic role stays
+  assert.deepStrictEqual(mapping[2], heuristic[2]);
+});
+
+test('a short transcript is classified in a single call', async (t) => {
+  const prompts = [];
+  t.mock.method(llmService, 'generateJson', async (prompt) => {
+    prompts.push(prompt);
+    return { data: { 1: { role: 'doctor', confidence: 0.9 }, 2: { role: 'patient', confidence: 0.9 } } };
+  });
+
+  const mapping = await speakerRoleService.classifyWithLlm(segments, heuristic.slice(0, 2));
+
+  assert.strictEqual(prompts.length, 1);
+  assert.doesNotMatch(prompts[0], /part 1 of/);
+  assert.deepStrictEqual(mapping.map(entry => entry.role), ['doctor', 'patient']);
+});
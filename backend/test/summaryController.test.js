@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Summary = require('../models/summary');
+const summaryController = require('../controllers/summaryController');
+
+// Call a controller action; resolves with { status, body }
+const call = (action, req) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ status: this.statusCode, body });
+    }
+  };
+  action(req, res);
+});
+
+const approve = (summaryId) => call(summaryController.approveSummary, {
+  params: { summaryId },
+  body: {},
+  user: { userId: 'usr_1', role: 'reviewer' }
+});
+
+test('only completed, unapproved summaries can be approved', async (t) => {
+  const summaries = {
+    sum_generating: new Summary({ summaryId: 'sum_generating', status: 'generating' }),
+    sum_failed: new Summary({ summaryId: 'sum_failed', status: 'failed' }),
+    sum_approved: new Summary({ summaryId: 'sum_approved', status: 'completed', isApproved: true })
+  };
+  t.mock.method(Summary, 'findOne', async ({ summaryId }) => summaries[summaryId]);
+  const save = t.mock.method(Summary.prototype, 'save', async function() { return this; });
+
+  assert.deepStrictEqual(await approve('sum_generating'), {
+    status: 409,
+    body: { error: 'Summary not ready', message: 'Only completed summaries can be approved; this one is generating' }
+  });
+  assert.strictEqual((await approve('sum_failed')).status, 409);
+  assert.deepStrictEqual((await approve('sum_approved')).body.error, 'Already approved');
+  assert.strictEqual(save.mock.callCount(), 0);
+});
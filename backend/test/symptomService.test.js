@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Session = require('../models/session');
+const symptomService = require('../services/symptomService');
+
+const chestPain = {
+  _id: 'symptom-chest-pain',
+  name: 'Chest pain',
+  urgencyLevel: 'emergency',
+  redFlags: [{ description: 'Pain radiating to the left arm', action: 'Call emergency services' }],
+  pattern: /\b(?:Chest pain|chest tightness)(?:e?s)?\b/i
+};
+const fever = {
+  _id: 'symptom-fever',
+  name: 'Fever',
+  urgencyLevel: 'low',
+  redFlags: [],
+  pattern: /\b(?:Fever)(?:e?s)?\b/i
+};
+const knowledgeBase = [chestPain, fever];
+
+const names = (symptoms) => symptoms.map(symptom => symptom.name);
+
+test('ignores a denied symptom', () => {
+  const { mentioned, alerts } = symptomService.findAlerts('Patient denies any chest pain.', knowledgeBase);
+
+  assert.deepStrictEqual(mentioned, []);
+  assert.deepStrictEqual(alerts, []);
+});
+
+test('ignores symptoms after other negation cues in the same clause', () => {
+  [
+    'No chest pain or fever.',
+    'Walks without chest pain',
+    'ECG negative for chest pain changes',
+    'Patient: I have a cough; denied fever'
+  ].forEach(text => assert.deepStrictEqual(names(symptomService.mentions(text, knowledgeBase)), [], text));
+});
+
+test('a negation ends at the clause boundary', () => {
+  assert.deepStrictEqual(names(symptomService.mentions('No fever but chest pain since morning', knowledgeBase)), ['Chest pain']);
+  assert.deepStrictEqual(names(symptomService.mentions('Denies fever.\nChest pain since morning', knowledgeBase)), ['Chest pain']);
+  assert.deepStrictEqual(names(symptomService.mentions('No, I have chest pain', knowledgeBase)), ['Chest pain']);
+  assert.deepStrictEqual(names(symptomService.mentions('I could not breathe with the chest pain', knowledgeBase)), ['Chest pain']);
+});
+
+test('ignores a denied red flag', () => {
+  const { alerts } = symptomService.findAlerts(
+    'The chest pain is no longer radiating to the left arm',
+    knowledgeBase,
+    [chestPain._id]
+  );
+
+  assert.deepStrictEqual(alerts.map(alert => alert.reason), ['urgent-symptom']);
+});
+
+test('scanTranscript does not attach a denied symptom to the session', async (t) => {
+  t.mock.method(symptomService, 'knowledgeBase', async () => knowledgeBase);
+  t.mock.method(Session, 'findById', () => ({ select: async () => ({ symptoms: [] }) }));
+  const update = t.mock.method(Session, 'findByIdAndUpdate', async () => null);
+  const raise = t.mock.method(symptomService, 'raiseAlerts', async () => []);
+
+  await symptomService.scanTranscript('session-1', 'Patient denies any chest pain.', 'live');
+
+  assert.strictEqual(update.mock.callCount(), 0);
+  assert.deepStrictEqual(raise.mock.calls[0].arguments[1], []);
+});
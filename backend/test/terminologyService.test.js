@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Condition = require('../models/condition');
+const terminologyService = require('../services/terminologyService');
+
+// Stand-in for a Mongoose query: awaitable, with the collation() call findByName makes
+const query = (result) => ({
+  collation: () => Promise.resolve(result)
+});
+
+test('accepts ICD-10-CM codes from every chapter, including U codes', () => {
+  ['U07.1', 'U09.9', 'J18.9', 'I10', 'O9A.11', 'C4A.0', 'S72.001A', 'Z99.89'].forEach(code => {
+    assert.ok(terminologyService.isValidICD10(code), code);
+  });
+  ['XYZ', 'J1', '189', 'J18.99999'].forEach(code => {
+    assert.ok(!terminologyService.isValidICD10(code), code);
+  });
+});
+
+test('normalizes codes before validating them', () => {
+  assert.strictEqual(terminologyService.normalizeCode('u071'), 'U07.1');
+  assert.strictEqual(terminologyService.normalizeCode(' j18.9 '), 'J18.9');
+  assert.strictEqual(terminologyService.normalizeCode(''), null);
+});
+
+test('keeps a well-formed U07.1 code that is not in the collection', async (t) => {
+  t.mock.method(Condition, 'findByICD10', async () => null);
+  t.mock.method(Condition, 'findOne', () => query(null));
+  t.mock.method(Condition, 'searchConditions', async () => []);
+
+  const [diagnosis] = await terminologyService.groundDiagnoses([{ condition: 'COVID-19', icd10Code: 'U07.1' }]);
+
+  assert.strictEqual(diagnosis.icd10Code, 'U07.1');
+  assert.strictEqual(diagnosis.grounding.codeStatus, 'unknown');
+});
+
+test('matches U07.1 to its condition by code', async (t) => {
+  const covid = { _id: 'c1', name: 'COVID-19', icd10Code: 'U07.1', synonyms: [], isActive: true };
+  t.mock.method(Condition, 'findByICD10', async (code) => (code === 'U07.1' ? covid : null));
+  t.mock.method(Condition, 'findOne', () => query(null));
+
+  const [diagnosis] = await terminologyService.groundDiagnoses([{ condition: 'covid-19', icd10Code: 'u071' }]);
+
+  assert.strictEqual(diagnosis.icd10Code, 'U07.1');
+  assert.strictEqual(diagnosis.grounding.matchedBy, 'code');
+  assert.strictEqual(diagnosis.grounding.codeStatus, 'valid');
+  assert.strictEqual(diagnosis.grounding.confidence, 100);
+});
+
+test('looks names up case-insensitively through the collation index', async (t) => {
+  const pneumonia = { _id: 'c2', name: 'Pneumonia', icd10Code: 'J18.9', synonyms: [], isActive: true };
+  const calls = [];
+  t.mock.method(Condition, 'findOne', (filter) => ({
+    collation: (collation) => {
+      calls.push({ filter, collation });
+      return Promise.resolve(filter.name ? pneumonia : null);
+    }
+  }));
+
+  const found = await terminologyService.findByName('  pneumonia ');
+
+  assert.strictEqual(found.match, pneumonia);
+  assert.deepStrictEqual(calls[0].filter, { name: 'pneumonia', isActive: true });
+  assert.deepStrictEqual(calls[0].collation, { locale: 'en', strength: 2 });
+});
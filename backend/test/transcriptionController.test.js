@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Session = require('../models/session');
+const Transcription = require('../models/transcription');
+const mediaService = require('../services/mediaService');
+const audioStorageService = require('../services/audioStorageService');
+const transcriptionController = require('../controllers/transcriptionController');
+
+// Call a controller action; resolves with { status, body }
+const call = (action, req) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ status: this.statusCode, body });
+    }
+  };
+  action(req, res);
+});
+
+test('stored audio is removed when the transcription cannot be saved', async (t) => {
+  t.mock.method(Session, 'findById', async () => new Session());
+  t.mock.method(mediaService, 'probe', async () => ({ codec: 'opus', duration: 12 }));
+  t.mock.method(audioStorageService, 'store', async () => ({ storageKey: 'audio/trans_1.enc', storageBackend: 'local' }));
+  const remove = t.mock.method(audioStorageService, 'remove', async () => {});
+  t.mock.method(Transcription.prototype, 'save', async () => {
+    throw new Error('Mongo unavailable');
+  });
+  t.mock.method(console, 'error', () => {});
+
+  const result = await call(transcriptionController.uploadAudio, {
+    body: { sessionId: String(new mongoose.Types.ObjectId()) },
+    file: { path: '/nonexistent/upload.webm', originalname: 'recording.webm', filename: 'upload.webm', size: 10, mimetype: 'audio/webm' }
+  });
+
+  assert.strictEqual(result.status, 500);
+  assert.strictEqual(remove.mock.callCount(), 1);
+  assert.strictEqual(remove.mock.calls[0].arguments[0].storageKey, 'audio/trans_1.enc');
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs').promises;
+const config = require('../config');
+const mediaService = require('../services/mediaService');
+const transcriptionService = require('../services/transcriptionService');
+
+test('a failed chunk waits for the other workers before removing the work directory', async (t) => {
+  const previous = config.transcriptionChunkConcurrency;
+  config.transcriptionChunkConcurrency = 2;
+  t.after(() => { config.transcriptionChunkConcurrency = previous; });
+
+  const chunks = [0, 1, 2].map(index => ({ index, start: index * 10, end: index * 10 + 10, coreStart: index * 10, coreEnd: index * 10 + 10 }));
+  t.mock.method(mediaService, 'detectSilences', async () => []);
+  t.mock.method(mediaService, 'planChunks', () => chunks);
+  const events = [];
+  t.mock.method(mediaService, 'extractRange', async (wavPath, start, end, outputPath) => {
+    await fsp.writeFile(outputPath, 'audio');
+    return outputPath;
+  });
+  const transcribe = async (chunkPath) => {
+    if (chunkPath.endsWith('chunk-0.wav')) {
+      events.push('chunk 0 failed');
+      throw new Error('Provider quota exceeded');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+    // The work directory must still be there for the slower worker
+    await fsp.access(chunkPath);
+    events.push('chunk 1 done');
+    return { text: 'ok', segments: [] };
+  };
+
+  await assert.rejects(
+    transcriptionService.transcribeChunked({ transcribe }, '/tmp/recording.wav', 30, 'en', () => {}),
+    { message: 'Provider quota exceeded' }
+  );
+  assert.deepStrictEqual(events, ['chunk 0 failed', 'chunk 1 done']);
+});
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const config = require('./config');
+const redisService = require('./services/redisService');
+const jobQueue = require('./services/jobQueue');
+const jobs = require('./services/jobs');
+const audioStorageService = require('./services/audioStorageService');
+
+// Background worker process: runs transcription and summary jobs from Redis.
+// Pass queue names as arguments to run only some of them, e.g. `node worker.js summary`.
+const queues = process.argv.slice(2).length > 0
+  ? process.argv.slice(2)
+  : Object.values(jobs.QUEUES);
+
+async function start() {
+  await mongoose.connect(config.mongoUri, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log('Worker connected to MongoDB');
+
+  try {
+    audioStorageService.getKey();
+  } catch (error) {
+    console.error(`${error.message} Transcription jobs cannot read stored audio until it is set.`);
+  }
+
+  await redisService.connect();
+  await jobQueue.startWorkers(queues);
+  console.log(`Worker started (pid ${process.pid}) for queues: ${queues.join(', ')}`);
+}
+
+async function shutdown(signal) {
+  console.log(`${signal} received. Finishing current jobs...`);
+  try {
+    await jobQueue.stopWorkers();
+    await redisService.disconnect();
+    await mongoose.connection.close(false);
+    console.log('Worker stopped');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error during worker shutdown:', error);
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+start().catch((error) => {
+  console.error('Worker failed to start:', error);
+  process.exit(1);
+});
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { ThemeProvider, createTheme } from '@mui/material/styles';
-import { CssBaseline, Box, AppBar, Toolbar, Typography, Container } from '@mui/material';
+import { CssBaseline, Box, AppBar, Toolbar, Typography, Container, Button } from '@mui/material';
 import { ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import { toast } from 'react-toastify';
@@ -10,6 +10,8 @@ import { toast } from 'react-toastify';
 import DoctorInterface from './components/DoctorInterface';
 import SessionList from './components/SessionList';
 import SessionView from './components/SessionView';
+import Login from './components/Login';
+import { authFetch, getCurrentUser, logout, AUTH_LOGOUT_EVENT, API_BASE_URL } from './services/auth';
 
 // Create theme
 const theme = createTheme({
@@ -55,6 +57,7 @@ const theme = createTheme({
 });
 
 function App() {
+  const [user, setUser] = useState(getCurrentUser);
   const [currentSession, setCurrentSession] = useState(null);
   const [sessions, setSessions] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -86,7 +89,7 @@ function App() {
   const endCurrentSession = async () => { // Make the function async
     if (currentSession) {
       try {
-        const response = await fetch(`/api/sessions/${currentSession._id}/end`, {
+        const response = await authFetch(`${API_BASE_URL}/sessions/${currentSession._id}/end`, {
           method: 'PATCH',
           headers: { 'Content-Type': 'application/json' },
         });
@@ -113,12 +116,26 @@ function App() {
     }
   };
 
-  // Load sessions on app start
+  // Return to the login page when the session ends, e.g. after a failed token refresh
   useEffect(() => {
+    const handleLogout = () => {
+      setUser(null);
+      setCurrentSession(null);
+      setSessions([]);
+    };
+
+    window.addEventListener(AUTH_LOGOUT_EVENT, handleLogout);
+    return () => window.removeEventListener(AUTH_LOGOUT_EVENT, handleLogout);
+  }, []);
+
+  // Load sessions once logged in
+  useEffect(() => {
+    if (!user) return;
+
     const loadSessions = async () => {
       setLoading(true);
       try {
-        const response = await fetch('/api/sessions?limit=10');
+        const response = await authFetch(`${API_BASE_URL}/sessions?limit=10`);
         if (response.ok) {
           const data = await response.json();
           setSessions(data.sessions || []);
@@ -131,7 +148,7 @@ function App() {
     };
 
     loadSessions();
-  }, []);
+  }, [user]);
 
   return (
     <ThemeProvider theme={theme}>
@@ -160,51 +177,65 @@ function App() {
                   />
                 </Box>
               )}
+              {user && (
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, ml: 3 }}>
+                  <Typography variant="body2">
+                    {user.name} ({user.role})
+                  </Typography>
+                  <Button color="inherit" size="small" onClick={logout}>
+                    Log out
+                  </Button>
+                </Box>
+              )}
             </Toolbar>
           </AppBar>
 
           {/* Main Content */}
           <Container maxWidth="xl" sx={{ flex: 1, py: 3 }}>
-            <Routes>
-              {/* Main Interface */}
-              <Route 
-                path="/" 
-                element={
-                  <DoctorInterface
-                    currentSession={currentSession}
-                    onSessionCreate={createNewSession}
-                    onSessionUpdate={updateSession}
-                    onSessionEnd={endCurrentSession}
-                    recentSessions={sessions.slice(0, 5)}
-                  />
-                } 
-              />
+            {!user ? (
+              <Login onLogin={setUser} />
+            ) : (
+              <Routes>
+                {/* Main Interface */}
+                <Route 
+                  path="/" 
+                  element={
+                    <DoctorInterface
+                      currentSession={currentSession}
+                      onSessionCreate={createNewSession}
+                      onSessionUpdate={updateSession}
+                      onSessionEnd={endCurrentSession}
+                      recentSessions={sessions.slice(0, 5)}
+                    />
+                  } 
+                />
               
-              {/* Sessions List */}
-              <Route 
-                path="/sessions" 
-                element={
-                  <SessionList 
-                    sessions={sessions}
-                    loading={loading}
-                    onSessionSelect={(session) => setCurrentSession(session)}
-                  />
-                } 
-              />
+                {/* Sessions List */}
+                <Route 
+                  path="/sessions" 
+                  element={
+                    <SessionList 
+                      sessions={sessions}
+                      loading={loading}
+                      onSessionSelect={(session) => setCurrentSession(session)}
+                    />
+                  } 
+                />
               
-              {/* Individual Session View */}
-              <Route 
-                path="/sessions/:sessionId" 
-                element={
-                  <SessionView 
-                    onSessionUpdate={updateSession}
-                  />
-                } 
-              />
+                {/* Individual Session View */}
+                <Route 
+                  path="/sessions/:sessionId" 
+                  element={
+                    <SessionView 
+                      onSessionUpdate={updateSession}
+                    />
+                  } 
+                />
               
-              {/* Redirect unknown routes to home */}
-              <Route path="*" element={<Navigate to="/" replace />} />
-            </Routes>
+                {/* Redirect unknown routes to home */}
+                <Route path="*" element={<Navigate to="/" replace />} />
+              </Routes>
+            )}
           </Container>
 
           {/* Toast Notifications */}
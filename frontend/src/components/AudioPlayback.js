@@ -0,0 +1,140 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Chip,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { authFetch, API_BASE_URL, API_ORIGIN } from '../services/auth';
+
+// Format seconds as m:ss
+const formatOffset = (seconds = 0) => {
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+};
+
+const speakerColors = {
+  doctor: 'primary',
+  patient: 'secondary',
+  unknown: 'default'
+};
+
+const AudioPlayback = ({ transcription }) => {
+  const [audioUrl, setAudioUrl] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [currentTime, setCurrentTime] = useState(0);
+  const audioRef = useRef(null);
+  const retriedRef = useRef(false);
+
+  // Playback URLs are signed and short-lived, so fetch a fresh one when needed
+  const loadAudioUrl = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await authFetch(`${API_BASE_URL}/transcribe/${transcription.transcriptionId}/audio-url`);
+      if (response.ok) {
+        const data = await response.json();
+        // The link is relative to the backend, which may be on another host
+        setAudioUrl(new URL(data.url, API_ORIGIN).href);
+        setError(null);
+      } else {
+        const data = await response.json();
+        setError(data.message || 'Audio is not available');
+      }
+    } catch (error) {
+      setError('Failed to load audio');
+      console.error('Audio URL error:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [transcription.transcriptionId]);
+
+  useEffect(() => {
+    loadAudioUrl();
+  }, [loadAudioUrl]);
+
+  // The link may have expired while the page was open; retry once with a new one
+  const handleAudioError = () => {
+    if (!retriedRef.current) {
+      retriedRef.current = true;
+      loadAudioUrl();
+    } else {
+      setError('Failed to play audio');
+    }
+  };
+
+  const seekTo = (segment) => {
+    if (!audioRef.current) return;
+    audioRef.current.currentTime = segment.startTime || 0;
+    audioRef.current.play().catch(() => {});
+  };
+
+  const segments = transcription.segments || [];
+
+  if (loading && !audioUrl) {
+    return <CircularProgress size={20} />;
+  }
+
+  if (error) {
+    return (
+      <Alert severity="warning" sx={{ my: 1 }}>
+        {error}
+      </Alert>
+    );
+  }
+
+  return (
+    <Box>
+      <audio
+        ref={audioRef}
+        src={audioUrl}
+        controls
+        preload="metadata"
+        style={{ width: '100%' }}
+        onTimeUpdate={(e) => setCurrentTime(e.target.currentTime)}
+        onError={handleAudioError}
+      />
+
+      {segments.length > 0 && (
+        <Box sx={{ mt: 1, maxHeight: 300, overflow: 'auto' }}>
+          {segments.map((segment, index) => {
+            const isActive = currentTime >= segment.startTime && currentTime < segment.endTime;
+            return (
+              <Box
+                key={index}
+                onClick={() => seekTo(segment)}
+                sx={{
+                  display: 'flex',
+                  gap: 1,
+                  alignItems: 'flex-start',
+                  p: 0.5,
+                  borderRadius: 1,
+                  cursor: 'pointer',
+                  bgcolor: isActive ? 'action.selected' : 'transparent',
+                  '&:hover': { bgcolor: 'action.hover' }
+                }}
+              >
+                <Typography variant="caption" color="text.secondary" sx={{ minWidth: 40, pt: 0.3 }}>
+                  {formatOffset(segment.startTime)}
+                </Typography>
+                <Chip
+                  label={segment.speaker}
+                  size="small"
+                  variant="outlined"
+                  color={speakerColors[segment.speaker] || 'default'}
+                />
+                <Typography variant="body2">
+                  {segment.text}
+                </Typography>
+              </Box>
+            );
+          })}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default AudioPlayback;
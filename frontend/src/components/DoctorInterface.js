@@ -13,7 +13,8 @@ import {
   MenuItem,
   Chip,
   Alert,
-  CircularProgress
+  CircularProgress,
+  Tooltip
 } from '@mui/material';
 import {
   PlayArrow as PlayIcon,
@@ -25,6 +26,7 @@ import {
 } from '@mui/icons-material';
 import { toast } from 'react-toastify';
 import TranscriptionBox from './TranscriptionBox';
+import { authFetch, API_BASE_URL } from '../services/auth';
 
 const DoctorInterface = ({ 
   currentSession, 
@@ -65,7 +67,7 @@ const DoctorInterface = ({
 
     setLoading(prev => ({ ...prev, creating: true }));
     try {
-      const response = await fetch('/api/sessions', {
+      const response = await authFetch(`${API_BASE_URL}/sessions`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(sessionForm),
@@ -104,7 +106,7 @@ const DoctorInterface = ({
 
     setLoading(prev => ({ ...prev, generating: true }));
     try {
-      const response = await fetch(`/api/sessions/${currentSession._id}/summary`, {
+      const response = await authFetch(`${API_BASE_URL}/sessions/${currentSession._id}/summary`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' }
       });
@@ -133,7 +135,7 @@ const DoctorInterface = ({
 
     setLoading(prev => ({ ...prev, generating: true }));
     try {
-      const response = await fetch(`/api/sessions/${currentSession._id}/questions`, {
+      const response = await authFetch(`${API_BASE_URL}/sessions/${currentSession._id}/questions`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' }
       });
@@ -184,6 +186,7 @@ const DoctorInterface = ({
                     <MenuItem value="emergency">Emergency</MenuItem>
                     <MenuItem value="routine-checkup">Routine Checkup</MenuItem>
                     <MenuItem value="specialist">Specialist</MenuItem>
+                    <MenuItem value="discharge">Discharge</MenuItem>
                   </Select>
                 </FormControl>
                 
@@ -334,15 +337,20 @@ const DoctorInterface = ({
                       <Typography variant="subtitle2" sx={{ fontWeight: 'bold', mb: 1 }}>
                         Clinical Assessment:
                       </Typography>
-                      {reflexiveQuestions.clinical.slice(0, 3).map((q, index) => (
-                        <Chip
+                      {/* Knowledge base questions are filled, model suggestions outlined */}
+                      {reflexiveQuestions.clinical.slice(0, 5).map((q, index) => (
+                        <Tooltip
                           key={index}
-                          label={q.question}
-                          variant="outlined"
-                          size="small"
-                          sx={{ mr: 1, mb: 1 }}
-                          color="primary"
-                        />
+                          title={`${q.source === 'knowledge-base' ? 'Knowledge base' : 'AI suggestion'}${q.rationale ? `: ${q.rationale}` : ''}`}
+                        >
+                          <Chip
+                            label={q.question}
+                            variant={q.source === 'knowledge-base' ? 'filled' : 'outlined'}
+                            size="small"
+                            sx={{ mr: 1, mb: 1 }}
+                            color="primary"
+                          />
+                        </Tooltip>
                       ))}
                     </Box>
                   )}
@@ -385,7 +393,7 @@ const DoctorInterface = ({
                 </Box>
               ) : (
                 <Typography variant="body2" color="text.secondary">
-                  Generate AI-powered reflexive questions to improve consultation quality and identify missing information.
+                  Generate reflexive questions from the symptom knowledge base and AI suggestions to identify missing information.
                 </Typography>
               )}
             </CardContent>
@@ -0,0 +1,121 @@
+import React, { useEffect, useRef } from 'react';
+import { Box, Typography, Chip } from '@mui/material';
+
+const speakerColors = {
+  doctor: 'primary',
+  patient: 'secondary',
+  unknown: 'default'
+};
+
+// Split text into plain and highlighted pieces from [charStart, charEnd) ranges
+const highlightRanges = (text, ranges) => {
+  const pieces = [];
+  let position = 0;
+  [...ranges]
+    .sort((a, b) => a.charStart - b.charStart)
+    .forEach(({ charStart, charEnd }) => {
+      const start = Math.max(charStart, position);
+      if (charEnd <= start) return;
+      if (start > position) pieces.push({ text: text.slice(position, start) });
+      pieces.push({ text: text.slice(start, charEnd), highlighted: true });
+      position = charEnd;
+    });
+  if (position < text.length) pieces.push({ text: text.slice(position) });
+  return pieces;
+};
+
+/**
+ * Full session transcript with the segments (or character ranges, for
+ * undiarized and edited text) listed in `highlight` marked and scrolled into
+ * view. `highlight` is a summary item's sources.
+ */
+const EvidenceTranscript = ({ transcriptions, highlight = [] }) => {
+  const firstHighlightRef = useRef(null);
+
+  useEffect(() => {
+    if (highlight.length > 0 && firstHighlightRef.current) {
+      firstHighlightRef.current.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+  }, [highlight]);
+
+  let firstAssigned = false;
+  const refFor = () => {
+    if (firstAssigned) return undefined;
+    firstAssigned = true;
+    return firstHighlightRef;
+  };
+
+  const completed = transcriptions.filter(t => t.status === 'completed');
+
+  if (completed.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No completed transcriptions
+      </Typography>
+    );
+  }
+
+  return (
+    <Box sx={{ maxHeight: 500, overflow: 'auto' }}>
+      {completed.map(transcription => {
+        const sources = highlight.filter(source => source.transcriptionId === transcription.transcriptionId);
+        const segments = transcription.segments || [];
+
+        if (segments.length > 0 && !transcription.isEdited) {
+          const highlighted = new Set(sources.map(source => source.segmentIndex));
+          return (
+            <Box key={transcription.transcriptionId} sx={{ mb: 2 }}>
+              {segments.map((segment, index) => {
+                const isHighlighted = highlighted.has(index);
+                return (
+                  <Box
+                    key={index}
+                    ref={isHighlighted ? refFor() : undefined}
+                    sx={{
+                      display: 'flex',
+                      gap: 1,
+                      alignItems: 'flex-start',
+                      p: 0.5,
+                      borderRadius: 1,
+                      bgcolor: isHighlighted ? 'warning.light' : 'transparent'
+                    }}
+                  >
+                    <Chip
+                      label={segment.speaker}
+                      size="small"
+                      variant="outlined"
+                      color={speakerColors[segment.speaker] || 'default'}
+                    />
+                    <Typography variant="body2">{segment.text}</Typography>
+                  </Box>
+                );
+              })}
+            </Box>
+          );
+        }
+
+        const ranges = sources.filter(source => source.charStart !== undefined && source.charEnd !== undefined);
+        return (
+          <Typography key={transcription.transcriptionId} variant="body2" sx={{ mb: 2, whiteSpace: 'pre-line' }}>
+            {highlightRanges(transcription.transcriptionText || '', ranges).map((piece, index) => (
+              piece.highlighted ? (
+                <Box
+                  key={index}
+                  component="mark"
+                  ref={refFor()}
+                  sx={{ bgcolor: 'warning.light', borderRadius: 0.5 }}
+                >
+                  {piece.text}
+                </Box>
+              ) : (
+                <React.Fragment key={index}>{piece.text}</React.Fragment>
+              )
+            ))}
+          </Typography>
+        );
+      })}
+    </Box>
+  );
+};
+
+export default EvidenceTranscript;
@@ -13,9 +13,23 @@ import {
   ListItemText,
   Divider,
   CircularProgress,
-  Alert
+  Alert,
+  Tooltip
 } from '@mui/material';
-import { ArrowBack as ArrowBackIcon } from '@mui/icons-material';
+import {
+  ArrowBack as ArrowBackIcon,
+  ContentCopy as ContentCopyIcon,
+  PictureAsPdf as PdfIcon,
+  Description as WordIcon
+} from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import AudioPlayback from './AudioPlayback';
+import EvidenceTranscript from './EvidenceTranscript';
+import { authFetch, API_BASE_URL } from '../services/auth';
+import api from '../services/api';
+
+// File extension of each export format, as named by the server
+const EXPORT_EXTENSIONS = { pdf: 'pdf', word: 'docx' };
 
 const SessionView = ({ onSessionUpdate }) => {
   const { sessionId } = useParams();
@@ -23,6 +37,8 @@ const SessionView = ({ onSessionUpdate }) => {
   const [session, setSession] = useState(null);
   const [transcriptions, setTranscriptions] = useState([]);
   const [summary, setSummary] = useState(null);
+  const [noteTemplates, setNoteTemplates] = useState([]);
+  const [highlight, setHighlight] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -35,26 +51,33 @@ const SessionView = ({ onSessionUpdate }) => {
       setLoading(true);
       
       // Load session details
-      const sessionResponse = await fetch(`/api/sessions/${sessionId}`);
+      const sessionResponse = await authFetch(`${API_BASE_URL}/sessions/${sessionId}`);
       if (sessionResponse.ok) {
         const sessionData = await sessionResponse.json();
         setSession(sessionData);
       }
 
       // Load transcriptions
-      const transcriptionsResponse = await fetch(`/api/sessions/${sessionId}/transcriptions`);
+      const transcriptionsResponse = await authFetch(`${API_BASE_URL}/sessions/${sessionId}/transcriptions`);
       if (transcriptionsResponse.ok) {
         const transcriptionsData = await transcriptionsResponse.json();
         setTranscriptions(transcriptionsData.transcriptions || []);
       }
 
       // Load summary
-      const summaryResponse = await fetch(`/api/sessions/${sessionId}/summary`);
+      const summaryResponse = await authFetch(`${API_BASE_URL}/sessions/${sessionId}/summary`);
       if (summaryResponse.ok) {
         const summaryData = await summaryResponse.json();
         setSummary(summaryData);
       }
 
+      // Load note templates (section order and titles per note type)
+      const templatesResponse = await authFetch(`${API_BASE_URL}/note-templates`);
+      if (templatesResponse.ok) {
+        const templatesData = await templatesResponse.json();
+        setNoteTemplates(templatesData.templates || []);
+      }
+
     } catch (error) {
       setError('Failed to load session data');
       console.error('Error loading session:', error);
@@ -63,6 +86,76 @@ const SessionView = ({ onSessionUpdate }) => {
     }
   };
 
+  const noteTemplate = summary && noteTemplates.find(template => template.name === summary.noteType);
+
+  // Summaries generated before citations were collected have no statements and are not flagged
+  const statements = summary?.statements || [];
+  const hasEvidence = statements.length > 0;
+  const unsupportedCount = hasEvidence
+    ? statements.filter(statement => !statement.supported).length
+      + (summary.keyPoints || []).filter(keyPoint => !keyPoint.sources?.length).length
+      + ['symptoms', 'diagnoses', 'medications', 'procedures']
+        .reduce((count, field) => count + (summary.extractedData?.[field] || []).filter(item => !item.sources?.length).length, 0)
+    : 0;
+
+  // A summary line that highlights its transcript evidence on hover, or is flagged without any
+  const evidenceLine = (key, text, sources, supported) => {
+    const line = (
+      <Box
+        key={key}
+        component="span"
+        onMouseEnter={() => setHighlight(sources || [])}
+        onMouseLeave={() => setHighlight([])}
+        sx={{
+          borderRadius: 0.5,
+          cursor: 'default',
+          '&:hover': { bgcolor: 'action.hover' },
+          ...(supported ? {} : { textDecoration: 'underline wavy', textDecorationColor: 'orange' })
+        }}
+      >
+        {text}{' '}
+      </Box>
+    );
+    return supported ? line : (
+      <Tooltip key={key} title="No supporting transcript text found - possible hallucination">
+        {line}
+      </Tooltip>
+    );
+  };
+
+  // Copy a de-identified transcript (PHI replaced with placeholders) for sharing
+  const copyRedactedTranscript = async () => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/sessions/${sessionId}/transcript?redacted=true`);
+      if (!response.ok) {
+        toast.error('Failed to load redacted transcript');
+        return;
+      }
+      const data = await response.json();
+      await navigator.clipboard.writeText(data.transcript);
+      toast.success('Redacted transcript copied to clipboard');
+    } catch (error) {
+      toast.error('Failed to copy redacted transcript');
+      console.error('Redacted transcript error:', error);
+    }
+  };
+
+  // Download the summary rendered as a clinical note
+  const downloadExport = async (format) => {
+    try {
+      const blob = await api.exportSummary(summary.summaryId, format);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `summary-${summary.summaryId}.${EXPORT_EXTENSIONS[format]}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error(error.message || 'Export failed');
+      console.error('Export error:', error);
+    }
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleString();
   };
@@ -133,6 +226,15 @@ const SessionView = ({ onSessionUpdate }) => {
         </Typography>
       </Box>
 
+      {/* Red-flag alerts raised during the consultation */}
+      {(session.redFlagAlerts || []).map(alert => (
+        <Alert key={alert.key} severity={alert.urgencyLevel === 'emergency' ? 'error' : 'warning'} sx={{ mb: 2 }}>
+          <strong>{alert.symptomName}</strong>
+          {alert.redFlag ? `: ${alert.redFlag.description}` : ` (${alert.urgencyLevel} urgency)`}
+          {alert.redFlag?.action && ` Action: ${alert.redFlag.action}`}
+        </Alert>
+      ))}
+
       <Grid container spacing={3}>
         {/* Session Information */}
         <Grid item xs={12} md={6}>
@@ -197,9 +299,20 @@ const SessionView = ({ onSessionUpdate }) => {
         <Grid item xs={12} md={6}>
           <Card>
             <CardContent>
-              <Typography variant="h6" gutterBottom>
-                Transcriptions ({transcriptions.length})
-              </Typography>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <Typography variant="h6" gutterBottom>
+                  Transcriptions ({transcriptions.length})
+                </Typography>
+                {transcriptions.length > 0 && (
+                  <Button
+                    size="small"
+                    startIcon={<ContentCopyIcon />}
+                    onClick={copyRedactedTranscript}
+                  >
+                    Copy redacted
+                  </Button>
+                )}
+              </Box>
               
               {transcriptions.length === 0 ? (
                 <Typography variant="body2" color="text.secondary">
@@ -231,37 +344,105 @@ const SessionView = ({ onSessionUpdate }) => {
           </Card>
         </Grid>
 
-        {/* Summary */}
-        {summary && (
+        {/* Recordings */}
+        {transcriptions.some(t => t.audioFile?.storageKey) && (
           <Grid item xs={12}>
             <Card>
               <CardContent>
                 <Typography variant="h6" gutterBottom>
-                  Session Summary
+                  Recordings
                 </Typography>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                  Click a line of the transcript to jump to that point in the recording.
+                </Typography>
+
+                {transcriptions
+                  .filter(t => t.audioFile?.storageKey)
+                  .map((transcription, index) => (
+                    <Box key={transcription.transcriptionId} sx={{ mb: 2 }}>
+                      <Typography variant="subtitle2" gutterBottom>
+                        Recording {index + 1} – {formatDate(transcription.createdAt)}
+                      </Typography>
+                      <AudioPlayback transcription={transcription} />
+                    </Box>
+                  ))}
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
+
+        {/* Summary */}
+        {summary && (
+          <Grid item xs={12} md={hasEvidence ? 7 : 12}>
+            <Card>
+              <CardContent>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <Typography variant="h6" gutterBottom>
+                    Session Summary
+                  </Typography>
+                  {summary.status === 'completed' && (
+                    <Box>
+                      <Button
+                        size="small"
+                        startIcon={<PdfIcon />}
+                        onClick={() => downloadExport('pdf')}
+                      >
+                        Export PDF
+                      </Button>
+                      <Button
+                        size="small"
+                        startIcon={<WordIcon />}
+                        onClick={() => downloadExport('word')}
+                      >
+                        Export Word
+                      </Button>
+                    </Box>
+                  )}
+                </Box>
                 
-                {summary.content && (
+                {unsupportedCount > 0 && (
+                  <Alert severity="warning" sx={{ mb: 2 }}>
+                    {unsupportedCount} item(s) have no supporting transcript text and may be hallucinated. Check the underlined lines before approving.
+                  </Alert>
+                )}
+
+                {summary.content && noteTemplate && (
                   <Box>
-                    {summary.content.chiefComplaint && (
-                      <Box sx={{ mb: 2 }}>
-                        <Typography variant="subtitle2" color="primary">Chief Complaint:</Typography>
-                        <Typography variant="body2">{summary.content.chiefComplaint}</Typography>
-                      </Box>
-                    )}
-                    
-                    {summary.content.assessment && (
-                      <Box sx={{ mb: 2 }}>
-                        <Typography variant="subtitle2" color="primary">Assessment:</Typography>
-                        <Typography variant="body2">{summary.content.assessment}</Typography>
-                      </Box>
-                    )}
-                    
-                    {summary.content.plan && (
-                      <Box sx={{ mb: 2 }}>
-                        <Typography variant="subtitle2" color="primary">Plan:</Typography>
-                        <Typography variant="body2">{summary.content.plan}</Typography>
-                      </Box>
-                    )}
+                    <Typography variant="subtitle1" gutterBottom>
+                      {noteTemplate.title}
+                    </Typography>
+                    {noteTemplate.sections
+                      .filter(section => summary.content[section.key])
+                      .map(section => {
+                        const sectionStatements = statements.filter(statement => statement.section === section.key);
+                        return (
+                          <Box key={section.key} sx={{ mb: 2 }}>
+                            <Typography variant="subtitle2" color="primary">{section.title}:</Typography>
+                            <Typography variant="body2" sx={{ whiteSpace: 'pre-line' }}>
+                              {sectionStatements.length > 0
+                                ? sectionStatements.map(statement => evidenceLine(
+                                  `${section.key}-${statement.index}`,
+                                  statement.text,
+                                  statement.sources,
+                                  statement.supported
+                                ))
+                                : summary.content[section.key]}
+                            </Typography>
+                          </Box>
+                        );
+                      })}
+                  </Box>
+                )}
+
+                {summary.keyPoints?.length > 0 && (
+                  <Box sx={{ mb: 2 }}>
+                    <Typography variant="subtitle2" color="primary">Key Points:</Typography>
+                    {summary.keyPoints.map((keyPoint, index) => (
+                      <Typography key={index} variant="body2" component="div">
+                        <Chip label={keyPoint.category} size="small" variant="outlined" sx={{ mr: 1, mb: 0.5 }} />
+                        {evidenceLine(`keypoint-${index}`, keyPoint.point, keyPoint.sources, !hasEvidence || keyPoint.sources?.length > 0)}
+                      </Typography>
+                    ))}
                   </Box>
                 )}
                 
@@ -278,6 +459,23 @@ const SessionView = ({ onSessionUpdate }) => {
             </Card>
           </Grid>
         )}
+
+        {/* Transcript evidence for the hovered summary line */}
+        {summary && hasEvidence && (
+          <Grid item xs={12} md={5}>
+            <Card>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>
+                  Transcript Evidence
+                </Typography>
+                <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 1 }}>
+                  Hover a summary line to highlight the transcript it came from
+                </Typography>
+                <EvidenceTranscript transcriptions={transcriptions} highlight={highlight} />
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
       </Grid>
     </Box>
   );
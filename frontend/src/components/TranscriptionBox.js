@@ -27,6 +27,7 @@ import {
 } from '@mui/icons-material';
 import { toast } from 'react-toastify';
 import { io } from 'socket.io-client';
+import { authFetch, getAccessToken, API_BASE_URL, API_ORIGIN } from '../services/auth';
 
 const TranscriptionBox = ({ 
   sessionId, 
@@ -39,21 +40,29 @@ const TranscriptionBox = ({
   const [editingId, setEditingId] = useState(null);
   const [editText, setEditText] = useState('');
   const [mediaRecorder, setMediaRecorder] = useState(null);
-  const [liveTranscript, setLiveTranscript] = useState('');
-  const [currentRecordingId, setCurrentRecordingId] = useState(null);
+  const [liveSegments, setLiveSegments] = useState([]);
   const [selectedLanguage, setSelectedLanguage] = useState('en');
   const fileInputRef = useRef(null);
   const socketRef = useRef(null);
   const audioChunks = useRef([]);
+  // Kept in a ref so starting a recording does not reconnect the socket mid-stream
+  const currentRecordingIdRef = useRef(null);
 
   // Initialize Socket.IO connection
   useEffect(() => {
     if (sessionId) {
       // Connect to backend Socket.IO server
-      socketRef.current = io('http://localhost:5000');
+      // The token is read on every (re)connect so refreshed tokens are picked up
+      socketRef.current = io(API_ORIGIN, {
+        auth: (cb) => cb({ token: getAccessToken() })
+      });
       
       // Join the session room
       socketRef.current.emit('join-session', sessionId);
+
+      socketRef.current.on('join-error', (data) => {
+        toast.error(data.error || 'Could not join the session');
+      });
       
       // Listen for transcription completion
       socketRef.current.on('transcription-completed', (data) => {
@@ -67,7 +76,8 @@ const TranscriptionBox = ({
                   ...t, 
                   transcriptionText: data.text,
                   status: 'completed',
-                  confidence: data.confidence 
+                  confidence: data.confidence,
+                  segments: data.segments || []
                 }
               : t
           )
@@ -76,6 +86,17 @@ const TranscriptionBox = ({
         toast.success('Transcription completed!');
       });
 
+      // Listen for chunk-by-chunk progress on long recordings
+      socketRef.current.on('transcription-progress', (data) => {
+        onTranscriptionUpdate(prev =>
+          prev.map(t =>
+            t.transcriptionId === data.transcriptionId && t.status === 'processing'
+              ? { ...t, progress: data.percent }
+              : t
+          )
+        );
+      });
+
       // Listen for transcription failures
       socketRef.current.on('transcription-failed', (data) => {
         console.log('Received transcription failure:', data);
@@ -96,12 +117,33 @@ const TranscriptionBox = ({
         toast.error(`Transcription failed: ${data.error}`);
       });
 
-      // Listen for live transcription updates
+      // Listen for live transcription updates; interim results for a segment
+      // share its segmentId and are replaced in place
       socketRef.current.on('live-transcription', (data) => {
-        console.log('Received live transcription:', data);
-        if (data.transcriptionId === currentRecordingId) {
-          setLiveTranscript(data.text);
-        }
+        if (data.streamId !== currentRecordingIdRef.current) return;
+
+        setLiveSegments(prev => {
+          const index = prev.findIndex(segment => segment.segmentId === data.segmentId);
+          if (index === -1) {
+            return [...prev, data];
+          }
+          const next = [...prev];
+          next[index] = data;
+          return next;
+        });
+      });
+
+      // Stays open until dismissed so it is not missed mid-consultation
+      socketRef.current.on('red-flag-alert', (data) => {
+        const detail = data.redFlag
+          ? `${data.redFlag.description}${data.redFlag.action ? ` Action: ${data.redFlag.action}` : ''}`
+          : `${data.symptom.urgencyLevel} urgency symptom`;
+        toast.error(`Red flag: ${data.symptom.name}. ${detail}`, { autoClose: false });
+      });
+
+      socketRef.current.on('live-transcription-error', (data) => {
+        if (data.streamId !== currentRecordingIdRef.current) return;
+        toast.warning(`Live transcription unavailable: ${data.error}`);
       });
 
       // Cleanup on unmount
@@ -111,7 +153,7 @@ const TranscriptionBox = ({
         }
       };
     }
-  }, [sessionId, currentRecordingId, onTranscriptionUpdate]);
+  }, [sessionId, onTranscriptionUpdate]);
 
   // Start/stop recording
   const toggleRecording = async () => {
@@ -145,8 +187,19 @@ const TranscriptionBox = ({
 
         // Generate a unique recording ID for live updates
         const recordingId = `live_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        setCurrentRecordingId(recordingId);
-        setLiveTranscript('');
+        currentRecordingIdRef.current = recordingId;
+        setLiveSegments([]);
+
+        // Open the live stream; the final recording is still uploaded on stop
+        socketRef.current?.emit('start-audio-stream', {
+          sessionId,
+          streamId: recordingId,
+          language: selectedLanguage
+        }, (response) => {
+          if (response?.error) {
+            console.warn('Live transcription stream rejected:', response.error);
+          }
+        });
 
         // Add live transcription placeholder
         const liveTranscriptionEntry = {
@@ -158,28 +211,38 @@ const TranscriptionBox = ({
         };
         onTranscriptionUpdate(prev => [...prev, liveTranscriptionEntry]);
 
-        recorder.ondataavailable = async (event) => {
+        // Chunks are sent one after another, so they arrive in order and the
+        // last one is out before the stream is stopped
+        let pendingChunk = Promise.resolve();
+
+        recorder.ondataavailable = (event) => {
           if (event.data.size > 0) {
             audioChunks.current.push(event.data);
-            
-            // Send audio chunk for live transcription every 2 seconds
-            if (audioChunks.current.length >= 2) {
-              const audioBlob = new Blob(audioChunks.current, { type: 'audio/webm' });
-              await sendLiveAudioChunk(audioBlob, recordingId);
-            }
+
+            // Stream each slice to the recognizer as it is recorded
+            const data = event.data;
+            pendingChunk = pendingChunk.then(async () => {
+              socketRef.current?.emit('audio-chunk', {
+                streamId: recordingId,
+                chunk: await data.arrayBuffer()
+              });
+            }).catch(error => console.warn('Failed to send audio chunk:', error));
           }
         };
 
         recorder.onstop = async () => {
           const audioBlob = new Blob(audioChunks.current, { type: 'audio/webm' });
+          // The final ondataavailable fires just before stop; wait for its chunk
+          await pendingChunk;
+          socketRef.current?.emit('stop-audio-stream', { streamId: recordingId });
           
           // Remove live transcription and upload final audio
           onTranscriptionUpdate(prev => prev.filter(t => t.transcriptionId !== recordingId));
           await uploadAudio(audioBlob, 'recording.webm');
           
           // Reset live transcript
-          setLiveTranscript('');
-          setCurrentRecordingId(null);
+          setLiveSegments([]);
+          currentRecordingIdRef.current = null;
           
           // Stop all tracks to release microphone
           stream.getTracks().forEach(track => track.stop());
@@ -197,29 +260,6 @@ const TranscriptionBox = ({
     }
   };
 
-  // Send audio chunk for live transcription
-  const sendLiveAudioChunk = async (audioBlob, recordingId) => {
-    try {
-      const formData = new FormData();
-      formData.append('audio', audioBlob, `live_${recordingId}.webm`);
-      formData.append('sessionId', sessionId);
-      formData.append('recordingId', recordingId);
-      formData.append('language', selectedLanguage);
-      formData.append('isLive', 'true');
-
-      const response = await fetch('/api/transcribe/stream', {
-        method: 'POST',
-        body: formData,
-      });
-
-      if (!response.ok) {
-        console.warn('Live transcription chunk failed:', await response.text());
-      }
-    } catch (error) {
-      console.warn('Live transcription error:', error);
-    }
-  };
-
   // Handle file upload
   const handleFileUpload = (event) => {
     const file = event.target.files[0];
@@ -242,7 +282,7 @@ const TranscriptionBox = ({
       formData.append('sessionId', sessionId);
       formData.append('language', selectedLanguage);
 
-      const response = await fetch('/api/transcribe/upload', {
+      const response = await authFetch(`${API_BASE_URL}/transcribe/upload`, {
         method: 'POST',
         body: formData,
       });
@@ -283,14 +323,13 @@ const TranscriptionBox = ({
 
   const saveEdit = async () => {
     try {
-      const response = await fetch(`/api/transcribe/${editingId}`, {
+      const response = await authFetch(`${API_BASE_URL}/transcribe/${editingId}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          transcriptionText: editText,
-          editedBy: 'doctor'
+          transcriptionText: editText
         }),
       });
 
@@ -320,11 +359,108 @@ const TranscriptionBox = ({
     setEditText('');
   };
 
+  const liveTranscript = liveSegments.map(segment => segment.text).join(' ');
+
   // Format timestamp
   const formatTime = (timestamp) => {
     return new Date(timestamp).toLocaleTimeString();
   };
 
+  // Format seconds from the start of the recording as m:ss
+  const formatOffset = (seconds = 0) => {
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+  };
+
+  const speakerLabels = {
+    doctor: { label: 'Doctor', color: 'primary' },
+    patient: { label: 'Patient', color: 'secondary' },
+    unknown: { label: 'Speaker', color: 'default' }
+  };
+
+  // Swap a diarized speaker between doctor and patient for the whole transcription
+  const toggleSpeakerRole = async (transcription, segment) => {
+    const role = segment.speaker === 'doctor' ? 'patient' : 'doctor';
+
+    try {
+      const response = await authFetch(`${API_BASE_URL}/transcribe/${transcription.transcriptionId}/speakers`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          mapping: [{ speakerTag: segment.speakerTag, role }]
+        }),
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        onTranscriptionUpdate(prev =>
+          prev.map(t =>
+            t.transcriptionId === transcription.transcriptionId
+              ? { ...t, segments: data.transcription.segments, speakerMapping: data.transcription.speakerMapping }
+              : t
+          )
+        );
+        toast.success(`Speaker marked as ${role}`);
+      } else {
+        const error = await response.json();
+        toast.error(error.message || 'Failed to update speaker');
+      }
+    } catch (error) {
+      toast.error('Failed to update speaker');
+      console.error('Speaker update error:', error);
+    }
+  };
+
+  // Render diarized segments as a doctor/patient dialogue
+  const renderDialogue = (transcription) => (
+    <Box sx={{ mt: 1, display: 'flex', flexDirection: 'column', gap: 1 }}>
+      {transcription.segments.map((segment, index) => {
+        const speaker = speakerLabels[segment.speaker] || speakerLabels.unknown;
+        return (
+          <Box
+            key={index}
+            sx={{
+              display: 'flex',
+              gap: 1,
+              alignItems: 'flex-start',
+              flexDirection: segment.speaker === 'patient' ? 'row-reverse' : 'row'
+            }}
+          >
+            <Chip
+              label={segment.speaker === 'unknown' && segment.speakerTag
+                ? `${speaker.label} ${segment.speakerTag}`
+                : speaker.label}
+              size="small"
+              color={speaker.color}
+              variant={segment.roleConfidence < 0.7 ? 'filled' : 'outlined'}
+              title={`Role confidence ${Math.round((segment.roleConfidence || 0) * 100)}% – click to swap doctor/patient`}
+              onClick={segment.speakerTag ? () => toggleSpeakerRole(transcription, segment) : undefined}
+            />
+            <Box
+              sx={{
+                px: 1.5,
+                py: 0.5,
+                borderRadius: 1,
+                bgcolor: segment.speaker === 'patient' ? 'grey.100' : 'action.hover',
+                maxWidth: '80%'
+              }}
+            >
+              <Typography variant="caption" color="text.secondary" component="div">
+                {formatOffset(segment.startTime)} – {formatOffset(segment.endTime)}
+              </Typography>
+              <Typography variant="body2" color="text.primary">
+                {segment.text}
+              </Typography>
+            </Box>
+          </Box>
+        );
+      })}
+    </Box>
+  );
+
   // Get localized listening text
   const getListeningText = (langCode) => {
     const listeningTexts = {
@@ -482,7 +618,20 @@ const TranscriptionBox = ({
                         <Chip label="Edited" size="small" color="info" />
                       )}
                       {transcription.status === 'processing' && (
-                        <CircularProgress size={16} />
+                        transcription.progress !== undefined ? (
+                          <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                            <CircularProgress
+                              size={16}
+                              variant={transcription.progress > 0 ? 'determinate' : 'indeterminate'}
+                              value={transcription.progress}
+                            />
+                            <Typography variant="caption" color="text.secondary">
+                              {transcription.progress}%
+                            </Typography>
+                          </Box>
+                        ) : (
+                          <CircularProgress size={16} />
+                        )
                       )}
                       <IconButton
                         size="small"
@@ -494,6 +643,7 @@ const TranscriptionBox = ({
                     </Box>
                   </Box>
                 }
+                secondaryTypographyProps={{ component: 'div' }}
                 secondary={
                   editingId === transcription.transcriptionId ? (
                     <Box sx={{ mt: 1 }}>
@@ -525,6 +675,8 @@ const TranscriptionBox = ({
                         </Button>
                       </Box>
                     </Box>
+                  ) : transcription.segments?.length > 0 && !transcription.isEdited ? (
+                    renderDialogue(transcription)
                   ) : (
                     <Typography 
                       variant="body2" 
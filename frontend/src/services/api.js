@@ -1,6 +1,6 @@
 // API service for frontend-backend communication
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+import { authFetch, API_BASE_URL } from './auth';
 
 class ApiService {
   constructor() {
@@ -19,7 +19,7 @@ class ApiService {
     };
 
     try {
-      const response = await fetch(url, config);
+      const response = await authFetch(url, config);
       
       if (!response.ok) {
         const error = await response.json();
@@ -70,6 +70,41 @@ class ApiService {
     });
   }
 
+  // Patient methods
+  async createPatient(patientData) {
+    return this.request('/patients', {
+      method: 'POST',
+      body: JSON.stringify(patientData),
+    });
+  }
+
+  async getPatient(patientId) {
+    return this.request(`/patients/${patientId}`);
+  }
+
+  async getAllPatients(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.request(`/patients${queryString ? `?${queryString}` : ''}`);
+  }
+
+  async searchPatients(query, params = {}) {
+    const queryString = new URLSearchParams({ q: query, ...params }).toString();
+    return this.request(`/patients/search?${queryString}`);
+  }
+
+  async updatePatient(patientId, updates) {
+    return this.request(`/patients/${patientId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates),
+    });
+  }
+
+  async deletePatient(patientId) {
+    return this.request(`/patients/${patientId}`, {
+      method: 'DELETE',
+    });
+  }
+
   // Transcription methods
   async uploadAudio(sessionId, audioFile) {
     const formData = new FormData();
@@ -106,13 +141,17 @@ class ApiService {
   }
 
   // Summary methods
-  async generateSummary(sessionId, regenerate = false) {
+  async generateSummary(sessionId, regenerate = false, noteType) {
     return this.request(`/sessions/${sessionId}/summary`, {
       method: 'POST',
-      body: JSON.stringify({ regenerate }),
+      body: JSON.stringify({ regenerate, noteType }),
     });
   }
 
+  async getNoteTemplates() {
+    return this.request('/note-templates');
+  }
+
   async getSummary(summaryId, includeHistory = false) {
     return this.request(`/summaries/${summaryId}${includeHistory ? '?includeHistory=true' : ''}`);
   }
@@ -128,15 +167,15 @@ class ApiService {
     });
   }
 
-  async approveSummary(summaryId, reviewedBy, reviewNotes = '') {
+  async approveSummary(summaryId, reviewNotes = '', acknowledgeUnsupported = false) {
     return this.request(`/summaries/${summaryId}/approve`, {
       method: 'POST',
-      body: JSON.stringify({ reviewedBy, reviewNotes }),
+      body: JSON.stringify({ reviewNotes, acknowledgeUnsupported }),
     });
   }
 
   async exportSummary(summaryId, format = 'json') {
-    const response = await fetch(`${this.baseURL}/summaries/${summaryId}/export/${format}`);
+    const response = await authFetch(`${this.baseURL}/summaries/${summaryId}/export/${format}`);
     
     if (!response.ok) {
       const error = await response.json();
@@ -0,0 +1,118 @@
+// Token storage and authenticated fetch for the API
+
+// Backend API root. Set REACT_APP_API_URL when the frontend is served from another host.
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Origin of the backend, for Socket.IO and the links the API returns (e.g. /api/transcribe/:id/audio)
+export const API_ORIGIN = new URL(API_BASE_URL, window.location.origin).origin;
+
+const ACCESS_TOKEN_KEY = 'accessToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+const USER_KEY = 'user';
+
+// Fired on window when the session ends (logout or failed refresh)
+export const AUTH_LOGOUT_EVENT = 'auth-logout';
+
+export const getAccessToken = () => localStorage.getItem(ACCESS_TOKEN_KEY);
+
+export const getCurrentUser = () => {
+  const user = localStorage.getItem(USER_KEY);
+  return user ? JSON.parse(user) : null;
+};
+
+const storeTokens = ({ accessToken, refreshToken, user }) => {
+  localStorage.setItem(ACCESS_TOKEN_KEY, accessToken);
+  localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  localStorage.setItem(USER_KEY, JSON.stringify(user));
+};
+
+const clearTokens = () => {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+  window.dispatchEvent(new Event(AUTH_LOGOUT_EVENT));
+};
+
+export const login = async (email, password) => {
+  const response = await fetch(`${API_BASE_URL}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password }),
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.message || 'Login failed');
+  }
+
+  storeTokens(data);
+  return data.user;
+};
+
+export const logout = async () => {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  try {
+    if (refreshToken) {
+      await fetch(`${API_BASE_URL}/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      });
+    }
+  } catch (error) {
+    console.error('Logout request failed:', error);
+  } finally {
+    clearTokens();
+  }
+};
+
+// Refresh tokens are single-use, so concurrent 401s share one refresh request
+let refreshPromise = null;
+
+const refreshTokens = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+      if (!refreshToken) return false;
+
+      const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      });
+
+      if (!response.ok) return false;
+
+      storeTokens(await response.json());
+      return true;
+    })()
+      .catch(() => false)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const withAuthHeader = (options) => ({
+  ...options,
+  headers: {
+    ...options.headers,
+    Authorization: `Bearer ${getAccessToken()}`,
+  },
+});
+
+// fetch() with the access token attached; refreshes it once on 401
+export const authFetch = async (url, options = {}) => {
+  const response = await fetch(url, withAuthHeader(options));
+  if (response.status !== 401) {
+    return response;
+  }
+
+  if (await refreshTokens()) {
+    return fetch(url, withAuthHeader(options));
+  }
+
+  clearTokens();
+  return response;
+};
@@ -0,0 +1,17 @@
+// Runs once, when the mongo container starts with an empty data volume.
+// Creates the reference collections with their code indexes so they exist
+// before the first import; the codes themselves are loaded with
+//   docker compose exec backend npm run import-codes -- --type icd10cm --file <path> --release <year>
+db = db.getSiblingDB('acko-mer-ai');
+
+db.createCollection('conditions');
+db.conditions.createIndex({ icd10Code: 1 }, { unique: true });
+db.conditions.createIndex({ name: 1 }, { unique: true });
+
+db.createCollection('procedures');
+db.procedures.createIndex({ codeSystem: 1, code: 1 }, { unique: true });
+
+db.createCollection('symptoms');
+db.symptoms.createIndex({ name: 1 }, { unique: true });
+
+print('acko-mer-ai: reference collections created; load codes with npm run import-codes');